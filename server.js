@@ -1,35 +1,171 @@
+require('dotenv').config();
 const app = require('./src/app.js');
-const connectDB = require ('./src/config/database.js');
+const { connectDB, disconnectDB } = require('./src/config/database.js');
+const { startWebhookDispatcher } = require('./src/services/webhookService.js');
+const { assignUnlocatedStock } = require('./src/services/inventoryService.js');
+const { convertLegacyMoney } = require('./src/services/moneyMigrationService.js');
+const { startLoyaltyExpiry } = require('./src/services/loyaltyService.js');
+const { closeStreams } = require('./src/services/realtimeService.js');
 
 /**
  * APPLICATION STARTUP SEQUENCE
- * 
+ *
  * This file is the entry point of the entire backend.
  * It:
- * 1. Connects to MongoDB
- * 2. Starts the Express server
- * 3. Listens for incoming request
+ * 1. Connects to MongoDB (retrying with backoff)
+ * 2. Gives a location to stock recorded before locations existed
+ * 3. Converts money saved as decimals into minor units
+ * 4. Starts the Express server and listens for incoming requests
+ * 5. Starts background workers (webhook deliveries, loyalty points expiry)
+ * 6. Shuts down gracefully on SIGTERM/SIGINT
+ *
+ * WHY MIGRATIONS BEFORE LISTEN?
+ * Readiness turns green as soon as the server answers and the database pings,
+ * so the data must already be consistent then. A failed migration stops the
+ * startup (exit code 1) instead of serving half-converted data.
+ *
+ * .env is read here, first, so every module sees the same environment
+ * (src/app.js itself has no side effects, see the top of that file)
  */
 
 const PORT = process.env.PORT || 5000;
 
 /**
- * Step 1: Connect to database
- * This MUST happen before starting the server
- * because our routes need access to the database
+ * SHUTDOWN TIMEOUT
+ * How long open requests get to finish before their connections are cut
+ * (keep it below the orchestrator's grace period, 30 s on Kubernetes)
  */
-connectDB();
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+
+let server = null;
+let stopWorkers = [];
+let shuttingDown = false;
+
+const start = async () => {
+    /**
+     * Step 1: Connect to database
+     * This MUST happen before starting the server
+     * because our routes need access to the database.
+     * A failed attempt is retried with backoff (DB_CONNECT_RETRIES, see
+     * config/database.js); when every attempt fails we stop with exit code 1.
+     */
+    await connectDB();
+    if (shuttingDown) {
+        return;
+    }
+
+    /**
+     * STEP 2: Assign Unlocated Stock
+     *
+     * Stock recorded before locations existed goes to the default location
+     * (created as "MAIN" if there is none). Does nothing once every unit has a location.
+     */
+    const fixed = await assignUnlocatedStock();
+    if (fixed > 0) {
+        console.log(`📦 Assigned stock of ${fixed} product(s) to the default location`);
+    }
+
+    /**
+     * STEP 3: Convert Legacy Money
+     *
+     * Amounts saved before currencies existed (18.5) become integer minor units
+     * of the base currency (1850). Does nothing once every document has a currency.
+     */
+    const converted = await convertLegacyMoney();
+    if (converted > 0) {
+        console.log(`💱 Converted money of ${converted} document(s) to minor units`);
+    }
+    if (shuttingDown) {
+        return;
+    }
+
+    /**
+     * STEP 4: Start the Server
+     *
+     * app.listen() starts the Express server on the specified PORT
+     * Once started, it continuously listens for incoming HTTP requests
+     */
+    server = app.listen(PORT, () => {
+        console.log(`\n${'='.repeat(50)}`);
+        console.log(`✅ SERVER STARTED SUCCESSFULLY`);
+        console.log(`🚀 Backend running on: http://localhost:${PORT}`);
+        console.log(`✅ API Health Check: http://localhost:${PORT}/api/health`);
+        console.log(`✅ Readiness Check: http://localhost:${PORT}/api/health/ready`);
+        console.log(`${'='.repeat(50)}\n`)
+    });
+
+    /**
+     * STEP 5: Start Background Workers
+     *
+     * The webhook dispatcher sends queued webhook deliveries (low-stock alerts)
+     * every few seconds and retries failed ones with backoff
+     * The loyalty expiry takes away points that were not used in time (every 6 hours)
+     */
+    stopWorkers = [startWebhookDispatcher(), startLoyaltyExpiry()];
+};
 
 /**
- * STEP 2: Start the Server
- * 
- * app.listen() starts the Express server on the specified PORT
- * Once started, it continuously listens for incoming HTTP requests
+ * HELPER FUNCTION: Close Server
+ *
+ * PURPOSE: Stop accepting connections and wait for the open requests to finish
+ * Idle keep-alive connections are closed right away; whatever is still
+ * running after SHUTDOWN_TIMEOUT_MS is cut.
  */
-app.listen(PORT, () => {
-    console.log(`\n${'='.repeat(50)}`);
-    console.log(`✅ SERVER STARTED SUCCESSFULLY`);
-    console.log(`🚀 Backend running on: http://localhost:${PORT}`);
-    console.log(`✅ API Health Check: http://localhost:${PORT}/api/health`);
-    console.log(`${'='.repeat(50)}\n`)
+const closeServer = () => new Promise((resolve) => {
+    const timer = setTimeout(() => {
+        console.error(`⚠️  Requests still open after ${SHUTDOWN_TIMEOUT_MS} ms, closing their connections`);
+        server.closeAllConnections();
+    }, SHUTDOWN_TIMEOUT_MS);
+    timer.unref();
+    server.close(() => {
+        clearTimeout(timer);
+        resolve();
+    });
+    server.closeIdleConnections();
+});
+
+/**
+ * STEP 6: Graceful Shutdown
+ *
+ * On SIGTERM (deploys, Kubernetes, Docker stop) or SIGINT (Ctrl+C):
+ * 1. Readiness answers 503, so the load balancer stops sending traffic
+ * 2. Background workers stop, live event streams are ended (browsers reconnect)
+ * 3. The server stops accepting connections and lets open requests finish
+ * 4. The MongoDB connection is closed, then the process exits
+ * A second signal while this runs exits immediately.
+ */
+const shutdown = async (signal) => {
+    if (shuttingDown) {
+        console.error(`${signal} received again, exiting now`);
+        process.exit(1);
+    }
+    shuttingDown = true;
+    app.locals.shuttingDown = true;
+    console.log(`\n🛑 ${signal} received, shutting down gracefully...`);
+
+    let exitCode = 0;
+    try {
+        stopWorkers.forEach((stop) => stop());
+        const streams = closeStreams();
+        if (streams > 0) {
+            console.log(`📡 Closed ${streams} live event stream(s)`);
+        }
+        if (server) {
+            await closeServer();
+            console.log('✅ HTTP server closed');
+        }
+        await disconnectDB();
+    } catch (error) {
+        console.error('Shutdown Error:', error.message);
+        exitCode = 1;
+    }
+    process.exit(exitCode);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((error) => {
+    console.error(' ❌ Startup Error:', error.message);
+    process.exit(1);
 });
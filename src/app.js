@@ -1,6 +1,7 @@
 const express = require('express');
 const cors = require('cors');
-require('dotenv').config();
+const { requestContext } = require('./middleware/requestContext.js');
+const { toErrorResponse } = require('./utils/errorResponse.js');
 
 /**
  * INITIALIZE EXPRESS application
@@ -9,13 +10,38 @@ require('dotenv').config();
  * - Middleware for handling requests
  * - CORS for frontend-backend communication
  * - Basic routes 
+ *
+ * NO SIDE EFFECTS: Requiring this file only builds the app. It does not read
+ * .env, connect to MongoDB, listen on a port or start background workers
+ * (server.js does all of that), so tests can require it and call
+ * app.listen(0) or pass it to an HTTP test client.
  */
 const app = express();
 
+/**
+ * SHUTTING DOWN FLAG
+ * Set by server.js on SIGTERM/SIGINT, makes GET /api/health/ready answer 503
+ */
+app.locals.shuttingDown = false;
+
 // ==========================================
 // MIDDLEWARE CONFIGURATION
 // ==========================================
 
+/**
+ * TRUST PROXY
+ *
+ * WHAT: Behind a reverse proxy / load balancer, req.ip is the proxy's address
+ * HOW: TRUST_PROXY=1 (number of proxies in front of us) makes Express read the
+ *      client IP from X-Forwarded-For instead
+ * WHY IT MATTERS: Rate limits are counted per IP (middleware/rateLimit.js).
+ *      Only set it when there IS a proxy, otherwise clients could fake their IP
+ */
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 /**  * CORS MIDDLEWARE
  * 
  * WHAT: Cross-Origin Resource Sharing
@@ -38,28 +64,26 @@ app.use(cors());
  */
 app.use(express.json());
 
+/**
+ * REQUEST CONTEXT MIDDLEWARE
+ *
+ * WHAT: Gives every request an id (X-Request-Id header) and remembers its IP,
+ *       user agent and (after protect) user
+ * WHY: The audit log records who did what from where without passing req around
+ */
+app.use(requestContext);
+
 // ==========================================
-// HEALTH CHECK ROUTE
+// HEALTH CHECK ROUTES
 // ==========================================
 
 /**
- * ROUTE: GET /api/health
- * 
- * PURPOSE: Verify that the backend server is running
- * 
- * WHEN USED: 
- * - Frontend checks if backend is available on startup
- * - Used for monitoring/testing
- * 
- * RESPONSE: { status: 'OK', message: '...' }
+ * ROUTES: GET /api/health, /api/health/live, /api/health/ready
+ *
+ * PURPOSE: Is the backend running, is the process alive, can it take traffic
+ * (see controllers/healthController.js)
  */
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        message: 'Backend server is running correctly',
-        timeStamp: new Date().toISOString(),
-    });
-});
+app.use('/api/health', require('./routes/health.js'));
 
 // ==========================================
 // API ROUTES (Will add these later)
@@ -83,10 +107,25 @@ app.get('/api/health', (req, res) => {
 // app.use('/api/auth', require('./routes/auth'));
 app.use('/api/auth', require('./routes/auth.js'))
 
-// app.use('/api/products', require('./routes/products'));
-// app.use('/api/sales', require('./routes/sales'));
-// app.use('/api/invoices', require('./routes/invoices'));
-// app.use('/api/ai', require('./routes/ai'));
+app.use('/api/products', require('./routes/products.js'));
+app.use('/api/sales', require('./routes/sales.js'));
+app.use('/api/customers', require('./routes/customers.js'));
+app.use('/api/invoices', require('./routes/invoices.js'));
+app.use('/api/credit-notes', require('./routes/creditNotes.js'));
+app.use('/api/ai', require('./routes/ai.js'));
+app.use('/api/reports', require('./routes/reports.js'));
+app.use('/api/alerts', require('./routes/alerts.js'));
+app.use('/api/webhooks', require('./routes/webhooks.js'));
+app.use('/api/suppliers', require('./routes/suppliers.js'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrders.js'));
+app.use('/api/locations', require('./routes/locations.js'));
+app.use('/api/transfers', require('./routes/transfers.js'));
+app.use('/api/audit', require('./routes/audit.js'));
+app.use('/api/users', require('./routes/users.js'));
+app.use('/api/promotions', require('./routes/promotions.js'));
+app.use('/api/tax-rules', require('./routes/taxRules.js'));
+app.use('/api/exchange-rates', require('./routes/exchangeRates.js'));
+app.use('/api/realtime', require('./routes/realtime.js'));
 
 // ==========================================
 // ERROR HANDLING MIDDLEWARE
@@ -102,6 +141,7 @@ app.use('/api/auth', require('./routes/auth.js'))
 app.use((req, res) => {
     res.status(404).json({
         success: false,
+        code: 'NOT_FOUND',
         message: 'Route not found',
     });
 });
@@ -111,14 +151,26 @@ app.use((req, res) => {
  * 
  * WHAT: Catches ALL errors thrown in the application
  * WHY: Prevents app from crashing, provides consistent error format
- * HOW: Express runs error handlers when error is passed
+ * HOW: Express runs error handlers when error is passed (next(error), or a rejected async handler)
+ * 
+ * MAPPING (see utils/errorResponse.js):
+ * - ApiError → its own status and code
+ * - Request validation (middleware/validate.js) and Mongoose ValidationError → 400 VALIDATION_ERROR
+ * - Mongoose CastError → 400 INVALID_VALUE
+ * - Duplicate key (unique index) → 409 DUPLICATE_KEY
+ * - Anything else → 500 INTERNAL_ERROR, without the real message (logged with the request id instead)
  */
 app.use((err, req, res, next) => {
-    console.error('Error:', err.message);
-    res.status(err.status || 500).json({
-        success: false,
-        message: err.message || 'Internal Server Error',
-    });
+    if (res.headersSent) {
+        // A download already started: let Express cut the connection
+        return next(err);
+    }
+    const { status, body } = toErrorResponse(err);
+    if (status >= 500) {
+        console.error(`Error [${req.requestId}] ${req.method} ${req.originalUrl}:`, err);
+        body.requestId = req.requestId;
+    }
+    res.status(status).json(body);
 });
 
 module.exports = app;
\ No newline at end of file
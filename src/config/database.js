@@ -1,4 +1,35 @@
 const mongoose = require("mongoose");
+const { readInteger } = require("../utils/env.js");
+
+/**
+ * CONFIG (environment variables):
+ * - MONGODB_URI: connection string (required)
+ * - DB_CONNECT_RETRIES: how many times a failed first connection is retried (default 10)
+ * - DB_RETRY_DELAY_MS: wait before the first retry, doubled after every failure (default 1000)
+ * - DB_RETRY_MAX_DELAY_MS: the wait never grows above this (default 30000)
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * HELPER FUNCTION: Retry Delay
+ * Exponential backoff: 1s, 2s, 4s, 8s... up to the maximum
+ */
+const retryDelay = (attempt, baseDelayMs, maxDelayMs) => Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+
+/**
+ * HELPER FUNCTION: Log Connection Changes
+ * After the first connection the driver reconnects by itself, these logs
+ * say when the database went away and came back (readiness follows it)
+ */
+let loggingConnection = false;
+const logConnectionChanges = () => {
+  if (loggingConnection) {
+    return;
+  }
+  loggingConnection = true;
+  mongoose.connection.on("disconnected", () => console.error(" ❌ MongoDB Disconnected"));
+  mongoose.connection.on("reconnected", () => console.log(" ✅ MongoDB Reconnected"));
+};
 
 /** FUNCTION: ConnectDB
  * Purpose: Establish connection to MongoDB database
@@ -6,17 +37,78 @@ const mongoose = require("mongoose");
  * How it works:
  * 1. Uses mongoose.connect() to connect to MongoDB URI from environment variables
  * 2. If successful, logs success message
- * 3. If fails, logs error and stops the application
+ * 3. If it fails, waits (backoff) and tries again, DB_CONNECT_RETRIES times
+ * 4. If every attempt fails, throws the last error (server.js stops the application)
+ *
+ * WHY RETRY?
+ * On a deploy the database (or its network) is often a few seconds behind the app
  */
+const connectDB = async ({
+  retries = readInteger("DB_CONNECT_RETRIES", 10),
+  baseDelayMs = readInteger("DB_RETRY_DELAY_MS", 1000),
+  maxDelayMs = readInteger("DB_RETRY_MAX_DELAY_MS", 30000),
+} = {}) => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI is not set");
+  }
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log(" ✅ MongoDB Connected Successfully");
+      logConnectionChanges();
+      return mongoose.connection;
+    } catch (error) {
+      if (attempt > retries) {
+        throw error;
+      }
+      const delay = retryDelay(attempt, baseDelayMs, maxDelayMs);
+      console.error(` ❌ MongoDB Connection Error (attempt ${attempt} of ${retries + 1}):`, error.message, `- retrying in ${delay} ms`);
+      await wait(delay);
+    }
+  }
+};
 
-const connectDB = async () => {
+/** FUNCTION: databaseStatus
+ * Purpose: Real state of the connection, for the readiness check
+ *
+ * How it works:
+ * 1. The driver's state (connected, connecting, disconnected...)
+ * 2. When connected, a ping: a connection that still says "connected"
+ *    while the server is unreachable fails the ping within timeoutMs
+ *
+ * Returns: { state: "connected", ready: true } or { state, ready: false, error }
+ */
+const databaseStatus = async ({ timeoutMs = 2000 } = {}) => {
+  const state = mongoose.STATES[mongoose.connection.readyState];
+  if (mongoose.connection.readyState !== mongoose.ConnectionStates.connected) {
+    return { state, ready: false };
+  }
+  let timer = null;
   try {
-    await mongoose.connect(process.env.MONGODB_URI);
-    console.log(" ✅ MongoDB Connected Successfully");
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer to ping within ${timeoutMs} ms`)), timeoutMs);
+      }),
+    ]);
+    return { state, ready: true };
   } catch (error) {
-    console.error(" ❌ MongoDB Connection Error:", error.message);
-    process.exit(1); // Stop the application if DB connection fails
+    return { state, ready: false, error: error.message };
+  } finally {
+    clearTimeout(timer);
   }
 };
 
-module.exports = connectDB;
\ No newline at end of file
+/** FUNCTION: disconnectDB
+ * Purpose: Close every connection of the pool (graceful shutdown)
+ */
+const disconnectDB = async () => {
+  await mongoose.connection.close();
+  console.log(" ✅ MongoDB Connection Closed");
+};
+
+module.exports = {
+  connectDB,
+  databaseStatus,
+  disconnectDB,
+};
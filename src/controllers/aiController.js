@@ -0,0 +1,265 @@
+const Product = require('../models/Product.js');
+const Sale = require('../models/Sale.js');
+const ApiError = require('../utils/ApiError.js');
+const { roundMinorUnits } = require('../utils/money.js');
+const { baseCurrency } = require('../utils/currency.js');
+const { runAiTask } = require('../services/ai/index.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PERIOD_DAYS = 30;
+
+/**
+ * HELPER FUNCTION: Read Period Days
+ * PURPOSE: How many days of sales history to look at (1 to 365, checked by validators/ai.js, default 30)
+ */
+const readPeriodDays = (value) => Number(value) || DEFAULT_PERIOD_DAYS;
+
+/**
+ * HELPER FUNCTION: Find Product For AI
+ * THROWS: ApiError(404) when the product doesn't exist
+ */
+const findProduct = async (id) => {
+    const product = await Product.findOne({ _id: id, isDeleted: false });
+    if (!product) {
+        throw new ApiError(404, 'Product not found');
+    }
+    return product;
+};
+
+/**
+ * HELPER FUNCTION: Sales Scope
+ * Employees only analyse their own sales, admins see everything
+ */
+const salesScope = (user) => (user.role === 'admin' ? {} : { soldBy: user._id });
+
+/**
+ * HELPER FUNCTION: Units Sold Per Product
+ *
+ * PURPOSE: Sum quantities and revenue per product from real sales
+ * Voided sales and returned units are not counted (see Sale.js reporting helpers),
+ * revenue is in minor units of the base currency
+ * RETURNS: Map of productId → { sku, name, quantity, revenue }
+ */
+const unitsSoldByProduct = async (match) => {
+    const rows = await Sale.aggregate([
+        { $match: Sale.countedMatch(match) },
+        { $unwind: '$items' },
+        {
+            $group: {
+                _id: '$items.product',
+                sku: { $first: '$items.sku' },
+                name: { $first: '$items.name' },
+                quantity: { $sum: Sale.netItemQuantityExpression() },
+                revenue: { $sum: Sale.toBaseExpression(Sale.netItemRevenueExpression()) },
+            },
+        },
+    ]);
+    return new Map(rows.map((row) => [String(row._id), { ...row, revenue: roundMinorUnits(row.revenue) }]));
+};
+
+/**
+ * HELPER FUNCTION: Sales Totals
+ * RETURNS: { revenue, salesCount, averageTicket } for the matched sales
+ * Revenue is net of refunds (base currency), voided sales are left out
+ */
+const salesTotals = async (match) => {
+    const [row] = await Sale.aggregate([
+        { $match: Sale.countedMatch(match) },
+        {
+            $group: {
+                _id: null,
+                revenue: { $sum: Sale.toBaseExpression(Sale.netTotalExpression()) },
+                salesCount: { $sum: 1 },
+            },
+        },
+    ]);
+    if (!row) {
+        return { revenue: 0, salesCount: 0, averageTicket: 0 };
+    }
+    return {
+        revenue: roundMinorUnits(row.revenue),
+        salesCount: row.salesCount,
+        averageTicket: roundMinorUnits(row.revenue / row.salesCount),
+    };
+};
+
+/**
+ * HELPER FUNCTION: Send AI Response
+ * Same response shape for every AI route
+ */
+const sendAiResponse = (res, { result, provider, cached, quota }) => {
+    res.status(200).json({
+        success: true,
+        provider,
+        cached,
+        quota: quota ? { used: quota.used, limit: quota.limit } : undefined,
+        result,
+    });
+};
+
+// ==========================================
+// CONTROLLER: Generate Product Description
+// ==========================================
+
+/**
+ * ROUTE: POST /api/ai/generate-description
+ *
+ * REQUEST BODY:
+ * {
+ *   "product": "65a1fd98f66d453210cde123",
+ *   "features": ["Fair trade", "Medium roast"] (optional),
+ *   "tone": "friendly" (optional: neutral | friendly | premium)
+ * }
+ *
+ * RESPONSE (200):
+ * { "success": true, "provider": "local", "cached": false, "result": { "description": "..." } }
+ */
+exports.generateDescription = async (req, res, next) => {
+    try {
+        const features = req.body.features || [];
+        const tone = req.body.tone || 'neutral';
+        const product = await findProduct(req.body.product);
+        const output = await runAiTask(req.user, 'generateDescription', {
+            product: {
+                sku: product.sku,
+                name: product.name,
+                category: product.category,
+                price: product.price,
+                currency: product.currency,
+            },
+            features: features.map(String),
+            tone,
+        });
+        sendAiResponse(res, output);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Suggest Discount
+// ==========================================
+
+/**
+ * ROUTE: POST /api/ai/suggest-discount
+ *
+ * REQUEST BODY:
+ * { "product": "65a1fd98f66d453210cde123", "periodDays": 30 (optional) }
+ *
+ * DATA USED: product price/cost/stock + units sold in the last periodDays (all sales)
+ * CONFIG: AI_MIN_MARGIN - minimum margin over cost a discount must keep (default 0.1 = 10%)
+ */
+exports.suggestDiscount = async (req, res, next) => {
+    try {
+        const periodDays = readPeriodDays(req.body.periodDays);
+        const product = await findProduct(req.body.product);
+        const since = new Date(Date.now() - periodDays * DAY_MS);
+        const sold = await unitsSoldByProduct({ createdAt: { $gte: since }, 'items.product': product._id });
+        const minMargin = parseFloat(process.env.AI_MIN_MARGIN);
+
+        const output = await runAiTask(req.user, 'suggestDiscount', {
+            product: {
+                sku: product.sku,
+                price: product.price,
+                cost: product.cost,
+                currency: product.currency,
+                stock: product.stock,
+            },
+            unitsSold: sold.has(String(product._id)) ? sold.get(String(product._id)).quantity : 0,
+            periodDays,
+            minMargin: Number.isNaN(minMargin) ? 0.1 : minMargin,
+        });
+        sendAiResponse(res, output);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Sales Analysis
+// ==========================================
+
+/**
+ * ROUTE: POST /api/ai/sales-analysis
+ *
+ * REQUEST BODY:
+ * { "from": "2026-01-01", "to": "2026-01-31" } (optional, defaults to the last 30 days)
+ *
+ * DATA USED: revenue, number of sales and top 5 products for the period,
+ * compared with the previous period of the same length.
+ * Employees only get their own sales.
+ */
+exports.salesAnalysis = async (req, res, next) => {
+    try {
+        const to = req.body.to ? new Date(req.body.to) : new Date();
+        const from = req.body.from ? new Date(req.body.from) : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            throw new ApiError(400, 'Please provide a valid date range (from before to)');
+        }
+        const previousFrom = new Date(from.getTime() - (to.getTime() - from.getTime()));
+        const scope = salesScope(req.user);
+        const currentMatch = { ...scope, createdAt: { $gte: from, $lt: to } };
+
+        const [current, previous, sold] = await Promise.all([
+            salesTotals(currentMatch),
+            salesTotals({ ...scope, createdAt: { $gte: previousFrom, $lt: from } }),
+            unitsSoldByProduct(currentMatch),
+        ]);
+        const topProducts = [...sold.values()]
+            .sort((a, b) => b.revenue - a.revenue || a.sku.localeCompare(b.sku))
+            .slice(0, 5)
+            .map(({ sku, name, quantity, revenue }) => ({ sku, name, quantity, revenue }));
+
+        const output = await runAiTask(req.user, 'analyzeSales', {
+            from: from.toISOString().slice(0, 10),
+            to: to.toISOString().slice(0, 10),
+            currency: baseCurrency(),
+            current,
+            previous,
+            topProducts,
+        });
+        sendAiResponse(res, output);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Inventory Insights
+// ==========================================
+
+/**
+ * ROUTE: POST /api/ai/inventory-insights
+ *
+ * REQUEST BODY:
+ * { "periodDays": 30 (optional), "category": "beverages" (optional) }
+ *
+ * DATA USED: stock of every active product + units sold in the last periodDays
+ */
+exports.inventoryInsights = async (req, res, next) => {
+    try {
+        const periodDays = readPeriodDays(req.body.periodDays);
+        const filter = { isDeleted: false };
+        if (req.body.category) {
+            filter.category = String(req.body.category).trim().toLowerCase();
+        }
+        const since = new Date(Date.now() - periodDays * DAY_MS);
+        const [products, sold] = await Promise.all([
+            Product.find(filter).sort({ sku: 1 }).select('sku name stock'),
+            unitsSoldByProduct({ createdAt: { $gte: since } }),
+        ]);
+
+        const output = await runAiTask(req.user, 'inventoryInsights', {
+            periodDays,
+            products: products.map((product) => ({
+                sku: product.sku,
+                name: product.name,
+                stock: product.stock,
+                unitsSold: sold.has(String(product._id)) ? sold.get(String(product._id)).quantity : 0,
+            })),
+        });
+        sendAiResponse(res, output);
+    } catch (error) {
+        next(error);
+    }
+};
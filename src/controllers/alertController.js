@@ -0,0 +1,94 @@
+const Alert = require('../models/Alert.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+// ==========================================
+// CONTROLLER: List Alerts
+// ==========================================
+
+/**
+ * ROUTE: GET /api/alerts
+ * ACCESS: any authenticated user
+ *
+ * QUERY PARAMS (all optional):
+ * - status: open | acknowledged | resolved (default: open + acknowledged)
+ * - type: low_stock | out_of_stock
+ * - product: product id
+ * - page / limit: pagination
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "alerts": [{ "type": "low_stock", "status": "open", "sku": "AB-100", "stock": 3, "reorderPoint": 5, ... }],
+ *   "pagination": { ... }
+ * }
+ */
+exports.getAlerts = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.status) {
+            filter.status = req.query.status;
+        } else {
+            filter.active = true;
+        }
+        if (req.query.type) {
+            filter.type = req.query.type;
+        }
+        if (req.query.product) {
+            filter.product = req.query.product;
+        }
+        const pagination = getPagination(req.query);
+        const [alerts, total] = await Promise.all([
+            Alert.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('acknowledgedBy', 'name email'),
+            Alert.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            alerts,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Acknowledge Alert
+// ==========================================
+
+/**
+ * ROUTE: PATCH /api/alerts/:id/acknowledge
+ * ACCESS: admin
+ *
+ * PURPOSE: Mark an open alert as seen ("I've ordered more")
+ * The alert stays active until stock goes back above the reorder point.
+ *
+ * ERROR CASES:
+ * - Alert not found → 404
+ * - Alert not open (already acknowledged or resolved) → 409
+ */
+exports.acknowledgeAlert = async (req, res, next) => {
+    try {
+        const alert = await Alert.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            { status: 'acknowledged', acknowledgedBy: req.user._id, acknowledgedAt: new Date() },
+            { new: true }
+        );
+        if (!alert) {
+            const exists = await Alert.exists({ _id: req.params.id });
+            return res.status(exists ? 409 : 404).json({
+                success: false,
+                message: exists ? 'Only open alerts can be acknowledged' : 'Alert not found',
+            });
+        }
+        res.status(200).json({
+            success: true,
+            alert,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
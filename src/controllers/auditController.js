@@ -0,0 +1,106 @@
+const AuditLog = require('../models/AuditLog.js');
+const escapeRegex = require('../utils/escapeRegex.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+/**
+ * HELPER FUNCTION: Build Audit Filter
+ *
+ * QUERY PARAMS (all optional, combined with AND):
+ * - user: id of the actor
+ * - targetModel + targetId: everything that happened to one document
+ *   (e.g. ?targetModel=Product&targetId=65a1...)
+ * - action: exact ("product.update") or a whole group with a trailing dot ("auth.")
+ * - requestId: every entry caused by one request (X-Request-Id response header)
+ * - from / to: ISO dates (to is inclusive)
+ *
+ * RETURNS: The MongoDB filter (ids and dates are checked by validators/audit.js)
+ */
+const buildAuditFilter = (query) => {
+    const filter = {};
+    if (query.user) {
+        filter.actor = query.user;
+    }
+    if (query.targetId) {
+        filter.targetId = query.targetId;
+    }
+    if (query.targetModel) {
+        filter.targetModel = String(query.targetModel);
+    }
+    if (query.action) {
+        const action = String(query.action);
+        filter.action = action.endsWith('.') ? new RegExp(`^${escapeRegex(action)}`) : action;
+    }
+    if (query.requestId) {
+        filter.requestId = String(query.requestId);
+    }
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+            if (query[param]) {
+                filter.createdAt[operator] = new Date(query[param]);
+            }
+        }
+    }
+    return filter;
+};
+
+// ==========================================
+// CONTROLLER: List Audit Entries
+// ==========================================
+
+/**
+ * ROUTE: GET /api/audit
+ * ACCESS: admin only
+ *
+ * PURPOSE: Investigate who did what (e.g. "who changed the price of this product?")
+ *
+ * QUERY PARAMS: see buildAuditFilter, plus ?page and ?limit
+ * Newest entries first.
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * GET /api/audit?targetModel=Product&targetId=65a1fd98f66d453210cde123
+ * GET /api/audit?action=auth.login_failed&from=2026-03-01
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "entries": [
+ *     {
+ *       "action": "product.update",
+ *       "actor": { "_id": "...", "name": "Ana", "email": "ana@example.com" },
+ *       "actorRole": "admin",
+ *       "targetModel": "Product",
+ *       "targetId": "65a1fd98f66d453210cde123",
+ *       "changes": { "price": { "before": 1850, "after": 1500 } },
+ *       "ip": "203.0.113.7",
+ *       "requestId": "5f0c...",
+ *       "createdAt": "..."
+ *     }
+ *   ],
+ *   "pagination": { ... }
+ * }
+ *
+ * ERROR CASES:
+ * - Invalid user/targetId id or date → 400 VALIDATION_ERROR
+ */
+exports.getAuditEntries = async (req, res, next) => {
+    try {
+        const filter = buildAuditFilter(req.query);
+        const pagination = getPagination(req.query);
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('actor', 'name email role'),
+            AuditLog.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            entries,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
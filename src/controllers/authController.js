@@ -1,57 +1,180 @@
 //CONTROLLERS: Controllers are functions responsible for processing incoming HTTP requests, executing tha appropiate business logic, interacting with data models, and sending a response back to the client.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User.js');
-const jwt = require('jsonwebtoken');
+const Counter = require('../models/Counter.js');
+const Session = require('../models/Session.js');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    readRefreshTokenSession,
+} = require('../services/sessionService.js');
+const { createUserToken, consumeUserToken } = require('../services/userTokenService.js');
+const { sendMail } = require('../services/mail/index.js');
+const { recordAudit } = require('../services/auditService.js');
+const { getStore } = require('../services/rateLimit/index.js');
+const { loginFailureKey } = require('../middleware/rateLimit.js');
 
 /**
- * HELPER FUNCTION: Generate JWT Token
- * 
- * PURPOSE: Create a JWT token for authenticaed users
- * 
- * WHAT IS JWT?
- * JWT = JSON Web Token
- * A compact, self-contained token that proves user is authenticated
- * 
- * HOW IT WORKS:
- * 1. Server creared a token: jwt.sign({ id: userID}, SECRET_KEY, { expiresIn: '3h' })
- * 2. Client receives and stores token (in browser memory or localstorage)
- * 3. Client sends token with every request in Authorization header
- * 4. Server verifies token is valid and hasn't expired
- * 5. If valid, server processes the request
- * 
- * TOKEN STRUCTURE:
-* header.payload.signature
-* 
-* EXAMPLE TOKEN:
-* eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.
-* eyJpZCI6IjY1YTFmZDk4ZjY2ZDQ1MzIxMGNkZTEyMyIsImlhdCI6MTcwNTA0NDU2MCwi
-* ZXhwIjoxNzA1NjQ5MzYwfQ.
-* 8vZU7X-qY9jK4mL2nO3pQ8rS5tU6vW7xY8z9A0b1C
-*/
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '7d', // Toekn will expire in 7 days (adjust as needed)
+ * TOKENS & SESSIONS
+ * Access/refresh tokens are generated in services/sessionService.js.
+ * Every login creates a Session document so tokens can be rotated and revoked.
+ */
+
+/**
+ * AUDIT LOG
+ * User changes are recorded automatically (models/plugins/audit.js).
+ * Logins, failed logins and logouts don't change a user, so they are recorded
+ * here as "auth.*" entries.
+ */
+
+/**
+ * HELPER FUNCTION: Is Email Verification Required?
+ * CONFIG: REQUIRE_EMAIL_VERIFICATION=true blocks login until the email is verified
+ */
+const emailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * HELPER FUNCTION: Frontend Link
+ * CONFIG: APP_URL is the frontend address the email links point to (default http://localhost:3000)
+ */
+const frontendLink = (pathname, token) => `${process.env.APP_URL || 'http://localhost:3000'}${pathname}?token=${token}`;
+
+/**
+ * HELPER FUNCTION: Create First Admin
+ *
+ * PURPOSE: First-run bootstrap, an admin created without an admin token
+ *
+ * WHY A TRANSACTION?
+ * "Is there an admin? No → create one" in two steps lets two registrations
+ * on an empty database both become admin. Every bootstrap attempt increments
+ * the "admin-bootstrap" counter in the same transaction as the user insert:
+ * two attempts at once get a write conflict, withTransaction() retries the
+ * second one and it then sees the admin created by the first.
+ *
+ * RETURNS: the new user, or null when an admin already exists
+ */
+const ADMIN_BOOTSTRAP_COUNTER = 'admin-bootstrap';
+const createFirstAdmin = async (data) => {
+    await Counter.ensure(ADMIN_BOOTSTRAP_COUNTER);
+    const session = await mongoose.startSession();
+    try {
+        let user = null;
+        await session.withTransaction(async () => {
+            user = null;
+            await Counter.next(ADMIN_BOOTSTRAP_COUNTER, session);
+            if (await User.exists({ role: 'admin' }).session(session)) {
+                return;
+            }
+            [user] = await User.create([data], { session });
+        });
+        return user;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// LOGIN PROTECTION HELPERS
+// ==========================================
+
+/**
+ * WHY THESE HELPERS?
+ * An attacker guessing passwords must learn nothing from our answers:
+ * - same message ("Invalid credentials") whether the email exists or not
+ * - about the same response time (a bcrypt compare runs in both cases)
+ * - each failure in a row for the same email waits longer (progressive delay)
+ * Request limits per IP/email are in middleware/rateLimit.js,
+ * the account lockout in User.registerFailedLogin.
+ */
+const INVALID_CREDENTIALS = 'Invalid credentials';
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * HELPER FUNCTION: Dummy Password Hash
+ * PURPOSE: Something to compare against when the email is unknown
+ * (created once, with the same cost as the real hashes in User.js)
+ */
+let dummyHash = null;
+const dummyPasswordHash = () => {
+    if (!dummyHash) {
+        dummyHash = bcrypt.hash(crypto.randomUUID(), 10);
+    }
+    return dummyHash;
+};
+
+/**
+ * HELPER FUNCTION: Failure Delay
+ * PURPOSE: How long to wait before answering the Nth failure in a row for one email
+ * 1st: 0s, 2nd: 0.5s, 3rd: 1s, 4th: 2s ... up to 8s
+ */
+const failureDelayMs = (failures) => (failures < 2 ? 0 : Math.min(500 * 2 ** (failures - 2), 8000));
+
+/**
+ * HELPER FUNCTION: Reject Login
+ * PURPOSE: Count the failure for this email, wait, then answer 401 "Invalid credentials"
+ * The counter lives in the rate limit store, so unknown emails are delayed exactly like real ones
+ */
+const rejectLogin = async (res, email) => {
+    let failures = 1;
+    try {
+        ({ count: failures } = await getStore().increment(loginFailureKey(email), LOGIN_FAILURE_WINDOW_MS));
+    } catch (error) {
+        console.error('Rate Limit Error:', error);
+    }
+    await new Promise((resolve) => setTimeout(resolve, failureDelayMs(failures)));
+    return res.status(401).json({
+        success: false,
+        code: 'UNAUTHORIZED',
+        message: INVALID_CREDENTIALS,
     });
 };
 
 /**
- * HELPER FUNCTION: Generate Refresh Token
- * 
- * PURPOSE: Create a longer-lasting token to get a new access token
- * 
- * WHY REFRESH TOKENS?
- * - Access token expires after 7 days (for security)
- * - User doesn't want to re-login every 7 days
- * - Solution: Refresh token (30 days) generates new access token
- * 
- * FLOW:
- * 1. User logs in → gets access token (7d) + refresh token (30d)
- * 2. After 7 days, access token expires
- * 3. Instead of re-logging in, use refresh token to get new access token
- * 4. This way user stays logged in for 30 days without re-entering password
+ * HELPER FUNCTION: Send Account Locked Email
+ * PURPOSE: Tell the owner why their (correct) password stops working for a while
+ * A mail failure must not break login, so it is only logged
+ */
+const sendAccountLockedEmail = async (user, lockUntil) => {
+    try {
+        await sendMail({
+            to: user.email,
+            subject: 'Your account was temporarily locked',
+            text: `Hi ${user.name},\n\nAfter several failed sign-in attempts your account is locked until ${lockUntil.toISOString()}.\n\nIf it wasn't you, choose a new password now (this also unlocks the account):\n${process.env.APP_URL || 'http://localhost:3000'}/forgot-password\n`,
+        });
+    } catch (error) {
+        console.error('Mail Error:', error);
+    }
+};
+
+/**
+ * HELPER FUNCTION: Run In The Background
+ * PURPOSE: Start work that must not delay or change the response, logging its errors
+ *
+ * WHY? forgot-password and resend-verification answer the same whether the
+ * email has an account or not. Creating a token and talking to the mail
+ * server only happens for real accounts: awaited, a slow or failing SMTP
+ * server (500) would tell which emails are registered.
+ */
+const runInBackground = (label, work) => {
+    Promise.resolve()
+        .then(work)
+        .catch((error) => console.error(`${label} Error:`, error));
+};
+
+/**
+ * HELPER FUNCTION: Send Verification Email
+ * PURPOSE: Email a one-time link that proves the address belongs to the user
  */
-const generateRefreshToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_REFRESH_SECRET, {
-        expiresIn: '30d', // Refresh token lasts 30 days
+const sendVerificationEmail = async (user) => {
+    const token = await createUserToken(user._id, 'email_verification');
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link (valid for 24 hours):\n${frontendLink('/verify-email', token)}\n`,
     });
 };
 
@@ -72,13 +195,21 @@ const generateRefreshToken = (id) => {
  *   "role": "admin" (optional, defaults to "employee")
  * }
  * 
+ * WHO CAN CREATE AN ADMIN?
+ * - An authenticated admin (token sent in the Authorization header)
+ * - Anyone during first-run bootstrap (no admin exists in the database yet)
+ * Everyone else asking for "admin" gets 403 forbidden
+ * 
  * WHAT HAPPENS:
  * 1. Validate input (all fields provided)
- * 2. Check if user with that email already exists
- * 3. Hash password using bcrypt
- * 4. Save new user to database
- * 5. Generate JWT and refresh tokens
- * 6. Return tokens and user data (without password)
+ * 2. Check the requested role is allowed for this caller
+ * 3. Check if user with that email already exists
+ * 4. Hash password using bcrypt
+ * 5. Save new user to database
+ * 6. Email a verification link
+ * 7. Start a session and generate JWT and refresh tokens
+ *    (skipped when REQUIRE_EMAIL_VERIFICATION=true: the user must verify first)
+ * 8. Return tokens and user data (without password)
  * 
  * RESPONSE (Success - 201):
  * {
@@ -93,18 +224,30 @@ const generateRefreshToken = (id) => {
  *   }
  * }
  */
-exports.register = async (req, res) => {
+exports.register = async (req, res, next) => {
     try {
         // Extract data from request body
+        // Required fields and types are checked by registerSchema (validators/auth.js)
         const { name, email, password, role } = req.body;
         // ==========================================
-        // VALIDATION: Check all required fields
+        // AUTHORIZATION: Who may assign a role?
         // ==========================================
-        if (!name || !email || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide name, email, and password',
-            });
+        /**
+         * WHY CHECK THIS?
+         * Without this check anyone could sign up with "role": "admin"
+         * req.user is set by optionalAuth when a valid token is sent
+         * First-run bootstrap: if there is no admin yet, the first one may self-register
+         */
+        const requestedRole = role || 'employee';
+        const bootstrap = requestedRole === 'admin' && !(req.user && req.user.role === 'admin');
+        const onlyAdmins = () => res.status(403).json({
+            success: false,
+            code: 'FORBIDDEN',
+            message: 'Only an admin can create another admin',
+        });
+        // Quick answer for the usual case, createFirstAdmin() checks again atomically
+        if (bootstrap && await User.exists({ role: 'admin' })) {
+            return onlyAdmins();
         }
         // ==========================================
         // CHECK: Does user already exist?
@@ -113,11 +256,14 @@ exports.register = async (req, res) => {
          * WHY CHECK THIS?
          * Email should be unique - only one account per email
          * If user tries to register with existing email, reject it
+         * (two registrations at the same time both pass this check: the unique
+         * index on email stops the second one, answered as 409 DUPLICATE_KEY)
          */
-        const userExists = await User.findOne({ email });
+        const userExists = await User.findOne({ email: email.trim().toLowerCase() });
         if (userExists) {
-            return res.status(400).json({
+            return res.status(409).json({
                 success: false,
+                code: 'DUPLICATE_KEY',
                 message: 'Email already registered',
             });
         }
@@ -131,18 +277,47 @@ exports.register = async (req, res) => {
          * 3. Validates all fields
          * 4. Saves to MongoDB
          * 5. Returns the saved document (without password due to select: false)
+         * A bootstrap admin is created through createFirstAdmin() (atomic check)
          */
-        const user = await User.create({
+        const data = {
             name: name.trim(),
             email: email.trim().toLowerCase(),
             password, // Will be hashed by pre-save middleware in User model
-            role: role || 'employee',
-        });
+            role: requestedRole,
+        };
+        const user = bootstrap ? await createFirstAdmin(data) : await User.create(data);
+        if (!user) {
+            return onlyAdmins();
+        }
+        // ==========================================
+        // EMAIL VERIFICATION
+        // ==========================================
+        /**
+         * A failed email must not fail the registration:
+         * the user can ask for a new link with POST /api/auth/resend-verification
+         */
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Verification Email Error:', mailError);
+        }
+        if (emailVerificationRequired()) {
+            return res.status(201).json({
+                success: true,
+                message: 'Account created, please verify your email before logging in',
+                user: {
+                    id: user._id,
+                    name: user.name,
+                    email: user.email,
+                    role: user.role,
+                    emailVerified: user.emailVerified,
+                },
+            });
+        }
         // ==========================================
         // GENERATE: Tokens
         // ==========================================
-        const token = generateToken(user._id);
-        const refreshToken = generateRefreshToken(user._id);
+        const { token, refreshToken } = await createSession(user, req);
         // ==========================================
         // RESPONSE: Success
         // ==========================================
@@ -158,11 +333,7 @@ exports.register = async (req, res) => {
             },
         });
     } catch (error) {
-        console.error('Register Error:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message,
-        });
+        next(error);
     }
 };
 
@@ -178,20 +349,30 @@ exports.register = async (req, res) => {
  * REQUEST BODY:
  * {
  *   "email": "juan@example.com",
- *   "password": "securePassword123"
+ *   "password": "securePassword123",
+ *   "device": "Front desk tablet" (optional, shown in the sessions list)
  * }
  * 
  * WHAT HAPPENS:
  * 1. Validate email and password provided
  * 2. Find user in database by email
  * 3. Compare provided password with stored hashed password
- * 4. If match, generate JWT tokens
+ *    (against a dummy hash when the email is unknown, so timing gives nothing away)
+ * 4. If match and the account isn't locked, start a session and generate JWT tokens
  * 5. Return tokens and user data
  * 
+ * LOCKOUT:
+ * LOGIN_MAX_FAILED_ATTEMPTS wrong passwords in a row (default 5) lock the account for
+ * LOGIN_LOCK_MINUTES (default 15). While locked even the right password gets the generic
+ * 401, the owner is told by email. A password reset or an admin
+ * (POST /api/users/:id/unlock) ends the lock early.
+ * 
  * ERROR CASES:
- * - Missing email or password → 400 error
- * - User not found → 401 unauthorized
- * - Password doesn't match → 401 unauthorized
+ * - Missing email or password → 400 VALIDATION_ERROR
+ * - User not found, wrong password or account locked → 401 "Invalid credentials" (always the same)
+ * - Account deactivated by an admin → 403 forbidden
+ * - Email not verified (only when REQUIRE_EMAIL_VERIFICATION=true) → 403 forbidden
+ * - Too many attempts from this IP or for this email → 429 TOO_MANY_REQUESTS (middleware/rateLimit.js)
  * 
  * RESPONSE (on success - 200):
  * {
@@ -201,18 +382,11 @@ exports.register = async (req, res) => {
  *   "user": { ... }
  * }
  */
-exports.login = async (req, res) => {
+exports.login = async (req, res, next) => {
     try {
-        const {email, password } = req.body;
-        // ==========================================
-        // VALIDATION
-        // ==========================================
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide email and password',
-            });
-        }
+        // email and password are required strings (loginSchema in validators/auth.js)
+        const email = req.body.email.trim().toLowerCase();
+        const { password } = req.body;
         // ==========================================
         // FIND USER
         // ==========================================
@@ -228,13 +402,6 @@ exports.login = async (req, res) => {
          * So we explicitly ask Mongoose to include it with select('+password')
          */
         const user = await User.findOne({ email }).select('+password');
-        // Check if the user exists
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials',
-            });
-        }
         // ==========================================
         // VERIFY PASSWORD
         // ==========================================
@@ -247,19 +414,115 @@ exports.login = async (req, res) => {
          * - Hashed password stored in database
          * 
          * Returns true if they match, false if not
+         * 
+         * Unknown email: we still compare with a dummy hash, otherwise the fast
+         * answer would tell an attacker that the email is not registered
          */
-        const isMatch = await user.matchPassword(password);
+        const isMatch = user
+            ? await user.matchPassword(password)
+            : await bcrypt.compare(password, await dummyPasswordHash());
+        // Check if the user exists
+        if (!user) {
+            await recordAudit({ action: 'auth.login_failed', metadata: { email, reason: 'unknown_email' } });
+            return rejectLogin(res, email);
+        }
+        // ==========================================
+        // CHECK: Account locked
+        // ==========================================
+        /**
+         * While locked, guesses are not even counted: the answer is the same
+         * generic 401, right password or not
+         */
+        if (user.isLocked()) {
+            await recordAudit({
+                action: 'auth.login_failed',
+                targetModel: 'User',
+                targetId: user._id,
+                metadata: { email, reason: 'locked' },
+                actor: null,
+            });
+            return rejectLogin(res, email);
+        }
         if (!isMatch) {
-            return res.status(401).json({
+            const lockUntil = await User.registerFailedLogin(user._id);
+            await recordAudit({
+                action: 'auth.login_failed',
+                targetModel: 'User',
+                targetId: user._id,
+                metadata: { email, reason: 'wrong_password' },
+                actor: null,
+            });
+            if (lockUntil) {
+                await recordAudit({
+                    action: 'auth.account_locked',
+                    targetModel: 'User',
+                    targetId: user._id,
+                    metadata: { lockUntil },
+                    actor: null,
+                });
+                await sendAccountLockedEmail(user, lockUntil);
+            }
+            return rejectLogin(res, email);
+        }
+        await User.clearFailedLogins(user._id);
+        try {
+            await getStore().reset(loginFailureKey(email));
+        } catch (error) {
+            console.error('Rate Limit Error:', error);
+        }
+        // ==========================================
+        // CHECK: Account deactivated
+        // ==========================================
+        /**
+         * Checked AFTER the password, like the email verification below,
+         * so only the owner of the account ever sees this message
+         */
+        if (!user.isActive) {
+            await recordAudit({
+                action: 'auth.login_failed',
+                targetModel: 'User',
+                targetId: user._id,
+                metadata: { email, reason: 'deactivated' },
+                actor: null,
+            });
+            return res.status(403).json({
+                success: false,
+                code: 'FORBIDDEN',
+                message: 'This account has been deactivated, please contact an admin',
+            });
+        }
+        // ==========================================
+        // CHECK: Email verified (if required)
+        // ==========================================
+        /**
+         * Checked AFTER the password, so this message never reveals
+         * whether an email is registered
+         */
+        if (emailVerificationRequired() && !user.emailVerified) {
+            await recordAudit({
+                action: 'auth.login_failed',
+                targetModel: 'User',
+                targetId: user._id,
+                metadata: { email, reason: 'email_unverified' },
+                actor: null,
+            });
+            return res.status(403).json({
                 success: false,
-                message: 'invalid credentials',
+                code: 'FORBIDDEN',
+                message: 'Please verify your email before logging in',
             });
         }
         // ==========================================
         // GENERATE: Tokens
         // ==========================================
-        const token = generateToken(user._id);
-        const refreshToken = generateRefreshToken(user._id);
+        const { token, refreshToken, session } = await createSession(user, req);
+        await recordAudit({
+            action: 'auth.login',
+            targetModel: 'User',
+            targetId: user._id,
+            metadata: { session: session._id, device: session.device },
+            actor: user,
+        });
         // ==========================================
         // RESPONSE: Success
         // ==========================================
@@ -275,10 +538,7 @@ exports.login = async (req, res) => {
             },
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: error.message,
-        });
+        next(error);
     }
 };
 
@@ -288,77 +548,547 @@ exports.login = async (req, res) => {
 /**
  * ROUTE: POST /api/auth/refresh
  * 
- * PURPOSE: Get a new access token using refresh token
+ * PURPOSE: Get a new access token AND a new refresh token (rotation)
  * 
  * REQUEST BODY:
  * {
- *   "refreshToken": "eyJhbGc..." (the refresh token from login)
+ *   "refreshToken": "eyJhbGc..." (the latest refresh token received)
  * }
  * 
  * SCENARIO:
  * - User's access token expires after 7 days
  * - But refresh token lasts 30 days
- * - Instead of making user log in again, we issue a new access token
- * - This way user stays logged in for up to 30 days
+ * - Instead of making user log in again, we issue a new pair of tokens
+ * - The refresh token used here can NOT be used again
  * 
  * WHAT HAPPENS:
- * 1. Verify the refresh token is valid
- * 2. Extract user ID from token
- * 3. Generate new access token
- * 4. Return new token to frontend
+ * 1. Verify the refresh token is valid and belongs to an active session
+ * 2. Check the user still exists, is active and has the same role
+ * 3. Replace the session's refresh token with a new one
+ * 4. Return both new tokens to frontend
+ * 
+ * REUSE DETECTION:
+ * If an already-rotated refresh token is sent again, it was probably stolen:
+ * the whole session is revoked and the user must log in again.
  * 
  * RESPONSE (Success - 200):
  * {
  *   "success": true,
- *   "token": "eyJhbGc..." (new access token)
+ *   "token": "eyJhbGc..." (new access token),
+ *   "refreshToken": "eyJhbGc..." (new refresh token, store it instead of the old one)
  * }
  */
-exports.refreshToken = async (req, res) => {
+exports.refreshToken = async (req, res, next) => {
     try {
         const { refreshToken } = req.body;
         // ==========================================
-        // VALIDATION
+        // ROTATE: Verify, then swap for a new pair
+        // ==========================================
+        const tokens = await rotateRefreshToken(refreshToken);
         // ==========================================
-        if (!refreshToken) {
+        // RESPONSE: Success
+        // ==========================================
+        res.status(200).json({
+            success: true,
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Logout
+// ==========================================
+/**
+ * ROUTE: POST /api/auth/logout
+ * 
+ * PURPOSE: End the session a refresh token belongs to
+ * 
+ * REQUEST BODY:
+ * {
+ *   "refreshToken": "eyJhbGc..."
+ * }
+ * 
+ * WHY THE REFRESH TOKEN (AND NOT THE ACCESS TOKEN)?
+ * The access token may already be expired when the user clicks "Logout".
+ * The refresh token always identifies the session.
+ * 
+ * RESPONSE (200): Always success, even if the session was already gone
+ */
+exports.logout = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        const owner = readRefreshTokenSession(refreshToken);
+        if (owner && mongoose.isValidObjectId(owner.sessionId)) {
+            const result = await Session.updateOne(
+                { _id: owner.sessionId, user: owner.userId, revokedAt: null },
+                { revokedAt: new Date(), revokedReason: 'logout' }
+            );
+            if (result.modifiedCount > 0) {
+                await recordAudit({
+                    action: 'auth.logout',
+                    targetModel: 'Session',
+                    targetId: owner.sessionId,
+                    actor: { _id: owner.userId },
+                });
+            }
+        }
+        res.status(200).json({
+            success: true,
+            message: 'Logged out',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Logout Everywhere
+// ==========================================
+/**
+ * ROUTE: POST /api/auth/logout-all
+ * ACCESS: authenticated user
+ * 
+ * PURPOSE: End EVERY session of the current user (all devices, including this one)
+ * 
+ * RESPONSE (200):
+ * { "success": true, "revoked": 3 }
+ */
+exports.logoutAll = async (req, res, next) => {
+    try {
+        const revoked = await revokeUserSessions(req.user._id, 'logout_all');
+        await recordAudit({ action: 'auth.logout_all', targetModel: 'User', targetId: req.user._id, metadata: { revoked } });
+        res.status(200).json({
+            success: true,
+            revoked,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Sessions
+// ==========================================
+/**
+ * ROUTE: GET /api/auth/sessions
+ * ACCESS: authenticated user
+ * 
+ * PURPOSE: Show the user where they are logged in
+ * 
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "sessions": [
+ *     { "id": "...", "device": "Front desk tablet", "userAgent": "...", "ip": "...",
+ *       "createdAt": "...", "lastUsedAt": "...", "expiresAt": "...", "current": true }
+ *   ]
+ * }
+ */
+exports.getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastUsedAt: -1 });
+        res.status(200).json({
+            success: true,
+            sessions: sessions.map((session) => ({
+                id: session._id,
+                device: session.device,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session._id.equals(req.authSession._id),
+            })),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Revoke One Session
+// ==========================================
+/**
+ * ROUTE: DELETE /api/auth/sessions/:id
+ * ACCESS: authenticated user (only their own sessions)
+ * 
+ * PURPOSE: Log out a specific device (e.g. a lost phone)
+ * 
+ * ERROR CASES:
+ * - Session not found / not yours / already revoked → 404
+ */
+exports.deleteSession = async (req, res, next) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Session not found',
+            });
+        }
+        await revokeSession(session._id, 'revoked_by_user');
+        await recordAudit({ action: 'auth.session_revoked', targetModel: 'Session', targetId: session._id });
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Current User (Profile)
+// ==========================================
+
+/**
+ * HELPER FUNCTION: Profile
+ * PURPOSE: The fields a user sees about themselves (never the password or lockout counters)
+ */
+const profile = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    defaultLocation: user.defaultLocation,
+    createdAt: user.createdAt,
+});
+
+/**
+ * ROUTE: GET /api/auth/me
+ * ACCESS: authenticated user
+ * 
+ * PURPOSE: Who am I? (the frontend calls it on startup to show the user's name and role)
+ * 
+ * RESPONSE (200):
+ * { "success": true, "user": { "id": "...", "name": "Juan Salda", "email": "...", "role": "employee", ... } }
+ */
+exports.getMe = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            user: profile(req.user),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * ROUTE: PATCH /api/auth/me
+ * ACCESS: authenticated user
+ * 
+ * PURPOSE: Change your own name or email (role and active flag are admin-only, see /api/users)
+ * 
+ * REQUEST BODY (any of):
+ * {
+ *   "name": "Juan Saldaña",
+ *   "email": "juan.s@example.com",
+ *   "currentPassword": "securePassword123" (only needed to change the email)
+ * }
+ * 
+ * WHY THE PASSWORD FOR THE EMAIL?
+ * The email is where password reset links go. Somebody with a stolen access token
+ * could otherwise take over the account for good.
+ * A new email must be verified again (a link is sent to it).
+ * 
+ * ERROR CASES:
+ * - Email change without currentPassword, or a wrong one → 400
+ * - Email already used by another account → 409 DUPLICATE_KEY
+ */
+exports.updateMe = async (req, res, next) => {
+    try {
+        const { name, email, currentPassword } = req.body;
+        const user = await User.findById(req.user._id).select('+password');
+        if (name) {
+            user.name = name.trim();
+        }
+        const newEmail = email ? email.trim().toLowerCase() : null;
+        const emailChanged = Boolean(newEmail && newEmail !== user.email);
+        if (emailChanged) {
+            if (!currentPassword) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'BAD_REQUEST',
+                    message: 'Please provide your current password to change the email',
+                });
+            }
+            if (!(await user.matchPassword(currentPassword))) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'BAD_REQUEST',
+                    message: 'Current password is incorrect',
+                });
+            }
+            if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'DUPLICATE_KEY',
+                    message: 'Email already registered',
+                });
+            }
+            user.email = newEmail;
+            user.emailVerified = false;
+            user.emailVerifiedAt = null;
+        }
+        await user.save();
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(user);
+            } catch (mailError) {
+                console.error('Verification Email Error:', mailError);
+            }
+        }
+        res.status(200).json({
+            success: true,
+            user: profile(user),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Change Password
+// ==========================================
+/**
+ * ROUTE: POST /api/auth/change-password
+ * ACCESS: authenticated user
+ * 
+ * REQUEST BODY:
+ * {
+ *   "currentPassword": "securePassword123",
+ *   "newPassword": "myNewPassword456"
+ * }
+ * 
+ * WHAT HAPPENS:
+ * 1. Check the current password (a stolen access token alone is not enough)
+ * 2. Save the new password (hashed by the pre-save hook in User.js)
+ * 3. Revoke every OTHER session: this device stays logged in, the rest must log in again
+ * 
+ * RESPONSE (200):
+ * { "success": true, "message": "Password changed", "revokedSessions": 2 }
+ * 
+ * ERROR CASES:
+ * - Missing fields, new password too short → 400 VALIDATION_ERROR
+ * - Wrong current password → 400
+ */
+exports.changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = await User.findById(req.user._id).select('+password');
+        if (!(await user.matchPassword(currentPassword))) {
             return res.status(400).json({
                 success: false,
-                message: 'Refresh token is required',
+                code: 'BAD_REQUEST',
+                message: 'Current password is incorrect',
             });
         }
-        // ==========================================
-        // VERIFY REFRESH TOKEN
-        // ==========================================
-        /**
-         * jwt.verify(token, secret)
-         * 
-         * WHAT: Verifies the token is:
-         * - Not tampered with (signature is valid)
-         * - Not expired
-         * 
-         * RETURNS: The payload (user ID) if valid
-         * THROWS: Error if invalid or expired
-         */
-        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-        // ==========================================
-        // GENERATE: New Access Token
-        // ==========================================
-        /**
-         * Using the user ID from the refresh token,
-         * we generate a brand new access token
-         * This new token is valid for another 7
-         */
-        const token = generateToken(decoded.id);
-        // ==========================================
-        // RESPONSE: Success
-        // ==========================================
+        user.password = newPassword;
+        await user.save();
+        const revoked = await revokeUserSessions(user._id, 'password_changed', req.authSession._id);
+        await recordAudit({
+            action: 'auth.password_changed',
+            targetModel: 'User',
+            targetId: user._id,
+            metadata: { revokedSessions: revoked },
+        });
         res.status(200).json({
             success: true,
-            token,
+            message: 'Password changed',
+            revokedSessions: revoked,
         });
     } catch (error) {
-        res.status(401).json({
-            success: false,
-            message: 'invalid or expired refresh token',
+        next(error);
+    }
+};
+
+
+// ==========================================
+// CONTROLLER: Forgot Password
+// ==========================================
+/**
+ * ROUTE: POST /api/auth/forgot-password
+ * 
+ * PURPOSE: Email the user a link to choose a new password
+ * 
+ * REQUEST BODY:
+ * {
+ *   "email": "juan@example.com"
+ * }
+ * 
+ * WHY ALWAYS THE SAME RESPONSE?
+ * If we answered "email not found", anyone could find out which emails
+ * have an account. So the answer is identical whether the user exists or not,
+ * and so is its timing: the audit entry, the token and the email are done
+ * after the response (runInBackground), a mail error is only logged.
+ * 
+ * RESPONSE (200):
+ * { "success": true, "message": "If that email is registered, a reset link has been sent" }
+ */
+exports.forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        if (user) {
+            runInBackground('Password Reset Email', async () => {
+                await recordAudit({ action: 'auth.password_reset_requested', targetModel: 'User', targetId: user._id, actor: null });
+                const token = await createUserToken(user._id, 'password_reset');
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reset your password',
+                    text: `Hi ${user.name},\n\nUse this link to choose a new password (valid for 1 hour):\n${frontendLink('/reset-password', token)}\n\nIf you didn't ask for this, you can ignore this email.\n`,
+                });
+            });
+        }
+        res.status(200).json({
+            success: true,
+            message: 'If that email is registered, a reset link has been sent',
         });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Reset Password
+// ==========================================
+/**
+ * ROUTE: POST /api/auth/reset-password
+ * 
+ * PURPOSE: Set a new password using the token from the reset email
+ * 
+ * REQUEST BODY:
+ * {
+ *   "token": "3f9c...e1" (from the email link),
+ *   "password": "myNewPassword123"
+ * }
+ * 
+ * WHAT HAPPENS:
+ * 1. Consume the token (single use, must not be expired)
+ * 2. Save the new password (hashed by the pre-save hook in User.js)
+ * 3. Revoke every session: whoever had access before the reset is logged out
+ * 4. Mark the email as verified (the user just proved they read it)
+ * 5. End any login lockout (see login)
+ * 
+ * ERROR CASES:
+ * - Missing token or password, password too short → 400 VALIDATION_ERROR
+ * - Invalid, expired or already used token → 400
+ */
+exports.resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+        const userId = await consumeUserToken(token, 'password_reset');
+        const user = userId ? await User.findById(userId) : null;
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                code: 'BAD_REQUEST',
+                message: 'Invalid or expired reset token',
+            });
+        }
+        user.password = password;
+        // Proving access to the email is enough to end a lockout
+        user.failedLoginAttempts = 0;
+        user.lockUntil = null;
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+        const revoked = await revokeUserSessions(user._id, 'password_reset');
+        await recordAudit({
+            action: 'auth.password_reset',
+            targetModel: 'User',
+            targetId: user._id,
+            metadata: { revokedSessions: revoked },
+            actor: user,
+        });
+        res.status(200).json({
+            success: true,
+            message: 'Password updated, please log in with your new password',
+        });
+    } catch (error) {
+        next(error);
     }
-};
\ No newline at end of file
+};
+
+// ==========================================
+// CONTROLLER: Verify Email
+// ==========================================
+/**
+ * ROUTE: POST /api/auth/verify-email
+ * 
+ * PURPOSE: Confirm the email address with the token from the verification email
+ * 
+ * REQUEST BODY:
+ * {
+ *   "token": "a81b...77"
+ * }
+ * 
+ * ERROR CASES:
+ * - Invalid, expired or already used token → 400
+ */
+exports.verifyEmail = async (req, res, next) => {
+    try {
+        const userId = await consumeUserToken(req.body.token, 'email_verification');
+        const user = userId ? await User.findById(userId) : null;
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                code: 'BAD_REQUEST',
+                message: 'Invalid or expired verification token',
+            });
+        }
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+        res.status(200).json({
+            success: true,
+            message: 'Email verified',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Resend Verification Email
+// ==========================================
+/**
+ * ROUTE: POST /api/auth/resend-verification
+ * 
+ * REQUEST BODY:
+ * {
+ *   "email": "juan@example.com"
+ * }
+ * 
+ * Same answer, in the same time, whether the email exists, is already verified
+ * or not: the email is sent after the response (see forgotPassword)
+ */
+exports.resendVerification = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        if (user && !user.emailVerified) {
+            runInBackground('Verification Email', () => sendVerificationEmail(user));
+        }
+        res.status(200).json({
+            success: true,
+            message: 'If that email needs verification, a new link has been sent',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
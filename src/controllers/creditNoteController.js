@@ -0,0 +1,115 @@
+const CreditNote = require('../models/CreditNote.js');
+const { getStorage } = require('../services/storage/index.js');
+const { ensureCreditNotePdf } = require('../services/creditNoteService.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+/**
+ * HELPER FUNCTION: Visibility Filter
+ * Same rule as invoices:
+ * - employee → only credit notes of their own sales
+ * - admin → every credit note
+ */
+const visibilityFilter = (user) => (user.role === 'admin' ? {} : { soldBy: user._id });
+
+/**
+ * HELPER FUNCTION: Find Visible Credit Note
+ * RETURNS: The credit note, or null if it is missing or not visible
+ */
+const findCreditNote = (user, id) => CreditNote.findOne({ _id: id, ...visibilityFilter(user) });
+
+// ==========================================
+// CONTROLLER: List Credit Notes
+// ==========================================
+
+/**
+ * ROUTE: GET /api/credit-notes
+ * ACCESS: admin (all), employee (own sales only)
+ *
+ * QUERY PARAMS: ?year=2026, ?invoice=<invoiceId>, ?page, ?limit
+ *
+ * Credit notes are created by returns and voids (see /api/sales/:id/returns),
+ * never directly.
+ */
+exports.getCreditNotes = async (req, res, next) => {
+    try {
+        const pagination = getPagination(req.query);
+        const filter = visibilityFilter(req.user);
+        if (req.query.year) {
+            filter.year = parseInt(req.query.year, 10);
+        }
+        if (req.query.invoice) {
+            filter.invoice = req.query.invoice;
+        }
+        const [creditNotes, total] = await Promise.all([
+            CreditNote.find(filter)
+                .sort({ year: -1, sequence: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            CreditNote.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            creditNotes,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Credit Note
+// ==========================================
+
+/**
+ * ROUTE: GET /api/credit-notes/:id
+ * ACCESS: admin (any), employee (own sales only)
+ */
+exports.getCreditNote = async (req, res, next) => {
+    try {
+        const creditNote = await findCreditNote(req.user, req.params.id);
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Credit note not found',
+            });
+        }
+        await creditNote.populate('invoice', 'invoiceNumber issuedAt total');
+        res.status(200).json({
+            success: true,
+            creditNote,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Download Credit Note PDF
+// ==========================================
+
+/**
+ * ROUTE: GET /api/credit-notes/:id/pdf
+ * ACCESS: admin (any), employee (own sales only)
+ *
+ * RESPONSE: The PDF file, downloaded as CN-2026-000001.pdf
+ */
+exports.downloadCreditNotePdf = async (req, res, next) => {
+    try {
+        const creditNote = await findCreditNote(req.user, req.params.id);
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Credit note not found',
+            });
+        }
+        const key = await ensureCreditNotePdf(creditNote);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${creditNote.creditNoteNumber}.pdf"`);
+        getStorage().createReadStream(key).on('error', next).pipe(res);
+    } catch (error) {
+        next(error);
+    }
+};
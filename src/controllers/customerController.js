@@ -0,0 +1,340 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer.js');
+const Sale = require('../models/Sale.js');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction.js');
+const ApiError = require('../utils/ApiError.js');
+const { roundMinorUnits } = require('../utils/money.js');
+const { baseCurrency } = require('../utils/currency.js');
+const { loyaltySettings } = require('../services/loyaltyService.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+const escapeRegex = require('../utils/escapeRegex.js');
+
+/**
+ * FIELDS THAT CLIENTS MAY SET
+ * loyaltyPoints is NOT one of them: points only change through sales (loyaltyService.js)
+ */
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'taxId', 'notes', 'isActive'];
+
+const pickEditable = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    return data;
+};
+
+/**
+ * HELPER FUNCTION: Refuse isActive From Employees
+ * Employees register and correct customers at the register, deactivating one is an admin decision
+ */
+const checkActiveFlag = (user, body) => {
+    if (body.isActive !== undefined && user.role !== 'admin') {
+        throw new ApiError(403, 'Only admins can activate or deactivate customers');
+    }
+};
+
+/**
+ * HELPER FUNCTION: Find Customer Or Send 404
+ */
+const findCustomer = async (id, res) => {
+    const customer = mongoose.isValidObjectId(id) ? await Customer.findById(id) : null;
+    if (!customer) {
+        res.status(404).json({
+            success: false,
+            code: 'NOT_FOUND',
+            message: 'Customer not found',
+        });
+    }
+    return customer;
+};
+
+// ==========================================
+// CONTROLLER: Create Customer
+// ==========================================
+
+/**
+ * ROUTE: POST /api/customers
+ * ACCESS: admin, employee
+ *
+ * REQUEST BODY:
+ * {
+ *   "name": "Ana Ruiz",
+ *   "email": "ana@example.com",     (email or phone is required)
+ *   "phone": "+1 555 010 0100",
+ *   "taxId": "X1234567" (optional),
+ *   "notes": "Prefers decaf" (optional)
+ * }
+ *
+ * ERROR CASES:
+ * - Missing name, or neither email nor phone → 400 VALIDATION_ERROR
+ * - isActive sent by an employee → 403
+ * - Another customer has that email → 409 DUPLICATE_KEY
+ */
+exports.createCustomer = async (req, res, next) => {
+    try {
+        checkActiveFlag(req.user, req.body);
+        const customer = await Customer.create({
+            ...pickEditable(req.body),
+            createdBy: req.user._id,
+        });
+        res.status(201).json({
+            success: true,
+            customer,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: List / Search Customers
+// ==========================================
+
+/**
+ * ROUTE: GET /api/customers
+ * ACCESS: any authenticated user
+ *
+ * QUERY PARAMS:
+ * - ?search: name or email containing the text, or a phone containing its digits
+ * - ?email: exact email (case-insensitive)
+ * - ?phone: phone ending with these digits, however they are typed
+ *   ("555-0100" finds "+1 (555) 010-0100"; leave out the country code to match both ways of writing it)
+ * - ?active=true|false, ?page, ?limit
+ *
+ * EXAMPLE (at the register):
+ * GET /api/customers?phone=5550100100
+ */
+exports.getCustomers = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.search) {
+            const term = String(req.query.search).trim();
+            const pattern = new RegExp(escapeRegex(term), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+            const digits = Customer.phoneDigits(term);
+            if (digits.length >= 3) {
+                filter.$or.push({ phoneDigits: new RegExp(digits) });
+            }
+        }
+        if (req.query.email) {
+            filter.email = String(req.query.email).trim().toLowerCase();
+        }
+        if (req.query.phone) {
+            const digits = Customer.phoneDigits(req.query.phone);
+            if (!digits) {
+                throw new ApiError(400, 'phone must contain digits');
+            }
+            filter.phoneDigits = new RegExp(`${digits}$`);
+        }
+        if (req.query.active !== undefined) {
+            filter.isActive = req.query.active === 'true';
+        }
+        const pagination = getPagination(req.query);
+        const [customers, total] = await Promise.all([
+            Customer.find(filter)
+                .sort({ name: 1, _id: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            Customer.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            customers,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Customer
+// ==========================================
+
+/**
+ * ROUTE: GET /api/customers/:id
+ * ACCESS: any authenticated user
+ */
+exports.getCustomer = async (req, res, next) => {
+    try {
+        const customer = await findCustomer(req.params.id, res);
+        if (!customer) {
+            return;
+        }
+        res.status(200).json({
+            success: true,
+            customer,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Update Customer
+// ==========================================
+
+/**
+ * ROUTE: PUT /api/customers/:id
+ * ACCESS: admin, employee (isActive: admin only)
+ *
+ * REQUEST BODY: Any of the editable fields (partial updates are allowed)
+ * Send "isActive": false to stop selling to a customer (their sales are kept)
+ */
+exports.updateCustomer = async (req, res, next) => {
+    try {
+        checkActiveFlag(req.user, req.body);
+        const customer = await findCustomer(req.params.id, res);
+        if (!customer) {
+            return;
+        }
+        customer.set(pickEditable(req.body));
+        await customer.save();
+        res.status(200).json({
+            success: true,
+            customer,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Purchase History
+// ==========================================
+
+/**
+ * ROUTE: GET /api/customers/:id/sales
+ * ACCESS: admin (every sale), employee (only the sales they made)
+ *
+ * QUERY PARAMS: ?page, ?limit (newest sales first)
+ *
+ * LIFETIME FIGURES (every sale of the customer, whoever made it):
+ * - sales: number of sales (voided sales don't count)
+ * - totalSpent: what they paid minus refunds, in minor units of the base currency
+ * - averageSale: totalSpent / sales
+ * - firstPurchaseAt / lastPurchaseAt
+ *
+ * RESPONSE (Success - 200):
+ * {
+ *   "success": true,
+ *   "customer": { ... },
+ *   "lifetime": { "currency": "USD", "sales": 12, "totalSpent": 48250, "averageSale": 4021,
+ *                 "firstPurchaseAt": "...", "lastPurchaseAt": "..." },
+ *   "sales": [ ... ],
+ *   "pagination": { ... }
+ * }
+ */
+exports.getCustomerSales = async (req, res, next) => {
+    try {
+        const customer = await findCustomer(req.params.id, res);
+        if (!customer) {
+            return;
+        }
+        const filter = { customer: customer._id };
+        if (req.user.role !== 'admin') {
+            filter.soldBy = req.user._id;
+        }
+        const pagination = getPagination(req.query);
+        const [sales, total, [figures]] = await Promise.all([
+            Sale.find(filter)
+                .sort({ createdAt: -1, _id: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('soldBy', 'name email'),
+            Sale.countDocuments(filter),
+            Sale.aggregate([
+                { $match: Sale.countedMatch({ customer: customer._id }) },
+                {
+                    $group: {
+                        _id: null,
+                        sales: { $sum: 1 },
+                        totalSpent: { $sum: Sale.toBaseExpression(Sale.netTotalExpression()) },
+                        firstPurchaseAt: { $min: '$createdAt' },
+                        lastPurchaseAt: { $max: '$createdAt' },
+                    },
+                },
+            ]),
+        ]);
+        const totalSpent = figures ? roundMinorUnits(figures.totalSpent) : 0;
+        res.status(200).json({
+            success: true,
+            customer,
+            lifetime: {
+                currency: baseCurrency(),
+                sales: figures ? figures.sales : 0,
+                totalSpent,
+                averageSale: figures ? roundMinorUnits(totalSpent / figures.sales) : 0,
+                firstPurchaseAt: figures ? figures.firstPurchaseAt : null,
+                lastPurchaseAt: figures ? figures.lastPurchaseAt : null,
+            },
+            sales,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Loyalty Points
+// ==========================================
+
+/**
+ * ROUTE: GET /api/customers/:id/loyalty
+ * ACCESS: any authenticated user
+ *
+ * QUERY PARAMS: ?page, ?limit (transactions, newest first)
+ *
+ * The balance leaves out points that expired since the last expiry run
+ * (loyaltyService.startLoyaltyExpiry), the next redemption takes them away.
+ *
+ * RESPONSE (Success - 200):
+ * {
+ *   "success": true,
+ *   "balance": 1200,
+ *   "expiring": [{ "expiresAt": "2027-03-01T10:00:00.000Z", "points": 300 }],   (soonest first)
+ *   "program": { "pointsPerUnit": 1, "pointValue": 1, "expiryDays": 365, "currency": "USD" },
+ *   "transactions": [{ "type": "earn", "points": 18, "balanceAfter": 1200, "sale": "...", ... }],
+ *   "pagination": { ... }
+ * }
+ */
+exports.getCustomerLoyalty = async (req, res, next) => {
+    try {
+        const customer = await findCustomer(req.params.id, res);
+        if (!customer) {
+            return;
+        }
+        const now = new Date();
+        const pagination = getPagination(req.query);
+        const filter = { customer: customer._id };
+        const lotsSum = (expiresAt) => LoyaltyTransaction.aggregate([
+            { $match: { customer: customer._id, remaining: { $gt: 0 }, expiresAt } },
+            { $group: { _id: '$expiresAt', points: { $sum: '$remaining' } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, expiresAt: '$_id', points: 1 } },
+        ]);
+        const [transactions, total, expiring, expired] = await Promise.all([
+            LoyaltyTransaction.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            LoyaltyTransaction.countDocuments(filter),
+            lotsSum({ $ne: null, $gt: now }),
+            lotsSum({ $ne: null, $lte: now }),
+        ]);
+        const expiredPoints = expired.reduce((sum, lot) => sum + lot.points, 0);
+        res.status(200).json({
+            success: true,
+            balance: Math.max(0, customer.loyaltyPoints - expiredPoints),
+            expiring,
+            program: { ...loyaltySettings(), currency: baseCurrency() },
+            transactions,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
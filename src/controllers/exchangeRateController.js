@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const ExchangeRate = require('../models/ExchangeRate.js');
+const ApiError = require('../utils/ApiError.js');
+const { baseCurrency } = require('../utils/currency.js');
+const { findRate } = require('../services/exchangeRateService.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+// ==========================================
+// CONTROLLER: Create Exchange Rate
+// ==========================================
+
+/**
+ * ROUTE: POST /api/exchange-rates
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "currency": "EUR",
+ *   "rate": 1.08,                              (base currency units per 1 EUR)
+ *   "effectiveFrom": "2026-03-01T00:00:00Z",   (optional, defaults to now)
+ *   "note": "ECB reference rate" (optional)
+ * }
+ *
+ * WHY NO UPDATE?
+ * Sales keep a snapshot of the rate they were made with. To change a rate,
+ * add a new one effective from the moment it changes.
+ *
+ * ERROR CASES:
+ * - Invalid fields, unknown currency → 400 VALIDATION_ERROR
+ * - Rate for the base currency (always 1) → 400
+ * - The currency already has a rate effective at that exact moment → 409 DUPLICATE_KEY
+ */
+exports.createExchangeRate = async (req, res, next) => {
+    try {
+        const { currency, rate, effectiveFrom, note } = req.body;
+        const base = baseCurrency();
+        if (currency === base) {
+            throw new ApiError(400, `${base} is the base currency, its rate is always 1`);
+        }
+        const exchangeRate = await ExchangeRate.create({
+            currency,
+            baseCurrency: base,
+            rate,
+            effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+            note,
+            createdBy: req.user._id,
+        });
+        res.status(201).json({
+            success: true,
+            exchangeRate,
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(new ApiError(409, 'This currency already has a rate effective at that moment', 'DUPLICATE_KEY'));
+        }
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Exchange Rates
+// ==========================================
+
+/**
+ * ROUTE: GET /api/exchange-rates
+ * ACCESS: any authenticated user
+ *
+ * QUERY PARAMS: ?currency=EUR, ?page, ?limit
+ * Newest effectiveFrom first (rates quoted against the current base currency only)
+ */
+exports.getExchangeRates = async (req, res, next) => {
+    try {
+        const pagination = getPagination(req.query);
+        const filter = { baseCurrency: baseCurrency() };
+        if (req.query.currency) {
+            filter.currency = req.query.currency;
+        }
+        const [exchangeRates, total] = await Promise.all([
+            ExchangeRate.find(filter)
+                .sort({ effectiveFrom: -1, currency: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('createdBy', 'name email'),
+            ExchangeRate.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            baseCurrency: filter.baseCurrency,
+            exchangeRates,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Rate Valid At A Moment
+// ==========================================
+
+/**
+ * ROUTE: GET /api/exchange-rates/current?currency=EUR&at=2026-03-15T10:00:00Z
+ * ACCESS: any authenticated user
+ *
+ * PURPOSE: The rate a sale in that currency gets (at defaults to now)
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "exchangeRate": { "currency": "EUR", "baseCurrency": "USD", "rate": 1.08, "minorRate": 1.08,
+ *                     "effectiveFrom": "2026-03-01T00:00:00.000Z", "source": "<rateId>" }
+ * }
+ *
+ * ERROR CASES:
+ * - No rate effective at that moment → 400 NO_EXCHANGE_RATE
+ */
+exports.getCurrentExchangeRate = async (req, res, next) => {
+    try {
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+        const exchangeRate = await findRate(req.query.currency, at);
+        res.status(200).json({
+            success: true,
+            exchangeRate: { currency: req.query.currency, ...exchangeRate },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Delete Exchange Rate
+// ==========================================
+
+/**
+ * ROUTE: DELETE /api/exchange-rates/:id
+ * ACCESS: admin
+ *
+ * PURPOSE: Take back a rate entered by mistake BEFORE it becomes effective
+ *
+ * WHY ONLY FUTURE RATES?
+ * Once a rate is effective, sales may have used it and reports convert with
+ * it. Correct it by adding a new rate instead.
+ *
+ * ERROR CASES:
+ * - Rate not found → 404
+ * - Rate already effective → 409
+ */
+exports.deleteExchangeRate = async (req, res, next) => {
+    try {
+        const exchangeRate = mongoose.isValidObjectId(req.params.id)
+            ? await ExchangeRate.findById(req.params.id)
+            : null;
+        if (!exchangeRate) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Exchange rate not found',
+            });
+        }
+        if (exchangeRate.effectiveFrom <= new Date()) {
+            throw new ApiError(409, 'This rate is already effective, add a new rate to replace it');
+        }
+        await exchangeRate.deleteOne();
+        res.status(200).json({
+            success: true,
+            message: 'Exchange rate deleted',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,94 @@
+const { databaseStatus } = require('../config/database.js');
+
+/**
+ * HEALTH CHECKS
+ *
+ * THREE QUESTIONS, THREE ROUTES:
+ * - /api/health: is the backend running? (kept for the frontend and old monitors)
+ * - /api/health/live: is the process alive? Never looks at the database,
+ *   so a database outage does not make the orchestrator restart every instance
+ * - /api/health/ready: should this instance get traffic? Only when the
+ *   database answers and the server is not shutting down
+ *
+ * SHUTTING DOWN: server.js sets app.locals.shuttingDown when it gets SIGTERM/SIGINT,
+ * so load balancers stop sending new requests while the open ones finish
+ */
+
+// ==========================================
+// CONTROLLER: Health
+// ==========================================
+
+/**
+ * ROUTE: GET /api/health
+ * ACCESS: public
+ *
+ * PURPOSE: Verify that the backend server is running
+ *
+ * WHEN USED:
+ * - Frontend checks if backend is available on startup
+ * - Used for monitoring/testing
+ *
+ * RESPONSE: { status: 'OK', message: '...' }
+ */
+exports.getHealth = (req, res) => {
+    res.json({
+        status: 'OK',
+        message: 'Backend server is running correctly',
+        timeStamp: new Date().toISOString(),
+    });
+};
+
+// ==========================================
+// CONTROLLER: Liveness
+// ==========================================
+
+/**
+ * ROUTE: GET /api/health/live
+ * ACCESS: public
+ *
+ * RESPONSE (200): { "status": "ALIVE", "uptime": 3600.5, "timeStamp": "..." }
+ * (uptime in seconds)
+ */
+exports.getLiveness = (req, res) => {
+    res.status(200).json({
+        status: 'ALIVE',
+        uptime: process.uptime(),
+        timeStamp: new Date().toISOString(),
+    });
+};
+
+// ==========================================
+// CONTROLLER: Readiness
+// ==========================================
+
+/**
+ * ROUTE: GET /api/health/ready
+ * ACCESS: public
+ *
+ * RESPONSE (Ready - 200):
+ * { "status": "READY", "database": "connected", "shuttingDown": false, "timeStamp": "..." }
+ *
+ * RESPONSE (Not ready - 503):
+ * { "status": "NOT_READY", "database": "disconnected", "shuttingDown": false, "timeStamp": "..." }
+ * "database" is the state of the connection (connected, connecting, disconnected,
+ * disconnecting), "error" says why a connection that looks connected failed the ping
+ */
+exports.getReadiness = async (req, res, next) => {
+    try {
+        const shuttingDown = Boolean(req.app.locals.shuttingDown);
+        const database = await databaseStatus();
+        const ready = database.ready && !shuttingDown;
+        const body = {
+            status: ready ? 'READY' : 'NOT_READY',
+            database: database.state,
+            shuttingDown,
+            timeStamp: new Date().toISOString(),
+        };
+        if (database.error) {
+            body.error = database.error;
+        }
+        res.status(ready ? 200 : 503).json(body);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.js');
+const StockMovement = require('../models/StockMovement.js');
+const Location = require('../models/Location.js');
+const TransferOrder = require('../models/TransferOrder.js');
+const ApiError = require('../utils/ApiError.js');
+const {
+    resolveLocation,
+    applyStockMovement,
+    reconcileStock,
+    getProductStock,
+} = require('../services/inventoryService.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+/**
+ * MANUAL MOVEMENT TYPES
+ * Which movement types an admin can record by hand, and the sign they require
+ * ("sale" and "transfer" are only created by their own endpoints)
+ */
+const MANUAL_TYPES = {
+    restock: 'positive',
+    return: 'positive',
+    write_off: 'negative',
+    adjustment: 'any',
+};
+
+/**
+ * HELPER FUNCTION: Find Active Product
+ * THROWS: ApiError(404) if the id is invalid or the product doesn't exist
+ */
+const findProductOr404 = async (id) => {
+    const product = mongoose.isValidObjectId(id)
+        ? await Product.findOne({ _id: id, isDeleted: false })
+        : null;
+    if (!product) {
+        throw new ApiError(404, 'Product not found');
+    }
+    return product;
+};
+
+// ==========================================
+// CONTROLLER: Record Stock Adjustment
+// ==========================================
+
+/**
+ * ROUTE: POST /api/products/:id/stock-adjustments
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "type": "write_off",   (restock | return | write_off | adjustment)
+ *   "quantity": -3,        (signed: negative takes units out)
+ *   "location": "<locationId>" (optional, defaults to the default location),
+ *   "note": "Broken in transport"
+ * }
+ *
+ * RULES:
+ * - restock / return must be positive
+ * - write_off must be negative
+ * - adjustment can be either (e.g. after a physical count)
+ * - Stock at the location can never go below zero → 409
+ *
+ * RESPONSE (201):
+ * { "success": true, "product": { ... }, "movement": { ... } }
+ */
+exports.createStockAdjustment = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const { type, note } = req.body;
+        const quantity = Number(req.body.quantity);
+        if (!MANUAL_TYPES[type]) {
+            throw new ApiError(400, `type must be one of: ${Object.keys(MANUAL_TYPES).join(', ')}`);
+        }
+        // quantity is a whole number (stockAdjustmentSchema), it just can't be 0
+        if (quantity === 0) {
+            throw new ApiError(400, 'quantity must be a non-zero whole number');
+        }
+        if (MANUAL_TYPES[type] === 'positive' && quantity < 0) {
+            throw new ApiError(400, `A ${type} must have a positive quantity`);
+        }
+        if (MANUAL_TYPES[type] === 'negative' && quantity > 0) {
+            throw new ApiError(400, `A ${type} must have a negative quantity`);
+        }
+        await findProductOr404(req.params.id);
+        const location = await resolveLocation(req.body.location);
+
+        let result;
+        await session.withTransaction(async () => {
+            result = await applyStockMovement({
+                product: req.params.id,
+                location: location._id,
+                quantity,
+                type,
+                user: req.user._id,
+                note,
+            }, session);
+        });
+        res.status(201).json({
+            success: true,
+            product: result.product,
+            productStock: result.productStock,
+            movement: result.movement,
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Stock Movements
+// ==========================================
+
+/**
+ * ROUTE: GET /api/products/:id/movements
+ * ACCESS: admin
+ *
+ * QUERY PARAMS (all optional):
+ * - type: only one movement type (e.g. "sale")
+ * - location: only movements of one location
+ * - from / to: ISO dates
+ * - page / limit: pagination
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "movements": [{ "type": "sale", "quantity": -2, "balanceAfter": 38, "user": {...}, "referenceModel": "Sale", ... }],
+ *   "pagination": { ... }
+ * }
+ */
+exports.getMovements = async (req, res, next) => {
+    try {
+        const product = await findProductOr404(req.params.id);
+        const filter = { product: product._id };
+        if (req.query.type) {
+            filter.type = req.query.type;
+        }
+        if (req.query.location) {
+            filter.location = req.query.location;
+        }
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+        }
+        const pagination = getPagination(req.query);
+        const [movements, total] = await Promise.all([
+            StockMovement.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('user', 'name email'),
+            StockMovement.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            movements,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Stock Reconciliation
+// ==========================================
+
+/**
+ * ROUTE: GET /api/products/reconciliation
+ * ACCESS: admin
+ *
+ * PURPOSE: Recompute every product's stock from the ledger and flag drift
+ * Also checks that the stock of every location adds up to the product total
+ *
+ * QUERY PARAMS (optional):
+ * - product: check a single product
+ * - onlyDrift=true: only return products whose stock doesn't match the ledger or the locations
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "summary": { "checked": 120, "drifted": 2 },
+ *   "products": [{ "sku": "AB-100", "stock": 40, "ledgerStock": 38, "drift": 2, "locationStock": 40, "locationDrift": 0, "movements": 17 }]
+ * }
+ */
+exports.getReconciliation = async (req, res, next) => {
+    try {
+        const rows = await reconcileStock({ product: req.query.product });
+        const drifted = rows.filter((row) => row.drift !== 0 || row.locationDrift !== 0);
+        res.status(200).json({
+            success: true,
+            summary: {
+                checked: rows.length,
+                drifted: drifted.length,
+            },
+            products: req.query.onlyDrift === 'true' ? drifted : rows,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Stock Per Location
+// ==========================================
+
+/**
+ * ROUTE: GET /api/products/:id/stock
+ * ACCESS: any authenticated user
+ *
+ * PURPOSE: "How many of X do we have, and where?"
+ *
+ * QUERY PARAMS (optional):
+ * - location: only that location ("how many of X at Y")
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "product": { "_id": "...", "sku": "AB-100", "name": "Coffee Beans 1kg" },
+ *   "total": 52,           (Product.stock: every location)
+ *   "inTransit": 6,        (units travelling between locations, not in the total)
+ *   "locations": [{ "location": { "code": "SHOP-1", ... }, "quantity": 12 }, ...]
+ * }
+ */
+exports.getProductStockLevels = async (req, res, next) => {
+    try {
+        const product = await findProductOr404(req.params.id);
+        let location = null;
+        if (req.query.location) {
+            location = await Location.findById(req.query.location).select('code name type');
+            if (!location) {
+                throw new ApiError(404, 'Location not found');
+            }
+        }
+        const [locations, inTransit] = await Promise.all([
+            getProductStock(product._id, location && location._id),
+            TransferOrder.unitsInTransit(product._id),
+        ]);
+        res.status(200).json({
+            success: true,
+            product: { _id: product._id, sku: product.sku, name: product.name },
+            total: product.stock,
+            inTransit,
+            locations: location && locations.length === 0 ? [{ location, quantity: 0 }] : locations,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
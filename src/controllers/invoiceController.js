@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice.js');
+const Sale = require('../models/Sale.js');
+const Counter = require('../models/Counter.js');
+const { getStorage } = require('../services/storage/index.js');
+const { renderInvoicePdf } = require('../services/invoicePdfService.js');
+const ApiError = require('../utils/ApiError.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+/**
+ * HELPER FUNCTION: Visibility Filter
+ * - employee → only invoices of their own sales
+ * - admin → every invoice
+ */
+const visibilityFilter = (user) => (user.role === 'admin' ? {} : { soldBy: user._id });
+
+/**
+ * HELPER FUNCTION: Ensure Invoice PDF
+ *
+ * PURPOSE: Make sure the PDF of an invoice exists in storage
+ *
+ * WHY?
+ * The PDF is rendered right after the invoice is saved. If that step failed
+ * (disk full, crash...) the invoice still exists with its number, so we
+ * simply render it again the next time somebody asks for it.
+ *
+ * RETURNS: The storage key of the PDF
+ */
+const ensureInvoicePdf = async (invoice) => {
+    const storage = getStorage();
+    if (invoice.pdfKey && await storage.exists(invoice.pdfKey)) {
+        return invoice.pdfKey;
+    }
+    const sale = await Sale.findById(invoice.sale);
+    const buffer = await renderInvoicePdf(invoice, sale);
+    const key = await storage.save(`invoices/${invoice.year}/${invoice.invoiceNumber}.pdf`, buffer);
+    invoice.pdfKey = key;
+    invoice.pdfUrl = `/api/invoices/${invoice._id}/pdf`;
+    await invoice.save();
+    return key;
+};
+
+// ==========================================
+// CONTROLLER: Create Invoice
+// ==========================================
+
+/**
+ * ROUTE: POST /api/invoices
+ * ACCESS: admin (any sale), employee (own sales only)
+ *
+ * REQUEST BODY:
+ * {
+ *   "sale": "65a1fd98f66d453210cde123",
+ *   "billTo": { "name": "ACME Corp", "taxId": "X123", "address": "...", "email": "..." } (optional,
+ *             defaults to the name, tax id and email of the sale's customer)
+ * }
+ *
+ * WHAT HAPPENS:
+ * 1. Check the sale exists, isn't voided and has no invoice yet
+ * 2. In ONE transaction: take the next number of this year's counter and save the invoice
+ *    (if saving fails the counter increment is rolled back → no gaps)
+ * 3. Render the PDF and put it in storage
+ *
+ * ERROR CASES:
+ * - Missing or invalid sale id → 400 VALIDATION_ERROR
+ * - Sale not found → 404
+ * - Sale voided → 409 (a voided sale never happened, so there is nothing to bill;
+ *   returned sales can still be invoiced, the credit notes cancel them out)
+ * - Sale already invoiced → 409
+ */
+exports.createInvoice = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const { sale: saleId } = req.body;
+        const sale = await Sale.findOne({ _id: saleId, ...visibilityFilter(req.user) }).populate('customer', 'name taxId email');
+        if (!sale) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Sale not found',
+            });
+        }
+        if (sale.status === 'voided') {
+            return res.status(409).json({
+                success: false,
+                code: 'CONFLICT',
+                message: 'A voided sale cannot be invoiced',
+            });
+        }
+        if (await Invoice.exists({ sale: sale._id })) {
+            return res.status(409).json({
+                success: false,
+                code: 'CONFLICT',
+                message: 'This sale already has an invoice',
+            });
+        }
+
+        let { billTo } = req.body;
+        if (!billTo && sale.customer) {
+            billTo = { name: sale.customer.name, taxId: sale.customer.taxId, email: sale.customer.email };
+        }
+
+        const issuedAt = new Date();
+        const year = issuedAt.getUTCFullYear();
+        const counterName = `invoice-${year}`;
+        await Counter.ensure(counterName);
+
+        let invoice;
+        await session.withTransaction(async () => {
+            const sequence = await Counter.next(counterName, session);
+            [invoice] = await Invoice.create([{
+                invoiceNumber: Invoice.formatNumber(year, sequence),
+                year,
+                sequence,
+                sale: sale._id,
+                soldBy: sale.soldBy,
+                billTo,
+                currency: sale.currency,
+                subtotal: sale.subtotal,
+                discount: sale.discount,
+                tax: sale.tax,
+                taxIncluded: sale.taxIncluded,
+                taxBreakdown: sale.taxBreakdown,
+                total: sale.total,
+                issuedAt,
+                issuedBy: req.user._id,
+            }], { session });
+        });
+
+        try {
+            await ensureInvoicePdf(invoice);
+        } catch (error) {
+            // The invoice is valid without the file, GET /:id/pdf will render it again
+            console.error('Invoice PDF Error:', error);
+        }
+
+        res.status(201).json({
+            success: true,
+            invoice,
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(new ApiError(409, 'This sale already has an invoice', 'DUPLICATE_KEY'));
+        }
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Invoices
+// ==========================================
+
+/**
+ * ROUTE: GET /api/invoices
+ * ACCESS: admin (all), employee (own sales only)
+ *
+ * QUERY PARAMS: ?year=2026, ?page, ?limit
+ */
+exports.getInvoices = async (req, res, next) => {
+    try {
+        const pagination = getPagination(req.query);
+        const filter = visibilityFilter(req.user);
+        if (req.query.year) {
+            filter.year = parseInt(req.query.year, 10);
+        }
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter)
+                .sort({ year: -1, sequence: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            Invoice.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            invoices,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Invoice
+// ==========================================
+
+/**
+ * ROUTE: GET /api/invoices/:id
+ * ACCESS: admin (any), employee (own sales only)
+ */
+exports.getInvoice = async (req, res, next) => {
+    try {
+        const invoice = await Invoice.findOne({ _id: req.params.id, ...visibilityFilter(req.user) }).populate('sale');
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Invoice not found',
+            });
+        }
+        res.status(200).json({
+            success: true,
+            invoice,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Download Invoice PDF
+// ==========================================
+
+/**
+ * ROUTE: GET /api/invoices/:id/pdf
+ * ACCESS: admin (any), employee (own sales only)
+ *
+ * RESPONSE: The PDF file (Content-Type: application/pdf)
+ * The browser downloads it as INV-2026-000123.pdf
+ *
+ * If the file can't be read the error goes to the error handler: a 500 when
+ * nothing was sent yet, otherwise the download is cut.
+ */
+exports.downloadInvoicePdf = async (req, res, next) => {
+    try {
+        const invoice = await Invoice.findOne({ _id: req.params.id, ...visibilityFilter(req.user) });
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Invoice not found',
+            });
+        }
+        const key = await ensureInvoicePdf(invoice);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+        getStorage().createReadStream(key).on('error', next).pipe(res);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location.js');
+const ProductStock = require('../models/ProductStock.js');
+const User = require('../models/User.js');
+const ApiError = require('../utils/ApiError.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+/**
+ * FIELDS THAT CLIENTS MAY SET
+ * isDefault is handled separately: only one location can be the default
+ */
+const EDITABLE_FIELDS = ['code', 'name', 'type', 'address', 'isActive'];
+
+const pickEditable = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    return data;
+};
+
+/**
+ * HELPER FUNCTION: Find Location Or Send 404
+ */
+const findLocation = async (id, res) => {
+    const location = mongoose.isValidObjectId(id) ? await Location.findById(id) : null;
+    if (!location) {
+        res.status(404).json({
+            success: false,
+            code: 'NOT_FOUND',
+            message: 'Location not found',
+        });
+    }
+    return location;
+};
+
+/**
+ * HELPER FUNCTION: Make Default
+ *
+ * PURPOSE: Move the "default" flag to this location
+ * Both updates run in one transaction, so there is never zero or two defaults
+ */
+const makeDefault = async (location) => {
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            await Location.updateMany({ isDefault: true, _id: { $ne: location._id } }, { isDefault: false }, { session });
+            location.isDefault = true;
+            await location.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * HELPER FUNCTION: Save Error
+ * A duplicate code gets a clearer message than the generic duplicate key error
+ */
+const saveError = (error) => (error.code === 11000
+    ? new ApiError(409, 'A location with this code already exists', 'DUPLICATE_KEY')
+    : error);
+
+// ==========================================
+// CONTROLLER: Create Location
+// ==========================================
+
+/**
+ * ROUTE: POST /api/locations
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "code": "shop-1",
+ *   "name": "Shop floor - Downtown",
+ *   "type": "store",          (warehouse | store)
+ *   "address": "...",
+ *   "isDefault": false        (optional, true moves the default here)
+ * }
+ *
+ * RESPONSE (201): { "success": true, "location": { "code": "SHOP-1", ... } }
+ */
+exports.createLocation = async (req, res, next) => {
+    try {
+        // The first location ever created becomes the default one
+        const hasDefault = await Location.exists({ isDefault: true });
+        let location = await Location.create({ ...pickEditable(req.body), isDefault: !hasDefault });
+        if (hasDefault && req.body.isDefault === true) {
+            await makeDefault(location);
+            location = await Location.findById(location._id);
+        }
+        res.status(201).json({
+            success: true,
+            location,
+        });
+    } catch (error) {
+        next(saveError(error));
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Locations
+// ==========================================
+
+/**
+ * ROUTE: GET /api/locations
+ * ACCESS: any authenticated user
+ *
+ * QUERY PARAMS: ?type=store, ?active=true|false
+ */
+exports.getLocations = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.type) {
+            filter.type = req.query.type;
+        }
+        if (req.query.active !== undefined) {
+            filter.isActive = req.query.active === 'true';
+        }
+        const locations = await Location.find(filter).sort({ code: 1 });
+        res.status(200).json({
+            success: true,
+            locations,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Location
+// ==========================================
+
+/**
+ * ROUTE: GET /api/locations/:id
+ * ACCESS: any authenticated user
+ */
+exports.getLocation = async (req, res, next) => {
+    try {
+        const location = await findLocation(req.params.id, res);
+        if (!location) {
+            return;
+        }
+        res.status(200).json({
+            success: true,
+            location,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Update Location
+// ==========================================
+
+/**
+ * ROUTE: PUT /api/locations/:id
+ * ACCESS: admin
+ *
+ * REQUEST BODY: Any editable field, plus "isDefault": true to make it the default
+ *
+ * ERROR CASES:
+ * - Deactivating the default location → 409 (make another one the default first)
+ * - Code already used → 409
+ */
+exports.updateLocation = async (req, res, next) => {
+    try {
+        const location = await findLocation(req.params.id, res);
+        if (!location) {
+            return;
+        }
+        location.set(pickEditable(req.body));
+        const willBeDefault = location.isDefault || req.body.isDefault === true;
+        if (willBeDefault && location.isActive === false) {
+            return res.status(409).json({
+                success: false,
+                code: 'CONFLICT',
+                message: 'The default location cannot be deactivated',
+            });
+        }
+        if (req.body.isDefault === false && location.isDefault) {
+            return res.status(409).json({
+                success: false,
+                code: 'CONFLICT',
+                message: 'Make another location the default instead',
+            });
+        }
+        await location.save();
+        if (req.body.isDefault === true && !location.isDefault) {
+            await makeDefault(location);
+        }
+        res.status(200).json({
+            success: true,
+            location,
+        });
+    } catch (error) {
+        next(saveError(error));
+    }
+};
+
+// ==========================================
+// CONTROLLER: Stock At A Location
+// ==========================================
+
+/**
+ * ROUTE: GET /api/locations/:id/stock
+ * ACCESS: any authenticated user
+ *
+ * PURPOSE: Every product with units at this location
+ *
+ * QUERY PARAMS: ?page, ?limit, ?includeEmpty=true (also list products at 0)
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "location": { "code": "SHOP-1", ... },
+ *   "stock": [{ "product": { "sku": "AB-100", "name": "..." }, "quantity": 12 }],
+ *   "pagination": { ... }
+ * }
+ */
+exports.getLocationStock = async (req, res, next) => {
+    try {
+        const location = await findLocation(req.params.id, res);
+        if (!location) {
+            return;
+        }
+        const filter = { location: location._id };
+        if (req.query.includeEmpty !== 'true') {
+            filter.quantity = { $gt: 0 };
+        }
+        const pagination = getPagination(req.query);
+        const [rows, total] = await Promise.all([
+            ProductStock.find(filter)
+                .sort({ product: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('product', 'sku name category'),
+            ProductStock.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            location,
+            stock: rows.map((row) => ({ product: row.product, quantity: row.quantity })),
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Assign User To Location
+// ==========================================
+
+/**
+ * ROUTE: PUT /api/locations/:id/users/:userId
+ * ACCESS: admin
+ *
+ * PURPOSE: Set the user's default location (where their sales take stock from)
+ *
+ * RESPONSE (200): { "success": true, "user": { "_id": "...", "name": "...", "defaultLocation": "<locationId>" } }
+ *
+ * ERROR CASES:
+ * - Location or user not found → 404
+ * - Location inactive → 409
+ */
+exports.assignUserLocation = async (req, res, next) => {
+    try {
+        const location = await findLocation(req.params.id, res);
+        if (!location) {
+            return;
+        }
+        if (!location.isActive) {
+            return res.status(409).json({
+                success: false,
+                code: 'CONFLICT',
+                message: 'Users cannot be assigned to an inactive location',
+            });
+        }
+        const user = mongoose.isValidObjectId(req.params.userId)
+            ? await User.findByIdAndUpdate(req.params.userId, { defaultLocation: location._id }, { new: true }).select('name email role defaultLocation')
+            : null;
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'User not found',
+            });
+        }
+        res.status(200).json({
+            success: true,
+            user,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,636 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.js');
+const ProductStock = require('../models/ProductStock.js');
+const { resolveLocation, applyStockMovement } = require('../services/inventoryService.js');
+const { evaluateStockAlert } = require('../services/alertService.js');
+const { IMPORT_COLUMNS, LIST_SEPARATOR, importProducts } = require('../services/productImportService.js');
+const { renderLabelsSvg, renderLabelsPdf } = require('../services/labelService.js');
+const ApiError = require('../utils/ApiError.js');
+const { normalizeBarcode, isValidBarcode } = require('../utils/barcode.js');
+const { formatMoney } = require('../utils/currency.js');
+const { toCsvLine } = require('../utils/csv.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+const escapeRegex = require('../utils/escapeRegex.js');
+
+/**
+ * FIELDS THAT CLIENTS MAY SET
+ * Anything else in req.body (isDeleted, createdBy, _id...) is ignored
+ * STOCK is not here: it only changes through the inventory ledger
+ * (opening stock on create, then POST /api/products/:id/stock-adjustments)
+ */
+const EDITABLE_FIELDS = ['sku', 'barcodes', 'name', 'description', 'category', 'price', 'priceIncludesTax', 'cost', 'currency', 'reorderPoint', 'reorderQuantity'];
+
+/**
+ * FIELDS THAT THE LIST ENDPOINT CAN SORT BY
+ */
+const SORTABLE_FIELDS = ['sku', 'name', 'category', 'price', 'cost', 'stock', 'createdAt', 'updatedAt'];
+
+/**
+ * HELPER FUNCTION: Pick Editable Fields
+ * PURPOSE: Copy only whitelisted fields from the request body
+ */
+const pickEditable = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    return data;
+};
+
+/**
+ * HELPER FUNCTION: Build Product Filter
+ *
+ * PURPOSE: Turn list query parameters into a MongoDB filter
+ *
+ * SUPPORTED QUERY PARAMS:
+ * - search: text matched against name, sku and description (case-insensitive)
+ * - barcode: products carrying that EAN-13 / UPC-A code
+ * - category: exact category
+ * - minPrice / maxPrice: price range in minor units (inclusive), best used with currency
+ * - currency: products priced in that currency (e.g. EUR)
+ * - stockStatus: in_stock | low_stock | out_of_stock
+ *   (low_stock = at or below the product's reorderPoint, or LOW_STOCK_THRESHOLD if it has none)
+ *
+ * Soft-deleted products are always excluded
+ */
+const buildProductFilter = (query) => {
+    const filter = { isDeleted: false };
+
+    if (query.search) {
+        const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+        filter.$or = [{ name: pattern }, { sku: pattern }, { description: pattern }];
+    }
+
+    if (query.barcode) {
+        filter.barcodes = normalizeBarcode(query.barcode);
+    }
+
+    if (query.category) {
+        filter.category = String(query.category).trim().toLowerCase();
+    }
+
+    if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+        filter.price = {};
+        if (query.minPrice !== undefined) filter.price.$gte = Number(query.minPrice);
+        if (query.maxPrice !== undefined) filter.price.$lte = Number(query.maxPrice);
+    }
+
+    if (query.currency) {
+        filter.currency = query.currency;
+    }
+
+    const lowStock = Product.lowStockThreshold();
+    switch (query.stockStatus) {
+        case 'in_stock':
+            filter.stock = { $gt: 0 };
+            break;
+        case 'low_stock':
+            filter.stock = { $gt: 0 };
+            filter.$expr = { $lte: ['$stock', { $ifNull: ['$reorderPoint', lowStock] }] };
+            break;
+        case 'out_of_stock':
+            filter.stock = { $lte: 0 };
+            break;
+        default:
+            break;
+    }
+
+    return filter;
+};
+
+/**
+ * HELPER FUNCTION: Build Sort
+ *
+ * PURPOSE: Turn "?sort=price,-createdAt" into { price: 1, createdAt: -1 }
+ * A leading "-" means descending. Unknown fields are ignored.
+ * DEFAULT: newest first
+ */
+const buildSort = (sortParam) => {
+    const sort = {};
+    if (sortParam) {
+        String(sortParam).split(',').forEach((raw) => {
+            const field = raw.trim().replace(/^-/, '');
+            if (SORTABLE_FIELDS.includes(field)) {
+                sort[field] = raw.trim().startsWith('-') ? -1 : 1;
+            }
+        });
+    }
+    if (Object.keys(sort).length === 0) {
+        sort.createdAt = -1;
+    }
+    // Tie-breaker so pages are stable when many rows share the same sort value
+    sort._id = sort._id || 1;
+    return sort;
+};
+
+/**
+ * HELPER FUNCTION: Duplicate Error
+ * A duplicate SKU or barcode gets a clearer message than the generic duplicate key error
+ */
+const duplicateError = (error) => {
+    if (error.code !== 11000) {
+        return error;
+    }
+    if (error.keyValue && error.keyValue.barcodes) {
+        return new ApiError(409, `Barcode ${error.keyValue.barcodes} already belongs to another product`, 'DUPLICATE_KEY');
+    }
+    return new ApiError(409, 'A product with this SKU already exists', 'DUPLICATE_KEY');
+};
+
+/**
+ * HELPER FUNCTION: Find Active Product By Id
+ * RETURNS: The product, or null if the id is invalid, missing or soft-deleted
+ */
+const findActiveProduct = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+    return Product.findOne({ _id: id, isDeleted: false });
+};
+
+// ==========================================
+// CONTROLLER: Create Product
+// ==========================================
+
+/**
+ * ROUTE: POST /api/products
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "sku": "ab-100",
+ *   "barcodes": ["4006381333931"] (optional, EAN-13 or UPC-A, each unique across the catalog),
+ *   "name": "Coffee Beans 1kg",
+ *   "price": 1850,             (minor units: 18.50)
+ *   "priceIncludesTax": false (optional, true when price is the shelf price with tax),
+ *   "cost": 975,
+ *   "currency": "USD" (optional, of price and cost, defaults to BASE_CURRENCY),
+ *   "stock": 40,
+ *   "location": "<locationId>" (optional, where the opening stock is, defaults to the default location),
+ *   "category": "Coffee",
+ *   "description": "Medium roast"
+ * }
+ *
+ * "stock" is the OPENING stock: the product is created with 0 and an
+ * "adjustment" movement brings it to that number, so the ledger is complete
+ * from day one (both in one transaction).
+ *
+ * RESPONSE (Success - 201):
+ * { "success": true, "product": { ..., "sku": "AB-100", "category": "coffee" } }
+ *
+ * ERROR CASES:
+ * - Validation failed (missing name, negative price...) → 400 VALIDATION_ERROR
+ * - SKU already used by another active product → 409
+ */
+exports.createProduct = async (req, res, next) => {
+    // A whole number >= 0 (createProductSchema in validators/products.js)
+    const openingStock = req.body.stock === undefined ? 0 : Number(req.body.stock);
+    const session = await mongoose.startSession();
+    try {
+        const location = openingStock > 0 ? await resolveLocation(req.body.location) : null;
+        let product;
+        await session.withTransaction(async () => {
+            [product] = await Product.create([{
+                ...pickEditable(req.body),
+                stock: 0,
+                createdBy: req.user._id,
+            }], { session });
+            if (openingStock > 0) {
+                ({ product } = await applyStockMovement({
+                    product: product._id,
+                    location: location._id,
+                    quantity: openingStock,
+                    type: 'adjustment',
+                    user: req.user._id,
+                    note: 'Opening stock',
+                }, session));
+            }
+        });
+        res.status(201).json({
+            success: true,
+            product,
+        });
+    } catch (error) {
+        next(duplicateError(error));
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Products
+// ==========================================
+
+/**
+ * ROUTE: GET /api/products
+ * ACCESS: any authenticated user
+ *
+ * QUERY PARAMS (all optional):
+ * - search, barcode, category, minPrice, maxPrice, stockStatus (see buildProductFilter)
+ * - sort: comma separated fields, "-" prefix for descending (e.g. "price,-createdAt")
+ * - page: page number, starts at 1 (default 1)
+ * - limit: items per page (default 20, max 100)
+ *
+ * RESPONSE (Success - 200):
+ * {
+ *   "success": true,
+ *   "products": [ ... ],
+ *   "pagination": { "page": 1, "limit": 20, "total": 57, "pages": 3, "hasNext": true, "hasPrev": false }
+ * }
+ */
+exports.getProducts = async (req, res, next) => {
+    try {
+        const pagination = getPagination(req.query);
+        const filter = buildProductFilter(req.query);
+
+        const [products, total] = await Promise.all([
+            Product.find(filter)
+                .sort(buildSort(req.query.sort))
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            Product.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            products,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Product
+// ==========================================
+
+/**
+ * ROUTE: GET /api/products/:id
+ * ACCESS: any authenticated user
+ *
+ * ERROR CASES:
+ * - Product not found (or soft-deleted) → 404
+ */
+exports.getProduct = async (req, res, next) => {
+    try {
+        const product = await findActiveProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Product not found',
+            });
+        }
+        res.status(200).json({
+            success: true,
+            product,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Find Product By Barcode
+// ==========================================
+
+/**
+ * ROUTE: GET /api/products/barcode/:code
+ * ACCESS: any authenticated user
+ *
+ * PURPOSE: What the register calls after every scan
+ * The code may be EAN-13 or UPC-A (12 digits), with or without spaces/dashes:
+ * both forms find the same product. One lookup on the unique barcodes index.
+ *
+ * ERROR CASES:
+ * - Not a valid EAN-13 / UPC-A code (wrong length or check digit) → 400
+ * - No active product with that barcode → 404
+ */
+exports.getProductByBarcode = async (req, res, next) => {
+    try {
+        const code = normalizeBarcode(req.params.code);
+        if (!isValidBarcode(code)) {
+            throw new ApiError(400, `${req.params.code} is not a valid EAN-13 or UPC-A barcode`);
+        }
+        const product = await Product.findOne({ barcodes: code, isDeleted: false });
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'No product has this barcode',
+            });
+        }
+        res.status(200).json({
+            success: true,
+            product,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Update Product
+// ==========================================
+
+/**
+ * ROUTE: PUT /api/products/:id
+ * ACCESS: admin
+ *
+ * REQUEST BODY: Any of the editable fields (partial updates are allowed)
+ * "stock" is refused (400): use POST /api/products/:id/stock-adjustments
+ *
+ * WHY findOne + save() INSTEAD OF findByIdAndUpdate?
+ * save() runs every schema validator and setter (uppercase SKU, min: 0...)
+ * exactly like create does
+ */
+exports.updateProduct = async (req, res, next) => {
+    try {
+        if (req.body.stock !== undefined) {
+            return res.status(400).json({
+                success: false,
+                code: 'BAD_REQUEST',
+                message: 'Stock cannot be edited directly, use POST /api/products/:id/stock-adjustments',
+            });
+        }
+        const product = await findActiveProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Product not found',
+            });
+        }
+        product.set(pickEditable(req.body));
+        const reorderPointChanged = product.isModified('reorderPoint');
+        await product.save();
+        if (reorderPointChanged) {
+            // A new reorder point can put the current stock above or below it
+            await evaluateStockAlert(product);
+        }
+        res.status(200).json({
+            success: true,
+            product,
+        });
+    } catch (error) {
+        next(duplicateError(error));
+    }
+};
+
+// ==========================================
+// CONTROLLER: Delete Product (Soft Delete)
+// ==========================================
+
+/**
+ * ROUTE: DELETE /api/products/:id
+ * ACCESS: admin
+ *
+ * WHAT HAPPENS:
+ * The product is NOT removed from MongoDB. We set isDeleted = true and
+ * deletedAt = now, so it disappears from lists but old sales keep their reference.
+ */
+exports.deleteProduct = async (req, res, next) => {
+    try {
+        const product = await findActiveProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Product not found',
+            });
+        }
+        product.isDeleted = true;
+        product.deletedAt = new Date();
+        await product.save();
+        res.status(200).json({
+            success: true,
+            message: 'Product deleted',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Import Products (CSV)
+// ==========================================
+
+/**
+ * ROUTE: POST /api/products/import
+ * ACCESS: admin
+ *
+ * REQUEST:
+ * - Header: Content-Type: text/csv
+ * - Body: the CSV file itself (not multipart), read as a stream
+ * - Query: ?dryRun=true → only validate, nothing is written
+ * - Query: ?location=<locationId> → location the stock column refers to (default location if omitted)
+ *
+ * FILE FORMAT AND RULES: see services/productImportService.js
+ * (upsert by SKU, empty cell = unchanged, stock = target count through the ledger)
+ *
+ * RESPONSE (Success - 200, also when some rows failed):
+ * {
+ *   "success": true,
+ *   "dryRun": true,
+ *   "summary": { "rows": 1200, "created": 800, "updated": 350, "unchanged": 48, "failed": 2 },
+ *   "errors": [{ "row": 7, "field": "price", "message": "Price cannot be negative" }],
+ *   "errorsTruncated": false
+ * }
+ *
+ * ERROR CASES:
+ * - Not a CSV body → 415
+ * - Empty file, unknown/missing columns, broken quotes → 400
+ * - Broken quotes found after some rows were already applied → 400 IMPORT_ABORTED,
+ *   with the summary of the applied rows:
+ *   { "success": false, "code": "IMPORT_ABORTED", "message": "...", "summary": { "created": 200, ... },
+ *     "aborted": { "row": 415, "message": "..." }, "errors": [...] }
+ */
+exports.importProducts = async (req, res, next) => {
+    try {
+        if (!req.is(['text/csv', 'text/plain', 'application/csv'])) {
+            return res.status(415).json({
+                success: false,
+                code: 'UNSUPPORTED_MEDIA_TYPE',
+                message: 'Send the file as the request body with Content-Type: text/csv',
+            });
+        }
+        const location = await resolveLocation(req.query.location);
+        const result = await importProducts({
+            stream: req,
+            dryRun: req.query.dryRun === 'true',
+            location: location._id,
+            userId: req.user._id,
+        });
+        if (result.aborted) {
+            return res.status(400).json({
+                success: false,
+                code: 'IMPORT_ABORTED',
+                message: `${result.aborted.message}. The rows before it were already imported (see summary): fix the file and import it again`,
+                ...result,
+            });
+        }
+        res.status(200).json({
+            success: true,
+            ...result,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Export Products (CSV)
+// ==========================================
+
+/**
+ * ROUTE: GET /api/products/export
+ * ACCESS: admin
+ *
+ * QUERY PARAMS: same filters and sort as GET /api/products (no pagination)
+ * - location: the stock column is the stock at that location (default: the default location)
+ *
+ * RESPONSE: CSV download (products-YYYY-MM-DD.csv) with the import columns,
+ * so the file can be edited and uploaded again to POST /api/products/import
+ *
+ * WHY ONE LOCATION?
+ * The import reads stock as the target count at ONE location. A total of
+ * every location would, imported back, add the units of the other locations
+ * again at the import location. Import the file with the same ?location.
+ *
+ * WHY A CURSOR?
+ * The catalog can have thousands of products: rows are written as they come
+ * from MongoDB instead of loading everything in memory first.
+ * When the client goes away the cursor is closed and the export stops.
+ */
+exports.exportProducts = async (req, res, next) => {
+    let cursor = null;
+    // Resolves on 'drain', or on 'close' if the client disconnects first ('drain' would never come)
+    const writable = () => new Promise((resolve) => {
+        if (res.destroyed) {
+            resolve();
+            return;
+        }
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.once('drain', done);
+        res.once('close', done);
+    });
+    try {
+        const location = await resolveLocation(req.query.location);
+        cursor = Product.find(buildProductFilter(req.query))
+            .sort(buildSort(req.query.sort))
+            .select(IMPORT_COLUMNS.join(' '))
+            .lean()
+            .cursor();
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.write(`${toCsvLine(IMPORT_COLUMNS)}\r\n`);
+        for await (const product of cursor) {
+            const atLocation = await ProductStock.findOne({ product: product._id, location: location._id }).select('quantity');
+            product.stock = atLocation ? atLocation.quantity : 0;
+            const values = IMPORT_COLUMNS.map((column) => (Array.isArray(product[column])
+                ? product[column].join(LIST_SEPARATOR)
+                : product[column]));
+            const line = `${toCsvLine(values)}\r\n`;
+            if (!res.write(line)) {
+                await writable();
+            }
+            if (res.destroyed) {
+                await cursor.close();
+                return;
+            }
+        }
+        res.end();
+    } catch (error) {
+        if (cursor) {
+            await cursor.close().catch(() => {});
+        }
+        if (res.headersSent) {
+            // The download already started, the only way to signal the error is to cut it
+            console.error('Export Products Error:', error);
+            return res.destroy(error);
+        }
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Print Labels
+// ==========================================
+
+/**
+ * MAX LABELS PER REQUEST
+ * About 40 A4 sheets: more than that is better printed in several batches
+ */
+const MAX_LABELS = 1000;
+
+/**
+ * ROUTE: POST /api/products/labels
+ * ACCESS: any authenticated user
+ *
+ * REQUEST BODY:
+ * {
+ *   "format": "pdf" (default) | "svg",
+ *   "items": [
+ *     { "product": "<productId>", "copies": 12 },
+ *     { "product": "<productId>", "barcode": "0036000291452" } (copies default 1)
+ *   ]
+ * }
+ * "barcode" picks which code to print for products with several (default: the first one)
+ *
+ * RESPONSE: labels-YYYY-MM-DD.pdf or .svg download, A4 sheets of 24 labels
+ * (name, price in the product currency, barcode), in the order of items
+ * (layout: services/labelService.js)
+ *
+ * ERROR CASES:
+ * - Product not found (or soft-deleted) → 404
+ * - Product without barcodes, or "barcode" not one of its barcodes → 400
+ * - More than 1000 labels in total → 400
+ */
+exports.printLabels = async (req, res, next) => {
+    try {
+        const { items } = req.body;
+        const copies = items.reduce((sum, item) => sum + (item.copies === undefined ? 1 : Number(item.copies)), 0);
+        if (copies > MAX_LABELS) {
+            throw new ApiError(400, `At most ${MAX_LABELS} labels can be printed at once, ${copies} requested`);
+        }
+        const ids = [...new Set(items.map((item) => String(item.product)))];
+        const products = await Product.find({ _id: { $in: ids }, isDeleted: false });
+        const byId = new Map(products.map((product) => [String(product._id), product]));
+
+        const labels = [];
+        items.forEach((item) => {
+            const product = byId.get(String(item.product));
+            if (!product) {
+                throw new ApiError(404, `Product ${item.product} not found`);
+            }
+            if (product.barcodes.length === 0) {
+                throw new ApiError(400, `Product ${product.sku} has no barcode`);
+            }
+            const barcode = item.barcode === undefined ? product.barcodes[0] : normalizeBarcode(item.barcode);
+            if (!product.barcodes.includes(barcode)) {
+                throw new ApiError(400, `${item.barcode} is not a barcode of product ${product.sku}`);
+            }
+            const label = { name: product.name, price: formatMoney(product.price, product.currency), barcode };
+            for (let copy = 0; copy < (item.copies === undefined ? 1 : Number(item.copies)); copy += 1) {
+                labels.push(label);
+            }
+        });
+
+        const format = req.body.format || 'pdf';
+        const filename = `labels-${new Date().toISOString().slice(0, 10)}.${format}`;
+        const file = format === 'svg' ? renderLabelsSvg(labels) : await renderLabelsPdf(labels);
+        res.setHeader('Content-Type', format === 'svg' ? 'image/svg+xml; charset=utf-8' : 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(file);
+    } catch (error) {
+        next(error);
+    }
+};
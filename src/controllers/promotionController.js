@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion.js');
+const PromotionRedemption = require('../models/PromotionRedemption.js');
+const ApiError = require('../utils/ApiError.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+const escapeRegex = require('../utils/escapeRegex.js');
+
+/**
+ * FIELDS THAT CLIENTS MAY SET
+ * usageCount is maintained by promotionService.js, never set by hand
+ */
+const EDITABLE_FIELDS = [
+    'name', 'description', 'code', 'type', 'value',
+    'buyQuantity', 'getQuantity', 'getDiscountPercent',
+    'scope', 'categories', 'skus', 'minSubtotal', 'currency',
+    'startsAt', 'endsAt', 'usageLimit', 'perCustomerLimit',
+    'priority', 'exclusive', 'isActive',
+];
+
+const pickEditable = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    // An empty code means "no code": the promotion becomes automatic
+    if (data.code !== undefined && (data.code === null || String(data.code).trim() === '')) {
+        data.code = null;
+    }
+    return data;
+};
+
+/**
+ * HELPER FUNCTION: Find Promotion Or Send 404
+ */
+const findPromotion = async (id, res) => {
+    const promotion = mongoose.isValidObjectId(id) ? await Promotion.findById(id) : null;
+    if (!promotion) {
+        res.status(404).json({
+            success: false,
+            code: 'NOT_FOUND',
+            message: 'Promotion not found',
+        });
+    }
+    return promotion;
+};
+
+/**
+ * HELPER FUNCTION: Save Error
+ * A duplicate code gets a clearer message than the generic duplicate key error
+ */
+const saveError = (error) => (error.code === 11000
+    ? new ApiError(409, 'A promotion with this code already exists', 'DUPLICATE_KEY')
+    : error);
+
+// ==========================================
+// CONTROLLER: Create Promotion
+// ==========================================
+
+/**
+ * ROUTE: POST /api/promotions
+ * ACCESS: admin
+ *
+ * REQUEST BODY (see models/Promotion.js for every field):
+ * {
+ *   "name": "Welcome coupon",
+ *   "code": "welcome5",            (optional, without code the promotion is automatic)
+ *   "type": "fixed",               (percentage | fixed | buy_x_get_y)
+ *   "value": 500,                  (percent, or minor units for fixed: 500 = 5.00)
+ *   "scope": "order",              (order | category | sku)
+ *   "minSubtotal": 5000,
+ *   "currency": "USD",             (optional, of value and minSubtotal, defaults to BASE_CURRENCY)
+ *   "perCustomerLimit": 1,
+ *   "endsAt": "2026-12-31T23:59:59Z"
+ * }
+ *
+ * RESPONSE (201): { "success": true, "promotion": { "code": "WELCOME5", "usageCount": 0, ... } }
+ *
+ * ERROR CASES:
+ * - Invalid fields, or fields that don't fit the type/scope → 400 VALIDATION_ERROR
+ * - Code already used by another promotion → 409 DUPLICATE_KEY
+ */
+exports.createPromotion = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.create({
+            ...pickEditable(req.body),
+            createdBy: req.user._id,
+        });
+        res.status(201).json({
+            success: true,
+            promotion,
+        });
+    } catch (error) {
+        next(saveError(error));
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Promotions
+// ==========================================
+
+/**
+ * ROUTE: GET /api/promotions
+ * ACCESS: any authenticated user (cashiers check which promotions are running)
+ *
+ * QUERY PARAMS: ?search (name), ?code (exact, case-insensitive), ?active=true|false, ?page, ?limit
+ * Sorted in the order the till applies them (priority first)
+ */
+exports.getPromotions = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.search) {
+            filter.name = new RegExp(escapeRegex(String(req.query.search).trim()), 'i');
+        }
+        if (req.query.code) {
+            filter.code = String(req.query.code).trim().toUpperCase();
+        }
+        if (req.query.active !== undefined) {
+            filter.isActive = req.query.active === 'true';
+        }
+        const pagination = getPagination(req.query);
+        const [promotions, total] = await Promise.all([
+            Promotion.find(filter)
+                .sort({ priority: -1, createdAt: 1, _id: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            Promotion.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            promotions,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Promotion
+// ==========================================
+
+/**
+ * ROUTE: GET /api/promotions/:id
+ * ACCESS: any authenticated user
+ */
+exports.getPromotion = async (req, res, next) => {
+    try {
+        const promotion = await findPromotion(req.params.id, res);
+        if (!promotion) {
+            return;
+        }
+        res.status(200).json({
+            success: true,
+            promotion,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Update Promotion
+// ==========================================
+
+/**
+ * ROUTE: PUT /api/promotions/:id
+ * ACCESS: admin
+ *
+ * REQUEST BODY: Any editable field, e.g. { "isActive": false } to stop a promotion
+ *
+ * WHY NO DELETE?
+ * Sales keep a reference to the promotions they used. Deactivate it instead:
+ * the history stays readable and the code can't be reused by mistake.
+ *
+ * Sales already made are not changed: they keep the amounts they were sold with.
+ *
+ * ERROR CASES:
+ * - Invalid fields → 400 VALIDATION_ERROR
+ * - Promotion not found → 404
+ * - Code already used → 409 DUPLICATE_KEY
+ */
+exports.updatePromotion = async (req, res, next) => {
+    try {
+        const promotion = await findPromotion(req.params.id, res);
+        if (!promotion) {
+            return;
+        }
+        promotion.set(pickEditable(req.body));
+        await promotion.save();
+        res.status(200).json({
+            success: true,
+            promotion,
+        });
+    } catch (error) {
+        next(saveError(error));
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Redemptions
+// ==========================================
+
+/**
+ * ROUTE: GET /api/promotions/:id/redemptions
+ * ACCESS: admin
+ *
+ * PURPOSE: Which sales used the promotion and how much it cost (newest first)
+ * Redemptions of voided sales have releasedAt set and no longer count toward the limits.
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "redemptions": [{ "sale": "...", "code": "WELCOME5", "customer": "ana@example.com", "amount": 500, "currency": "USD", "releasedAt": null, "createdAt": "..." }],
+ *   "pagination": { ... }
+ * }
+ */
+exports.getPromotionRedemptions = async (req, res, next) => {
+    try {
+        const promotion = await findPromotion(req.params.id, res);
+        if (!promotion) {
+            return;
+        }
+        const filter = { promotion: promotion._id };
+        const pagination = getPagination(req.query);
+        const [redemptions, total] = await Promise.all([
+            PromotionRedemption.find(filter)
+                .sort({ createdAt: -1, _id: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            PromotionRedemption.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            redemptions,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
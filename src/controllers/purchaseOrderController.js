@@ -0,0 +1,414 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder.js');
+const Supplier = require('../models/Supplier.js');
+const Product = require('../models/Product.js');
+const Counter = require('../models/Counter.js');
+const ApiError = require('../utils/ApiError.js');
+const { resolveLocation, receiveStock } = require('../services/inventoryService.js');
+const { createConverter } = require('../services/exchangeRateService.js');
+const { baseCurrency, isValidCurrency } = require('../utils/currency.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+/**
+ * HELPER FUNCTION: Find Purchase Order
+ * THROWS: ApiError(404) if the id is invalid or the order doesn't exist
+ */
+const findPurchaseOrder = async (id, session = null) => {
+    const order = mongoose.isValidObjectId(id)
+        ? await PurchaseOrder.findById(id).session(session)
+        : null;
+    if (!order) {
+        throw new ApiError(404, 'Purchase order not found');
+    }
+    return order;
+};
+
+/**
+ * HELPER FUNCTION: Build Order Items
+ *
+ * PURPOSE: Check the requested products and snapshot sku/name from them
+ *
+ * ACCEPTED INPUT (ids and numbers already checked by validators/purchaseOrders.js):
+ * [{ "product": "<productId>", "quantity": 24, "unitCost": 450 (optional, defaults to product cost) }]
+ * unitCost is in minor units of the order currency; the default product
+ * cost is converted into it at today's rate
+ *
+ * RETURNS: { items, subtotal }
+ */
+const buildOrderItems = async (items, currency) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ApiError(400, 'Please provide at least one item');
+    }
+    const converter = await createConverter(currency);
+    const seen = new Set();
+    const orderItems = [];
+    for (const [index, item] of items.entries()) {
+        const quantity = Number(item.quantity);
+        if (seen.has(String(item.product))) {
+            throw new ApiError(400, `Item ${index + 1}: product is listed twice`);
+        }
+        seen.add(String(item.product));
+        const product = await Product.findOne({ _id: item.product, isDeleted: false });
+        if (!product) {
+            throw new ApiError(404, `Item ${index + 1}: product not found`);
+        }
+        const unitCost = item.unitCost === undefined
+            ? await converter.convert(product.cost, product.currency)
+            : Number(item.unitCost);
+        orderItems.push({
+            product: product._id,
+            sku: product.sku,
+            name: product.name,
+            quantityOrdered: quantity,
+            quantityReceived: 0,
+            unitCost,
+        });
+    }
+    const subtotal = orderItems.reduce((sum, item) => sum + item.quantityOrdered * item.unitCost, 0);
+    return { items: orderItems, subtotal };
+};
+
+/**
+ * HELPER FUNCTION: Order Currency
+ * THROWS: ApiError(400) for a code that doesn't exist
+ */
+const orderCurrency = (currency) => {
+    if (!isValidCurrency(currency)) {
+        throw new ApiError(400, `${currency} is not an ISO 4217 currency code`);
+    }
+    return currency;
+};
+
+/**
+ * HELPER FUNCTION: Find Active Supplier
+ */
+const findActiveSupplier = async (id) => {
+    const supplier = mongoose.isValidObjectId(id) ? await Supplier.findById(id) : null;
+    if (!supplier) {
+        throw new ApiError(404, 'Supplier not found');
+    }
+    if (!supplier.isActive) {
+        throw new ApiError(409, 'Supplier is inactive');
+    }
+    return supplier;
+};
+
+// ==========================================
+// CONTROLLER: Create Purchase Order (draft)
+// ==========================================
+
+/**
+ * ROUTE: POST /api/purchase-orders
+ * ACCESS: admin, employee (buyers prepare drafts, an admin approves them)
+ *
+ * REQUEST BODY:
+ * {
+ *   "supplier": "<supplierId>",
+ *   "items": [{ "product": "<productId>", "quantity": 24, "unitCost": 450 }],
+ *   "currency": "EUR" (optional, what the supplier charges in, defaults to BASE_CURRENCY),
+ *   "location": "<locationId>" (optional, where it's delivered, defaults to the default location),
+ *   "expectedAt": "2026-04-01" (optional),
+ *   "notes": "..." (optional)
+ * }
+ *
+ * RESPONSE (201): { "success": true, "purchaseOrder": { "poNumber": "PO-2026-000042", "status": "draft", ... } }
+ */
+exports.createPurchaseOrder = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const supplier = await findActiveSupplier(req.body.supplier);
+        const currency = orderCurrency(req.body.currency || baseCurrency());
+        const { items, subtotal } = await buildOrderItems(req.body.items, currency);
+        const location = await resolveLocation(req.body.location);
+
+        const year = new Date().getUTCFullYear();
+        const counterName = `po-${year}`;
+        await Counter.ensure(counterName);
+
+        let purchaseOrder;
+        await session.withTransaction(async () => {
+            const sequence = await Counter.next(counterName, session);
+            [purchaseOrder] = await PurchaseOrder.create([{
+                poNumber: PurchaseOrder.formatNumber(year, sequence),
+                supplier: supplier._id,
+                location: location._id,
+                items,
+                subtotal,
+                currency,
+                expectedAt: req.body.expectedAt || null,
+                notes: req.body.notes,
+                createdBy: req.user._id,
+            }], { session });
+        });
+
+        res.status(201).json({
+            success: true,
+            purchaseOrder,
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Purchase Orders
+// ==========================================
+
+/**
+ * ROUTE: GET /api/purchase-orders
+ * ACCESS: any authenticated user
+ *
+ * QUERY PARAMS: ?status, ?supplier, ?page, ?limit
+ */
+exports.getPurchaseOrders = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        if (req.query.supplier) {
+            filter.supplier = req.query.supplier;
+        }
+        const pagination = getPagination(req.query);
+        const [purchaseOrders, total] = await Promise.all([
+            PurchaseOrder.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('supplier', 'name'),
+            PurchaseOrder.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            purchaseOrders,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Purchase Order
+// ==========================================
+
+/**
+ * ROUTE: GET /api/purchase-orders/:id
+ * ACCESS: any authenticated user
+ */
+exports.getPurchaseOrder = async (req, res, next) => {
+    try {
+        const purchaseOrder = await findPurchaseOrder(req.params.id);
+        await purchaseOrder.populate('supplier', 'name contactName email phone');
+        res.status(200).json({
+            success: true,
+            purchaseOrder,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Update Draft
+// ==========================================
+
+/**
+ * ROUTE: PUT /api/purchase-orders/:id
+ * ACCESS: admin, employee
+ *
+ * PURPOSE: Change supplier, items, currency, location, expectedAt or notes while the order is a draft
+ * A new currency without new items keeps the unit costs as they are (read in the new currency)
+ *
+ * ERROR CASES:
+ * - Order is not a draft anymore → 409
+ */
+exports.updatePurchaseOrder = async (req, res, next) => {
+    try {
+        const purchaseOrder = await findPurchaseOrder(req.params.id);
+        if (purchaseOrder.status !== 'draft') {
+            throw new ApiError(409, 'Only draft purchase orders can be edited');
+        }
+        if (req.body.supplier !== undefined) {
+            purchaseOrder.supplier = (await findActiveSupplier(req.body.supplier))._id;
+        }
+        if (req.body.currency !== undefined) {
+            purchaseOrder.currency = orderCurrency(req.body.currency);
+        }
+        if (req.body.items !== undefined) {
+            const { items, subtotal } = await buildOrderItems(req.body.items, purchaseOrder.currency);
+            purchaseOrder.items = items;
+            purchaseOrder.subtotal = subtotal;
+        }
+        if (req.body.location !== undefined) {
+            purchaseOrder.location = (await resolveLocation(req.body.location))._id;
+        }
+        if (req.body.expectedAt !== undefined) {
+            purchaseOrder.expectedAt = req.body.expectedAt;
+        }
+        if (req.body.notes !== undefined) {
+            purchaseOrder.notes = req.body.notes;
+        }
+        await purchaseOrder.save();
+        res.status(200).json({
+            success: true,
+            purchaseOrder,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Approve (draft → sent)
+// ==========================================
+
+/**
+ * ROUTE: POST /api/purchase-orders/:id/approve
+ * ACCESS: admin
+ *
+ * PURPOSE: Approve a draft and mark it as sent to the supplier
+ *
+ * WHY findOneAndUpdate WITH status: 'draft'?
+ * The status check and the change happen in ONE operation,
+ * so two admins clicking "approve" at once can't both succeed.
+ */
+exports.approvePurchaseOrder = async (req, res, next) => {
+    try {
+        await findPurchaseOrder(req.params.id);
+        const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: 'draft' },
+            { status: 'sent', approvedBy: req.user._id, approvedAt: new Date() },
+            { new: true }
+        );
+        if (!purchaseOrder) {
+            throw new ApiError(409, 'Only draft purchase orders can be approved');
+        }
+        res.status(200).json({
+            success: true,
+            purchaseOrder,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Receive Goods
+// ==========================================
+
+/**
+ * ROUTE: POST /api/purchase-orders/:id/receive
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "items": [
+ *     { "product": "<productId>", "quantity": 10, "unitCost": 460 (optional, defaults to the order's unit cost) }
+ *   ],
+ *   "note": "First delivery, rest next week" (optional)
+ * }
+ *
+ * WHAT HAPPENS (all inside ONE MongoDB transaction):
+ * 1. Check every line belongs to the order and doesn't exceed what's still pending
+ * 2. Put the units in stock at the order's location ("restock" ledger movement) and update the product
+ *    cost with the weighted average (inventoryService.receiveStock), converted from
+ *    the order currency into the product currency at today's rate
+ * 3. Record the receipt and set the status:
+ *    everything arrived → received, otherwise → partially_received
+ *
+ * ERROR CASES:
+ * - Order not sent/partially received → 409
+ * - Product not on the order, or more units than pending → 400
+ * - No exchange rate between the order and product currencies → 400 NO_EXCHANGE_RATE
+ */
+exports.receivePurchaseOrder = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const { items, note } = req.body;
+
+        let purchaseOrder;
+        await session.withTransaction(async () => {
+            purchaseOrder = await findPurchaseOrder(req.params.id, session);
+            if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+                throw new ApiError(409, `Cannot receive a purchase order that is ${purchaseOrder.status}`);
+            }
+
+            const receiptItems = [];
+            for (const [index, line] of items.entries()) {
+                const quantity = Number(line.quantity);
+                const orderItem = purchaseOrder.items.find((item) => String(item.product) === String(line.product));
+                if (!orderItem) {
+                    throw new ApiError(400, `Item ${index + 1}: product is not on this purchase order`);
+                }
+                const pending = orderItem.quantityOrdered - orderItem.quantityReceived;
+                if (quantity > pending) {
+                    throw new ApiError(400, `Item ${index + 1}: only ${pending} unit(s) of ${orderItem.sku} are pending`);
+                }
+                const unitCost = line.unitCost === undefined ? orderItem.unitCost : Number(line.unitCost);
+
+                await receiveStock({
+                    product: orderItem.product,
+                    location: purchaseOrder.location,
+                    quantity,
+                    unitCost,
+                    currency: purchaseOrder.currency,
+                    user: req.user._id,
+                    reference: { model: 'PurchaseOrder', id: purchaseOrder._id },
+                    note: `Received on ${purchaseOrder.poNumber}`,
+                }, session);
+
+                orderItem.quantityReceived += quantity;
+                receiptItems.push({ product: orderItem.product, quantity, unitCost });
+            }
+
+            purchaseOrder.receipts.push({ receivedBy: req.user._id, items: receiptItems, note });
+            const complete = purchaseOrder.items.every((item) => item.quantityReceived >= item.quantityOrdered);
+            purchaseOrder.status = complete ? 'received' : 'partially_received';
+            await purchaseOrder.save({ session });
+        });
+
+        res.status(200).json({
+            success: true,
+            purchaseOrder,
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: Cancel
+// ==========================================
+
+/**
+ * ROUTE: POST /api/purchase-orders/:id/cancel
+ * ACCESS: admin
+ *
+ * PURPOSE: Stop expecting the remaining units
+ * Allowed from draft, sent and partially_received.
+ * Units already received stay in stock.
+ */
+exports.cancelPurchaseOrder = async (req, res, next) => {
+    try {
+        await findPurchaseOrder(req.params.id);
+        const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['draft', 'sent', 'partially_received'] } },
+            { status: 'cancelled', cancelledBy: req.user._id, cancelledAt: new Date() },
+            { new: true }
+        );
+        if (!purchaseOrder) {
+            throw new ApiError(409, 'This purchase order can no longer be cancelled');
+        }
+        res.status(200).json({
+            success: true,
+            purchaseOrder,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
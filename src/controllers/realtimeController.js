@@ -0,0 +1,173 @@
+const ApiError = require('../utils/ApiError.js');
+const { readInteger } = require('../utils/env.js');
+const { getEventBus } = require('../services/realtime/index.js');
+const { channelsFor, registerStream } = require('../services/realtimeService.js');
+const { verifyAccessToken } = require('../services/sessionService.js');
+
+/**
+ * CONFIG (environment variables):
+ * - REALTIME_HEARTBEAT_SECONDS: how often an idle stream gets a heartbeat (default 25)
+ * - REALTIME_RETRY_MS: how long the browser waits before reconnecting (default 5000)
+ */
+/**
+ * HELPER FUNCTION: Write Event
+ * One Server-Sent Event: "id" is what the browser sends back as Last-Event-ID
+ */
+const writeEvent = (res, event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+/**
+ * HELPER FUNCTION: Write Notice
+ * A control event without id (does not move the resume position)
+ */
+const writeNotice = (res, type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// ==========================================
+// CONTROLLER: Event Stream
+// ==========================================
+
+/**
+ * ROUTE: GET /api/realtime/events
+ * ACCESS: any authenticated user (Bearer header or ?access_token=)
+ *
+ * QUERY PARAMS:
+ * - ?channels=inventory,sales (optional, defaults to every channel the role may listen to)
+ * - ?lastEventId=<id> (optional, same as the Last-Event-ID header)
+ *
+ * PURPOSE: Push stock changes, low-stock alerts and new sales to the
+ * dashboard instead of polling (see realtimeService.js for the channels)
+ *
+ * HOW TO USE (browser):
+ * const events = new EventSource(`/api/realtime/events?access_token=${accessToken}`);
+ * events.addEventListener('stock.changed', (message) => { const event = JSON.parse(message.data); ... });
+ *
+ * WHAT THE STREAM SENDS (text/event-stream):
+ * 1. "ready" with the channels of this stream
+ * 2. After a reconnect (Last-Event-ID): the events missed meanwhile, or
+ *    "reset" when they are no longer available (reload the dashboard data)
+ * 3. Every new event of those channels:
+ *    id: m1x2y3z4-57
+ *    event: stock.changed
+ *    data: { "id": "m1x2y3z4-57", "channel": "inventory", "type": "stock.changed", "createdAt": "...", "data": { ... } }
+ * 4. A ": heartbeat" comment every REALTIME_HEARTBEAT_SECONDS so proxies keep the connection open
+ *
+ * EXPIRED TOKEN / LOGOUT:
+ * The session is checked again with every heartbeat. When the access token
+ * expired or the session was revoked, the stream gets "unauthorized" and is
+ * closed: refresh the token (POST /api/auth/refresh) and open a new stream
+ * with ?lastEventId set to the last id received, nothing is lost.
+ *
+ * SERVER SHUTDOWN:
+ * The stream gets "shutdown" and is closed, EventSource reconnects by itself
+ * (a restarted server no longer has the missed events: it answers "reset")
+ *
+ * ERROR CASES:
+ * - No or invalid token → 401 unauthorized
+ * - A channel the role may not listen to (e.g. "sales" as employee) → 403
+ */
+exports.streamEvents = async (req, res, next) => {
+    try {
+        const allowed = channelsFor(req.user);
+        let channels = allowed;
+        if (req.query.channels) {
+            channels = [...new Set(req.query.channels.split(','))];
+            const forbidden = channels.filter((channel) => !allowed.includes(channel));
+            if (forbidden.length > 0) {
+                throw new ApiError(403, `You may not listen to: ${forbidden.join(', ')}`);
+            }
+        }
+        const wanted = new Set(channels);
+        const bus = getEventBus();
+        const token = req.headers.authorization.split(' ')[1];
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+        res.write(`retry: ${readInteger('REALTIME_RETRY_MS', 5000)}\n\n`);
+        writeNotice(res, 'ready', { channels });
+
+        // Events published while the missed ones are replayed wait here, so none is lost or sent twice
+        let waiting = [];
+        const unsubscribe = bus.subscribe((event) => {
+            if (!wanted.has(event.channel)) {
+                return;
+            }
+            if (waiting) {
+                waiting.push(event);
+            } else {
+                writeEvent(res, event);
+            }
+        });
+
+        let closed = false;
+        let heartbeat = null;
+        let unregister = null;
+        const close = () => {
+            if (closed) {
+                return;
+            }
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            unregister();
+        };
+        res.on('close', close);
+        unregister = registerStream(() => {
+            if (closed) {
+                return;
+            }
+            writeNotice(res, 'shutdown', { message: 'Server is restarting, reconnecting' });
+            close();
+            res.end();
+        });
+
+        heartbeat = setInterval(async () => {
+            let auth = null;
+            try {
+                auth = await verifyAccessToken(token);
+            } catch (error) {
+                // Expired or invalid token: same as a revoked session
+            }
+            if (closed) {
+                return;
+            }
+            if (!auth) {
+                writeNotice(res, 'unauthorized', { message: 'Session expired or revoked, reconnect with a new access token' });
+                close();
+                res.end();
+                return;
+            }
+            res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+        }, readInteger('REALTIME_HEARTBEAT_SECONDS', 25) * 1000);
+
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        const replayed = new Set();
+        if (lastEventId) {
+            const missed = await bus.replay(lastEventId);
+            if (missed === null) {
+                writeNotice(res, 'reset', { message: 'Missed events are no longer available, reload the data' });
+            } else {
+                for (const event of missed) {
+                    replayed.add(event.id);
+                    if (wanted.has(event.channel) && !closed) {
+                        writeEvent(res, event);
+                    }
+                }
+            }
+        }
+        const live = waiting;
+        waiting = null;
+        if (!closed) {
+            live.filter((event) => !replayed.has(event.id)).forEach((event) => writeEvent(res, event));
+        }
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,318 @@
+const { toCsv } = require('../utils/csv.js');
+const { baseCurrency } = require('../utils/currency.js');
+const {
+    parseReportRange,
+    reportScope,
+    revenueReport,
+    topProductsReport,
+    grossMarginReport,
+    employeesReport,
+    basketSizeReport,
+    taxReport,
+} = require('../services/reportService.js');
+
+/**
+ * COMMON QUERY PARAMS (every report):
+ * - from / to: local days, both included (YYYY-MM-DD), default the last 30 days
+ * - timezone: IANA name, default BUSINESS_TIMEZONE (or UTC)
+ * - soldBy: user id, admin only (employees always get their own figures)
+ * - format: json (default) | csv
+ *
+ * Every JSON response has the same frame:
+ * {
+ *   "success": true,
+ *   "report": "revenue",
+ *   "range": { "from": "2026-03-01", "to": "2026-03-31", "timezone": "UTC" },
+ *   "previousRange": { "from": "2026-01-29", "to": "2026-02-28", "timezone": "UTC" },
+ *   "currency": "USD",
+ *   ...report figures
+ * }
+ * Money figures are integer minor units of "currency", the base currency:
+ * sales in other currencies are converted at the rate valid on the sale date.
+ * "change" values are percentages (null when the previous value was 0).
+ */
+
+/**
+ * HELPER FUNCTION: Read Report Context
+ * RETURNS: { range, scope, format } or throws ApiError(400)
+ * (?format is checked by validators/reports.js)
+ */
+const readContext = (req) => ({
+    range: parseReportRange(req.query),
+    scope: reportScope(req.user, req.query),
+    format: req.query.format || 'json',
+});
+
+/**
+ * HELPER FUNCTION: Send Report
+ *
+ * PURPOSE: Answer with JSON, or with a CSV download when ?format=csv
+ *
+ * INPUT:
+ * - name: report name (also used in the CSV file name)
+ * - data: report figures (JSON)
+ * - csv: { columns, rows } flat version of the same figures
+ */
+const sendReport = (res, { range, format }, name, data, csv) => {
+    const rangeInfo = (period) => ({ from: period.fromDay, to: period.toDay, timezone: range.timezone });
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename="report-${name}-${range.current.fromDay}_${range.current.toDay}.csv"`
+        );
+        return res.status(200).send(toCsv(csv.columns, csv.rows));
+    }
+    res.status(200).json({
+        success: true,
+        report: name,
+        range: rangeInfo(range.current),
+        previousRange: rangeInfo(range.previous),
+        currency: baseCurrency(),
+        ...data,
+    });
+};
+
+// ==========================================
+// CONTROLLER: Revenue
+// ==========================================
+
+/**
+ * ROUTE: GET /api/reports/revenue
+ * ACCESS: admin (all sales or ?soldBy), employee (own sales)
+ *
+ * EXTRA QUERY PARAMS: interval = day (default) | week (starts Monday) | month
+ *
+ * RESPONSE (Success - 200):
+ * {
+ *   ...,
+ *   "interval": "day",
+ *   "current": { "totals": { "revenue": 152040, "salesCount": 38, "averageTicket": 4001 }, "series": [{ "period": "2026-03-01", "revenue": 8050, "salesCount": 2 }] },
+ *   "previous": { "totals": { ... }, "series": [ ... ] },
+ *   "change": { "revenue": 12.5, "salesCount": -3.1, "averageTicket": 16.1 }
+ * }
+ *
+ * CSV COLUMNS: range (current/previous), period, revenue, salesCount
+ */
+exports.getRevenueReport = async (req, res, next) => {
+    try {
+        const context = readContext(req);
+        const data = await revenueReport({ ...context, interval: req.query.interval || 'day' });
+        const rows = ['current', 'previous'].flatMap((range) => data[range].series.map((row) => ({ range, ...row })));
+        sendReport(res, context, 'revenue', data, {
+            columns: [{ key: 'range' }, { key: 'period' }, { key: 'revenue' }, { key: 'salesCount' }],
+            rows,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Top Products
+// ==========================================
+
+/**
+ * ROUTE: GET /api/reports/top-products
+ * ACCESS: admin (all sales or ?soldBy), employee (own sales)
+ *
+ * EXTRA QUERY PARAMS:
+ * - by: quantity (default) | revenue
+ * - limit: how many products (default 10, max 100)
+ *
+ * Units are net of returns, revenue is unit price × units (before discount and tax)
+ *
+ * CSV COLUMNS: rank, sku, name, quantity, revenue, previousQuantity, previousRevenue
+ */
+exports.getTopProductsReport = async (req, res, next) => {
+    try {
+        const context = readContext(req);
+        const data = await topProductsReport({ ...context, by: req.query.by, limit: req.query.limit });
+        sendReport(res, context, 'top-products', data, {
+            columns: [
+                { key: 'rank' },
+                { key: 'sku' },
+                { key: 'name' },
+                { key: 'quantity' },
+                { key: 'revenue' },
+                { key: 'previousQuantity' },
+                { key: 'previousRevenue' },
+            ],
+            rows: data.products.map((row) => ({
+                ...row,
+                previousQuantity: row.previous.quantity,
+                previousRevenue: row.previous.revenue,
+            })),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Gross Margin
+// ==========================================
+
+/**
+ * ROUTE: GET /api/reports/gross-margin
+ * ACCESS: admin (all sales or ?soldBy), employee (own sales)
+ *
+ * Revenue after discounts and returns (tax excluded) minus the cost of the
+ * units sold, in total and per product category.
+ *
+ * CSV COLUMNS: range, category ("(all)" for the totals), revenue, cost, margin, marginPercent
+ */
+exports.getGrossMarginReport = async (req, res, next) => {
+    try {
+        const context = readContext(req);
+        const data = await grossMarginReport(context);
+        const rows = ['current', 'previous'].flatMap((range) => [
+            { range, category: '(all)', ...data[range].totals },
+            ...data[range].categories.map((row) => ({ range, ...row })),
+        ]);
+        sendReport(res, context, 'gross-margin', data, {
+            columns: [
+                { key: 'range' },
+                { key: 'category' },
+                { key: 'revenue' },
+                { key: 'cost' },
+                { key: 'margin' },
+                { key: 'marginPercent' },
+            ],
+            rows,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Sales Per Employee
+// ==========================================
+
+/**
+ * ROUTE: GET /api/reports/employees
+ * ACCESS: admin (every employee), employee (only their own row)
+ *
+ * CSV COLUMNS: name, email, salesCount, revenue, averageTicket, previousSalesCount, previousRevenue
+ */
+exports.getEmployeesReport = async (req, res, next) => {
+    try {
+        const context = readContext(req);
+        const data = await employeesReport(context);
+        sendReport(res, context, 'employees', data, {
+            columns: [
+                { key: 'name' },
+                { key: 'email' },
+                { key: 'salesCount' },
+                { key: 'revenue' },
+                { key: 'averageTicket' },
+                { key: 'previousSalesCount' },
+                { key: 'previousRevenue' },
+            ],
+            rows: data.employees.map((row) => ({
+                ...row,
+                previousSalesCount: row.previous.salesCount,
+                previousRevenue: row.previous.revenue,
+            })),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Basket Size
+// ==========================================
+
+/**
+ * ROUTE: GET /api/reports/basket-size
+ * ACCESS: admin (all sales or ?soldBy), employee (own sales)
+ *
+ * RESPONSE FIGURES: salesCount, averageUnits, averageLines (distinct products), averageValue
+ *
+ * CSV COLUMNS: range, salesCount, averageUnits, averageLines, averageValue
+ */
+exports.getBasketSizeReport = async (req, res, next) => {
+    try {
+        const context = readContext(req);
+        const data = await basketSizeReport(context);
+        sendReport(res, context, 'basket-size', data, {
+            columns: [
+                { key: 'range' },
+                { key: 'salesCount' },
+                { key: 'averageUnits' },
+                { key: 'averageLines' },
+                { key: 'averageValue' },
+            ],
+            rows: ['current', 'previous'].map((range) => ({ range, ...data[range] })),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Tax Summary
+// ==========================================
+
+/**
+ * ROUTE: GET /api/reports/tax
+ * ACCESS: admin (all sales or ?soldBy)
+ *
+ * PURPOSE: Figures for a tax filing period, per tax rate
+ * Pick the filing period with ?from and ?to (e.g. a quarter) and the timezone of the tax office.
+ *
+ * RESPONSE (Success - 200):
+ * {
+ *   ...,
+ *   "current": {
+ *     "totals": { "sales": { "taxableAmount": 100000, "tax": 14000 }, "returns": { ... }, "net": { ... } },
+ *     "rates": [{ "name": "VAT 16%", "rate": 0.16, "sales": { ... }, "returns": { ... }, "net": { ... } }]
+ *   },
+ *   "previous": { ... },
+ *   "change": { "taxableAmount": 4.2, "tax": 3.9 }
+ * }
+ * Returns count in the period they were refunded in, whatever the date of the sale.
+ * Sales made before tax rules existed are listed under "Sales tax" at their single rate.
+ *
+ * CSV COLUMNS: range, name, rate, salesTaxable, salesTax, returnsTaxable, returnsTax, netTaxable, netTax
+ * (name "(all)" for the totals)
+ */
+exports.getTaxReport = async (req, res, next) => {
+    try {
+        const context = readContext(req);
+        const data = await taxReport(context);
+        const flat = (range, row) => ({
+            range,
+            name: row.name,
+            rate: row.rate,
+            salesTaxable: row.sales.taxableAmount,
+            salesTax: row.sales.tax,
+            returnsTaxable: row.returns.taxableAmount,
+            returnsTax: row.returns.tax,
+            netTaxable: row.net.taxableAmount,
+            netTax: row.net.tax,
+        });
+        const rows = ['current', 'previous'].flatMap((range) => [
+            flat(range, { name: '(all)', rate: '', ...data[range].totals }),
+            ...data[range].rates.map((row) => flat(range, row)),
+        ]);
+        sendReport(res, context, 'tax', data, {
+            columns: [
+                { key: 'range' },
+                { key: 'name' },
+                { key: 'rate' },
+                { key: 'salesTaxable' },
+                { key: 'salesTax' },
+                { key: 'returnsTaxable' },
+                { key: 'returnsTax' },
+                { key: 'netTaxable' },
+                { key: 'netTax' },
+            ],
+            rows,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,656 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale.js');
+const Product = require('../models/Product.js');
+const Customer = require('../models/Customer.js');
+const SaleReturn = require('../models/SaleReturn.js');
+const ApiError = require('../utils/ApiError.js');
+const { calculateSaleTotals } = require('../services/pricingService.js');
+const { applyPromotions, recordRedemptions } = require('../services/promotionService.js');
+const { applyTaxRules } = require('../services/taxService.js');
+const { createConverter } = require('../services/exchangeRateService.js');
+const { resolveLocation, applyStockMovement } = require('../services/inventoryService.js');
+const { returnSaleItems, voidSale } = require('../services/returnService.js');
+const { ensureCreditNoteCounter, ensureCreditNotePdf } = require('../services/creditNoteService.js');
+const { publishSale } = require('../services/realtimeService.js');
+const { pointsEarnedFor, pointsValue, redeemPoints, earnPoints } = require('../services/loyaltyService.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+const { baseCurrency, isValidCurrency, formatMoney } = require('../utils/currency.js');
+
+/**
+ * HELPER FUNCTION: Normalize Sale Items
+ *
+ * PURPOSE: Validate the items sent by the client and merge repeated products
+ *
+ * ACCEPTED INPUT:
+ * [{ "product": "<productId>", "quantity": 2 }, ...]
+ *
+ * WHY MERGE?
+ * If the same product appears twice we must check stock against the combined
+ * quantity, otherwise two lines of 3 could pass a stock of 5.
+ *
+ * The list itself (not empty, valid ids, quantities >= 1) is checked by the
+ * route schemas in validators/sales.js
+ */
+const normalizeItems = (items) => {
+    const quantities = new Map();
+    items.forEach((item) => {
+        const key = String(item.product);
+        quantities.set(key, (quantities.get(key) || 0) + Number(item.quantity));
+    });
+    return [...quantities.entries()].map(([product, quantity]) => ({ product, quantity }));
+};
+
+/**
+ * HELPER FUNCTION: Read Pricing Input
+ *
+ * PURPOSE: The parts of the body that change the price of a sale
+ * - coupons: uppercase (codes are case-insensitive), without repeats
+ * - customerEmail: normalized like User.email ('' when missing)
+ * - customer: id of the customer record (null for anonymous sales)
+ * - loyaltyPoints: points the customer pays with (0 = none)
+ * - currency: the currency the customer pays in (defaults to BASE_CURRENCY)
+ * - discount: manual discount, admins only (a fixed value is in minor units of currency)
+ *
+ * WHY IS THE MANUAL DISCOUNT ADMIN ONLY?
+ * Employees discount through promotions and coupons, which have limits and
+ * are recorded per line; a free-form discount is an exception an admin makes.
+ *
+ * THROWS:
+ * - ApiError(403) if an employee sends a manual discount
+ * - ApiError(400) for a currency code that doesn't exist, or points without a customer
+ */
+const readPricingInput = (user, body) => {
+    if (body.discount !== undefined && body.discount !== null && user.role !== 'admin') {
+        throw new ApiError(403, 'Only admins can apply a manual discount, use a promotion or coupon instead');
+    }
+    const currency = body.currency || baseCurrency();
+    if (!isValidCurrency(currency)) {
+        throw new ApiError(400, `${currency} is not an ISO 4217 currency code`);
+    }
+    const loyaltyPoints = Number(body.loyaltyPoints) || 0;
+    if (loyaltyPoints > 0 && !body.customer) {
+        throw new ApiError(400, 'Loyalty points can only be redeemed by a customer, send "customer"');
+    }
+    return {
+        coupons: [...new Set((body.coupons || []).map((code) => code.trim().toUpperCase()))],
+        customerEmail: body.customerEmail ? body.customerEmail.trim().toLowerCase() : '',
+        customer: body.customer || null,
+        loyaltyPoints,
+        currency,
+        discount: body.discount,
+    };
+};
+
+/**
+ * HELPER FUNCTION: Load Customer
+ *
+ * PURPOSE: The customer record of a sale (null for anonymous sales)
+ * When no customerEmail was sent, pricing.customerEmail is set to the
+ * customer's email.
+ *
+ * PER-CUSTOMER PROMOTIONS count against pricing.promotionCustomer:
+ * "customer:<id>" with a customer record (a differently typed email can't
+ * get around the limit), the normalized customerEmail otherwise.
+ *
+ * THROWS:
+ * - ApiError(404) if the customer does not exist
+ * - ApiError(409) if the customer is inactive
+ */
+const loadCustomer = async (pricing) => {
+    pricing.promotionCustomer = pricing.customerEmail || null;
+    if (!pricing.customer) {
+        return null;
+    }
+    const customer = await Customer.findById(pricing.customer);
+    if (!customer) {
+        throw new ApiError(404, 'Customer not found');
+    }
+    if (!customer.isActive) {
+        throw new ApiError(409, `Customer ${customer.name} is inactive`);
+    }
+    if (!pricing.customerEmail) {
+        pricing.customerEmail = customer.email;
+    }
+    pricing.promotionCustomer = `customer:${customer._id}`;
+    return customer;
+};
+
+/**
+ * HELPER FUNCTION: Price Loyalty
+ *
+ * PURPOSE: What the redeemed points pay and what the sale earns
+ * (loyaltyService.js, amounts in minor units of the sale currency)
+ *
+ * RETURNS: { pointsRedeemed, redeemedAmount, pointsEarned }, or undefined without customer
+ * THROWS: ApiError(400) if the points are worth more than the total
+ */
+const priceLoyalty = async (customer, points, totals, converter) => {
+    if (!customer) {
+        return undefined;
+    }
+    const redeemedAmount = points > 0 ? await pointsValue(points, converter) : 0;
+    if (redeemedAmount > totals.total) {
+        throw new ApiError(400, `${points} points are worth ${formatMoney(redeemedAmount, totals.currency)}, more than the total of ${formatMoney(totals.total, totals.currency)}`);
+    }
+    return {
+        pointsRedeemed: points,
+        redeemedAmount,
+        pointsEarned: pointsEarnedFor(totals.total - redeemedAmount, totals.exchangeRate),
+    };
+};
+
+/**
+ * HELPER FUNCTION: Sale Line Of A Product
+ *
+ * PURPOSE: Snapshot of the product for a sale line, with its price and cost
+ * converted from the product currency into the sale currency (converter of
+ * exchangeRateService.createConverter)
+ */
+const saleLine = async (product, quantity, converter) => ({
+    product: product._id,
+    sku: product.sku,
+    name: product.name,
+    category: product.category,
+    quantity,
+    unitPrice: await converter.convert(product.price, product.currency),
+    priceIncludesTax: product.priceIncludesTax,
+    unitCost: await converter.convert(product.cost, product.currency),
+});
+
+/**
+ * HELPER FUNCTION: Price Sale Items
+ *
+ * PURPOSE: Same pricing for a real sale and a quote
+ * 1. Apply the promotions (promotionService.js)
+ * 2. Find the tax rule of every line for the sale location (taxService.js)
+ * 3. Calculate subtotal, discount, tax and total (pricingService.js)
+ * Lines come from saleLine(), already in the sale currency.
+ *
+ * RETURNS: { items, subtotal, discount, tax, taxIncluded, taxBreakdown, total, promotions, currency, exchangeRate }
+ */
+const priceSaleItems = async (saleItems, { coupons, promotionCustomer, discount }, location, converter, session) => {
+    const applied = await applyPromotions({
+        items: saleItems,
+        coupons,
+        customer: promotionCustomer,
+        converter,
+    }, session);
+    const taxedItems = await applyTaxRules(applied.items, location, session);
+    const totals = calculateSaleTotals({ items: taxedItems, discount });
+    return {
+        ...totals,
+        promotions: applied.promotions,
+        currency: converter.currency,
+        exchangeRate: converter.exchangeRate,
+    };
+};
+
+/**
+ * HELPER FUNCTION: Build Sale Filter
+ *
+ * PURPOSE: Restrict which sales the current user can see
+ * - employee → only sales where soldBy is themselves
+ * - admin → every sale (optionally filtered by ?soldBy=<userId>)
+ * Both can filter by date with ?from=2026-01-01&to=2026-01-31,
+ * by status with ?status=voided (completed, partially_returned, returned, voided),
+ * by currency with ?currency=EUR and by customer with ?customer=<customerId>
+ */
+const buildSaleFilter = (user, query) => {
+    const filter = {};
+    if (user.role !== 'admin') {
+        filter.soldBy = user._id;
+    } else if (query.soldBy && mongoose.isValidObjectId(query.soldBy)) {
+        filter.soldBy = query.soldBy;
+    }
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = new Date(query.from);
+        if (query.to) filter.createdAt.$lte = new Date(query.to);
+    }
+    if (query.status && Sale.schema.path('status').enumValues.includes(query.status)) {
+        filter.status = query.status;
+    }
+    if (query.currency) {
+        filter.currency = query.currency;
+    }
+    if (query.customer && mongoose.isValidObjectId(query.customer)) {
+        filter.customer = query.customer;
+    }
+    return filter;
+};
+
+/**
+ * HELPER FUNCTION: Render Credit Note PDF
+ * Best effort after the transaction: GET /api/credit-notes/:id/pdf renders it again if this fails
+ */
+const renderCreditNote = async (creditNote) => {
+    if (!creditNote) {
+        return;
+    }
+    try {
+        await ensureCreditNotePdf(creditNote);
+    } catch (error) {
+        console.error('Credit Note PDF Error:', error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Create Sale
+// ==========================================
+
+/**
+ * ROUTE: POST /api/sales
+ * ACCESS: admin, employee
+ *
+ * REQUEST BODY:
+ * {
+ *   "items": [
+ *     { "product": "65a1fd98f66d453210cde123", "quantity": 2 },
+ *     { "product": "65a1fd98f66d453210cde456", "quantity": 1 }
+ *   ],
+ *   "coupons": ["WELCOME5"] (optional),
+ *   "customerEmail": "ana@example.com" (optional, needed by per-customer promotions),
+ *   "customer": "65a1fd98f66d453210cde789" (optional, the customer record, see /api/customers),
+ *   "loyaltyPoints": 500 (optional, points of that customer to pay with),
+ *   "currency": "EUR" (optional, defaults to BASE_CURRENCY),
+ *   "discount": { "type": "percentage", "value": 10 } (optional, admin only),
+ *   "paymentMethod": "card" (optional, defaults to "cash"),
+ *   "notes": "..." (optional)
+ * }
+ *
+ * Any subtotal/tax/total sent by the client is IGNORED.
+ *
+ * WHAT HAPPENS (all inside ONE MongoDB transaction):
+ * 1. For each line, atomically decrement the stock at the seller's location
+ *    (User.defaultLocation, or the default location) and record a
+ *    "sale" movement in the inventory ledger (inventoryService.js)
+ * 2. Snapshot sku, name, category, current price and cost into the sale line,
+ *    converted into the sale currency with the exchange rates valid right now
+ *    (the rate of the sale currency is saved on the sale, see Sale.js)
+ * 3. Apply the automatic promotions and the coupons (promotionService.js),
+ *    recording on each line which promotions discounted it
+ * 4. Calculate subtotal, discount, tax per line (tax rules of the category
+ *    at the seller's location) and total (pricingService.js)
+ * 5. With a customer: pay with the loyalty points sent and earn points on
+ *    the rest of the total (loyaltyService.js)
+ * 6. Save the sale and count the promotion uses
+ * 7. Announce the sale and the new stock levels to the dashboards (once committed)
+ * If ANY step fails (e.g. one product is out of stock) the whole transaction
+ * is rolled back: no stock is changed and no sale is saved.
+ *
+ * NOTE: Transactions require MongoDB to run as a replica set (Atlas does by default)
+ *
+ * ERROR CASES:
+ * - Invalid items, discount or currency → 400 VALIDATION_ERROR
+ * - Coupon not valid or not applicable to this sale → 400 INVALID_COUPON
+ * - No exchange rate for the sale currency (or a product currency) → 400 NO_EXCHANGE_RATE
+ * - Loyalty points without a customer, or worth more than the total → 400
+ * - Manual discount sent by an employee → 403
+ * - Product or customer not found → 404
+ * - Not enough stock at the seller's location → 409
+ * - Customer inactive, or not enough loyalty points → 409
+ * - Seller's location is inactive → 409
+ * - A promotion reached its usage limit meanwhile → 409
+ */
+exports.createSale = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const { items, paymentMethod, notes } = req.body;
+        const pricing = readPricingInput(req.user, req.body);
+        const lines = normalizeItems(items);
+        const location = await resolveLocation(req.user.defaultLocation);
+        const customer = await loadCustomer(pricing);
+
+        // The id is needed by the ledger movements before the sale is saved
+        const saleId = new mongoose.Types.ObjectId();
+        let sale;
+        await session.withTransaction(async () => {
+            const converter = await createConverter(pricing.currency, new Date(), session);
+            const saleItems = [];
+            for (const line of lines) {
+                const { product } = await applyStockMovement({
+                    product: line.product,
+                    location: location._id,
+                    quantity: -line.quantity,
+                    type: 'sale',
+                    user: req.user._id,
+                    reference: { model: 'Sale', id: saleId },
+                }, session);
+                saleItems.push(await saleLine(product, line.quantity, converter));
+            }
+            const totals = await priceSaleItems(saleItems, pricing, location._id, converter, session);
+            const loyalty = await priceLoyalty(customer, pricing.loyaltyPoints, totals, converter);
+            [sale] = await Sale.create([{
+                _id: saleId,
+                ...totals,
+                customerEmail: pricing.customerEmail,
+                customer: customer ? customer._id : null,
+                loyalty,
+                location: location._id,
+                paymentMethod,
+                notes,
+                soldBy: req.user._id,
+            }], { session });
+            await recordRedemptions({
+                sale,
+                promotions: totals.promotions,
+                customer: pricing.promotionCustomer,
+            }, session);
+            if (customer) {
+                if (loyalty.pointsRedeemed > 0) {
+                    await redeemPoints({ customer: customer._id, points: loyalty.pointsRedeemed, sale: saleId, user: req.user._id }, session);
+                }
+                await earnPoints({ customer: customer._id, points: loyalty.pointsEarned, sale: saleId, user: req.user._id }, session);
+            }
+            publishSale('sale.created', sale, session);
+        });
+
+        res.status(201).json({
+            success: true,
+            sale,
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: Quote Sale
+// ==========================================
+
+/**
+ * ROUTE: POST /api/sales/quote
+ * ACCESS: admin, employee
+ *
+ * PURPOSE: Show the customer the price before charging them
+ * (e.g. to check a coupon at the till)
+ *
+ * REQUEST BODY: same as POST /api/sales
+ *
+ * WHAT HAPPENS:
+ * The sale is priced exactly like POST /api/sales (current prices, promotions,
+ * coupons, tax rules of the seller's location) but nothing is saved: no stock is taken and no promotion use
+ * is counted. Stock is not checked either, the real sale still can fail with 409.
+ *
+ * RESPONSE (200), amounts in minor units of the currency:
+ * {
+ *   "success": true,
+ *   "quote": {
+ *     "items": [{ "sku": "COF-001", "quantity": 3, "unitPrice": 400, "lineTotal": 1200, "discount": 400,
+ *                 "promotions": [{ "name": "Buy 2 get 1", "code": null, "amount": 400 }] }],
+ *     "subtotal": 1200, "discount": 400, "tax": 128, "taxIncluded": 0, "total": 928,
+ *     "taxBreakdown": [{ "name": "VAT 16%", "rate": 0.16, "taxableAmount": 800, "tax": 128 }],
+ *     "promotions": [{ "name": "Buy 2 get 1", "code": null, "amount": 400 }],
+ *     "currency": "USD",
+ *     "exchangeRate": { "baseCurrency": "USD", "rate": 1, "minorRate": 1, "effectiveFrom": null, "source": null },
+ *     "loyalty": { "pointsRedeemed": 500, "redeemedAmount": 500, "pointsEarned": 4, "balance": 1200 } (with a customer),
+ *     "amountDue": 428 (total - loyalty.redeemedAmount)
+ *   }
+ * }
+ *
+ * ERROR CASES: same as POST /api/sales, except stock (409)
+ */
+exports.quoteSale = async (req, res, next) => {
+    try {
+        const pricing = readPricingInput(req.user, req.body);
+        const lines = normalizeItems(req.body.items);
+        const location = await resolveLocation(req.user.defaultLocation);
+        const customer = await loadCustomer(pricing);
+        const products = await Product.find({
+            _id: { $in: lines.map((line) => line.product) },
+            isDeleted: false,
+        });
+        const converter = await createConverter(pricing.currency);
+        const saleItems = [];
+        for (const line of lines) {
+            const product = products.find((candidate) => String(candidate._id) === line.product);
+            if (!product) {
+                throw new ApiError(404, `Product ${line.product} not found`);
+            }
+            // The cost is not part of a quote shown at the till
+            const { unitCost, ...item } = await saleLine(product, line.quantity, converter);
+            saleItems.push(item);
+        }
+        const quote = await priceSaleItems(saleItems, pricing, location._id, converter);
+        const loyalty = await priceLoyalty(customer, pricing.loyaltyPoints, quote, converter);
+        if (loyalty) {
+            if (loyalty.pointsRedeemed > customer.loyaltyPoints) {
+                throw new ApiError(409, `Not enough loyalty points: ${customer.loyaltyPoints} available, ${loyalty.pointsRedeemed} requested`);
+            }
+            quote.loyalty = { ...loyalty, balance: customer.loyaltyPoints };
+        }
+        quote.amountDue = quote.total - (loyalty ? loyalty.redeemedAmount : 0);
+        res.status(200).json({
+            success: true,
+            quote,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Sales
+// ==========================================
+
+/**
+ * ROUTE: GET /api/sales
+ * ACCESS: admin (all sales), employee (own sales only)
+ *
+ * QUERY PARAMS (all optional):
+ * - from / to: ISO dates
+ * - status: completed | partially_returned | returned | voided
+ * - currency: ISO code the sales were made in (e.g. EUR)
+ * - customer: customer id
+ * - soldBy: user id (admin only)
+ * - page / limit: pagination
+ */
+exports.getSales = async (req, res, next) => {
+    try {
+        const pagination = getPagination(req.query);
+        const filter = buildSaleFilter(req.user, req.query);
+        const [sales, total] = await Promise.all([
+            Sale.find(filter)
+                .sort({ createdAt: -1, _id: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('soldBy', 'name email'),
+            Sale.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            sales,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Sale
+// ==========================================
+
+/**
+ * ROUTE: GET /api/sales/:id
+ * ACCESS: admin (any sale), employee (own sales only)
+ *
+ * WHY 404 (NOT 403) FOR ANOTHER EMPLOYEE'S SALE?
+ * We don't reveal that the sale exists at all
+ */
+exports.getSale = async (req, res, next) => {
+    try {
+        const filter = { ...buildSaleFilter(req.user, {}), _id: req.params.id };
+        const sale = await Sale.findOne(filter).populate('soldBy', 'name email');
+        if (!sale) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Sale not found',
+            });
+        }
+        res.status(200).json({
+            success: true,
+            sale,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Return Items Of A Sale
+// ==========================================
+
+/**
+ * ROUTE: POST /api/sales/:id/returns
+ * ACCESS: admin (any sale), employee (own sales only)
+ *
+ * REQUEST BODY:
+ * {
+ *   "items": [{ "product": "65a1fd98f66d453210cde123", "quantity": 1 }],
+ *   "refundMethod": "cash" | "card" | "transfer" | "store_credit" | "other",
+ *   "refundReference": "card refund #8841" (optional),
+ *   "reason": "Damaged packaging" (optional)
+ * }
+ *
+ * WHAT HAPPENS (all inside ONE MongoDB transaction, see services/returnService.js):
+ * 1. Check every product is in the sale and still has that many units to return
+ * 2. Put the units back in stock ("return" movements in the ledger)
+ * 3. Calculate the refund (share of discount and tax included) and save the return
+ * 4. Update the sale (quantityReturned, refundedTotal, status)
+ * 5. If the sale was invoiced, issue a credit note (CN-2026-000001) against the invoice
+ * The credit note PDF is rendered after the transaction.
+ *
+ * RESPONSE (Success - 201):
+ * { "success": true, "saleReturn": { ..., "total": 1856, "currency": "USD" }, "sale": { ..., "status": "partially_returned" }, "creditNote": { ... } | null }
+ *
+ * ERROR CASES:
+ * - Invalid items / refund method → 400 VALIDATION_ERROR
+ * - More units than can still be returned → 400
+ * - Sale not found (or another employee's sale) → 404
+ * - Sale voided or fully returned → 409
+ */
+exports.createSaleReturn = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const { refundMethod, refundReference, reason } = req.body;
+        const items = normalizeItems(req.body.items);
+
+        const issuedAt = new Date();
+        await ensureCreditNoteCounter(issuedAt);
+
+        let result;
+        await session.withTransaction(async () => {
+            result = await returnSaleItems({
+                filter: { ...buildSaleFilter(req.user, {}), _id: req.params.id },
+                items,
+                refundMethod,
+                refundReference,
+                reason,
+                user: req.user._id,
+                issuedAt,
+            }, session);
+        });
+        await renderCreditNote(result.creditNote);
+
+        res.status(201).json({
+            success: true,
+            saleReturn: result.saleReturn,
+            sale: result.sale,
+            creditNote: result.creditNote,
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Returns Of A Sale
+// ==========================================
+
+/**
+ * ROUTE: GET /api/sales/:id/returns
+ * ACCESS: admin (any sale), employee (own sales only)
+ *
+ * RESPONSE (Success - 200):
+ * { "success": true, "returns": [ ... oldest first ] }
+ */
+exports.getSaleReturns = async (req, res, next) => {
+    try {
+        const sale = await Sale.exists({ ...buildSaleFilter(req.user, {}), _id: req.params.id });
+        if (!sale) {
+            throw new ApiError(404, 'Sale not found');
+        }
+        const returns = await SaleReturn.find({ sale: req.params.id })
+            .sort({ createdAt: 1, _id: 1 })
+            .populate('createdBy', 'name email');
+        res.status(200).json({
+            success: true,
+            returns,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Void Sale
+// ==========================================
+
+/**
+ * ROUTE: POST /api/sales/:id/void
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "reason": "Rung up twice",
+ *   "refundMethod": "card" (optional, defaults to the payment method of the sale)
+ * }
+ *
+ * WHAT HAPPENS:
+ * The whole sale is cancelled: every unit goes back to stock, the full total
+ * is refunded, a credit note is issued if it was invoiced, and the sale stops
+ * counting as revenue. The sale document is kept (status "voided").
+ *
+ * ERROR CASES:
+ * - Missing reason / invalid refund method → 400 VALIDATION_ERROR
+ * - Sale not found → 404
+ * - Sale already has returns, is voided, or was not made today (BUSINESS_TIMEZONE) → 409
+ */
+exports.voidSale = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const { reason, refundMethod } = req.body;
+
+        const issuedAt = new Date();
+        await ensureCreditNoteCounter(issuedAt);
+
+        let result;
+        await session.withTransaction(async () => {
+            result = await voidSale({
+                filter: { _id: req.params.id },
+                reason: String(reason).trim(),
+                refundMethod,
+                user: req.user._id,
+                issuedAt,
+            }, session);
+        });
+        await renderCreditNote(result.creditNote);
+
+        res.status(200).json({
+            success: true,
+            sale: result.sale,
+            saleReturn: result.saleReturn,
+            creditNote: result.creditNote,
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+const escapeRegex = require('../utils/escapeRegex.js');
+
+/**
+ * FIELDS THAT CLIENTS MAY SET
+ */
+const EDITABLE_FIELDS = ['name', 'contactName', 'email', 'phone', 'address', 'taxId', 'notes', 'isActive'];
+
+const pickEditable = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    return data;
+};
+
+/**
+ * HELPER FUNCTION: Find Supplier Or Send 404
+ */
+const findSupplier = async (id, res) => {
+    const supplier = mongoose.isValidObjectId(id) ? await Supplier.findById(id) : null;
+    if (!supplier) {
+        res.status(404).json({
+            success: false,
+            code: 'NOT_FOUND',
+            message: 'Supplier not found',
+        });
+    }
+    return supplier;
+};
+
+// ==========================================
+// CONTROLLER: Create Supplier
+// ==========================================
+
+/**
+ * ROUTE: POST /api/suppliers
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "name": "Coffee Importers Ltd",
+ *   "contactName": "Ana Ruiz",
+ *   "email": "orders@coffeeimporters.com",
+ *   "phone": "+1 555 0100"
+ * }
+ */
+exports.createSupplier = async (req, res, next) => {
+    try {
+        const supplier = await Supplier.create(pickEditable(req.body));
+        res.status(201).json({
+            success: true,
+            supplier,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Suppliers
+// ==========================================
+
+/**
+ * ROUTE: GET /api/suppliers
+ * ACCESS: any authenticated user
+ *
+ * QUERY PARAMS: ?search (name/contact/email), ?active=true|false, ?page, ?limit
+ */
+exports.getSuppliers = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.search) {
+            const pattern = new RegExp(escapeRegex(String(req.query.search).trim()), 'i');
+            filter.$or = [{ name: pattern }, { contactName: pattern }, { email: pattern }];
+        }
+        if (req.query.active !== undefined) {
+            filter.isActive = req.query.active === 'true';
+        }
+        const pagination = getPagination(req.query);
+        const [suppliers, total] = await Promise.all([
+            Supplier.find(filter)
+                .sort({ name: 1, _id: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            Supplier.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            suppliers,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Supplier
+// ==========================================
+
+/**
+ * ROUTE: GET /api/suppliers/:id
+ * ACCESS: any authenticated user
+ */
+exports.getSupplier = async (req, res, next) => {
+    try {
+        const supplier = await findSupplier(req.params.id, res);
+        if (!supplier) {
+            return;
+        }
+        res.status(200).json({
+            success: true,
+            supplier,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Update Supplier
+// ==========================================
+
+/**
+ * ROUTE: PUT /api/suppliers/:id
+ * ACCESS: admin
+ *
+ * REQUEST BODY: Any of the editable fields (partial updates are allowed)
+ * Send "isActive": false to stop buying from a supplier
+ */
+exports.updateSupplier = async (req, res, next) => {
+    try {
+        const supplier = await findSupplier(req.params.id, res);
+        if (!supplier) {
+            return;
+        }
+        supplier.set(pickEditable(req.body));
+        await supplier.save();
+        res.status(200).json({
+            success: true,
+            supplier,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const TaxRule = require('../models/TaxRule.js');
+const Location = require('../models/Location.js');
+const ApiError = require('../utils/ApiError.js');
+const { findTaxRule } = require('../services/taxService.js');
+
+/**
+ * FIELDS THAT CLIENTS MAY SET
+ */
+const EDITABLE_FIELDS = ['name', 'category', 'location', 'rate', 'isActive'];
+
+const pickEditable = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    // Empty means "any": the default rule (no category) or every location
+    ['category', 'location'].forEach((field) => {
+        if (data[field] !== undefined && (data[field] === null || String(data[field]).trim() === '')) {
+            data[field] = null;
+        }
+    });
+    return data;
+};
+
+/**
+ * HELPER FUNCTION: Find Tax Rule Or Send 404
+ */
+const findRule = async (id, res) => {
+    const rule = mongoose.isValidObjectId(id) ? await TaxRule.findById(id) : null;
+    if (!rule) {
+        res.status(404).json({
+            success: false,
+            code: 'NOT_FOUND',
+            message: 'Tax rule not found',
+        });
+    }
+    return rule;
+};
+
+/**
+ * HELPER FUNCTION: Check Location
+ * THROWS: ApiError(404) when the rule points to a location that doesn't exist
+ */
+const checkLocation = async (location) => {
+    if (location && !(await Location.exists({ _id: location }))) {
+        throw new ApiError(404, 'Location not found');
+    }
+};
+
+/**
+ * HELPER FUNCTION: Save Error
+ * Two active rules for the same category and location would make the rate ambiguous
+ */
+const saveError = (error) => (error.code === 11000
+    ? new ApiError(409, 'An active tax rule already exists for this category and location', 'DUPLICATE_KEY')
+    : error);
+
+// ==========================================
+// CONTROLLER: Create Tax Rule
+// ==========================================
+
+/**
+ * ROUTE: POST /api/tax-rules
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "name": "Exempt",
+ *   "category": "groceries",   (optional, without category it is the default rule)
+ *   "location": "<locationId>", (optional, without location it applies everywhere)
+ *   "rate": 0                  (fraction: 0.16 = 16%)
+ * }
+ *
+ * Sales already made keep the rate they were sold with.
+ *
+ * ERROR CASES:
+ * - Invalid fields (rate above 1...) → 400 VALIDATION_ERROR
+ * - Location not found → 404
+ * - Another active rule for the same category and location → 409 DUPLICATE_KEY
+ */
+exports.createTaxRule = async (req, res, next) => {
+    try {
+        const data = pickEditable(req.body);
+        await checkLocation(data.location);
+        const taxRule = await TaxRule.create({ ...data, createdBy: req.user._id });
+        res.status(201).json({
+            success: true,
+            taxRule,
+        });
+    } catch (error) {
+        next(saveError(error));
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Tax Rules
+// ==========================================
+
+/**
+ * ROUTE: GET /api/tax-rules
+ * ACCESS: any authenticated user
+ *
+ * QUERY PARAMS: ?category, ?location, ?active=true|false
+ */
+exports.getTaxRules = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.category) {
+            filter.category = String(req.query.category).trim().toLowerCase();
+        }
+        if (req.query.location) {
+            filter.location = req.query.location;
+        }
+        if (req.query.active !== undefined) {
+            filter.isActive = req.query.active === 'true';
+        }
+        const taxRules = await TaxRule.find(filter)
+            .sort({ category: 1, location: 1, createdAt: -1 })
+            .populate('location', 'code name');
+        res.status(200).json({
+            success: true,
+            taxRules,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Resolve Tax Rule
+// ==========================================
+
+/**
+ * ROUTE: GET /api/tax-rules/resolve?category=groceries&location=<locationId>
+ * ACCESS: any authenticated user
+ *
+ * PURPOSE: Which rule a product of this category gets at this location
+ * (same matching as the till, see TaxRule.js)
+ *
+ * RESPONSE (200):
+ * { "success": true, "taxRule": { "_id": "..." | null, "name": "Exempt", "rate": 0 } }
+ * _id null → no rule matched, SALES_TAX_RATE applies
+ */
+exports.resolveTaxRule = async (req, res, next) => {
+    try {
+        const location = req.query.location || null;
+        const rules = await TaxRule.find({ isActive: true, location: { $in: [null, location] } });
+        const rule = findTaxRule(rules, String(req.query.category).trim().toLowerCase());
+        res.status(200).json({
+            success: true,
+            taxRule: { _id: rule._id, name: rule.name, rate: rule.rate },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Tax Rule
+// ==========================================
+
+/**
+ * ROUTE: GET /api/tax-rules/:id
+ * ACCESS: any authenticated user
+ */
+exports.getTaxRule = async (req, res, next) => {
+    try {
+        const taxRule = await findRule(req.params.id, res);
+        if (!taxRule) {
+            return;
+        }
+        res.status(200).json({
+            success: true,
+            taxRule,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Update Tax Rule
+// ==========================================
+
+/**
+ * ROUTE: PUT /api/tax-rules/:id
+ * ACCESS: admin
+ *
+ * REQUEST BODY: Any editable field, e.g. { "isActive": false } to stop using the rule
+ *
+ * WHY NO DELETE?
+ * Sales keep a reference to the rule they were taxed with. To change a rate
+ * from a date on, deactivate the old rule and create a new one.
+ *
+ * ERROR CASES: same as create, plus 404 when the rule doesn't exist
+ */
+exports.updateTaxRule = async (req, res, next) => {
+    try {
+        const taxRule = await findRule(req.params.id, res);
+        if (!taxRule) {
+            return;
+        }
+        const data = pickEditable(req.body);
+        await checkLocation(data.location);
+        taxRule.set(data);
+        await taxRule.save();
+        res.status(200).json({
+            success: true,
+            taxRule,
+        });
+    } catch (error) {
+        next(saveError(error));
+    }
+};
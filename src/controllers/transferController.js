@@ -0,0 +1,424 @@
+const mongoose = require('mongoose');
+const TransferOrder = require('../models/TransferOrder.js');
+const Product = require('../models/Product.js');
+const Counter = require('../models/Counter.js');
+const ApiError = require('../utils/ApiError.js');
+const { resolveLocation, applyStockMovement } = require('../services/inventoryService.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+/**
+ * HELPER FUNCTION: Visibility Filter
+ * - admin → every transfer
+ * - employee → transfers from or to their default location (none without one)
+ */
+const visibilityFilter = (user) => {
+    if (user.role === 'admin') {
+        return {};
+    }
+    if (!user.defaultLocation) {
+        return { _id: null };
+    }
+    return { $or: [{ from: user.defaultLocation }, { to: user.defaultLocation }] };
+};
+
+/**
+ * HELPER FUNCTION: Find Transfer
+ * THROWS: ApiError(404) if the id is invalid, the transfer doesn't exist or the user can't see it
+ */
+const findTransfer = async (user, id, session = null) => {
+    const transfer = mongoose.isValidObjectId(id)
+        ? await TransferOrder.findOne({ _id: id, ...visibilityFilter(user) }).session(session)
+        : null;
+    if (!transfer) {
+        throw new ApiError(404, 'Transfer not found');
+    }
+    return transfer;
+};
+
+/**
+ * HELPER FUNCTION: Build Transfer Items
+ *
+ * ACCEPTED INPUT (shape checked by validators/transfers.js):
+ * [{ "product": "<productId>", "quantity": 12 }]
+ *
+ * THROWS: ApiError(400) for an empty list or a product listed twice, ApiError(404) for unknown products
+ */
+const buildTransferItems = async (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ApiError(400, 'Please provide at least one item');
+    }
+    const seen = new Set();
+    const transferItems = [];
+    for (const [index, item] of items.entries()) {
+        const quantity = Number(item.quantity);
+        if (seen.has(String(item.product))) {
+            throw new ApiError(400, `Item ${index + 1}: product is listed twice`);
+        }
+        seen.add(String(item.product));
+        const product = await Product.findOne({ _id: item.product, isDeleted: false });
+        if (!product) {
+            throw new ApiError(404, `Item ${index + 1}: product not found`);
+        }
+        transferItems.push({ product: product._id, sku: product.sku, name: product.name, quantity });
+    }
+    return transferItems;
+};
+
+/**
+ * HELPER FUNCTION: Resolve Route
+ * THROWS: ApiError(400) if origin and destination are the same
+ * (and the resolveLocation errors: 404 unknown, 409 inactive)
+ */
+const resolveRoute = async (fromId, toId) => {
+    if (!fromId || !toId) {
+        throw new ApiError(400, 'Please provide both from and to locations');
+    }
+    const [from, to] = await Promise.all([resolveLocation(fromId), resolveLocation(toId)]);
+    if (from._id.equals(to._id)) {
+        throw new ApiError(400, 'Origin and destination must be different locations');
+    }
+    return { from, to };
+};
+
+// ==========================================
+// CONTROLLER: Create Transfer (draft)
+// ==========================================
+
+/**
+ * ROUTE: POST /api/transfers
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "from": "<locationId>",
+ *   "to": "<locationId>",
+ *   "items": [{ "product": "<productId>", "quantity": 12 }],
+ *   "notes": "Weekly shop refill" (optional)
+ * }
+ *
+ * Nothing moves yet: stock leaves the origin on POST /api/transfers/:id/dispatch
+ *
+ * RESPONSE (201): { "success": true, "transfer": { "transferNumber": "TR-2026-000007", "status": "draft", ... } }
+ */
+exports.createTransfer = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const { from, to } = await resolveRoute(req.body.from, req.body.to);
+        const items = await buildTransferItems(req.body.items);
+
+        const year = new Date().getUTCFullYear();
+        const counterName = `transfer-${year}`;
+        await Counter.ensure(counterName);
+
+        let transfer;
+        await session.withTransaction(async () => {
+            const sequence = await Counter.next(counterName, session);
+            [transfer] = await TransferOrder.create([{
+                transferNumber: TransferOrder.formatNumber(year, sequence),
+                from: from._id,
+                to: to._id,
+                items,
+                notes: req.body.notes,
+                createdBy: req.user._id,
+            }], { session });
+        });
+
+        res.status(201).json({
+            success: true,
+            transfer,
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Transfers
+// ==========================================
+
+/**
+ * ROUTE: GET /api/transfers
+ * ACCESS: admin (all), employee (from/to their default location)
+ *
+ * QUERY PARAMS: ?status, ?location (from OR to), ?page, ?limit
+ */
+exports.getTransfers = async (req, res, next) => {
+    try {
+        const filter = { ...visibilityFilter(req.user) };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        if (req.query.location) {
+            filter.$and = [{ $or: [{ from: req.query.location }, { to: req.query.location }] }];
+        }
+        const pagination = getPagination(req.query);
+        const [transfers, total] = await Promise.all([
+            TransferOrder.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit)
+                .populate('from to', 'code name'),
+            TransferOrder.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            transfers,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single Transfer
+// ==========================================
+
+/**
+ * ROUTE: GET /api/transfers/:id
+ * ACCESS: admin (any), employee (from/to their default location)
+ */
+exports.getTransfer = async (req, res, next) => {
+    try {
+        const transfer = await findTransfer(req.user, req.params.id);
+        await transfer.populate('from to', 'code name type');
+        res.status(200).json({
+            success: true,
+            transfer,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Update Draft
+// ==========================================
+
+/**
+ * ROUTE: PUT /api/transfers/:id
+ * ACCESS: admin
+ *
+ * PURPOSE: Change from, to, items or notes while the transfer is a draft
+ *
+ * ERROR CASES:
+ * - Transfer is not a draft anymore → 409
+ */
+exports.updateTransfer = async (req, res, next) => {
+    try {
+        const transfer = await findTransfer(req.user, req.params.id);
+        if (transfer.status !== 'draft') {
+            throw new ApiError(409, 'Only draft transfers can be edited');
+        }
+        if (req.body.from !== undefined || req.body.to !== undefined) {
+            const { from, to } = await resolveRoute(req.body.from || transfer.from, req.body.to || transfer.to);
+            transfer.from = from._id;
+            transfer.to = to._id;
+        }
+        if (req.body.items !== undefined) {
+            transfer.items = await buildTransferItems(req.body.items);
+        }
+        if (req.body.notes !== undefined) {
+            transfer.notes = req.body.notes;
+        }
+        await transfer.save();
+        res.status(200).json({
+            success: true,
+            transfer,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Dispatch (draft → in_transit)
+// ==========================================
+
+/**
+ * ROUTE: POST /api/transfers/:id/dispatch
+ * ACCESS: admin
+ *
+ * WHAT HAPPENS (all inside ONE MongoDB transaction):
+ * 1. Every line leaves the origin: negative "transfer" movement in the ledger
+ * 2. Status becomes in_transit
+ * If the origin doesn't have enough of ANY product, nothing moves (409).
+ *
+ * WHY CHECK THE STATUS INSIDE THE TRANSACTION?
+ * Two admins dispatching at once both load "draft", but only one commit can
+ * win: the other one gets a write conflict, is retried, and then sees in_transit.
+ */
+exports.dispatchTransfer = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const existing = await findTransfer(req.user, req.params.id);
+        // Both locations must still be active (resolveLocation throws otherwise)
+        await resolveRoute(existing.from, existing.to);
+
+        let transfer;
+        await session.withTransaction(async () => {
+            transfer = await findTransfer(req.user, req.params.id, session);
+            if (transfer.status !== 'draft') {
+                throw new ApiError(409, `Cannot dispatch a transfer that is ${transfer.status}`);
+            }
+            for (const item of transfer.items) {
+                await applyStockMovement({
+                    product: item.product,
+                    location: transfer.from,
+                    quantity: -item.quantity,
+                    type: 'transfer',
+                    user: req.user._id,
+                    reference: { model: 'TransferOrder', id: transfer._id },
+                    note: `Dispatched on ${transfer.transferNumber}`,
+                }, session);
+            }
+            transfer.status = 'in_transit';
+            transfer.dispatchedBy = req.user._id;
+            transfer.dispatchedAt = new Date();
+            await transfer.save({ session });
+        });
+
+        res.status(200).json({
+            success: true,
+            transfer,
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: Receive (in_transit → received)
+// ==========================================
+
+/**
+ * ROUTE: POST /api/transfers/:id/receive
+ * ACCESS: admin, or an employee whose default location is the destination
+ *
+ * REQUEST BODY (optional):
+ * {
+ *   "items": [{ "product": "<productId>", "quantity": 11 }],  (units counted on arrival)
+ *   "note": "One box crushed"
+ * }
+ * Without items, every dispatched unit is received.
+ * Lines left out of "items" count as fully received.
+ *
+ * WHAT HAPPENS (all inside ONE MongoDB transaction):
+ * 1. Every dispatched unit enters the destination: positive "transfer" movement
+ * 2. Units that didn't arrive are written off there: negative "write_off"
+ *    movement with a note naming the transfer
+ * 3. Status becomes received
+ *
+ * WHY A WRITE-OFF?
+ * Lost units already left the origin, so the stock would add up without it,
+ * but the movement history and reconcileStock would show no reason for the
+ * loss. Booking them in and out keeps the destination stock at the counted
+ * units and says where the others went (quantityReceived < quantity on the transfer).
+ *
+ * ERROR CASES:
+ * - Transfer not in transit → 409
+ * - Product not on the transfer, or more units than dispatched → 400
+ * - Employee not assigned to the destination → 403
+ */
+exports.receiveTransfer = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const existing = await findTransfer(req.user, req.params.id);
+        if (req.user.role !== 'admin' && !existing.to.equals(req.user.defaultLocation)) {
+            throw new ApiError(403, 'Only staff of the destination location can receive this transfer');
+        }
+        const counted = new Map();
+        (req.body.items || []).forEach((line) => {
+            counted.set(String(line.product), Number(line.quantity));
+        });
+
+        let transfer;
+        await session.withTransaction(async () => {
+            transfer = await findTransfer(req.user, req.params.id, session);
+            if (transfer.status !== 'in_transit') {
+                throw new ApiError(409, `Cannot receive a transfer that is ${transfer.status}`);
+            }
+            const unknown = [...counted.keys()].find((productId) => !transfer.items.some((item) => String(item.product) === productId));
+            if (unknown) {
+                throw new ApiError(400, `Product ${unknown} is not on this transfer`);
+            }
+            for (const item of transfer.items) {
+                const quantity = counted.has(String(item.product)) ? counted.get(String(item.product)) : item.quantity;
+                if (quantity > item.quantity) {
+                    throw new ApiError(400, `Only ${item.quantity} unit(s) of ${item.sku} were dispatched`);
+                }
+                await applyStockMovement({
+                    product: item.product,
+                    location: transfer.to,
+                    quantity: item.quantity,
+                    type: 'transfer',
+                    user: req.user._id,
+                    reference: { model: 'TransferOrder', id: transfer._id },
+                    note: `Received on ${transfer.transferNumber}`,
+                }, session);
+                const missing = item.quantity - quantity;
+                if (missing > 0) {
+                    await applyStockMovement({
+                        product: item.product,
+                        location: transfer.to,
+                        quantity: -missing,
+                        type: 'write_off',
+                        user: req.user._id,
+                        reference: { model: 'TransferOrder', id: transfer._id },
+                        note: `Lost in transit on ${transfer.transferNumber}: ${missing} of ${item.quantity} unit(s) did not arrive`,
+                    }, session);
+                }
+                item.quantityReceived = quantity;
+            }
+            transfer.status = 'received';
+            transfer.receivedBy = req.user._id;
+            transfer.receivedAt = new Date();
+            transfer.receiveNote = req.body.note || '';
+            await transfer.save({ session });
+        });
+
+        res.status(200).json({
+            success: true,
+            transfer,
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// ==========================================
+// CONTROLLER: Cancel (draft → cancelled)
+// ==========================================
+
+/**
+ * ROUTE: POST /api/transfers/:id/cancel
+ * ACCESS: admin
+ *
+ * Only drafts can be cancelled: once dispatched the units are on the way
+ * and have to be received (with the real count) at the destination.
+ */
+exports.cancelTransfer = async (req, res, next) => {
+    try {
+        await findTransfer(req.user, req.params.id);
+        const transfer = await TransferOrder.findOneAndUpdate(
+            { _id: req.params.id, status: 'draft' },
+            { status: 'cancelled', cancelledBy: req.user._id, cancelledAt: new Date() },
+            { new: true }
+        );
+        if (!transfer) {
+            throw new ApiError(409, 'Only draft transfers can be cancelled');
+        }
+        res.status(200).json({
+            success: true,
+            transfer,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const { recordAudit } = require('../services/auditService.js');
+const { revokeUserSessions } = require('../services/sessionService.js');
+const { resetLoginLimits } = require('../middleware/rateLimit.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+const escapeRegex = require('../utils/escapeRegex.js');
+
+/**
+ * AUDIT LOG
+ * Role changes, deactivations and reactivations are user updates, so the audit
+ * plugin (models/plugins/audit.js) records them with the before/after values.
+ */
+
+/**
+ * HELPER FUNCTION: Find User Or Send 404
+ */
+const findUser = async (id, res) => {
+    const user = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            code: 'NOT_FOUND',
+            message: 'User not found',
+        });
+    }
+    return user;
+};
+
+/**
+ * HELPER FUNCTION: Refuse Self
+ *
+ * WHY?
+ * An admin demoting or deactivating themselves could leave the shop without
+ * any admin. Because the caller is always an active admin, refusing changes
+ * to yourself is enough to guarantee at least one admin remains.
+ *
+ * RETURNS: true when the 400 response was sent
+ */
+const refuseSelf = (req, res, user, action) => {
+    if (!user._id.equals(req.user._id)) {
+        return false;
+    }
+    res.status(400).json({
+        success: false,
+        code: 'BAD_REQUEST',
+        message: `You cannot ${action} your own account`,
+    });
+    return true;
+};
+
+// ==========================================
+// CONTROLLER: List Users
+// ==========================================
+
+/**
+ * ROUTE: GET /api/users
+ * ACCESS: admin only
+ *
+ * QUERY PARAMS: ?search (name/email), ?role=admin|employee, ?active=true|false, ?page, ?limit
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "users": [{ "_id": "...", "name": "Ana", "email": "ana@example.com", "role": "employee", "isActive": true, ... }],
+ *   "pagination": { ... }
+ * }
+ */
+exports.getUsers = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.search) {
+            const pattern = new RegExp(escapeRegex(String(req.query.search).trim()), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+        if (req.query.role) {
+            filter.role = req.query.role;
+        }
+        if (req.query.active !== undefined) {
+            // Users created before isActive existed have no value stored: they are active
+            filter.isActive = req.query.active === 'true' ? { $ne: false } : false;
+        }
+        const pagination = getPagination(req.query);
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .sort({ name: 1, _id: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            User.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            users,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Get Single User
+// ==========================================
+
+/**
+ * ROUTE: GET /api/users/:id
+ * ACCESS: admin only
+ */
+exports.getUser = async (req, res, next) => {
+    try {
+        const user = await findUser(req.params.id, res);
+        if (!user) {
+            return;
+        }
+        res.status(200).json({
+            success: true,
+            user,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Change Role
+// ==========================================
+
+/**
+ * ROUTE: PATCH /api/users/:id/role
+ * ACCESS: admin only
+ *
+ * REQUEST BODY:
+ * { "role": "admin" }
+ *
+ * WHEN DOES IT APPLY?
+ * Right away for access tokens (protect loads the user on every request).
+ * Sessions remember the role at login, so the user's next refresh fails and
+ * they log in again with the new role (see sessionService.rotateRefreshToken).
+ *
+ * ERROR CASES:
+ * - Missing or unknown role → 400 VALIDATION_ERROR
+ * - Changing your own role → 400
+ * - User not found → 404
+ */
+exports.changeUserRole = async (req, res, next) => {
+    try {
+        const user = await findUser(req.params.id, res);
+        if (!user || refuseSelf(req, res, user, 'change the role of')) {
+            return;
+        }
+        user.role = req.body.role;
+        await user.save();
+        res.status(200).json({
+            success: true,
+            user,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Deactivate User
+// ==========================================
+
+/**
+ * ROUTE: POST /api/users/:id/deactivate
+ * ACCESS: admin only
+ *
+ * PURPOSE: Block a departing employee without deleting their history
+ *
+ * WHAT HAPPENS:
+ * 1. Mark the user inactive (login, refresh and access tokens stop working)
+ * 2. Revoke every session, so they are logged out everywhere right now
+ *
+ * RESPONSE (200):
+ * { "success": true, "user": { ... }, "revokedSessions": 2 }
+ *
+ * ERROR CASES:
+ * - Deactivating yourself → 400
+ * - User not found → 404
+ * - Already deactivated → 409
+ */
+exports.deactivateUser = async (req, res, next) => {
+    try {
+        const user = await findUser(req.params.id, res);
+        if (!user || refuseSelf(req, res, user, 'deactivate')) {
+            return;
+        }
+        if (!user.isActive) {
+            return res.status(409).json({
+                success: false,
+                code: 'CONFLICT',
+                message: 'User is already deactivated',
+            });
+        }
+        user.isActive = false;
+        user.deactivatedAt = new Date();
+        await user.save();
+        const revokedSessions = await revokeUserSessions(user._id, 'user_deactivated');
+        res.status(200).json({
+            success: true,
+            user,
+            revokedSessions,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Reactivate User
+// ==========================================
+
+/**
+ * ROUTE: POST /api/users/:id/reactivate
+ * ACCESS: admin only
+ *
+ * PURPOSE: Let a deactivated user log in again (with their old password)
+ *
+ * ERROR CASES:
+ * - User not found → 404
+ * - User is active → 409
+ */
+exports.reactivateUser = async (req, res, next) => {
+    try {
+        const user = await findUser(req.params.id, res);
+        if (!user) {
+            return;
+        }
+        if (user.isActive) {
+            return res.status(409).json({
+                success: false,
+                code: 'CONFLICT',
+                message: 'User is already active',
+            });
+        }
+        user.isActive = true;
+        user.deactivatedAt = null;
+        await user.save();
+        res.status(200).json({
+            success: true,
+            user,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Unlock User
+// ==========================================
+
+/**
+ * ROUTE: POST /api/users/:id/unlock
+ * ACCESS: admin only
+ *
+ * PURPOSE: End a login lockout before it expires (e.g. the employee calls the office)
+ *
+ * WHAT HAPPENS:
+ * 1. Clear the failed attempts counter and the lock (User.clearFailedLogins)
+ * 2. Clear the login rate limit and progressive delay counters of the email
+ * 3. Record auth.account_unlocked in the audit log
+ *
+ * RESPONSE (200):
+ * { "success": true, "message": "Account unlocked", "wasLocked": true }
+ *
+ * ERROR CASES:
+ * - Invalid id → 400 VALIDATION_ERROR
+ * - User not found → 404
+ */
+exports.unlockUser = async (req, res, next) => {
+    try {
+        const user = await findUser(req.params.id, res);
+        if (!user) {
+            return;
+        }
+        const wasLocked = user.isLocked();
+        await User.clearFailedLogins(user._id);
+        await resetLoginLimits(user.email);
+        await recordAudit({
+            action: 'auth.account_unlocked',
+            targetModel: 'User',
+            targetId: user._id,
+            metadata: { wasLocked },
+        });
+        res.status(200).json({
+            success: true,
+            message: 'Account unlocked',
+            wasLocked,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
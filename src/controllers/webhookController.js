@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook.js');
+const WebhookDelivery = require('../models/WebhookDelivery.js');
+const { generateSecret } = require('../services/webhookService.js');
+const { getPagination, buildPaginationMeta } = require('../utils/pagination.js');
+
+/**
+ * HELPER FUNCTION: Find Webhook Or Send 404
+ */
+const findWebhook = async (id, res) => {
+    const webhook = mongoose.isValidObjectId(id) ? await Webhook.findById(id) : null;
+    if (!webhook) {
+        res.status(404).json({
+            success: false,
+            code: 'NOT_FOUND',
+            message: 'Webhook not found',
+        });
+    }
+    return webhook;
+};
+
+// ==========================================
+// CONTROLLER: Register Webhook
+// ==========================================
+
+/**
+ * ROUTE: POST /api/webhooks
+ * ACCESS: admin
+ *
+ * REQUEST BODY:
+ * {
+ *   "url": "https://example.com/hooks/istd",
+ *   "events": ["alert.raised", "alert.resolved"] (optional, that's the default),
+ *   "description": "Purchasing team Slack bridge" (optional)
+ * }
+ *
+ * RESPONSE (201):
+ * { "success": true, "webhook": { ... }, "secret": "whsec_..." }
+ *
+ * IMPORTANT: The secret is only returned HERE. Store it on the receiver to verify signatures.
+ */
+exports.createWebhook = async (req, res, next) => {
+    try {
+        const { url, events, description } = req.body;
+        const secret = generateSecret();
+        const webhook = await Webhook.create({
+            url,
+            events,
+            description,
+            secret,
+            createdBy: req.user._id,
+        });
+        const data = webhook.toObject();
+        delete data.secret;
+        res.status(201).json({
+            success: true,
+            webhook: data,
+            secret,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: List Webhooks
+// ==========================================
+
+/**
+ * ROUTE: GET /api/webhooks
+ * ACCESS: admin
+ */
+exports.getWebhooks = async (req, res, next) => {
+    try {
+        const webhooks = await Webhook.find().sort({ createdAt: -1 });
+        res.status(200).json({
+            success: true,
+            webhooks,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Update Webhook
+// ==========================================
+
+/**
+ * ROUTE: PATCH /api/webhooks/:id
+ * ACCESS: admin
+ *
+ * REQUEST BODY (any of): { "url": "...", "events": [...], "description": "...", "active": false }
+ */
+exports.updateWebhook = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id, res);
+        if (!webhook) {
+            return;
+        }
+        ['url', 'events', 'description', 'active'].forEach((field) => {
+            if (req.body[field] !== undefined) {
+                webhook[field] = req.body[field];
+            }
+        });
+        await webhook.save();
+        res.status(200).json({
+            success: true,
+            webhook,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Delete Webhook
+// ==========================================
+
+/**
+ * ROUTE: DELETE /api/webhooks/:id
+ * ACCESS: admin
+ *
+ * Pending deliveries of this webhook are marked failed by the dispatcher
+ * the next time it picks them up.
+ */
+exports.deleteWebhook = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id, res);
+        if (!webhook) {
+            return;
+        }
+        await webhook.deleteOne();
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Send Test Event
+// ==========================================
+
+/**
+ * ROUTE: POST /api/webhooks/:id/test
+ * ACCESS: admin
+ *
+ * PURPOSE: Queue a "webhook.test" event for this webhook only,
+ * to check the receiver and its signature verification
+ *
+ * RESPONSE (202): { "success": true, "delivery": { ... } }
+ */
+exports.testWebhook = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id, res);
+        if (!webhook) {
+            return;
+        }
+        const deliveryId = new mongoose.Types.ObjectId();
+        const delivery = await WebhookDelivery.create({
+            _id: deliveryId,
+            webhook: webhook._id,
+            event: 'webhook.test',
+            payload: {
+                id: String(deliveryId),
+                event: 'webhook.test',
+                createdAt: new Date().toISOString(),
+                data: { message: 'Test event from I.S.T.D PRO', webhook: String(webhook._id) },
+            },
+        });
+        res.status(202).json({
+            success: true,
+            delivery,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==========================================
+// CONTROLLER: Delivery Log
+// ==========================================
+
+/**
+ * ROUTE: GET /api/webhooks/:id/deliveries
+ * ACCESS: admin
+ *
+ * QUERY PARAMS: ?status=pending|succeeded|failed, ?page, ?limit
+ *
+ * RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "deliveries": [{ "event": "alert.raised", "status": "succeeded", "attempts": 2,
+ *                    "log": [{ "attemptedAt": "...", "statusCode": 500, "error": "...", "durationMs": 120 }, ...] }],
+ *   "pagination": { ... }
+ * }
+ */
+exports.getDeliveries = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id, res);
+        if (!webhook) {
+            return;
+        }
+        const filter = { webhook: webhook._id };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        const pagination = getPagination(req.query);
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            WebhookDelivery.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            deliveries,
+            pagination: buildPaginationMeta(pagination, total),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
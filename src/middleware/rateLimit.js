@@ -0,0 +1,176 @@
+const ApiError = require('../utils/ApiError.js');
+const { getStore } = require('../services/rateLimit/index.js');
+const { readRefreshTokenSession } = require('../services/sessionService.js');
+
+const MINUTE_MS = 60 * 1000;
+
+// ==========================================
+// MIDDLEWARE FACTORY: Rate Limit
+// ==========================================
+
+/**
+ * FUNCTION: rateLimit({ name, windowMs, max, key, message })
+ *
+ * PURPOSE: Refuse a client that sends more than `max` requests per window
+ *
+ * HOW TO USE:
+ * const limiter = rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE_MS, max: 20, key: (req) => req.ip });
+ * router.post('/login', limiter, login);
+ *
+ * OPTIONS:
+ * - name: prefix of the counter key, so two limiters never share counters
+ * - key(req): what is counted (IP, email...). Returning null skips the limiter
+ * - message: text of the 429 response
+ *
+ * WHAT HAPPENS:
+ * 1. Count the hit in the rate limit store (services/rateLimit/index.js)
+ * 2. Over the limit → 429 TOO_MANY_REQUESTS with a Retry-After header (seconds)
+ *
+ * WHY FAIL OPEN?
+ * If the store is down we log the error and let the request through:
+ * locking everybody out of login would be worse than a few unthrottled requests
+ */
+const rateLimit = ({ name, windowMs, max, key, message = 'Too many requests, please try again later' }) => {
+    return async (req, res, next) => {
+        const id = key(req);
+        if (!id) {
+            return next();
+        }
+        let hit;
+        try {
+            hit = await getStore().increment(`${name}:${id}`, windowMs);
+        } catch (error) {
+            console.error('Rate Limit Error:', error);
+            return next();
+        }
+        if (hit.count > max) {
+            const retryAfter = Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 1);
+            res.set('Retry-After', String(retryAfter));
+            return next(new ApiError(429, message));
+        }
+        next();
+    };
+};
+
+// ==========================================
+// KEYS
+// ==========================================
+
+/**
+ * KEY: Client IP
+ * Behind a proxy or load balancer set TRUST_PROXY (see app.js),
+ * otherwise every request seems to come from the proxy
+ */
+const clientIp = (req) => req.ip || null;
+
+/**
+ * KEY: Email in the body (login, register)
+ * Normalized like User.email, so "Ana@x.com" and "ana@x.com " share one counter
+ */
+const bodyEmail = (req) => {
+    const email = req.body && req.body.email;
+    return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+/**
+ * KEY: User of the refresh token
+ * Only tokens signed by us count, so nobody can use up another user's limit with made-up tokens
+ */
+const refreshTokenUser = (req) => {
+    const token = req.body && req.body.refreshToken;
+    const owner = typeof token === 'string' ? readRefreshTokenSession(token) : null;
+    return owner ? String(owner.userId) : null;
+};
+
+// ==========================================
+// AUTH LIMITERS (routes/auth.js)
+// ==========================================
+
+/**
+ * LIMITS:
+ * | Route     | Per IP          | Per account       |
+ * | login     | 20 / 15 minutes | 10 / 15 minutes   |
+ * | register  | 10 / hour       | 3 / hour (email)  |
+ * | refresh   | 60 / 15 minutes | 30 / 15 minutes   |
+ * | forgot-password     | 10 / hour | 3 / hour (email) |
+ * | resend-verification | 10 / hour | 3 / hour (email) |
+ *
+ * The per-account limits count unknown emails too, so a 429 never tells
+ * whether an email is registered. The email routes are limited so nobody can
+ * flood an inbox or use up the mail provider's quota. Accounts are also locked after repeated
+ * wrong passwords (User.registerFailedLogin).
+ */
+const loginRateLimit = [
+    rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE_MS, max: 20, key: clientIp, message: 'Too many login attempts, please try again later' }),
+    rateLimit({ name: 'login-account', windowMs: 15 * MINUTE_MS, max: 10, key: bodyEmail, message: 'Too many login attempts, please try again later' }),
+];
+
+const registerRateLimit = [
+    rateLimit({ name: 'register-ip', windowMs: 60 * MINUTE_MS, max: 10, key: clientIp, message: 'Too many sign ups, please try again later' }),
+    rateLimit({ name: 'register-account', windowMs: 60 * MINUTE_MS, max: 3, key: bodyEmail, message: 'Too many sign ups, please try again later' }),
+];
+
+/**
+ * HELPER FUNCTION: Email Rate Limit
+ * PURPOSE: The limiters of a route that sends an email to the address in the body
+ */
+const emailRateLimit = (name) => [
+    rateLimit({ name: `${name}-ip`, windowMs: 60 * MINUTE_MS, max: 10, key: clientIp, message: 'Too many emails requested, please try again later' }),
+    rateLimit({ name: `${name}-account`, windowMs: 60 * MINUTE_MS, max: 3, key: bodyEmail, message: 'Too many emails requested, please try again later' }),
+];
+
+const forgotPasswordRateLimit = emailRateLimit('forgot-password');
+const resendVerificationRateLimit = emailRateLimit('resend-verification');
+
+const refreshRateLimit = [
+    rateLimit({ name: 'refresh-ip', windowMs: 15 * MINUTE_MS, max: 60, key: clientIp }),
+    rateLimit({ name: 'refresh-account', windowMs: 15 * MINUTE_MS, max: 30, key: refreshTokenUser }),
+];
+
+/**
+ * PASSWORD CHECK LIMIT (profile email change, password change)
+ * A stolen access token must not become a way to guess the current password:
+ * 10 checks per user per 15 minutes
+ */
+const passwordCheckRateLimit = rateLimit({
+    name: 'password-check',
+    windowMs: 15 * MINUTE_MS,
+    max: 10,
+    key: (req) => (req.user ? String(req.user._id) : null),
+    message: 'Too many password checks, please try again later',
+});
+
+/**
+ * FUNCTION: loginFailureKey(email)
+ * PURPOSE: Store key of the "failures in a row" counter behind the progressive login delay
+ * (authController.js counts and clears it)
+ */
+const loginFailureKey = (email) => `login-failures:${email}`;
+
+/**
+ * FUNCTION: resetLoginLimits(email)
+ * PURPOSE: Give an email a clean slate (used when an admin unlocks the account)
+ * Store errors are logged, never thrown: the unlock itself already happened
+ */
+const resetLoginLimits = async (email) => {
+    try {
+        await Promise.all([
+            getStore().reset(`login-account:${email}`),
+            getStore().reset(loginFailureKey(email)),
+        ]);
+    } catch (error) {
+        console.error('Rate Limit Error:', error);
+    }
+};
+
+module.exports = {
+    rateLimit,
+    loginRateLimit,
+    registerRateLimit,
+    refreshRateLimit,
+    forgotPasswordRateLimit,
+    resendVerificationRateLimit,
+    passwordCheckRateLimit,
+    loginFailureKey,
+    resetLoginLimits,
+};
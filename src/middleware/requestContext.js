@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext.js');
+
+/**
+ * ACCEPTED INCOMING REQUEST IDS
+ * A proxy or the frontend may send its own X-Request-Id so logs can be
+ * matched end to end. Anything unusual is replaced by our own id.
+ */
+const REQUEST_ID_PATTERN = /^[\w\-.:]{1,128}$/;
+
+// ==========================================
+// MIDDLEWARE: Request Context
+// ==========================================
+
+/**
+ * FUNCTION: requestContext
+ *
+ * PURPOSE: Give every request an id and open its context (utils/requestContext.js)
+ *
+ * WHAT HAPPENS:
+ * 1. Reuse X-Request-Id if the caller sent a sensible one, otherwise generate a UUID
+ * 2. Send it back in the X-Request-Id response header (quote it when reporting a problem)
+ * 3. Run the rest of the request inside a context with the id, IP and user agent
+ *    (protect adds the user once the token is verified)
+ *
+ * HOW TO USE: app.use(requestContext) BEFORE the routes
+ */
+exports.requestContext = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    runWithContext({
+        requestId,
+        ip: req.ip || '',
+        userAgent: (req.get('user-agent') || '').slice(0, 300),
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        user: null,
+    }, next);
+};
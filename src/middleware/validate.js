@@ -0,0 +1,200 @@
+const ApiError = require('../utils/ApiError.js');
+
+/**
+ * REQUEST VALIDATION
+ *
+ * PURPOSE: Describe what a route accepts instead of writing
+ * "if (!name || !email || !password)" in every controller
+ *
+ * HOW TO USE (schemas live in src/validators/, one file per resource):
+ * router.post('/register', validate(registerSchema), optionalAuth, register);
+ *
+ * SCHEMA FORMAT: { body, params, query }, each a map of field → rule
+ * {
+ *   body: {
+ *     email: { type: 'email', required: true },
+ *     quantity: { type: 'integer', min: 1 },
+ *     items: { type: 'array', required: true, minLength: 1, items: {
+ *         type: 'object', fields: { product: { type: 'objectId', required: true } },
+ *     } },
+ *   },
+ *   params: { id: { type: 'objectId', required: true } },
+ * }
+ *
+ * RULE OPTIONS:
+ * - type: string | number | integer | boolean | objectId | email | date | array | object | any
+ * - required: the field must be present (null and '' count as missing)
+ * - nullable: null is accepted (e.g. "reorderPoint": null to clear it)
+ * - enum: list of accepted values
+ * - min / max: for numbers
+ * - minLength / maxLength: for strings (after trimming) and arrays
+ * - pattern: RegExp a string must match
+ * - items: rule for every element of an array
+ * - fields: rules for the properties of an object
+ *
+ * WHAT IT DOES NOT DO:
+ * - Change the request: controllers still read req.body/req.query as sent
+ *   (query and params are strings, "5" is accepted where a number is expected)
+ * - Reject unknown fields: controllers pick the fields they use
+ * - Business rules (enough stock, allowed status change...): those stay in the services
+ *
+ * ON FAILURE: 400 VALIDATION_ERROR with every problem found (see utils/errorResponse.js)
+ * { "location": "body", "field": "items[0].quantity", "code": "too_small", "message": "items[0].quantity must be at least 1" }
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * HELPER FUNCTION: Is Missing?
+ */
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * HELPER FUNCTION: Read Number
+ * Numbers may arrive as strings (query string, form data): "12.5" → 12.5
+ * RETURNS: The number, or NaN if it isn't one
+ */
+const readNumber = (value) => {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+        return Number(value);
+    }
+    return NaN;
+};
+
+/**
+ * HELPER FUNCTION: Check Type
+ * RETURNS: null when the value has the right type, otherwise the expected type description
+ */
+const checkType = (rule, value) => {
+    switch (rule.type) {
+        case 'string':
+            return typeof value === 'string' ? null : 'a string';
+        case 'email':
+            return typeof value === 'string' && EMAIL_PATTERN.test(value.trim()) ? null : 'a valid email address';
+        case 'number':
+            return Number.isFinite(readNumber(value)) ? null : 'a number';
+        case 'integer':
+            return Number.isInteger(readNumber(value)) ? null : 'a whole number';
+        case 'boolean':
+            return typeof value === 'boolean' || value === 'true' || value === 'false' ? null : 'true or false';
+        case 'objectId':
+            return typeof value === 'string' && OBJECT_ID_PATTERN.test(value) ? null : 'a valid id';
+        case 'date':
+            return (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime()) ? null : 'a valid date';
+        case 'array':
+            return Array.isArray(value) ? null : 'a list';
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : 'an object';
+        default:
+            return null;
+    }
+};
+
+// ==========================================
+// FUNCTION: Validate One Value
+// ==========================================
+
+/**
+ * FUNCTION: validateValue(rule, value, field, location, errors)
+ * PURPOSE: Check one value against its rule and push every problem into errors
+ * (arrays and objects are checked recursively)
+ */
+const validateValue = (rule, value, field, location, errors) => {
+    const fail = (code, message) => errors.push({ location, field, code, message: `${field} ${message}` });
+
+    if (value === null && rule.nullable) {
+        return;
+    }
+    if (isMissing(value)) {
+        if (rule.required) {
+            fail('required', 'is required');
+        }
+        return;
+    }
+    const expected = checkType(rule, value);
+    if (expected) {
+        fail('invalid_type', `must be ${expected}`);
+        return;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        fail('invalid_enum', `must be one of: ${rule.enum.join(', ')}`);
+        return;
+    }
+    if (rule.type === 'number' || rule.type === 'integer') {
+        const number = readNumber(value);
+        if (rule.min !== undefined && number < rule.min) {
+            fail('too_small', `must be at least ${rule.min}`);
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            fail('too_large', `must be at most ${rule.max}`);
+        }
+    }
+    if (typeof value === 'string' || Array.isArray(value)) {
+        const length = typeof value === 'string' ? value.trim().length : value.length;
+        const unit = typeof value === 'string' ? 'characters' : 'items';
+        if (rule.minLength !== undefined && length < rule.minLength) {
+            fail('too_short', `must have at least ${rule.minLength} ${unit}`);
+        }
+        if (rule.maxLength !== undefined && length > rule.maxLength) {
+            fail('too_long', `must have at most ${rule.maxLength} ${unit}`);
+        }
+    }
+    if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+        fail('invalid_format', rule.patternMessage || 'has an invalid format');
+    }
+    if (rule.type === 'array' && rule.items) {
+        value.forEach((item, index) => validateValue(rule.items, item, `${field}[${index}]`, location, errors));
+    }
+    if (rule.type === 'object' && rule.fields) {
+        validateFields(rule.fields, value, `${field}.`, location, errors);
+    }
+};
+
+/**
+ * FUNCTION: validateFields(fields, source, prefix, location, errors)
+ * PURPOSE: Check every declared field of an object
+ */
+const validateFields = (fields, source, prefix, location, errors) => {
+    Object.entries(fields).forEach(([name, rule]) => {
+        validateValue(rule, source ? source[name] : undefined, `${prefix}${name}`, location, errors);
+    });
+};
+
+// ==========================================
+// MIDDLEWARE: validate(schema)
+// ==========================================
+
+/**
+ * FUNCTION: validate(schema)
+ *
+ * RETURNS: A middleware that checks req.params, req.query and req.body
+ * against the schema and passes a 400 ApiError to the error handler on failure
+ */
+const validate = (schema) => (req, res, next) => {
+    const errors = [];
+    LOCATIONS.forEach((location) => {
+        if (!schema[location]) {
+            return;
+        }
+        // No body at all (e.g. POST /:id/approve without JSON) is the same as {}
+        const source = location === 'body' && req.body === undefined ? {} : req[location];
+        if (location === 'body' && (source === null || typeof source !== 'object' || Array.isArray(source))) {
+            errors.push({ location, field: 'body', code: 'invalid_type', message: 'Request body must be a JSON object' });
+            return;
+        }
+        validateFields(schema[location], source, '', location, errors);
+    });
+    if (errors.length > 0) {
+        return next(new ApiError(400, 'Request validation failed', 'VALIDATION_ERROR', errors));
+    }
+    next();
+};
+
+module.exports = {
+    validate,
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * AI CACHE SCHEMA
+ *
+ * PURPOSE: Remember the answer to an identical AI prompt
+ *
+ * WHY?
+ * Remote AI providers charge per request. When the same task is asked with
+ * exactly the same input (same product data, same period...) we return the
+ * stored answer instead of calling the provider again.
+ *
+ * key = sha256(provider + task + input) - see services/ai/index.js
+ */
+const aiCacheSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    provider: {
+        type: String,
+        required: true,
+    },
+    task: {
+        type: String,
+        required: true,
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    /**
+     * EXPIRES AT:
+     * MongoDB's TTL monitor deletes the document after this date
+     * (expireAfterSeconds: 0 means "exactly at expiresAt")
+     */
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+},
+    {
+        timestamps: true,
+        // Cache entries are not business data
+        audit: false,
+    }
+);
+
+aiCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AiCache', aiCacheSchema);
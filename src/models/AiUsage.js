@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * AI USAGE SCHEMA
+ *
+ * PURPOSE: Count how many AI requests each user made per day (quota)
+ *
+ * ONE DOCUMENT PER USER PER DAY:
+ * { user: <id>, day: '2026-03-14', count: 12 }
+ */
+const aiUsageSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    day: {
+        type: String,
+        required: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+},
+    {
+        timestamps: true,
+        // Usage counters change on every AI call
+        audit: false,
+    }
+);
+
+aiUsageSchema.index({ user: 1, day: 1 }, { unique: true });
+
+// ==========================================
+// STATIC: Consume One Request From The Quota
+// ==========================================
+
+/**
+ * FUNCTION: AiUsage.consume(userId, limit)
+ *
+ * PURPOSE: Atomically add 1 to today's counter, but only while it's below the limit
+ *
+ * HOW IT STAYS ATOMIC:
+ * The filter { count: { $lt: limit } } and the $inc are ONE operation.
+ * When the user is already at the limit the filter doesn't match, so the
+ * upsert tries to insert a second document for the same user/day and the
+ * unique index rejects it (E11000). That error means "quota exceeded".
+ *
+ * LIMIT 0 (or negative): AI is switched off, nothing is counted. Checked
+ * before the upsert: with no document for today yet, the upsert would insert
+ * one with count 1 and allow the request.
+ *
+ * RETURNS: { allowed: true, used, limit } or { allowed: false, used: limit, limit }
+ */
+aiUsageSchema.statics.consume = async function (userId, limit) {
+    if (!(limit > 0)) {
+        return { allowed: false, used: 0, limit };
+    }
+    const day = new Date().toISOString().slice(0, 10);
+    try {
+        const usage = await this.findOneAndUpdate(
+            { user: userId, day, count: { $lt: limit } },
+            { $inc: { count: 1 } },
+            { new: true, upsert: true }
+        );
+        return { allowed: true, used: usage.count, limit };
+    } catch (error) {
+        if (error.code === 11000) {
+            return { allowed: false, used: limit, limit };
+        }
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('AiUsage', aiUsageSchema);
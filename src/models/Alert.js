@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * ALERT SCHEMA
+ *
+ * PURPOSE: Tell admins that a product needs restocking
+ *
+ * LIFECYCLE:
+ * open → acknowledged (an admin saw it) → resolved (stock went back above the reorder point)
+ * An alert can also go straight from open to resolved.
+ *
+ * ONE ACTIVE ALERT PER PRODUCT:
+ * "active" is true until the alert is resolved. A partial unique index makes
+ * sure a product never has two active alerts, even with concurrent sales.
+ */
+const alertSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    /**
+     * TYPE:
+     * - low_stock: stock is at or below the reorder point
+     * - out_of_stock: stock reached zero
+     */
+    type: {
+        type: String,
+        enum: ['low_stock', 'out_of_stock'],
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['open', 'acknowledged', 'resolved'],
+        default: 'open',
+    },
+    active: {
+        type: Boolean,
+        default: true,
+    },
+    /**
+     * SNAPSHOT: Product figures when the alert was raised / last updated
+     */
+    sku: { type: String, required: true },
+    name: { type: String, required: true },
+    stock: { type: Number, required: true },
+    reorderPoint: { type: Number, required: true },
+    reorderQuantity: { type: Number, default: 0 },
+    acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    acknowledgedAt: {
+        type: Date,
+        default: null,
+    },
+    resolvedAt: {
+        type: Date,
+        default: null,
+    },
+},
+    { timestamps: true }
+);
+
+alertSchema.index({ product: 1 }, { unique: true, partialFilterExpression: { active: true } });
+alertSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
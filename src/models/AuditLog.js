@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+/**
+ * AUDIT LOG SCHEMA
+ *
+ * PURPOSE: Who did what, to which document, when and from where
+ * Used for loss-prevention investigations (e.g. "who changed this price?")
+ *
+ * WHERE ENTRIES COME FROM:
+ * - Automatically: every create/update/delete of any model goes through the
+ *   audit plugin (models/plugins/audit.js), unless the model opts out
+ * - Explicitly: auth events that don't change a document in a meaningful way
+ *   (login, failed login, logout...) via services/auditService.js
+ *
+ * APPEND-ONLY: Entries are never edited or deleted (guard below)
+ */
+const auditLogSchema = new mongoose.Schema({
+    /**
+     * ACTOR: The user who did it (null for anonymous requests and background jobs)
+     * actorRole is copied because the user's role can change later
+     */
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    actorRole: {
+        type: String,
+        default: null,
+    },
+    /**
+     * ACTION: "<target>.<verb>" in lowercase
+     * EXAMPLES: product.update, sale.create, auth.login, auth.login_failed
+     */
+    action: {
+        type: String,
+        required: true,
+    },
+    /**
+     * TARGET: The document affected (targetId null for bulk operations and failed logins)
+     */
+    targetModel: {
+        type: String,
+        default: null,
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    /**
+     * CHANGES: Only the fields that changed
+     * { "price": { "before": 1850, "after": 1500 } }
+     * Secrets (passwords, token hashes, webhook secrets) are shown as "[REDACTED]"
+     */
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    /**
+     * METADATA: Extra facts about the action (e.g. the email of a failed login,
+     * or the filter of a bulk update)
+     */
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    /**
+     * REQUEST CONTEXT: Copied from the request that caused the action
+     * (see middleware/requestContext.js). Empty for background jobs.
+     */
+    requestId: { type: String, default: null },
+    ip: { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    method: { type: String, default: null },
+    path: { type: String, default: null },
+},
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        // The audit log doesn't audit itself
+        audit: false,
+    }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+/**
+ * APPEND-ONLY GUARD
+ * Block every update/delete query on the audit log
+ */
+const APPEND_ONLY_ERROR = 'Audit log entries are append-only';
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function () {
+    throw new Error(APPEND_ONLY_ERROR);
+});
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) {
+        throw new Error(APPEND_ONLY_ERROR);
+    }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
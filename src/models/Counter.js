@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * COUNTER SCHEMA
+ *
+ * PURPOSE: Hand out sequential numbers (invoice numbers, credit note numbers...)
+ * and keep counts that must not go over a limit (promotion uses per customer)
+ *
+ * ONE DOCUMENT PER SEQUENCE:
+ * { _id: 'invoice-2026', seq: 123 }
+ *
+ * WHY A SEPARATE COLLECTION?
+ * Counting existing invoices (countDocuments + 1) breaks under concurrency:
+ * two requests read the same count and produce the same number.
+ * $inc on a single document is atomic in MongoDB.
+ */
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true,
+    },
+    seq: {
+        type: Number,
+        default: 0,
+    },
+},
+    // Every invoice/credit note number would add an entry: the documents using it are audited instead
+    { audit: false }
+);
+
+// ==========================================
+// STATIC: Next Sequence Value
+// ==========================================
+
+/**
+ * FUNCTION: Counter.next(name, session)
+ *
+ * PURPOSE: Atomically increment a counter and return the new value
+ *
+ * GAP-FREE NUMBERING:
+ * Always call this with the SAME session/transaction that saves the document
+ * using the number. If the transaction aborts, the increment is rolled back
+ * too, so no number is ever skipped. Concurrent transactions touching the same
+ * counter get a write conflict and are retried by session.withTransaction().
+ *
+ * WHY ensure() FIRST?
+ * The very first number of a sequence (e.g. the first invoice of a new year)
+ * has to create the counter document. Two transactions upserting the same _id
+ * at once can fail with a duplicate key error, which withTransaction() does
+ * not retry. So we create the document OUTSIDE the transaction (ignoring the
+ * harmless race) and only $inc it inside.
+ *
+ * EXAMPLE:
+ * await Counter.ensure('invoice-2026');
+ * const seq = await Counter.next('invoice-2026', session); // 1, 2, 3...
+ */
+counterSchema.statics.ensure = async function (name) {
+    try {
+        await this.updateOne({ _id: name }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+counterSchema.statics.next = async function (name, session) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, session }
+    );
+    if (!counter) {
+        throw new Error(`Counter '${name}' does not exist, call Counter.ensure() first`);
+    }
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
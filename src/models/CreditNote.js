@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * CREDIT NOTE SCHEMA
+ *
+ * PURPOSE: Correct an invoice after a return or a void
+ *
+ * WHY NOT EDIT THE INVOICE?
+ * Once issued, an invoice is a legal document and must never change.
+ * A credit note is a NEW document, with its own sequential number
+ * (CN-<year>-<6 digits>, gap-free like invoices), that subtracts an amount
+ * from the original invoice.
+ */
+const creditNoteSchema = new mongoose.Schema({
+    creditNoteNumber: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    year: {
+        type: Number,
+        required: true,
+    },
+    sequence: {
+        type: Number,
+        required: true,
+    },
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        required: true,
+    },
+    sale: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale',
+        required: true,
+    },
+    saleReturn: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SaleReturn',
+        required: true,
+    },
+    soldBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    reason: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    items: [{
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        sku: String,
+        name: String,
+        quantity: Number,
+        unitPrice: Number,
+        lineTotal: Number,
+    }],
+    /**
+     * MONEY: Copied from the sale return, integer minor units of the sale currency
+     */
+    currency: { type: String, required: true },
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    taxIncluded: { type: Number, default: 0 },
+    taxBreakdown: [{
+        _id: false,
+        name: String,
+        rate: Number,
+        taxableAmount: Number,
+        tax: Number,
+    }],
+    total: { type: Number, required: true },
+    issuedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    pdfKey: {
+        type: String,
+        default: null,
+    },
+    pdfUrl: {
+        type: String,
+        default: null,
+    },
+},
+    { timestamps: true }
+);
+
+creditNoteSchema.index({ year: 1, sequence: 1 }, { unique: true });
+creditNoteSchema.index({ invoice: 1 });
+
+/**
+ * FUNCTION: CreditNote.formatNumber(year, sequence)
+ * EXAMPLE: CreditNote.formatNumber(2026, 7) → "CN-2026-000007"
+ */
+creditNoteSchema.statics.formatNumber = function (year, sequence) {
+    return `CN-${year}-${String(sequence).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
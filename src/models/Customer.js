@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * CUSTOMER SCHEMA
+ * This defines the structure of the Customer document in MongoDB
+ * Customers are the people we sell to. A sale MAY name its customer (see
+ * Sale.js); anonymous sales stay possible.
+ *
+ * FINDING A CUSTOMER AT THE REGISTER:
+ * By email or by phone. Phones are typed in many ways ("+1 (555) 010-0100",
+ * "5550100100"), so the digits are also kept in phoneDigits and searches
+ * compare digits only (see customerController.getCustomers).
+ */
+const customerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a customer name'],
+        trim: true,
+        maxlength: [200, 'Name cannot be longer than 200 characters'],
+    },
+    /**
+     * EMAIL: Unique when present (two customers can't share one)
+     */
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+        match: [/^$|^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email address'],
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    /**
+     * PHONE DIGITS: The phone without spaces, signs or brackets (set automatically)
+     */
+    phoneDigits: {
+        type: String,
+        default: '',
+    },
+    taxId: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    /**
+     * LOYALTY POINTS: Current balance (points not redeemed or expired yet)
+     *
+     * RULE: Only changed by services/loyaltyService.js, together with a
+     * LoyaltyTransaction (like Product.stock and the stock ledger)
+     */
+    loyaltyPoints: {
+        type: Number,
+        default: 0,
+        min: [0, 'Loyalty points cannot be negative'],
+    },
+    /**
+     * IS ACTIVE:
+     * false = no new sales for this customer (kept for the old ones)
+     */
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+},
+    { timestamps: true }
+);
+
+customerSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $gt: '' } } });
+customerSchema.index({ phoneDigits: 1 });
+customerSchema.index({ name: 1 });
+
+/**
+ * STATIC: Customer.phoneDigits(phone)
+ * RETURNS: Only the digits of a phone number ("+1 (555) 010-0100" → "15550100100")
+ */
+customerSchema.statics.phoneDigits = function (phone) {
+    return String(phone || '').replace(/\D/g, '');
+};
+
+/**
+ * VALIDATION: A customer must be reachable
+ * Without email or phone there is no way to find them again at the register
+ */
+customerSchema.pre('validate', function () {
+    this.phoneDigits = this.constructor.phoneDigits(this.phone);
+    if (!this.email && !this.phone) {
+        this.invalidate('email', 'Please provide an email or a phone number');
+    }
+});
+
+module.exports = mongoose.model('Customer', customerSchema);
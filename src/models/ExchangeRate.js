@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+const { isValidCurrency } = require('../utils/currency.js');
+
+/**
+ * EXCHANGE RATE SCHEMA
+ *
+ * PURPOSE: What one unit of a foreign currency is worth in the base currency,
+ * from a date on (BASE_CURRENCY, see utils/currency.js)
+ *
+ * HOW A RATE IS CHOSEN (services/exchangeRateService.js):
+ * the rate of the currency with the latest effectiveFrom that is not after
+ * the moment of the sale. Rates are never edited: a new rate with a later
+ * effectiveFrom replaces the previous one from that moment on, so old sales
+ * and reports keep the rate that was valid when they happened.
+ *
+ * EXAMPLES (base USD):
+ * - { currency: 'EUR', rate: 1.08, effectiveFrom: 2026-03-01 } → 1 EUR = 1.08 USD
+ * - { currency: 'JPY', rate: 0.0067, effectiveFrom: 2026-03-01 } → 1 JPY = 0.0067 USD
+ */
+const exchangeRateSchema = new mongoose.Schema({
+    /**
+     * CURRENCY: ISO 4217 code of the foreign currency (uppercase)
+     */
+    currency: {
+        type: String,
+        required: [true, 'Please provide a currency'],
+        trim: true,
+        uppercase: true,
+        validate: {
+            validator: isValidCurrency,
+            message: '{VALUE} is not an ISO 4217 currency code',
+        },
+    },
+    /**
+     * BASE CURRENCY: The currency the rate is quoted in
+     * Rates quoted against another base (BASE_CURRENCY was changed) are ignored
+     */
+    baseCurrency: {
+        type: String,
+        required: true,
+        uppercase: true,
+    },
+    /**
+     * RATE: Base currency units per 1 unit of currency (not minor units)
+     */
+    rate: {
+        type: Number,
+        required: [true, 'Please provide a rate'],
+        min: [Number.MIN_VALUE, 'Rate must be greater than 0'],
+    },
+    /**
+     * EFFECTIVE FROM: The rate applies to sales made at or after this moment
+     */
+    effectiveFrom: {
+        type: Date,
+        required: [true, 'Please provide the date the rate is effective from'],
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Note cannot be longer than 200 characters'],
+        default: '',
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+},
+    { timestamps: true }
+);
+
+/**
+ * ONE RATE PER CURRENCY AND MOMENT
+ * Also the index used to find the rate valid at a date
+ */
+exchangeRateSchema.index({ baseCurrency: 1, currency: 1, effectiveFrom: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
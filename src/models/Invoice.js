@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * INVOICE SCHEMA
+ * This defines the structure of the Invoice document in MongoDB
+ * An invoice is issued from exactly ONE sale and can't be edited afterwards
+ */
+const invoiceSchema = new mongoose.Schema({
+    /**
+     * INVOICE NUMBER:
+     * FORMAT: INV-<year>-<6 digit sequence> (e.g. INV-2026-000123)
+     * Sequential and gap-free per year (see Counter.js)
+     */
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    year: {
+        type: Number,
+        required: true,
+    },
+    sequence: {
+        type: Number,
+        required: true,
+    },
+    /**
+     * SALE REFERENCE:
+     * UNIQUE: One invoice per sale
+     */
+    sale: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale',
+        required: true,
+        unique: true,
+    },
+    /**
+     * SOLD BY: Copied from the sale so employees can list their own invoices
+     */
+    soldBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    /**
+     * BILL TO: Who the invoice is addressed to (all optional)
+     */
+    billTo: {
+        name: { type: String, trim: true, default: '' },
+        taxId: { type: String, trim: true, default: '' },
+        address: { type: String, trim: true, default: '' },
+        email: { type: String, trim: true, lowercase: true, default: '' },
+    },
+    /**
+     * MONEY SNAPSHOT: Copied from the sale at issue time
+     * (integer minor units of currency, the currency of the sale)
+     */
+    currency: { type: String, required: true },
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    taxIncluded: { type: Number, default: 0 },
+    taxBreakdown: [{
+        _id: false,
+        name: String,
+        rate: Number,
+        taxableAmount: Number,
+        tax: Number,
+    }],
+    total: { type: Number, required: true },
+    issuedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    /**
+     * PDF FIELDS:
+     * pdfKey: Where the file lives in storage (see services/storage)
+     * pdfUrl: The API route that downloads it
+     */
+    pdfKey: {
+        type: String,
+        default: null,
+    },
+    pdfUrl: {
+        type: String,
+        default: null,
+    },
+},
+    { timestamps: true }
+);
+
+invoiceSchema.index({ year: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ soldBy: 1, issuedAt: -1 });
+
+// ==========================================
+// STATIC: Format Invoice Number
+// ==========================================
+
+/**
+ * FUNCTION: Invoice.formatNumber(year, sequence)
+ * EXAMPLE: Invoice.formatNumber(2026, 123) → "INV-2026-000123"
+ */
+invoiceSchema.statics.formatNumber = function (year, sequence) {
+    return `INV-${year}-${String(sequence).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
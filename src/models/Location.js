@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * LOCATION SCHEMA
+ * This defines the structure of the Location document in MongoDB
+ * A location is a place where we keep stock: a warehouse or a shop floor
+ *
+ * Stock per location lives in ProductStock.js, Product.stock is the total of all locations
+ */
+const locationSchema = new mongoose.Schema({
+    /**
+     * CODE FIELD:
+     * WHAT: Short unique code used on screens and in CSV files (e.g. "WH-1", "SHOP-CENTRO")
+     * WHY UPPERCASE: Codes are case-insensitive, like SKUs
+     */
+    code: {
+        type: String,
+        required: [true, 'Please provide a location code'],
+        uppercase: true,
+        trim: true,
+        unique: true,
+        maxlength: [32, 'Code cannot be longer than 32 characters'],
+    },
+    name: {
+        type: String,
+        required: [true, 'Please provide a location name'],
+        trim: true,
+    },
+    /**
+     * TYPE:
+     * - warehouse: back storage, receives purchase orders
+     * - store: shop floor where sales happen
+     */
+    type: {
+        type: String,
+        enum: ['warehouse', 'store'],
+        default: 'store',
+    },
+    address: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    /**
+     * DEFAULT LOCATION:
+     * WHAT: Where stock goes when no location is given (legacy data, users without a location)
+     * RULE: Exactly one location is the default (unique partial index below)
+     */
+    isDefault: {
+        type: Boolean,
+        default: false,
+    },
+    /**
+     * ACTIVE FLAG:
+     * Inactive locations keep their history but can't receive sales or transfers
+     */
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+},
+    { timestamps: true }
+);
+
+locationSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// ==========================================
+// STATICS
+// ==========================================
+
+/**
+ * FUNCTION: Location.getDefault()
+ *
+ * PURPOSE: The location used when none is given
+ *
+ * If no location exists yet (fresh install, or data from before locations
+ * existed) a "MAIN" location is created and marked as default, so every
+ * stock movement always has a location.
+ *
+ * NOTE: Never pass a transaction session here. The default location is
+ * created at most once, and creating it inside a transaction that later
+ * aborts would roll it back.
+ */
+locationSchema.statics.getDefault = async function () {
+    const existing = await this.findOne({ isDefault: true });
+    if (existing) {
+        return existing;
+    }
+    try {
+        return await this.create({ code: 'MAIN', name: 'Main location', type: 'warehouse', isDefault: true });
+    } catch (error) {
+        // Another request created it at the same time (or a MAIN location exists already)
+        if (error.code !== 11000) {
+            throw error;
+        }
+        const created = await this.findOne({ isDefault: true });
+        if (created) {
+            return created;
+        }
+        return this.findOneAndUpdate({ code: 'MAIN' }, { isDefault: true }, { new: true });
+    }
+};
+
+module.exports = mongoose.model('Location', locationSchema);
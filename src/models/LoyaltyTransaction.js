@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * LOYALTY TRANSACTION SCHEMA (loyalty points ledger)
+ *
+ * PURPOSE: Record EVERY change of a customer's points, and why it happened
+ *
+ * RULE: Customer.loyaltyPoints is only ever changed together with a
+ * LoyaltyTransaction (see services/loyaltyService.js). Summing the points
+ * of all transactions of a customer must therefore give their balance.
+ *
+ * LOTS AND EXPIRY:
+ * Points that come in ("earn", "restore") are a lot with their own expiry
+ * date. Points that go out are taken from the lots that expire first, and
+ * "remaining" says how much of a lot is still unused. When a lot expires,
+ * an "expire" transaction takes its remaining points away.
+ */
+const loyaltyTransactionSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true,
+    },
+    /**
+     * TYPE: Why the points changed
+     * - earn: points for a purchase (positive)
+     * - redeem: points used to pay for a sale (negative)
+     * - restore: redeemed points given back by a return or void (positive)
+     * - reverse: earned points taken back by a return or void (negative)
+     * - expire: points that were not used in time (negative)
+     */
+    type: {
+        type: String,
+        enum: ['earn', 'redeem', 'restore', 'reverse', 'expire'],
+        required: true,
+    },
+    /**
+     * POINTS: Signed delta (+18 = 18 points in, -500 = 500 points out)
+     */
+    points: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: (value) => Number.isInteger(value) && value !== 0,
+            message: 'Points must be a non-zero whole number',
+        },
+    },
+    /**
+     * BALANCE AFTER: Customer balance right after this transaction
+     */
+    balanceAfter: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    /**
+     * LOT (earn and restore only):
+     * - remaining: points of the lot not redeemed, reversed or expired yet
+     * - expiresAt: null = never expires (LOYALTY_EXPIRY_DAYS=0)
+     */
+    remaining: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    /**
+     * REFERENCE: The sale (and return) behind the transaction
+     */
+    sale: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale',
+        default: null,
+    },
+    saleReturn: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SaleReturn',
+        default: null,
+    },
+    /**
+     * USER: Who caused the transaction (null for expiry)
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+},
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        // The ledger is itself the history of every points change
+        audit: false,
+    }
+);
+
+loyaltyTransactionSchema.index({ customer: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ customer: 1, remaining: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ expiresAt: 1, remaining: 1 });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+const { minorUnitsValidator } = require('../utils/money.js');
+const { baseCurrency, isValidCurrency } = require('../utils/currency.js');
+const { normalizeBarcode, isValidBarcode } = require('../utils/barcode.js');
+
+/**
+ * PRODUCT SCHEMA
+ * This defines the structure of the Product document in MongoDB
+ * Every item we sell lives in this collection
+ */
+const productSchema = new mongoose.Schema({
+    /**
+     * SKU FIELD:
+     * WHAT: Stock Keeping Unit - the internal code of the product
+     * REQUIRED: Yes
+     * UNIQUE: Yes - among products that are not deleted (see index below)
+     * WHY UPPERCASE: Makes SKU lookups case-insensitive ("ab-100" and "AB-100" are the same product)
+     */
+    sku: {
+        type: String,
+        required: [true, 'Please provide a SKU'],
+        uppercase: true,
+        trim: true,
+        maxlength: [64, 'SKU cannot be longer than 64 characters'],
+    },
+    /**
+     * BARCODES FIELD:
+     * WHAT: EAN-13 / UPC-A codes printed on the product (none, one or several:
+     * the same item from two suppliers often has two)
+     * STORED AS: 13 digits, UPC-A codes get a leading 0 (see utils/barcode.js)
+     * UNIQUE: Yes - a code belongs to one product only (see index below)
+     */
+    barcodes: {
+        type: [{
+            type: String,
+            set: normalizeBarcode,
+            validate: {
+                validator: isValidBarcode,
+                message: '{VALUE} is not a valid EAN-13 or UPC-A barcode',
+            },
+        }],
+        validate: {
+            validator: (codes) => new Set(codes).size === codes.length,
+            message: 'The same barcode is listed twice',
+        },
+    },
+    /**
+     * NAME FIELD:
+     * WHAT: Product name shown in the dashboard and on invoices
+     */
+    name: {
+        type: String,
+        required: [true, 'Please provide a product name'],
+        trim: true,
+        maxlength: [200, 'Name cannot be longer than 200 characters'],
+    },
+    /**
+     * DESCRIPTION FIELD:
+     * WHAT: Free text description (can be generated by the AI routes later)
+     */
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    /**
+     * CATEGORY FIELD:
+     * WHAT: Grouping used for filters and reports (e.g. "beverages")
+     * WHY LOWERCASE: Filters by category are case-insensitive
+     */
+    category: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'uncategorized',
+    },
+    /**
+     * PRICE FIELD:
+     * WHAT: Selling price per unit, in minor units of currency (1850 = 18.50 USD)
+     * MIN: 0 - we never sell at a negative price
+     */
+    price: {
+        type: Number,
+        required: [true, 'Please provide a price'],
+        min: [0, 'Price cannot be negative'],
+        validate: minorUnitsValidator,
+    },
+    /**
+     * PRICE INCLUDES TAX:
+     * WHAT: true → price is what the customer pays, tax included (shelf price)
+     *       false → tax is added on top of price at the till
+     * The rate itself comes from the tax rules of the category (see TaxRule.js)
+     */
+    priceIncludesTax: {
+        type: Boolean,
+        default: false,
+    },
+    /**
+     * COST FIELD:
+     * WHAT: What one unit costs us (used later for margin reports), in minor units of currency
+     * MIN: 0
+     */
+    cost: {
+        type: Number,
+        default: 0,
+        min: [0, 'Cost cannot be negative'],
+        validate: minorUnitsValidator,
+    },
+    /**
+     * CURRENCY FIELD:
+     * WHAT: ISO 4217 code price and cost are in (defaults to BASE_CURRENCY)
+     * A sale in another currency converts them at the rate of the moment (ExchangeRate.js)
+     */
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: baseCurrency,
+        validate: {
+            validator: isValidCurrency,
+            message: '{VALUE} is not an ISO 4217 currency code',
+        },
+    },
+    /**
+     * STOCK FIELD:
+     * WHAT: Units currently available
+     * MIN: 0 - stock can never go below zero
+     * INTEGER: We sell whole units only
+     * LEDGER ONLY: Never write this field directly, use services/inventoryService.js
+     * so every change gets a StockMovement (see the guard below)
+     */
+    stock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stock cannot be negative'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Stock must be a whole number',
+        },
+    },
+    /**
+     * REORDER POINT:
+     * WHAT: When stock falls to or below this number, a low-stock alert is raised
+     * DEFAULT: null → the global LOW_STOCK_THRESHOLD is used instead
+     */
+    reorderPoint: {
+        type: Number,
+        default: null,
+        min: [0, 'Reorder point cannot be negative'],
+    },
+    /**
+     * REORDER QUANTITY:
+     * WHAT: How many units we usually order when restocking (shown in the alert)
+     */
+    reorderQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reorder quantity cannot be negative'],
+    },
+    /**
+     * SOFT DELETE FIELDS:
+     * WHAT: Instead of removing the document, we flag it as deleted
+     * WHY: Old sales and invoices still reference the product, so it must keep existing
+     */
+    isDeleted: {
+        type: Boolean,
+        default: false,
+    },
+    deletedAt: {
+        type: Date,
+        default: null,
+    },
+    /**
+     * CREATED BY:
+     * WHAT: The admin who created the product
+     */
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+},
+    { timestamps: true }
+);
+
+// ==========================================
+// INDEXES
+// ==========================================
+
+/**
+ * UNIQUE SKU (only for products that are not deleted)
+ * WHY PARTIAL: A soft-deleted product keeps its SKU, but we still want to be able
+ * to create a new product with that SKU later
+ */
+productSchema.index(
+    { sku: 1 },
+    { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+
+/**
+ * UNIQUE BARCODES (only for products that are not deleted)
+ * One index entry per code (multikey), which is also what makes
+ * GET /api/products/barcode/:code a single index lookup.
+ * WHY barcodes > '': products without barcodes stay out of the index
+ * (an empty list would otherwise count as a value and collide)
+ */
+productSchema.index(
+    { barcodes: 1 },
+    { unique: true, partialFilterExpression: { isDeleted: false, barcodes: { $gt: '' } } }
+);
+
+/**
+ * FILTER INDEXES
+ * Support the most common list filters (category, price range)
+ */
+productSchema.index({ isDeleted: 1, category: 1 });
+productSchema.index({ isDeleted: 1, price: 1 });
+
+// ==========================================
+// STOCK WRITE GUARD
+// ==========================================
+
+/**
+ * WHY?
+ * If any code changed stock directly, the inventory ledger (StockMovement)
+ * would stop adding up and nobody could tell why the count is wrong.
+ *
+ * HOW:
+ * - save(): refused if stock changed (or a new product starts with stock ≠ 0),
+ *   unless the document was flagged with product.$locals.ledgerWrite = true
+ * - update queries: refused if they touch stock, unless they pass { ledger: true }
+ * Only services/inventoryService.js sets those flags.
+ */
+const STOCK_WRITE_ERROR = 'Product stock can only be changed through the inventory ledger';
+
+const touchesStock = (update) => {
+    if (!update) {
+        return false;
+    }
+    return Object.keys(update).some((key) => {
+        if (key === 'stock') {
+            return true;
+        }
+        return key.startsWith('$') && update[key] && typeof update[key] === 'object'
+            && Object.prototype.hasOwnProperty.call(update[key], 'stock');
+    });
+};
+
+productSchema.pre('save', function () {
+    if (this.$locals.ledgerWrite) {
+        return;
+    }
+    const changed = this.isNew ? this.stock !== 0 : this.isModified('stock');
+    if (changed) {
+        throw new Error(STOCK_WRITE_ERROR);
+    }
+});
+
+productSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function () {
+    if (this.getOptions().ledger === true) {
+        return;
+    }
+    if (touchesStock(this.getUpdate())) {
+        throw new Error(STOCK_WRITE_ERROR);
+    }
+});
+
+// ==========================================
+// STATICS
+// ==========================================
+
+/**
+ * LOW STOCK THRESHOLD
+ * WHAT: Products with stock at or below this number are considered "low stock"
+ * CONFIG: LOW_STOCK_THRESHOLD environment variable (defaults to 5)
+ */
+productSchema.statics.lowStockThreshold = function () {
+    const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD, 10);
+    return Number.isNaN(threshold) ? 5 : threshold;
+};
+
+// ==========================================
+// METHODS
+// ==========================================
+
+/**
+ * FUNCTION: product.effectiveReorderPoint()
+ * RETURNS: The product's own reorderPoint, or the global threshold when it has none
+ */
+productSchema.methods.effectiveReorderPoint = function () {
+    return this.reorderPoint === null || this.reorderPoint === undefined
+        ? this.constructor.lowStockThreshold()
+        : this.reorderPoint;
+};
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * PRODUCT STOCK SCHEMA
+ *
+ * PURPOSE: How many units of a product are at one location
+ *
+ * ONE DOCUMENT PER (product, location):
+ * { product: <coffee>, location: <shop 1>, quantity: 12 }
+ *
+ * RULES:
+ * - Product.stock is the sum of the quantities of all its locations
+ * - Units travelling between locations (transfers "in_transit") are in neither
+ * - LEDGER ONLY: like Product.stock, quantity only changes through
+ *   services/inventoryService.js (update queries must pass { ledger: true })
+ */
+const productStockSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true,
+    },
+    quantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stock cannot be negative'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Stock must be a whole number',
+        },
+    },
+},
+    {
+        timestamps: true,
+        // Every change already has a StockMovement
+        audit: false,
+    }
+);
+
+productStockSchema.index({ product: 1, location: 1 }, { unique: true });
+productStockSchema.index({ location: 1, product: 1 });
+
+/**
+ * QUANTITY WRITE GUARD
+ * Same idea as the stock guard in Product.js: refuse writes that bypass the ledger
+ */
+const STOCK_WRITE_ERROR = 'Location stock can only be changed through the inventory ledger';
+
+productStockSchema.pre('save', function () {
+    if (!this.$locals.ledgerWrite) {
+        throw new Error(STOCK_WRITE_ERROR);
+    }
+});
+
+productStockSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany'], function () {
+    if (this.getOptions().ledger !== true) {
+        throw new Error(STOCK_WRITE_ERROR);
+    }
+});
+
+module.exports = mongoose.model('ProductStock', productStockSchema);
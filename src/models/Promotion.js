@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+const { minorUnitsValidator } = require('../utils/money.js');
+const { baseCurrency, isValidCurrency } = require('../utils/currency.js');
+
+/**
+ * PROMOTION SCHEMA
+ *
+ * PURPOSE: A discount rule the till applies by itself (automatic promotion)
+ * or when the cashier enters its code (coupon)
+ *
+ * HOW SALES USE IT: services/promotionService.js picks the promotions that
+ * apply to a cart, in a fixed order, and records on every sale line which
+ * promotions discounted it and by how much.
+ *
+ * EXAMPLES:
+ * - 10% off every beverage this week:
+ *   { type: 'percentage', value: 10, scope: 'category', categories: ['beverages'], startsAt, endsAt }
+ * - 5.00 off purchases of 50.00 or more with code WELCOME5, once per customer:
+ *   { type: 'fixed', value: 500, scope: 'order', minSubtotal: 5000, code: 'WELCOME5', perCustomerLimit: 1 }
+ * - Buy 2 get 1 free on one SKU:
+ *   { type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, scope: 'sku', skus: ['COF-001'] }
+ */
+const promotionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a promotion name'],
+        trim: true,
+        maxlength: [200, 'Name cannot be longer than 200 characters'],
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    /**
+     * CODE:
+     * WHAT: Coupon code the cashier types in (e.g. "WELCOME5")
+     * null → automatic promotion, applied to every eligible sale
+     * WHY UPPERCASE: Codes are case-insensitive, like SKUs
+     */
+    code: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: null,
+        maxlength: [32, 'Code cannot be longer than 32 characters'],
+    },
+    /**
+     * TYPE:
+     * - percentage: value % off the eligible lines
+     * - fixed: value minor units of currency off the eligible lines (shared between them)
+     * - buy_x_get_y: for every buyQuantity + getQuantity units of the same product,
+     *   getQuantity units get getDiscountPercent % off (100 = free)
+     */
+    type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'buy_x_get_y'],
+        required: [true, 'Please provide a promotion type'],
+    },
+    value: {
+        type: Number,
+        default: 0,
+        min: [0, 'Value cannot be negative'],
+    },
+    buyQuantity: {
+        type: Number,
+        default: null,
+        min: [1, 'Buy quantity must be at least 1'],
+    },
+    getQuantity: {
+        type: Number,
+        default: null,
+        min: [1, 'Get quantity must be at least 1'],
+    },
+    getDiscountPercent: {
+        type: Number,
+        default: 100,
+        min: [1, 'Get discount must be at least 1%'],
+        max: [100, 'Get discount cannot exceed 100%'],
+    },
+    /**
+     * SCOPE: Which lines of the sale the promotion looks at
+     * - order: every line
+     * - category: lines whose product category is in categories
+     * - sku: lines whose SKU is in skus
+     */
+    scope: {
+        type: String,
+        enum: ['order', 'category', 'sku'],
+        default: 'order',
+    },
+    categories: {
+        type: [{ type: String, trim: true, lowercase: true }],
+        default: [],
+    },
+    skus: {
+        type: [{ type: String, trim: true, uppercase: true }],
+        default: [],
+    },
+    /**
+     * MIN SUBTOTAL: The eligible lines must add up to at least this (before discounts),
+     * in minor units of currency
+     */
+    minSubtotal: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum subtotal cannot be negative'],
+        validate: minorUnitsValidator,
+    },
+    /**
+     * CURRENCY: What value (fixed promotions) and minSubtotal are in
+     * Sales in another currency convert them at the rate of the moment (ExchangeRate.js)
+     */
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: baseCurrency,
+        validate: {
+            validator: isValidCurrency,
+            message: '{VALUE} is not an ISO 4217 currency code',
+        },
+    },
+    /**
+     * VALIDITY WINDOW: startsAt included, endsAt excluded (null = no limit)
+     */
+    startsAt: {
+        type: Date,
+        default: null,
+    },
+    endsAt: {
+        type: Date,
+        default: null,
+    },
+    /**
+     * USAGE LIMITS (null = unlimited):
+     * - usageLimit: sales that may use the promotion in total
+     * - perCustomerLimit: sales per customer (only applies when the sale names a customer)
+     * usageCount is maintained by promotionService.js (voided sales give their use back)
+     */
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: [1, 'Usage limit must be at least 1'],
+    },
+    perCustomerLimit: {
+        type: Number,
+        default: null,
+        min: [1, 'Per customer limit must be at least 1'],
+    },
+    usageCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    /**
+     * STACKING AND PRIORITY:
+     * - priority: higher goes first (ties: older promotion first)
+     * - exclusive: true → only applies to lines no promotion discounted yet, and
+     *   no later promotion may touch the lines it discounted
+     *   false → combines with other non-exclusive promotions, each one on what
+     *   is left of the line after the previous ones
+     */
+    priority: {
+        type: Number,
+        default: 0,
+    },
+    exclusive: {
+        type: Boolean,
+        default: false,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+},
+    { timestamps: true }
+);
+
+// ==========================================
+// VALIDATION
+// ==========================================
+
+/**
+ * RULES THAT DEPEND ON SEVERAL FIELDS
+ * Checked on save, so the API and any script get the same answer
+ */
+promotionSchema.pre('validate', function () {
+    if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+        this.invalidate('value', 'A percentage promotion needs a value between 0 and 100');
+    }
+    if (this.type === 'fixed' && this.value <= 0) {
+        this.invalidate('value', 'A fixed promotion needs a value greater than 0');
+    }
+    if (this.type === 'fixed' && !Number.isInteger(this.value)) {
+        this.invalidate('value', 'A fixed promotion value is a whole number of minor units (e.g. 500 = 5.00)');
+    }
+    if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+        this.invalidate('buyQuantity', 'A buy X get Y promotion needs buyQuantity and getQuantity');
+    }
+    if (this.scope === 'category' && this.categories.length === 0) {
+        this.invalidate('categories', 'A category promotion needs at least one category');
+    }
+    if (this.scope === 'sku' && this.skus.length === 0) {
+        this.invalidate('skus', 'A SKU promotion needs at least one SKU');
+    }
+    if (this.startsAt && this.endsAt && this.startsAt >= this.endsAt) {
+        this.invalidate('endsAt', 'endsAt must be after startsAt');
+    }
+});
+
+// ==========================================
+// INDEXES
+// ==========================================
+
+/**
+ * UNIQUE CODE (only for coupons)
+ * WHY PARTIAL: Automatic promotions all have code null
+ */
+promotionSchema.index(
+    { code: 1 },
+    { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+
+/**
+ * AUTOMATIC PROMOTIONS LOOKUP (every sale runs it)
+ */
+promotionSchema.index({ isActive: 1, code: 1, priority: -1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
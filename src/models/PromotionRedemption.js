@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * PROMOTION REDEMPTION SCHEMA
+ *
+ * PURPOSE: One document per promotion used by a sale
+ *
+ * WHY?
+ * - Per-customer limits: count the redemptions of one customer
+ * - History: which sales used a coupon and how much it cost us
+ *
+ * Written by services/promotionService.js inside the sale transaction.
+ * A voided sale keeps its redemptions, marked with releasedAt (they no longer count).
+ */
+const promotionRedemptionSchema = new mongoose.Schema({
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        required: true,
+    },
+    sale: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale',
+        required: true,
+    },
+    code: {
+        type: String,
+        default: null,
+    },
+    /**
+     * CUSTOMER: Who the per-customer limit is counted against
+     * ("customer:<customerId>" for a sale with a customer record, else the
+     * normalized customer email of the sale, null for anonymous sales)
+     */
+    customer: {
+        type: String,
+        default: null,
+    },
+    /**
+     * AMOUNT: Discount given, in minor units of the sale currency
+     */
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    currency: {
+        type: String,
+        required: true,
+    },
+    releasedAt: {
+        type: Date,
+        default: null,
+    },
+},
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        // Written with every sale that uses a promotion: the sale itself is audited
+        audit: false,
+    }
+);
+
+promotionRedemptionSchema.index({ promotion: 1, customer: 1, releasedAt: 1 });
+promotionRedemptionSchema.index({ sale: 1 });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
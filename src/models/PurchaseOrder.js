@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+const { minorUnitsValidator } = require('../utils/money.js');
+const { baseCurrency, isValidCurrency } = require('../utils/currency.js');
+
+/**
+ * PURCHASE ORDER ITEM SUB-SCHEMA
+ * One product we ordered, and how much of it arrived so far
+ */
+const purchaseOrderItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    sku: { type: String, required: true },
+    name: { type: String, required: true },
+    quantityOrdered: {
+        type: Number,
+        required: true,
+        min: [1, 'Ordered quantity must be at least 1'],
+    },
+    quantityReceived: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    /**
+     * UNIT COST: What the supplier charges per unit on this order
+     * (minor units of the order currency)
+     */
+    unitCost: {
+        type: Number,
+        required: true,
+        min: [0, 'Unit cost cannot be negative'],
+        validate: minorUnitsValidator,
+    },
+}, { _id: false });
+
+/**
+ * RECEIPT SUB-SCHEMA
+ * One delivery from the supplier (an order can arrive in several deliveries)
+ */
+const receiptSchema = new mongoose.Schema({
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    items: [{
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        unitCost: { type: Number, required: true, min: 0, validate: minorUnitsValidator },
+    }],
+    note: { type: String, trim: true, default: '' },
+});
+
+/**
+ * PURCHASE ORDER SCHEMA
+ *
+ * LIFECYCLE:
+ * draft ──(approve, admin)──► sent ──(receive, admin)──► partially_received ──► received
+ *   │                          │                              │
+ *   └──────────────────────────┴──────────(cancel)────────────┴──► cancelled
+ *
+ * - draft: being prepared, items can still be edited
+ * - sent: approved by an admin and sent to the supplier
+ * - partially_received: some units arrived
+ * - received: every ordered unit arrived
+ * - cancelled: no more units are expected
+ */
+const purchaseOrderSchema = new mongoose.Schema({
+    /**
+     * PO NUMBER: PO-<year>-<6 digit sequence> (e.g. PO-2026-000042)
+     */
+    poNumber: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'sent', 'partially_received', 'received', 'cancelled'],
+        default: 'draft',
+    },
+    items: {
+        type: [purchaseOrderItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'A purchase order needs at least one item',
+        },
+    },
+    /**
+     * SUBTOTAL: sum of quantityOrdered × unitCost
+     */
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    /**
+     * CURRENCY: What the supplier charges in (unitCost and subtotal)
+     * Received units update the product cost converted into the product
+     * currency, at the rate of the day they arrive (inventoryService.receiveStock)
+     */
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: baseCurrency,
+        validate: {
+            validator: isValidCurrency,
+            message: '{VALUE} is not an ISO 4217 currency code',
+        },
+    },
+    /**
+     * LOCATION: Where the supplier delivers (received units go into this location)
+     * null → the default location
+     */
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null,
+    },
+    expectedAt: {
+        type: Date,
+        default: null,
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    receipts: {
+        type: [receiptSchema],
+        default: [],
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    approvedAt: {
+        type: Date,
+        default: null,
+    },
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    cancelledAt: {
+        type: Date,
+        default: null,
+    },
+},
+    { timestamps: true }
+);
+
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * FUNCTION: PurchaseOrder.formatNumber(year, sequence)
+ * EXAMPLE: PurchaseOrder.formatNumber(2026, 42) → "PO-2026-000042"
+ */
+purchaseOrderSchema.statics.formatNumber = function (year, sequence) {
+    return `PO-${year}-${String(sequence).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
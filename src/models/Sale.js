@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+const { isValidCurrency } = require('../utils/currency.js');
+
+/**
+ * APPLIED PROMOTION SUB-SCHEMA
+ * Snapshot of a promotion that discounted a line (or the sale, in the summary):
+ * the promotion may be edited or switched off later, the sale keeps what happened
+ */
+const appliedPromotionSchema = new mongoose.Schema({
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        required: true,
+    },
+    name: { type: String, required: true },
+    code: { type: String, default: null },
+    amount: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+/**
+ * SALE ITEM SUB-SCHEMA
+ * One line of the sale (one product, N units)
+ *
+ * WHY COPY sku/name/unitPrice?
+ * Products change over time (new price, renamed...). A sale must always show
+ * what was actually sold and at what price, so we keep a snapshot.
+ * unitPrice and unitCost are converted into the sale currency when the
+ * product is priced in another one.
+ */
+const saleItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    sku: {
+        type: String,
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+    },
+    /**
+     * CATEGORY: Product category at the moment of the sale (category promotions use it)
+     */
+    category: {
+        type: String,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1'],
+    },
+    unitPrice: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    lineTotal: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    /**
+     * PROMOTIONS OF THE LINE:
+     * discount = sum of promotions[].amount, taken off lineTotal
+     * (see services/promotionService.js for the order they are applied in)
+     */
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    promotions: {
+        type: [appliedPromotionSchema],
+        default: [],
+    },
+    /**
+     * TAX OF THE LINE (see services/pricingService.js):
+     * - taxRule / taxName / taxRate: the TaxRule that applied (taxRule null = SALES_TAX_RATE)
+     * - priceIncludesTax: unitPrice already contained the tax (Product.priceIncludesTax)
+     * - taxableAmount: what is left of the line after every discount, without tax
+     * - tax: taxableAmount × taxRate, rounded per line
+     * Sales made before tax rules existed have none of these (one rate for the sale, taxRate below)
+     */
+    taxRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule',
+    },
+    taxName: { type: String },
+    taxRate: { type: Number, min: 0 },
+    priceIncludesTax: { type: Boolean },
+    taxableAmount: { type: Number, min: 0 },
+    tax: { type: Number, min: 0 },
+    /**
+     * UNIT COST: Product cost at the moment of the sale (for margin reports)
+     * Sales saved before this field existed fall back to the current product cost
+     */
+    unitCost: {
+        type: Number,
+        min: 0,
+    },
+    /**
+     * QUANTITY RETURNED: Units of this line the customer brought back so far
+     * Never more than quantity (see returnService.js)
+     */
+    quantityReturned: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+}, { _id: false });
+
+/**
+ * SALE SCHEMA
+ * This defines the structure of the Sale document in MongoDB
+ * All money fields are calculated by pricingService.js, never sent by the client,
+ * and are integer minor units of the sale currency (1850 = 18.50 USD, see utils/money.js)
+ */
+const saleSchema = new mongoose.Schema({
+    /**
+     * ITEMS: The products sold (at least one)
+     */
+    items: {
+        type: [saleItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'A sale needs at least one item',
+        },
+    },
+    /**
+     * MONEY FIELDS:
+     * subtotal = sum of lineTotal
+     * discount = amount taken off the subtotal: the promotions of every line
+     *            plus the manual discount an admin typed in (if any)
+     * tax = sum of the line taxes
+     * taxIncluded = the part of tax that was already inside the prices
+     *               (lines with priceIncludesTax), so it is not added again
+     * total = subtotal - discount + tax - taxIncluded
+     * taxBreakdown = taxable amount and tax per rate (what invoices and the tax report show)
+     *
+     * LEGACY: sales made before tax rules have one taxRate (fraction, e.g. 0.16),
+     * tax = (subtotal - discount) × taxRate and an empty taxBreakdown
+     */
+    subtotal: { type: Number, required: true, min: 0 },
+    discount: { type: Number, default: 0, min: 0 },
+    taxRate: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 },
+    taxIncluded: { type: Number, default: 0, min: 0 },
+    taxBreakdown: [{
+        _id: false,
+        name: { type: String, required: true },
+        rate: { type: Number, required: true, min: 0 },
+        taxableAmount: { type: Number, required: true },
+        tax: { type: Number, required: true },
+    }],
+    total: { type: Number, required: true, min: 0 },
+    /**
+     * CURRENCY: The currency the sale was tendered in (ISO 4217, e.g. "EUR")
+     */
+    currency: {
+        type: String,
+        required: true,
+        validate: {
+            validator: isValidCurrency,
+            message: '{VALUE} is not an ISO 4217 currency code',
+        },
+    },
+    /**
+     * EXCHANGE RATE: Snapshot of the rate valid when the sale was made
+     * (services/exchangeRateService.js), so reports convert it to the base
+     * currency the same way forever, even after new rates are entered:
+     * - rate: base currency units per 1 unit of currency
+     * - minorRate: base minor units per 1 minor unit of currency (what reports multiply by)
+     * - effectiveFrom / source: the ExchangeRate used (null when currency is the base currency)
+     */
+    exchangeRate: {
+        baseCurrency: { type: String, required: true },
+        rate: { type: Number, required: true, min: 0 },
+        minorRate: { type: Number, required: true, min: 0 },
+        effectiveFrom: { type: Date, default: null },
+        source: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ExchangeRate',
+            default: null,
+        },
+    },
+    /**
+     * PROMOTIONS: Every promotion used by the sale and its total amount
+     * (the per-line detail is in items[].promotions)
+     */
+    promotions: {
+        type: [appliedPromotionSchema],
+        default: [],
+    },
+    /**
+     * CUSTOMER EMAIL: Optional, identifies the customer for per-customer promotion limits
+     * (the email of the customer record when the sale has one)
+     */
+    customerEmail: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+    },
+    /**
+     * CUSTOMER: Optional, the customer record of the buyer (see Customer.js)
+     * Needed to earn and redeem loyalty points
+     */
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        default: null,
+    },
+    /**
+     * LOYALTY (see services/loyaltyService.js):
+     * - pointsRedeemed: points the customer paid with
+     * - redeemedAmount: what those points were worth (minor units of the sale currency)
+     * - pointsEarned: points the purchase earned (on the part not paid with points)
+     * The customer paid total - redeemedAmount with the payment method.
+     */
+    loyalty: {
+        pointsRedeemed: { type: Number, default: 0, min: 0 },
+        redeemedAmount: { type: Number, default: 0, min: 0 },
+        pointsEarned: { type: Number, default: 0, min: 0 },
+    },
+    /**
+     * PAYMENT METHOD: How the customer paid
+     */
+    paymentMethod: {
+        type: String,
+        enum: ['cash', 'card', 'transfer', 'other'],
+        default: 'cash',
+    },
+    /**
+     * LOCATION: Where the units were taken from (the seller's default location)
+     * Returns put the units back here. null for sales made before locations existed.
+     */
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null,
+    },
+    /**
+     * SOLD BY: The user (admin or employee) who registered the sale
+     * WHY: Employees can only see their own sales
+     */
+    soldBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    /**
+     * STATUS:
+     * - completed: normal sale
+     * - partially_returned: some units were returned
+     * - returned: every unit was returned
+     * - voided: cancelled by an admin the same day (doesn't count as revenue)
+     */
+    status: {
+        type: String,
+        enum: ['completed', 'partially_returned', 'returned', 'voided'],
+        default: 'completed',
+    },
+    /**
+     * REFUNDED TOTAL: Money given back through returns
+     * Net revenue of the sale = total - refundedTotal (0 when voided)
+     */
+    refundedTotal: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    voidedAt: {
+        type: Date,
+        default: null,
+    },
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    voidReason: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+},
+    { timestamps: true }
+);
+
+saleSchema.index({ soldBy: 1, createdAt: -1 });
+saleSchema.index({ customer: 1, createdAt: -1 });
+saleSchema.index({ createdAt: -1 });
+
+// ==========================================
+// REPORTING HELPERS
+// ==========================================
+
+/**
+ * WHY?
+ * Returns and voids don't change the original sale lines (they are history),
+ * so every report has to subtract them itself. Using these helpers keeps all
+ * aggregations agreeing on what "revenue" means:
+ * - voided sales are left out completely
+ * - revenue of a sale = total - refundedTotal
+ * - units of a line = quantity - quantityReturned
+ */
+saleSchema.statics.countedMatch = function (match = {}) {
+    return { ...match, status: { $ne: 'voided' } };
+};
+
+saleSchema.statics.netTotalExpression = function () {
+    return { $subtract: ['$total', { $ifNull: ['$refundedTotal', 0] }] };
+};
+
+/**
+ * BASE CURRENCY
+ * Sales can be in different currencies, so every amount a report adds up
+ * goes through toBaseExpression: amount × the minorRate saved on the sale
+ * (the rate valid on the sale date). The result has decimals, reports
+ * round it once at the end.
+ */
+saleSchema.statics.toBaseExpression = function (amount) {
+    return { $multiply: [amount, { $ifNull: ['$exchangeRate.minorRate', 1] }] };
+};
+
+saleSchema.statics.netItemQuantityExpression = function () {
+    return { $subtract: ['$items.quantity', { $ifNull: ['$items.quantityReturned', 0] }] };
+};
+
+/**
+ * METHOD: sale.manualDiscount()
+ * RETURNS: The part of the discount that doesn't come from promotions
+ * (for sales made before promotions existed, that's the whole discount)
+ */
+saleSchema.methods.manualDiscount = function () {
+    const promotionDiscount = this.items.reduce((sum, item) => sum + (item.discount || 0), 0);
+    return Math.max(0, this.discount - promotionDiscount);
+};
+
+saleSchema.statics.netItemRevenueExpression = function () {
+    return { $multiply: ['$items.unitPrice', this.netItemQuantityExpression()] };
+};
+
+module.exports = mongoose.model('Sale', saleSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * SALE RETURN SCHEMA
+ *
+ * PURPOSE: Units a customer brought back from a sale, and the money refunded
+ *
+ * A sale can have several returns (partial returns), until every unit is back.
+ * The refund is calculated by the server (see services/returnService.js):
+ * the returned units' share of the subtotal, minus their share of the
+ * discount, plus tax at the sale's tax rate. Money is given back in the sale
+ * currency, as integer minor units.
+ */
+const saleReturnItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    sku: { type: String, required: true },
+    name: { type: String, required: true },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1'],
+    },
+    unitPrice: { type: Number, required: true, min: 0 },
+    lineTotal: { type: Number, required: true, min: 0 },
+    // Promotions of the returned units (their share of the sale line discount)
+    discount: { type: Number, default: 0, min: 0 },
+    // Tax of the returned units (their share of the sale line, see Sale.js)
+    taxName: { type: String },
+    taxRate: { type: Number, min: 0 },
+    priceIncludesTax: { type: Boolean },
+    taxableAmount: { type: Number, min: 0 },
+    tax: { type: Number, min: 0 },
+}, { _id: false });
+
+const saleReturnSchema = new mongoose.Schema({
+    sale: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale',
+        required: true,
+    },
+    /**
+     * SOLD BY: Copied from the sale so employees can see returns of their own sales
+     */
+    soldBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    items: {
+        type: [saleReturnItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'A return needs at least one item',
+        },
+    },
+    /**
+     * MONEY FIELDS (all positive, they are amounts given back):
+     * subtotal = sum of lineTotal, discount = share of the sale discount,
+     * tax = tax of the returned units, taxIncluded = part of it inside the prices,
+     * total = subtotal - discount + tax - taxIncluded = refund amount
+     * taxBreakdown = taxable amount and tax per rate (empty for returns of legacy sales)
+     */
+    subtotal: { type: Number, required: true, min: 0 },
+    discount: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 },
+    taxIncluded: { type: Number, default: 0, min: 0 },
+    taxBreakdown: [{
+        _id: false,
+        name: { type: String, required: true },
+        rate: { type: Number, required: true, min: 0 },
+        taxableAmount: { type: Number, required: true },
+        tax: { type: Number, required: true },
+    }],
+    total: { type: Number, required: true, min: 0 },
+    /**
+     * CURRENCY + EXCHANGE RATE: Copied from the sale (see Sale.js), so refunds
+     * are converted to the base currency at the rate the sale was made with
+     */
+    currency: { type: String, required: true },
+    exchangeRate: {
+        baseCurrency: { type: String },
+        rate: { type: Number, min: 0 },
+        minorRate: { type: Number, min: 0 },
+    },
+    /**
+     * LOYALTY: Points of the sale undone by this return (see loyaltyService.settleReturn)
+     * - pointsRestored / restoredAmount: points given back, and the part of the
+     *   total they are worth (the refund method only pays total - restoredAmount)
+     * - pointsReversed: earned points taken back
+     */
+    loyalty: {
+        pointsRestored: { type: Number, default: 0, min: 0 },
+        restoredAmount: { type: Number, default: 0, min: 0 },
+        pointsReversed: { type: Number, default: 0, min: 0 },
+    },
+    /**
+     * REFUND: How the money was given back
+     */
+    refundMethod: {
+        type: String,
+        enum: ['cash', 'card', 'transfer', 'store_credit', 'other'],
+        required: [true, 'Please provide a refund method'],
+    },
+    refundReference: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    reason: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    /**
+     * TYPE:
+     * - return: the customer returned some/all units
+     * - void: an admin cancelled the whole sale the same day
+     */
+    type: {
+        type: String,
+        enum: ['return', 'void'],
+        default: 'return',
+    },
+    creditNote: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CreditNote',
+        default: null,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+},
+    { timestamps: true }
+);
+
+saleReturnSchema.index({ sale: 1, createdAt: 1 });
+saleReturnSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SaleReturn', saleReturnSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * SESSION SCHEMA
+ *
+ * PURPOSE: Track every login (one document per device/login) on the server
+ *
+ * WHY?
+ * A refresh token is a JWT that lives 30 days. Without a server-side record
+ * we could never revoke it (logout, stolen token, deleted user...).
+ *
+ * HOW ROTATION WORKS:
+ * - Each session has ONE valid refresh token at a time (currentTokenHash)
+ * - Every /api/auth/refresh replaces it with a new one and remembers the old
+ *   hash in previousTokenHashes; expiresAt moves to the new token's expiry
+ * - If an OLD token is ever presented again, somebody copied it: the whole
+ *   session (the "token family") is revoked
+ *
+ * SECURITY: We only store SHA-256 hashes, never the tokens themselves
+ */
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    /**
+     * ROLE AT LOGIN:
+     * If an admin demotes the user, the role no longer matches and refresh fails
+     */
+    role: {
+        type: String,
+        required: true,
+    },
+    currentTokenHash: {
+        type: String,
+        required: true,
+    },
+    previousTokenHashes: {
+        type: [String],
+        default: [],
+    },
+    /**
+     * DEVICE INFO: Helps the user recognise the session in the list
+     */
+    device: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    userAgent: {
+        type: String,
+        default: '',
+    },
+    ip: {
+        type: String,
+        default: '',
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        enum: [null, 'logout', 'logout_all', 'revoked_by_user', 'token_reuse', 'user_changed', 'password_reset', 'password_changed', 'user_deactivated'],
+        default: null,
+    },
+},
+    {
+        timestamps: true,
+        // Auth events are logged explicitly (auth.login, auth.logout...), not every token rotation
+        audit: false,
+    }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+/**
+ * TTL INDEX: MongoDB deletes sessions automatically once the refresh token expired
+ */
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ==========================================
+// METHOD: Is Active
+// ==========================================
+
+/**
+ * RETURNS: true if the session was not revoked and has not expired
+ */
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
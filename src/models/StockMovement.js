@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * STOCK MOVEMENT SCHEMA (inventory ledger)
+ *
+ * PURPOSE: Record EVERY change of a product's stock, and why it happened
+ *
+ * RULE: Product.stock is only ever changed together with a StockMovement
+ * (see services/inventoryService.js). Summing the quantity of all movements
+ * of a product must therefore give its current stock.
+ *
+ * APPEND-ONLY: Movements are never edited or deleted. A mistake is fixed
+ * with a new "adjustment" movement.
+ */
+const stockMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    /**
+     * TYPE: Why the stock changed
+     * - sale: units sold (negative)
+     * - restock: units received (positive)
+     * - adjustment: manual correction after a count (either sign)
+     * - return: units a customer brought back (positive)
+     * - transfer: units moved between locations (negative when they leave
+     *   the origin, positive when the destination receives them)
+     * - write_off: damaged/expired/lost units (negative)
+     */
+    type: {
+        type: String,
+        enum: ['sale', 'restock', 'adjustment', 'return', 'transfer', 'write_off'],
+        required: true,
+    },
+    /**
+     * QUANTITY: Signed delta (+10 = 10 units in, -2 = 2 units out)
+     */
+    quantity: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: (value) => Number.isInteger(value) && value !== 0,
+            message: 'Quantity must be a non-zero whole number',
+        },
+    },
+    /**
+     * BALANCE AFTER: Product stock right after this movement
+     */
+    balanceAfter: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    /**
+     * LOCATION: Where the units came in or went out
+     * null only for movements recorded before locations existed
+     */
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null,
+    },
+    /**
+     * LOCATION BALANCE AFTER: Stock of the product at that location right after this movement
+     */
+    locationBalanceAfter: {
+        type: Number,
+        default: null,
+        min: 0,
+    },
+    /**
+     * USER: Who caused the movement
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    /**
+     * REFERENCE: The document behind the movement (a Sale, a purchase order...)
+     * refPath lets populate() know which collection referenceId points to
+     */
+    referenceModel: {
+        type: String,
+        default: null,
+    },
+    referenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'referenceModel',
+        default: null,
+    },
+    note: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+},
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        // The ledger is itself the history of every stock change
+        audit: false,
+    }
+);
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ referenceModel: 1, referenceId: 1 });
+stockMovementSchema.index({ location: 1, createdAt: -1 });
+
+/**
+ * APPEND-ONLY GUARD
+ * Block every update/delete query on the ledger
+ */
+const refuseChange = function () {
+    throw new Error('Stock movements are append-only and cannot be changed or deleted');
+};
+stockMovementSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    refuseChange
+);
+stockMovementSchema.pre('save', function () {
+    if (!this.isNew) {
+        refuseChange();
+    }
+});
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * SUPPLIER SCHEMA
+ * This defines the structure of the Supplier document in MongoDB
+ * Suppliers are the companies we buy stock from (see PurchaseOrder.js)
+ */
+const supplierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a supplier name'],
+        trim: true,
+    },
+    contactName: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+        match: [/^$|^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email address'],
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    address: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    taxId: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    /**
+     * IS ACTIVE:
+     * false = we stopped buying from them (kept for old purchase orders)
+     */
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+},
+    { timestamps: true }
+);
+
+supplierSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
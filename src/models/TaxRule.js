@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * TAX RULE SCHEMA
+ *
+ * PURPOSE: Which tax rate applies to a product category, optionally only at one location
+ *
+ * HOW A SALE LINE FINDS ITS RULE (services/taxService.js), most specific first:
+ * 1. rule for the category AND the location of the sale
+ * 2. rule for the category (every location)
+ * 3. default rule (no category) for the location
+ * 4. default rule (no category, every location)
+ * 5. no rule at all → SALES_TAX_RATE (the single rate used before tax rules existed)
+ *
+ * EXAMPLES:
+ * - Standard VAT: { name: 'VAT 16%', rate: 0.16 }
+ * - Basic food is exempt: { name: 'Exempt', category: 'groceries', rate: 0 }
+ * - Lower rate at the border shop: { name: 'VAT 8%', location: <id>, rate: 0.08 }
+ */
+const taxRuleSchema = new mongoose.Schema({
+    /**
+     * NAME: Shown on invoices and in the tax report (e.g. "VAT 16%")
+     */
+    name: {
+        type: String,
+        required: [true, 'Please provide a tax rule name'],
+        trim: true,
+        maxlength: [100, 'Name cannot be longer than 100 characters'],
+    },
+    /**
+     * CATEGORY: Same value as Product.category (lowercase), null = default rule
+     */
+    category: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null,
+    },
+    /**
+     * LOCATION: Only sales made at this location, null = every location
+     */
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null,
+    },
+    /**
+     * RATE: Fraction like SALES_TAX_RATE (0.16 = 16%), 0 = exempt
+     */
+    rate: {
+        type: Number,
+        required: [true, 'Please provide a tax rate'],
+        min: [0, 'Tax rate cannot be negative'],
+        max: [1, 'Tax rate is a fraction and cannot exceed 1 (100%)'],
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+},
+    { timestamps: true }
+);
+
+/**
+ * ONE ACTIVE RULE PER CATEGORY + LOCATION
+ * WHY PARTIAL: Deactivated rules stay as history, a new rule can replace them
+ */
+taxRuleSchema.index(
+    { category: 1, location: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * TRANSFER ORDER ITEM SUB-SCHEMA
+ * One product moved between locations
+ */
+const transferItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    sku: { type: String, required: true },
+    name: { type: String, required: true },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1'],
+    },
+    /**
+     * QUANTITY RECEIVED: Units counted at the destination
+     * Less than quantity means units were lost or broken on the way
+     * (written off at the destination when the transfer is received)
+     */
+    quantityReceived: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+}, { _id: false });
+
+/**
+ * TRANSFER ORDER SCHEMA
+ *
+ * PURPOSE: Move stock from one location to another (warehouse → shop floor...)
+ *
+ * LIFECYCLE:
+ * draft ──(dispatch)──► in_transit ──(receive)──► received
+ *   │
+ *   └──(cancel)──► cancelled
+ *
+ * - draft: prepared, nothing moved yet, items can still be edited
+ * - in_transit: units left the origin ("transfer" movement, negative) and are
+ *   on the way: they count in NEITHER location, nor in Product.stock
+ * - received: the destination counted the units ("transfer" movement, positive,
+ *   plus a "write_off" movement for the units that didn't arrive)
+ * - cancelled: the draft was dropped
+ */
+const transferOrderSchema = new mongoose.Schema({
+    /**
+     * TRANSFER NUMBER: TR-<year>-<6 digit sequence> (e.g. TR-2026-000007)
+     */
+    transferNumber: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    from: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true,
+    },
+    to: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'in_transit', 'received', 'cancelled'],
+        default: 'draft',
+    },
+    items: {
+        type: [transferItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'A transfer needs at least one item',
+        },
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    receiveNote: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    dispatchedAt: { type: Date, default: null },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    receivedAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    cancelledAt: { type: Date, default: null },
+},
+    { timestamps: true }
+);
+
+transferOrderSchema.index({ status: 1, createdAt: -1 });
+transferOrderSchema.index({ from: 1, createdAt: -1 });
+transferOrderSchema.index({ to: 1, createdAt: -1 });
+transferOrderSchema.index({ status: 1, 'items.product': 1 });
+
+/**
+ * FUNCTION: TransferOrder.formatNumber(year, sequence)
+ * EXAMPLE: TransferOrder.formatNumber(2026, 7) → "TR-2026-000007"
+ */
+transferOrderSchema.statics.formatNumber = function (year, sequence) {
+    return `TR-${year}-${String(sequence).padStart(6, '0')}`;
+};
+
+/**
+ * FUNCTION: TransferOrder.unitsInTransit(productId)
+ * RETURNS: Units of the product currently travelling between locations
+ */
+transferOrderSchema.statics.unitsInTransit = async function (productId) {
+    const [row] = await this.aggregate([
+        { $match: { status: 'in_transit', 'items.product': new mongoose.Types.ObjectId(String(productId)) } },
+        { $unwind: '$items' },
+        { $match: { 'items.product': new mongoose.Types.ObjectId(String(productId)) } },
+        { $group: { _id: null, quantity: { $sum: '$items.quantity' } } },
+    ]);
+    return row ? row.quantity : 0;
+};
+
+module.exports = mongoose.model('TransferOrder', transferOrderSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+require('./plugins/index.js');
 const bcrypt = require('bcryptjs');
 
 /**
@@ -64,6 +65,64 @@ const userSchema = new mongoose.Schema({
         enum: ['admin', 'employee'],
         default: 'employee',
     },
+    /**
+     * EMAIL VERIFIED FIELD:
+     * WHAT: true once the user clicked the link we emailed them at registration
+     * WHY: Proves the email address really belongs to this person
+     * HOW IT'S USED: If REQUIRE_EMAIL_VERIFICATION=true, unverified users can't log in
+     */
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null,
+    },
+    /**
+     * DEFAULT LOCATION FIELD:
+     * WHAT: The warehouse or shop floor where this user works (see Location.js)
+     * HOW IT'S USED:
+     * - Sales made by the user take units out of this location
+     * - Employees see and receive transfers of this location
+     * DEFAULT: null → the default location is used
+     */
+    defaultLocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null,
+    },
+    /**
+     * ACTIVE FLAG:
+     * WHAT: false once an admin deactivates the account (e.g. the employee left)
+     * WHY NOT DELETE: Sales, invoices and the audit log still point to the user
+     * HOW IT'S USED: Inactive users can't log in, refresh tokens or use an access token
+     * NOTE: Users created before this field existed have no value stored, so queries
+     * for active users use { isActive: { $ne: false } }
+     */
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    deactivatedAt: {
+        type: Date,
+        default: null,
+    },
+    /**
+     * LOGIN LOCKOUT FIELDS:
+     * WHAT: Wrong passwords in a row, and until when the account refuses logins
+     * HOW IT'S USED: After LOGIN_MAX_FAILED_ATTEMPTS wrong passwords the account is
+     * locked for LOGIN_LOCK_MINUTES (see registerFailedLogin below).
+     * A successful login, a password reset or an admin unlock clears both.
+     */
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+    },
+    lockUntil: {
+        type: Date,
+        default: null,
+    },
     /**
      * CREATED AT & UPDATED AT
      * Automatically managed by mongoose
@@ -143,4 +202,78 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// ==========================================
+// LOGIN LOCKOUT
+// ==========================================
+
+/**
+ * STATIC: User.lockoutPolicy()
+ * CONFIG (environment variables):
+ * - LOGIN_MAX_FAILED_ATTEMPTS: wrong passwords before the account locks (default 5)
+ * - LOGIN_LOCK_MINUTES: how long the lock lasts (default 15)
+ * RETURNS: { maxAttempts, lockMs }
+ */
+userSchema.statics.lockoutPolicy = function () {
+    const maxAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10);
+    const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES, 10);
+    return {
+        maxAttempts: Number.isNaN(maxAttempts) || maxAttempts < 1 ? 5 : maxAttempts,
+        lockMs: (Number.isNaN(lockMinutes) || lockMinutes < 1 ? 15 : lockMinutes) * 60 * 1000,
+    };
+};
+
+/**
+ * METHOD: user.isLocked()
+ * RETURNS: true while the lockout hasn't expired
+ */
+userSchema.methods.isLocked = function () {
+    return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+/**
+ * STATIC: User.registerFailedLogin(userId)
+ *
+ * PURPOSE: Count one wrong password and lock the account when the limit is reached
+ *
+ * WHY TWO ATOMIC UPDATES (and not load → change → save)?
+ * Parallel guesses would overwrite each other's count. $inc never loses a hit,
+ * and only one request manages to turn "attempts ≥ limit" into a lock.
+ *
+ * WHY { audit: false }?
+ * The controller already records auth.login_failed / auth.account_locked,
+ * a "user.update" entry per wrong password would only be noise
+ *
+ * RETURNS: The lock expiry Date when THIS call locked the account, otherwise null
+ */
+userSchema.statics.registerFailedLogin = async function (userId) {
+    const { maxAttempts, lockMs } = this.lockoutPolicy();
+    const counted = await this.findOneAndUpdate(
+        { _id: userId },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true, audit: false }
+    );
+    if (!counted || counted.failedLoginAttempts < maxAttempts) {
+        return null;
+    }
+    const lockUntil = new Date(Date.now() + lockMs);
+    const locked = await this.findOneAndUpdate(
+        { _id: userId, failedLoginAttempts: { $gte: maxAttempts } },
+        { $set: { failedLoginAttempts: 0, lockUntil } },
+        { new: true, audit: false }
+    );
+    return locked ? lockUntil : null;
+};
+
+/**
+ * STATIC: User.clearFailedLogins(userId)
+ * PURPOSE: Reset the counter after a successful login (no write when already clear)
+ */
+userSchema.statics.clearFailedLogins = async function (userId) {
+    await this.updateOne(
+        { _id: userId, $or: [{ failedLoginAttempts: { $gt: 0 } }, { lockUntil: { $ne: null } }] },
+        { $set: { failedLoginAttempts: 0, lockUntil: null } },
+        { audit: false }
+    );
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
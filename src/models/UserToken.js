@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * USER TOKEN SCHEMA
+ *
+ * PURPOSE: One-time tokens sent by email
+ * - password_reset: lets the user choose a new password
+ * - email_verification: proves the email belongs to the user
+ *
+ * SECURITY:
+ * - Only the SHA-256 hash is stored (a database leak doesn't leak usable links)
+ * - Single use: usedAt is set the moment the token is consumed
+ * - Expiring: expiresAt, and MongoDB deletes old tokens with a TTL index
+ */
+const userTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+},
+    {
+        timestamps: true,
+        // Token hashes are nothing to investigate; auth events are logged explicitly
+        audit: false,
+    }
+);
+
+userTokenSchema.index({ user: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * WEBHOOK SCHEMA
+ *
+ * PURPOSE: An external URL that wants to be notified of events (e.g. low stock)
+ *
+ * SECURITY:
+ * Every delivery is signed with HMAC-SHA256 using this webhook's secret,
+ * so the receiver can check the request really comes from us
+ * (see services/webhookService.js for the signature format).
+ */
+const webhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'Please provide a URL'],
+        trim: true,
+        match: [/^https?:\/\/\S+$/, 'Please provide a valid http(s) URL'],
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    /**
+     * EVENTS: Which events are sent to this URL
+     */
+    events: {
+        type: [{
+            type: String,
+            enum: ['alert.raised', 'alert.resolved', 'webhook.test'],
+        }],
+        default: ['alert.raised', 'alert.resolved'],
+    },
+    /**
+     * SECRET: Shared key for the HMAC signature
+     * SELECT: false - only shown once, when the webhook is created
+     */
+    secret: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    active: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+},
+    { timestamps: true }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+require('./plugins/index.js');
+
+/**
+ * WEBHOOK DELIVERY SCHEMA
+ *
+ * PURPOSE: One event to send to one webhook, plus the log of every attempt
+ *
+ * WHY STORE DELIVERIES INSTEAD OF SENDING RIGHT AWAY?
+ * - The delivery is created in the same transaction as the change that caused
+ *   it, so we never announce a sale that was rolled back
+ * - If the receiver is down, the dispatcher retries later with backoff
+ * - Admins can see exactly what was sent and what the receiver answered
+ *
+ * STATUS:
+ * pending → succeeded
+ * pending → (retries) → failed (after WEBHOOK_MAX_ATTEMPTS)
+ */
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: { type: Date, required: true },
+    statusCode: { type: Number, default: null },
+    error: { type: String, default: null },
+    durationMs: { type: Number, default: 0 },
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true,
+    },
+    event: {
+        type: String,
+        required: true,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now,
+    },
+    /**
+     * LOCKED UNTIL: Set while a dispatcher is sending it, so two server
+     * instances never send the same delivery at the same time
+     */
+    lockedUntil: {
+        type: Date,
+        default: null,
+    },
+    log: {
+        type: [attemptSchema],
+        default: [],
+    },
+},
+    {
+        timestamps: true,
+        // Delivery attempts are already a log of their own
+        audit: false,
+    }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
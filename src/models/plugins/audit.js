@@ -0,0 +1,189 @@
+const { recordAudit, diffDocuments } = require('../../services/auditService.js');
+
+/**
+ * AUDIT PLUGIN (registered for every schema in models/plugins/index.js)
+ *
+ * PURPOSE: Every create/update/delete of a document ends up in the audit log
+ * with a before/after diff, without each controller having to remember it.
+ * New models are covered automatically.
+ *
+ * WHAT IS RECORDED:
+ * - doc.save() of a new document → "<model>.create"
+ * - doc.save() of an existing document → "<model>.update"
+ * - updateOne / findOneAndUpdate / replaceOne / findOneAndReplace → "<model>.update"
+ * - deleteOne / findOneAndDelete (and doc.deleteOne()) → "<model>.delete"
+ * - updateMany / deleteMany → one "<model>.update_many" / "<model>.delete_many"
+ *   entry with the filter and how many documents changed
+ * Writes that change nothing are not recorded.
+ *
+ * OPTING OUT:
+ * - A whole model: new mongoose.Schema({...}, { audit: false })
+ *   (the log itself, counters, sessions, caches, the stock ledger...)
+ * - One query: { audit: false } in the query options
+ * - Stock writes ({ ledger: true }) are skipped: the StockMovement ledger already records them
+ *
+ * TRANSACTIONS: The entry is written in the same session as the change,
+ * so a rolled back change leaves no audit entry.
+ */
+
+const SINGLE_UPDATE_QUERIES = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const SINGLE_DELETE_QUERIES = ['deleteOne', 'findOneAndDelete'];
+
+/**
+ * HELPER FUNCTION: Action Prefix
+ * PURPOSE: "PurchaseOrder" → "purchase_order"
+ */
+const actionPrefix = (modelName) => modelName.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+/**
+ * HELPER FUNCTION: Should This Query Be Skipped?
+ */
+const skipQuery = (query) => {
+    const options = query.getOptions();
+    return options.audit === false || options.ledger === true;
+};
+
+// Versions of the document read BEFORE a query runs, kept until its post hook
+const beforeByQuery = new WeakMap();
+
+/**
+ * HELPER FUNCTION: Read Current Version
+ * PURPOSE: Load a document as plain object, in the same transaction as the write
+ */
+const readCurrent = (Model, filter, session) => Model.findOne(filter).lean().session(session || null);
+
+const auditPlugin = (schema) => {
+    if (schema.options.audit === false) {
+        return;
+    }
+
+    // ==========================================
+    // DOCUMENT SAVE
+    // ==========================================
+
+    schema.pre('save', async function () {
+        if (this.$isSubdocument) {
+            return;
+        }
+        this.$locals.auditIsNew = this.isNew;
+        this.$locals.auditBefore = this.isNew || !this.isModified()
+            ? null
+            : await readCurrent(this.constructor, { _id: this._id }, this.$session());
+    });
+
+    schema.post('save', async function () {
+        if (this.$isSubdocument) {
+            return;
+        }
+        const isNew = this.$locals.auditIsNew;
+        const before = this.$locals.auditBefore;
+        delete this.$locals.auditIsNew;
+        delete this.$locals.auditBefore;
+        if (!isNew && !before) {
+            return;
+        }
+        const changes = diffDocuments(before, this.toObject({ depopulate: true }));
+        if (!changes) {
+            return;
+        }
+        await recordAudit({
+            action: `${actionPrefix(this.constructor.modelName)}.${isNew ? 'create' : 'update'}`,
+            targetModel: this.constructor.modelName,
+            targetId: this._id,
+            changes,
+        }, this.$session());
+    });
+
+    // ==========================================
+    // SINGLE DOCUMENT QUERIES
+    // ==========================================
+
+    schema.pre([...SINGLE_UPDATE_QUERIES, ...SINGLE_DELETE_QUERIES], async function () {
+        if (skipQuery(this)) {
+            return;
+        }
+        beforeByQuery.set(this, await readCurrent(this.model, this.getFilter(), this.getOptions().session));
+    });
+
+    schema.post(SINGLE_UPDATE_QUERIES, async function (result) {
+        if (skipQuery(this)) {
+            return;
+        }
+        const before = beforeByQuery.get(this);
+        beforeByQuery.delete(this);
+        // Upserts have no "before": the new id is in the result
+        const id = before ? before._id : (result && (result.upsertedId || result._id));
+        if (!id) {
+            return;
+        }
+        const session = this.getOptions().session;
+        const after = await readCurrent(this.model, { _id: id }, session);
+        const changes = diffDocuments(before, after);
+        if (!changes) {
+            return;
+        }
+        await recordAudit({
+            action: `${actionPrefix(this.model.modelName)}.${before ? 'update' : 'create'}`,
+            targetModel: this.model.modelName,
+            targetId: id,
+            changes,
+        }, session);
+    });
+
+    schema.post(SINGLE_DELETE_QUERIES, async function (result) {
+        if (skipQuery(this)) {
+            return;
+        }
+        const before = beforeByQuery.get(this);
+        beforeByQuery.delete(this);
+        const deleted = this.op === 'deleteOne' ? result && result.deletedCount > 0 : Boolean(result);
+        if (!before || !deleted) {
+            return;
+        }
+        await recordAudit({
+            action: `${actionPrefix(this.model.modelName)}.delete`,
+            targetModel: this.model.modelName,
+            targetId: before._id,
+            changes: diffDocuments(before, null),
+        }, this.getOptions().session);
+    });
+
+    // ==========================================
+    // BULK QUERIES
+    // ==========================================
+
+    /**
+     * No per-document diff here (it would mean reading every matched document):
+     * one entry with the filter, the update and the number of documents changed
+     */
+    schema.post('updateMany', async function (result) {
+        if (skipQuery(this) || !result || !result.modifiedCount) {
+            return;
+        }
+        await recordAudit({
+            action: `${actionPrefix(this.model.modelName)}.update_many`,
+            targetModel: this.model.modelName,
+            metadata: {
+                filter: JSON.parse(JSON.stringify(this.getFilter())),
+                update: JSON.parse(JSON.stringify(this.getUpdate())),
+                modified: result.modifiedCount,
+            },
+        }, this.getOptions().session);
+    });
+
+    schema.post('deleteMany', async function (result) {
+        if (skipQuery(this) || !result || !result.deletedCount) {
+            return;
+        }
+        await recordAudit({
+            action: `${actionPrefix(this.model.modelName)}.delete_many`,
+            targetModel: this.model.modelName,
+            metadata: {
+                filter: JSON.parse(JSON.stringify(this.getFilter())),
+                deleted: result.deletedCount,
+            },
+        }, this.getOptions().session);
+    });
+};
+
+module.exports = auditPlugin;
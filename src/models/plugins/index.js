@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+/**
+ * GLOBAL PLUGINS
+ *
+ * PURPOSE: Register the plugins every schema gets (today: the audit log)
+ *
+ * WHY A MODULE EVERY MODEL REQUIRES?
+ * mongoose.plugin() only applies to models compiled AFTER it runs. Registered
+ * in app.js, any model required before app.js (a script, a test, server.js
+ * requiring a service first) would silently go unaudited. Each model file
+ * requires this module before calling mongoose.model(), so the order no
+ * longer matters. Node runs it only once.
+ *
+ * EXCEPTION: models/AuditLog.js doesn't require it: it opts out (audit: false)
+ * and the audit plugin itself needs AuditLog, which would be a require cycle.
+ */
+mongoose.plugin(require('./audit.js'));
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: AI Controller + Auth Middleware
+ *
+ * Every AI route:
+ * - needs a valid access token
+ * - counts against the user's daily quota (AI_DAILY_QUOTA), unless the answer is cached
+ * - uses the provider set in AI_PROVIDER ("local" works offline)
+ */
+const {
+    generateDescription,
+    suggestDiscount,
+    salesAnalysis,
+    inventoryInsights,
+} = require('../controllers/aiController.js');
+const { protect } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    generateDescriptionSchema,
+    suggestDiscountSchema,
+    salesAnalysisSchema,
+    inventoryInsightsSchema,
+} = require('../validators/ai.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: POST /api/ai/generate-description
+ * BODY: { "product": "<id>", "features": [...], "tone": "friendly" }
+ */
+router.post('/generate-description', validate(generateDescriptionSchema), generateDescription);
+
+/**
+ * ROUTE: POST /api/ai/suggest-discount
+ * BODY: { "product": "<id>", "periodDays": 30 }
+ */
+router.post('/suggest-discount', validate(suggestDiscountSchema), suggestDiscount);
+
+/**
+ * ROUTE: POST /api/ai/sales-analysis
+ * BODY: { "from": "2026-01-01", "to": "2026-01-31" }
+ */
+router.post('/sales-analysis', validate(salesAnalysisSchema), salesAnalysis);
+
+/**
+ * ROUTE: POST /api/ai/inventory-insights
+ * BODY: { "periodDays": 30, "category": "beverages" }
+ *
+ * ERROR RESPONSES (all AI routes):
+ * - 400: Invalid input (VALIDATION_ERROR with the list of fields)
+ * - 401: Missing or invalid token
+ * - 404: Product not found
+ * - 429: Daily AI quota reached
+ */
+router.post('/inventory-insights', validate(inventoryInsightsSchema), inventoryInsights);
+
+module.exports = router;
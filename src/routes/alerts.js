@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Alert Controller + Auth Middleware
+ *
+ * Alerts are raised automatically when a product's stock falls to or below
+ * its reorder point (see services/alertService.js)
+ */
+const {
+    getAlerts,
+    acknowledgeAlert,
+} = require('../controllers/alertController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    alertListSchema,
+    alertParamsSchema,
+} = require('../validators/alerts.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/alerts
+ *
+ * PURPOSE: List alerts (active ones by default)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * GET http://localhost:5000/api/alerts?status=open&type=out_of_stock
+ * Authorization: Bearer <access token>
+ */
+router.get('/', validate(alertListSchema), getAlerts);
+
+/**
+ * ROUTE: PATCH /api/alerts/:id/acknowledge (admin)
+ *
+ * PURPOSE: Mark an open alert as seen
+ */
+router.patch('/:id/acknowledge', authorize('admin'), validate(alertParamsSchema), acknowledgeAlert);
+
+module.exports = router;
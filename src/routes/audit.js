@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Audit Controller + Auth Middleware
+ *
+ * The audit log is read-only: entries are written by the audit plugin
+ * (models/plugins/audit.js) and the auth controller, never through the API.
+ */
+const { getAuditEntries } = require('../controllers/auditController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    auditListSchema,
+} = require('../validators/audit.js');
+
+router.use(protect, authorize('admin'));
+
+/**
+ * ROUTE: GET /api/audit (?user, ?targetModel, ?targetId, ?action, ?requestId, ?from, ?to, ?page, ?limit)
+ */
+router.get('/', validate(auditListSchema), getAuditEntries);
+
+module.exports = router;
@@ -8,12 +8,68 @@ const router = express.Router();
  * - register: POST /api/auth/register
  * - login: POST /api/auth/login
  * - refreshToken: POST /api/auth/refresh
+ * - logout: POST /api/auth/logout
+ * - logoutAll: POST /api/auth/logout-all
+ * - getSessions: GET /api/auth/sessions
+ * - deleteSession: DELETE /api/auth/sessions/:id
+ * - forgotPassword: POST /api/auth/forgot-password
+ * - resetPassword: POST /api/auth/reset-password
+ * - verifyEmail: POST /api/auth/verify-email
+ * - resendVerification: POST /api/auth/resend-verification
+ * - getMe / updateMe: GET / PATCH /api/auth/me
+ * - changePassword: POST /api/auth/change-password
  */
 const {
     register,
     login,
     refreshToken,
+    logout,
+    logoutAll,
+    getSessions,
+    deleteSession,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    getMe,
+    updateMe,
+    changePassword,
 } = require('../controllers/authController.js');
+const { protect, optionalAuth } = require('../middleware/auth.js');
+const {
+    loginRateLimit,
+    registerRateLimit,
+    refreshRateLimit,
+    forgotPasswordRateLimit,
+    resendVerificationRateLimit,
+    passwordCheckRateLimit,
+} = require('../middleware/rateLimit.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    logoutSchema,
+    sessionParamsSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    resendVerificationSchema,
+    updateMeSchema,
+    changePasswordSchema,
+} = require('../validators/auth.js');
+
+/**
+ * VALIDATION
+ * validate(schema) runs first on every route with input: a request with missing
+ * or malformed fields is answered with 400 VALIDATION_ERROR before any controller runs
+ * (schemas in validators/auth.js)
+ *
+ * RATE LIMITS
+ * register, login and refresh are limited per IP and per account, before anything
+ * else runs: over the limit → 429 TOO_MANY_REQUESTS with Retry-After
+ * (numbers in middleware/rateLimit.js)
+ */
 
 /**
  * ROUTE: POST /api/auth/register
@@ -28,6 +84,12 @@ const {
  * 5. Returns JWT token
  * 6. Frontend stores token and logs user in
  * 
+ * ROLE RULES:
+ * - Without a token, users are always created as "employee"
+ *   (except the very first admin during first-run bootstrap)
+ * - An admin can create another admin by sending their token:
+ *   Authorization: Bearer <admin access token>
+ * 
  * EXAMPLE REQUEST (in Postman):
  * POST http://localhost:5000/api/auth/register
  * Content-Type: application/json
@@ -52,7 +114,7 @@ const {
  *   }
  * }
  */
-router.post('/register', register);
+router.post('/register', registerRateLimit, validate(registerSchema), optionalAuth, register);
 
 /**
  * ROUTE: POST /api/auth/login
@@ -90,11 +152,13 @@ router.post('/register', register);
  * }
  * 
  * ERROR RESPONSES:
- * - 400: Missing email or password
- * - 401: Invalid email or password (user not found or wrong password)
+ * - 400 VALIDATION_ERROR: Missing email or password
+ * - 401: "Invalid credentials" (unknown email, wrong password or temporarily locked account,
+ *   always the same message so nobody can tell which)
+ * - 429: Too many attempts from this IP or for this email
  * - 500: Server error
  */
-router.post('/login', login);
+router.post('/login', loginRateLimit, validate(loginSchema), login);
 
 /**
  * ROUTE: POST /api/auth/refresh
@@ -105,8 +169,8 @@ router.post('/login', login);
  * 1. User's access token expires after 7 days
  * 2. Frontend detects token is expired
  * 3. Frontend sends refresh token to /api/auth/refresh
- * 4. Backend verifies refresh token and issues new access token
- * 5. Frontend updates stored token
+ * 4. Backend verifies refresh token and issues new access + refresh tokens
+ * 5. Frontend replaces BOTH stored tokens (the old refresh token is now dead)
  * 6. User stays logged in without re-entering credentials
  * 
  * EXAMPLE REQUEST (in Postman):
@@ -120,15 +184,126 @@ router.post('/login', login);
  * EXAMPLE RESPONSE (200 OK):
  * {
  *   "success": true,
- *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..." (new token)
+ *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..." (new token),
+ *   "refreshToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..." (new refresh token)
  * }
  * 
  * ERROR RESPONSES:
- * - 400: Refresh token not provided
- * - 401: Invalid or expired refresh token
+ * - 400 VALIDATION_ERROR: Refresh token not provided
+ * - 401: Invalid, expired, revoked or already used refresh token, or the user was deactivated
+ * - 429: Too many refreshes from this IP or for this user
  * - 500: Server error
  */
-router.post('/refresh', refreshToken);
+router.post('/refresh', refreshRateLimit, validate(refreshTokenSchema), refreshToken);
+
+/**
+ * ROUTE: POST /api/auth/logout
+ * 
+ * PURPOSE: End the current session (send the refresh token in the body)
+ * 
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/auth/logout
+ * 
+ * {
+ *   "refreshToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ * }
+ */
+router.post('/logout', validate(logoutSchema), logout);
+
+/**
+ * ROUTE: POST /api/auth/logout-all (needs access token)
+ * 
+ * PURPOSE: End every session of the user on every device
+ */
+router.post('/logout-all', protect, logoutAll);
+
+/**
+ * ROUTE: GET /api/auth/sessions (needs access token)
+ * 
+ * PURPOSE: List active logins ("current": true marks this device)
+ * 
+ * ROUTE: DELETE /api/auth/sessions/:id (needs access token)
+ * 
+ * PURPOSE: Log out one specific device
+ */
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, validate(sessionParamsSchema), deleteSession);
+
+/**
+ * ROUTE: GET /api/auth/me (needs access token)
+ * 
+ * PURPOSE: The logged-in user's own profile
+ * 
+ * ROUTE: PATCH /api/auth/me (needs access token)
+ * 
+ * PURPOSE: Change your name or email (the email needs "currentPassword")
+ * 
+ * {
+ *   "name": "Juan Saldaña"
+ * }
+ */
+router.get('/me', protect, getMe);
+router.patch('/me', protect, passwordCheckRateLimit, validate(updateMeSchema), updateMe);
+
+/**
+ * ROUTE: POST /api/auth/change-password (needs access token)
+ * 
+ * PURPOSE: Choose a new password knowing the current one
+ * Every other session is logged out, this one stays.
+ * 
+ * {
+ *   "currentPassword": "MySecurePassword123",
+ *   "newPassword": "MyNewPassword456"
+ * }
+ */
+router.post('/change-password', protect, passwordCheckRateLimit, validate(changePasswordSchema), changePassword);
+
+/**
+ * ROUTE: POST /api/auth/forgot-password
+ * 
+ * PURPOSE: Email a password reset link (valid 1 hour, single use)
+ * LIMIT: 10 requests per IP and 3 per email per hour (429 after that)
+ * 
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/auth/forgot-password
+ * 
+ * {
+ *   "email": "juan@istdpro.com"
+ * }
+ * 
+ * ROUTE: POST /api/auth/reset-password
+ * 
+ * PURPOSE: Choose a new password with the token from the email
+ * All sessions are logged out afterwards.
+ * 
+ * {
+ *   "token": "3f9c...e1",
+ *   "password": "MyNewPassword123"
+ * }
+ */
+router.post('/forgot-password', forgotPasswordRateLimit, validate(forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
+
+/**
+ * ROUTE: POST /api/auth/verify-email
+ * 
+ * PURPOSE: Confirm the email address with the token from the verification email
+ * 
+ * {
+ *   "token": "a81b...77"
+ * }
+ * 
+ * ROUTE: POST /api/auth/resend-verification
+ * 
+ * PURPOSE: Send a new verification link
+ * LIMIT: 10 requests per IP and 3 per email per hour (429 after that)
+ * 
+ * {
+ *   "email": "juan@istdpro.com"
+ * }
+ */
+router.post('/verify-email', validate(verifyEmailSchema), verifyEmail);
+router.post('/resend-verification', resendVerificationRateLimit, validate(resendVerificationSchema), resendVerification);
 
 /**
  * ==========================================
@@ -142,6 +317,17 @@ router.post('/refresh', refreshToken);
  * POST /api/auth/register
  * POST /api/auth/login
  * POST /api/auth/refresh
+ * POST /api/auth/logout
+ * POST /api/auth/logout-all
+ * GET /api/auth/sessions
+ * DELETE /api/auth/sessions/:id
+ * POST /api/auth/forgot-password
+ * POST /api/auth/reset-password
+ * POST /api/auth/verify-email
+ * POST /api/auth/resend-verification
+ * GET /api/auth/me
+ * PATCH /api/auth/me
+ * POST /api/auth/change-password
  * 
  * Later we'll add more routes:
  * POST /api/products (create product)
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Credit Note Controller + Auth Middleware
+ *
+ * Credit notes are read-only here: they are issued by returns and voids
+ * (POST /api/sales/:id/returns, POST /api/sales/:id/void).
+ * Visibility follows the invoice rules.
+ */
+const {
+    getCreditNotes,
+    getCreditNote,
+    downloadCreditNotePdf,
+} = require('../controllers/creditNoteController.js');
+const { protect } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    creditNoteListSchema,
+    documentParamsSchema,
+} = require('../validators/invoices.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/credit-notes (?year, ?invoice, ?page, ?limit)
+ */
+router.get('/', validate(creditNoteListSchema), getCreditNotes);
+
+/**
+ * ROUTE: GET /api/credit-notes/:id
+ * ROUTE: GET /api/credit-notes/:id/pdf - download the PDF
+ */
+router.get('/:id', validate(documentParamsSchema), getCreditNote);
+router.get('/:id/pdf', validate(documentParamsSchema), downloadCreditNotePdf);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Customer Controller + Auth Middleware
+ *
+ * - Everyone logged in can find, register and correct customers (it happens at the register)
+ * - Only admins can deactivate them (isActive, checked by the controller)
+ */
+const {
+    createCustomer,
+    getCustomers,
+    getCustomer,
+    updateCustomer,
+    getCustomerSales,
+    getCustomerLoyalty,
+} = require('../controllers/customerController.js');
+const { protect } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createCustomerSchema,
+    customerListSchema,
+    customerParamsSchema,
+    updateCustomerSchema,
+    customerHistorySchema,
+} = require('../validators/customers.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/customers (?search, ?email, ?phone, ?active, ?page, ?limit)
+ * ROUTE: POST /api/customers
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/customers
+ * Authorization: Bearer <access token>
+ *
+ * {
+ *   "name": "Ana Ruiz",
+ *   "phone": "+1 555 010 0100"
+ * }
+ */
+router.route('/')
+    .get(validate(customerListSchema), getCustomers)
+    .post(validate(createCustomerSchema), createCustomer);
+
+/**
+ * ROUTE: GET /api/customers/:id
+ * ROUTE: PUT /api/customers/:id - send "isActive": false to deactivate (admin)
+ */
+router.route('/:id')
+    .get(validate(customerParamsSchema), getCustomer)
+    .put(validate(updateCustomerSchema), updateCustomer);
+
+/**
+ * ROUTE: GET /api/customers/:id/sales - purchase history + lifetime value
+ * ROUTE: GET /api/customers/:id/loyalty - points balance, expiry and ledger
+ */
+router.get('/:id/sales', validate(customerHistorySchema), getCustomerSales);
+router.get('/:id/loyalty', validate(customerHistorySchema), getCustomerLoyalty);
+
+module.exports = router;
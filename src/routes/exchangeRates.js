@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Exchange Rate Controller + Auth Middleware
+ *
+ * - Everyone logged in can read the rates (the till shows them)
+ * - Only admins maintain the table
+ */
+const {
+    createExchangeRate,
+    getExchangeRates,
+    getCurrentExchangeRate,
+    deleteExchangeRate,
+} = require('../controllers/exchangeRateController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createExchangeRateSchema,
+    exchangeRateListSchema,
+    currentExchangeRateSchema,
+    exchangeRateParamsSchema,
+} = require('../validators/exchangeRates.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/exchange-rates (?currency)
+ * ROUTE: POST /api/exchange-rates (admin)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/exchange-rates
+ * Authorization: Bearer <admin access token>
+ *
+ * {
+ *   "currency": "EUR",
+ *   "rate": 1.08,
+ *   "effectiveFrom": "2026-03-01T00:00:00Z"
+ * }
+ */
+router.route('/')
+    .get(validate(exchangeRateListSchema), getExchangeRates)
+    .post(authorize('admin'), validate(createExchangeRateSchema), createExchangeRate);
+
+/**
+ * ROUTE: GET /api/exchange-rates/current?currency=EUR&at=2026-03-15T10:00:00Z
+ */
+router.get('/current', validate(currentExchangeRateSchema), getCurrentExchangeRate);
+
+/**
+ * ROUTE: DELETE /api/exchange-rates/:id (admin, rates not effective yet)
+ */
+router.delete('/:id', authorize('admin'), validate(exchangeRateParamsSchema), deleteExchangeRate);
+
+module.exports = router;
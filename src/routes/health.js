@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Health Controller
+ *
+ * No protect here: load balancers and orchestrators (Kubernetes probes,
+ * uptime monitors) call these routes without a token
+ */
+const {
+    getHealth,
+    getLiveness,
+    getReadiness,
+} = require('../controllers/healthController.js');
+
+/**
+ * ROUTE: GET /api/health
+ *
+ * PURPOSE: Is the backend running?
+ *
+ * ROUTE: GET /api/health/live
+ *
+ * PURPOSE: Liveness probe - 200 as long as the process answers
+ *
+ * ROUTE: GET /api/health/ready
+ *
+ * PURPOSE: Readiness probe - 200 when the database answers, 503 while it is
+ * disconnected or the server is shutting down
+ *
+ * EXAMPLE (Kubernetes):
+ * livenessProbe:  { httpGet: { path: /api/health/live, port: 5000 } }
+ * readinessProbe: { httpGet: { path: /api/health/ready, port: 5000 } }
+ */
+router.get('/', getHealth);
+router.get('/live', getLiveness);
+router.get('/ready', getReadiness);
+
+module.exports = router;
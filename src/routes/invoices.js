@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Invoice Controller + Auth Middleware
+ *
+ * Visibility follows the sales rules:
+ * - admin sees all invoices
+ * - employee sees only invoices of their own sales
+ */
+const {
+    createInvoice,
+    getInvoices,
+    getInvoice,
+    downloadInvoicePdf,
+} = require('../controllers/invoiceController.js');
+const { protect } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createInvoiceSchema,
+    invoiceListSchema,
+    documentParamsSchema,
+} = require('../validators/invoices.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: POST /api/invoices
+ *
+ * PURPOSE: Issue the invoice of a sale (number + PDF)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/invoices
+ * Authorization: Bearer <access token>
+ *
+ * {
+ *   "sale": "65a1fd98f66d453210cde123",
+ *   "billTo": { "name": "ACME Corp", "taxId": "X123" }
+ * }
+ *
+ * EXAMPLE RESPONSE (201 Created):
+ * {
+ *   "success": true,
+ *   "invoice": { "invoiceNumber": "INV-2026-000123", "pdfUrl": "/api/invoices/<id>/pdf", ... }
+ * }
+ *
+ * ROUTE: GET /api/invoices (?year, ?page, ?limit)
+ */
+router.route('/')
+    .get(validate(invoiceListSchema), getInvoices)
+    .post(validate(createInvoiceSchema), createInvoice);
+
+/**
+ * ROUTE: GET /api/invoices/:id
+ * ROUTE: GET /api/invoices/:id/pdf - download the PDF
+ */
+router.get('/:id', validate(documentParamsSchema), getInvoice);
+router.get('/:id/pdf', validate(documentParamsSchema), downloadInvoicePdf);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Location Controller + Auth Middleware
+ *
+ * - Everyone logged in can read locations and their stock
+ * - Only admins can create or edit them
+ */
+const {
+    createLocation,
+    getLocations,
+    getLocation,
+    updateLocation,
+    getLocationStock,
+    assignUserLocation,
+} = require('../controllers/locationController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createLocationSchema,
+    locationListSchema,
+    locationParamsSchema,
+    updateLocationSchema,
+    locationStockSchema,
+    assignUserLocationSchema,
+} = require('../validators/locations.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/locations (?type, ?active)
+ * ROUTE: POST /api/locations (admin)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/locations
+ * Authorization: Bearer <admin access token>
+ *
+ * {
+ *   "code": "shop-1",
+ *   "name": "Shop floor - Downtown",
+ *   "type": "store"
+ * }
+ */
+router.route('/')
+    .get(validate(locationListSchema), getLocations)
+    .post(authorize('admin'), validate(createLocationSchema), createLocation);
+
+/**
+ * ROUTE: GET /api/locations/:id
+ * ROUTE: PUT /api/locations/:id (admin) - "isDefault": true moves the default here
+ */
+router.route('/:id')
+    .get(validate(locationParamsSchema), getLocation)
+    .put(authorize('admin'), validate(updateLocationSchema), updateLocation);
+
+/**
+ * ROUTE: GET /api/locations/:id/stock - products and units at this location
+ */
+router.get('/:id/stock', validate(locationStockSchema), getLocationStock);
+
+/**
+ * ROUTE: PUT /api/locations/:id/users/:userId (admin)
+ *
+ * PURPOSE: Make this the user's default location (their sales draw stock from here)
+ */
+router.put('/:id/users/:userId', authorize('admin'), validate(assignUserLocationSchema), assignUserLocation);
+
+module.exports = router;
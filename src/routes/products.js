@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Product Controller + Auth Middleware
+ *
+ * - protect: every product route needs a valid access token
+ * - authorize('admin'): only admins can create, edit or delete products
+ *   (see the role comments in User.js)
+ */
+const {
+    createProduct,
+    getProducts,
+    getProduct,
+    getProductByBarcode,
+    updateProduct,
+    deleteProduct,
+    importProducts,
+    exportProducts,
+    printLabels,
+} = require('../controllers/productController.js');
+const {
+    createStockAdjustment,
+    getMovements,
+    getReconciliation,
+    getProductStockLevels,
+} = require('../controllers/inventoryController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    productListSchema,
+    createProductSchema,
+    productParamsSchema,
+    barcodeParamsSchema,
+    labelsSchema,
+    updateProductSchema,
+    importProductsSchema,
+    exportProductsSchema,
+    stockAdjustmentSchema,
+    movementsSchema,
+    reconciliationSchema,
+    productStockSchema,
+} = require('../validators/products.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/products
+ *
+ * PURPOSE: List products with search, filters, sorting and pagination
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * GET http://localhost:5000/api/products?search=coffee&category=beverages&minPrice=500&maxPrice=2000&stockStatus=in_stock&sort=-price&page=1&limit=20
+ * Authorization: Bearer <access token>
+ *
+ * ROUTE: POST /api/products (admin)
+ *
+ * PURPOSE: Create a new product
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/products
+ * Authorization: Bearer <admin access token>
+ *
+ * {
+ *   "sku": "cof-1kg",
+ *   "barcodes": ["4006381333931"],
+ *   "name": "Coffee Beans 1kg",
+ *   "price": 1850,
+ *   "cost": 975,
+ *   "stock": 40,
+ *   "category": "beverages"
+ * }
+ */
+router.route('/')
+    .get(validate(productListSchema), getProducts)
+    .post(authorize('admin'), validate(createProductSchema), createProduct);
+
+/**
+ * ROUTE: GET /api/products/reconciliation (admin)
+ *
+ * PURPOSE: Recompute stock from the inventory ledger and flag products that drifted
+ * (declared BEFORE /:id so "reconciliation" isn't read as a product id)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * GET http://localhost:5000/api/products/reconciliation?onlyDrift=true
+ */
+router.get('/reconciliation', authorize('admin'), validate(reconciliationSchema), getReconciliation);
+
+/**
+ * ROUTE: POST /api/products/import (admin)
+ *
+ * PURPOSE: Create/update many products from a CSV file, upserting by SKU
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/products/import?dryRun=true
+ * Content-Type: text/csv
+ * Body (binary): catalog.csv
+ *
+ * ROUTE: GET /api/products/export (admin)
+ *
+ * PURPOSE: Download the catalog as CSV, with the same filters as GET /api/products
+ * GET http://localhost:5000/api/products/export?category=beverages&stockStatus=low_stock
+ */
+router.post('/import', authorize('admin'), validate(importProductsSchema), importProducts);
+router.get('/export', authorize('admin'), validate(exportProductsSchema), exportProducts);
+
+/**
+ * ROUTE: GET /api/products/barcode/:code
+ *
+ * PURPOSE: Find the product of a scanned EAN-13 / UPC-A barcode
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * GET http://localhost:5000/api/products/barcode/036000291452
+ *
+ * ROUTE: POST /api/products/labels
+ *
+ * PURPOSE: Printable label sheets (barcode, name, price) as PDF or SVG
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/products/labels
+ *
+ * {
+ *   "format": "pdf",
+ *   "items": [{ "product": "<productId>", "copies": 24 }]
+ * }
+ */
+router.get('/barcode/:code', validate(barcodeParamsSchema), getProductByBarcode);
+router.post('/labels', validate(labelsSchema), printLabels);
+
+/**
+ * ROUTE: GET /api/products/:id
+ * ROUTE: PUT /api/products/:id (admin) - partial update (stock can't be edited here)
+ * ROUTE: DELETE /api/products/:id (admin) - soft delete
+ *
+ * ERROR RESPONSES:
+ * - 400: Validation failed
+ * - 401: Missing or invalid token
+ * - 403: Not an admin
+ * - 404: Product not found
+ * - 409: SKU or barcode already in use
+ */
+router.route('/:id')
+    .get(validate(productParamsSchema), getProduct)
+    .put(authorize('admin'), validate(updateProductSchema), updateProduct)
+    .delete(authorize('admin'), validate(productParamsSchema), deleteProduct);
+
+/**
+ * ROUTE: POST /api/products/:id/stock-adjustments (admin)
+ *
+ * PURPOSE: The only way to change stock by hand. Every change is written to the ledger.
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/products/65a1fd98f66d453210cde123/stock-adjustments
+ *
+ * {
+ *   "type": "restock",
+ *   "quantity": 24,
+ *   "location": "<locationId>" (optional),
+ *   "note": "Weekly delivery"
+ * }
+ *
+ * ROUTE: GET /api/products/:id/movements (admin)
+ *
+ * PURPOSE: History of every stock change of the product (?type, ?from, ?to, ?page, ?limit)
+ */
+router.post('/:id/stock-adjustments', authorize('admin'), validate(stockAdjustmentSchema), createStockAdjustment);
+router.get('/:id/movements', authorize('admin'), validate(movementsSchema), getMovements);
+
+/**
+ * ROUTE: GET /api/products/:id/stock
+ *
+ * PURPOSE: Units per location, total and in transit (?location=<id> for a single location)
+ */
+router.get('/:id/stock', validate(productStockSchema), getProductStockLevels);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Promotion Controller + Auth Middleware
+ *
+ * - Everyone logged in can see the promotions (cashiers tell customers about them)
+ * - Only admins can create or change them, or see who used them
+ * The till applies them by itself, see POST /api/sales and POST /api/sales/quote
+ */
+const {
+    createPromotion,
+    getPromotions,
+    getPromotion,
+    updatePromotion,
+    getPromotionRedemptions,
+} = require('../controllers/promotionController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createPromotionSchema,
+    promotionListSchema,
+    promotionParamsSchema,
+    updatePromotionSchema,
+    redemptionListSchema,
+} = require('../validators/promotions.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/promotions (?search, ?code, ?active, ?page, ?limit)
+ * ROUTE: POST /api/promotions (admin)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/promotions
+ * Authorization: Bearer <admin access token>
+ *
+ * {
+ *   "name": "Coffee: buy 2 get 1 free",
+ *   "type": "buy_x_get_y",
+ *   "buyQuantity": 2,
+ *   "getQuantity": 1,
+ *   "scope": "sku",
+ *   "skus": ["COF-001"],
+ *   "priority": 10,
+ *   "exclusive": true
+ * }
+ */
+router.route('/')
+    .get(validate(promotionListSchema), getPromotions)
+    .post(authorize('admin'), validate(createPromotionSchema), createPromotion);
+
+/**
+ * ROUTE: GET /api/promotions/:id
+ * ROUTE: PUT /api/promotions/:id (admin) - { "isActive": false } stops it
+ */
+router.route('/:id')
+    .get(validate(promotionParamsSchema), getPromotion)
+    .put(authorize('admin'), validate(updatePromotionSchema), updatePromotion);
+
+/**
+ * ROUTE: GET /api/promotions/:id/redemptions (admin) - sales that used it
+ */
+router.get('/:id/redemptions', authorize('admin'), validate(redemptionListSchema), getPromotionRedemptions);
+
+module.exports = router;
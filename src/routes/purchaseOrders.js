@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Purchase Order Controller + Auth Middleware
+ *
+ * - Any logged-in user can prepare and edit DRAFT purchase orders
+ * - Only admins can approve, receive or cancel them (see the role comments in User.js)
+ */
+const {
+    createPurchaseOrder,
+    getPurchaseOrders,
+    getPurchaseOrder,
+    updatePurchaseOrder,
+    approvePurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder,
+} = require('../controllers/purchaseOrderController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createPurchaseOrderSchema,
+    purchaseOrderListSchema,
+    purchaseOrderParamsSchema,
+    updatePurchaseOrderSchema,
+    receivePurchaseOrderSchema,
+} = require('../validators/purchaseOrders.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/purchase-orders (?status, ?supplier, ?page, ?limit)
+ * ROUTE: POST /api/purchase-orders - create a draft
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/purchase-orders
+ * Authorization: Bearer <access token>
+ *
+ * {
+ *   "supplier": "65a1fd98f66d453210cde999",
+ *   "items": [{ "product": "65a1fd98f66d453210cde123", "quantity": 24, "unitCost": 4.5 }]
+ * }
+ */
+router.route('/')
+    .get(validate(purchaseOrderListSchema), getPurchaseOrders)
+    .post(validate(createPurchaseOrderSchema), createPurchaseOrder);
+
+/**
+ * ROUTE: GET /api/purchase-orders/:id
+ * ROUTE: PUT /api/purchase-orders/:id - edit a draft
+ */
+router.route('/:id')
+    .get(validate(purchaseOrderParamsSchema), getPurchaseOrder)
+    .put(validate(updatePurchaseOrderSchema), updatePurchaseOrder);
+
+/**
+ * ROUTE: POST /api/purchase-orders/:id/approve (admin) - draft → sent
+ * ROUTE: POST /api/purchase-orders/:id/receive (admin) - partial or full receipt, restocks inventory
+ * ROUTE: POST /api/purchase-orders/:id/cancel (admin)
+ *
+ * EXAMPLE RECEIVE BODY:
+ * {
+ *   "items": [{ "product": "65a1fd98f66d453210cde123", "quantity": 10 }],
+ *   "note": "First delivery"
+ * }
+ */
+router.post('/:id/approve', authorize('admin'), validate(purchaseOrderParamsSchema), approvePurchaseOrder);
+router.post('/:id/receive', authorize('admin'), validate(receivePurchaseOrderSchema), receivePurchaseOrder);
+router.post('/:id/cancel', authorize('admin'), validate(purchaseOrderParamsSchema), cancelPurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Realtime Controller + Auth Middleware
+ *
+ * One Server-Sent Events stream per dashboard, authenticated with the same
+ * access token as every other route (see services/realtimeService.js for
+ * the channels and events)
+ */
+const { streamEvents } = require('../controllers/realtimeController.js');
+const { protectEventStream } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const { eventStreamSchema } = require('../validators/realtime.js');
+
+/**
+ * ROUTE: GET /api/realtime/events (?channels, ?lastEventId)
+ *
+ * EXAMPLE REQUEST (curl, Postman buffers streams):
+ * curl -N http://localhost:5000/api/realtime/events?channels=inventory \
+ *   -H "Authorization: Bearer <access token>"
+ *
+ * RESUME AFTER RECONNECT: the browser sends the Last-Event-ID header by itself
+ */
+router.get('/events', protectEventStream, validate(eventStreamSchema), streamEvents);
+
+module.exports = router;
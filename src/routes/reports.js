@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Report Controller + Auth Middleware
+ *
+ * Both roles can read reports. Scope is handled in the service:
+ * - admin sees every sale (or one employee with ?soldBy)
+ * - employee only sees figures of their own sales (see the role comments in User.js)
+ *
+ * Every report accepts ?from, ?to, ?timezone and ?format=csv
+ */
+const {
+    getRevenueReport,
+    getTopProductsReport,
+    getGrossMarginReport,
+    getEmployeesReport,
+    getBasketSizeReport,
+    getTaxReport,
+} = require('../controllers/reportController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    reportSchema,
+    revenueReportSchema,
+    topProductsReportSchema,
+} = require('../validators/reports.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/reports/revenue
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * GET http://localhost:5000/api/reports/revenue?from=2026-03-01&to=2026-03-31&interval=week&timezone=Europe/Madrid
+ * Authorization: Bearer <access token>
+ */
+router.get('/revenue', validate(revenueReportSchema), getRevenueReport);
+
+/**
+ * ROUTE: GET /api/reports/top-products (?by=quantity|revenue, ?limit=10)
+ */
+router.get('/top-products', validate(topProductsReportSchema), getTopProductsReport);
+
+/**
+ * ROUTE: GET /api/reports/gross-margin
+ */
+router.get('/gross-margin', validate(reportSchema), getGrossMarginReport);
+
+/**
+ * ROUTE: GET /api/reports/employees
+ */
+router.get('/employees', validate(reportSchema), getEmployeesReport);
+
+/**
+ * ROUTE: GET /api/reports/basket-size
+ *
+ * EXAMPLE CSV DOWNLOAD:
+ * GET http://localhost:5000/api/reports/basket-size?format=csv
+ */
+router.get('/basket-size', validate(reportSchema), getBasketSizeReport);
+
+/**
+ * ROUTE: GET /api/reports/tax (admin only)
+ *
+ * PURPOSE: Taxable amounts and tax per rate for a filing period, returns subtracted
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * GET http://localhost:5000/api/reports/tax?from=2026-01-01&to=2026-03-31&format=csv
+ * Authorization: Bearer <admin access token>
+ */
+router.get('/tax', authorize('admin'), validate(reportSchema), getTaxReport);
+
+module.exports = router;
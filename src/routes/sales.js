@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Sale Controller + Auth Middleware
+ *
+ * Both roles can sell. Visibility is handled in the controller:
+ * - admin sees all sales
+ * - employee sees only their own sales (see the role comments in User.js)
+ */
+const {
+    createSale,
+    quoteSale,
+    getSales,
+    getSale,
+    createSaleReturn,
+    getSaleReturns,
+    voidSale,
+} = require('../controllers/saleController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createSaleSchema,
+    quoteSaleSchema,
+    saleListSchema,
+    saleParamsSchema,
+    createSaleReturnSchema,
+    voidSaleSchema,
+} = require('../validators/sales.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: POST /api/sales
+ *
+ * PURPOSE: Register a sale and take the units out of stock
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/sales
+ * Authorization: Bearer <access token>
+ *
+ * {
+ *   "items": [{ "product": "65a1fd98f66d453210cde123", "quantity": 2 }],
+ *   "coupons": ["WELCOME5"],
+ *   "customerEmail": "ana@example.com",
+ *   "paymentMethod": "card"
+ * }
+ *
+ * ERROR RESPONSES:
+ * - 400: Invalid items, discount or coupon
+ * - 403: Manual discount sent by an employee ("discount" is admin only)
+ * - 404: Product not found
+ * - 409: Not enough stock, or a promotion used up (nothing is saved)
+ *
+ * ROUTE: GET /api/sales
+ *
+ * PURPOSE: List sales (newest first) with ?from, ?to, ?soldBy (admin), ?page, ?limit
+ */
+router.route('/')
+    .get(validate(saleListSchema), getSales)
+    .post(validate(createSaleSchema), createSale);
+
+/**
+ * ROUTE: POST /api/sales/quote
+ *
+ * PURPOSE: Price a cart (promotions, coupons, tax) without selling it
+ * Same body as POST /api/sales, nothing is saved
+ */
+router.post('/quote', validate(quoteSaleSchema), quoteSale);
+
+/**
+ * ROUTE: GET /api/sales/:id
+ */
+router.get('/:id', validate(saleParamsSchema), getSale);
+
+/**
+ * ROUTE: POST /api/sales/:id/returns
+ *
+ * PURPOSE: Return some (or all) units of a sale and refund them
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/sales/65a1fd98f66d453210cde999/returns
+ * Authorization: Bearer <access token>
+ *
+ * {
+ *   "items": [{ "product": "65a1fd98f66d453210cde123", "quantity": 1 }],
+ *   "refundMethod": "cash",
+ *   "reason": "Wrong size"
+ * }
+ *
+ * ROUTE: GET /api/sales/:id/returns - every return of the sale
+ */
+router.route('/:id/returns')
+    .get(validate(saleParamsSchema), getSaleReturns)
+    .post(validate(createSaleReturnSchema), createSaleReturn);
+
+/**
+ * ROUTE: POST /api/sales/:id/void (admin only, same day as the sale)
+ *
+ * { "reason": "Rung up twice" }
+ */
+router.post('/:id/void', authorize('admin'), validate(voidSaleSchema), voidSale);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Supplier Controller + Auth Middleware
+ *
+ * - Everyone logged in can read suppliers (needed to prepare purchase orders)
+ * - Only admins can create or edit them
+ */
+const {
+    createSupplier,
+    getSuppliers,
+    getSupplier,
+    updateSupplier,
+} = require('../controllers/supplierController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createSupplierSchema,
+    supplierListSchema,
+    supplierParamsSchema,
+    updateSupplierSchema,
+} = require('../validators/suppliers.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/suppliers (?search, ?active, ?page, ?limit)
+ * ROUTE: POST /api/suppliers (admin)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/suppliers
+ * Authorization: Bearer <admin access token>
+ *
+ * {
+ *   "name": "Coffee Importers Ltd",
+ *   "email": "orders@coffeeimporters.com"
+ * }
+ */
+router.route('/')
+    .get(validate(supplierListSchema), getSuppliers)
+    .post(authorize('admin'), validate(createSupplierSchema), createSupplier);
+
+/**
+ * ROUTE: GET /api/suppliers/:id
+ * ROUTE: PUT /api/suppliers/:id (admin) - send "isActive": false to deactivate
+ */
+router.route('/:id')
+    .get(validate(supplierParamsSchema), getSupplier)
+    .put(authorize('admin'), validate(updateSupplierSchema), updateSupplier);
+
+module.exports = router;
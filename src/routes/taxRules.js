@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Tax Rule Controller + Auth Middleware
+ *
+ * - Everyone logged in can read the rules
+ * - Only admins can create or change them
+ * The tax summary for filing is a report: GET /api/reports/tax
+ */
+const {
+    createTaxRule,
+    getTaxRules,
+    resolveTaxRule,
+    getTaxRule,
+    updateTaxRule,
+} = require('../controllers/taxRuleController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createTaxRuleSchema,
+    taxRuleListSchema,
+    taxRuleParamsSchema,
+    updateTaxRuleSchema,
+    resolveTaxSchema,
+} = require('../validators/taxRules.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/tax-rules (?category, ?location, ?active)
+ * ROUTE: POST /api/tax-rules (admin)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/tax-rules
+ * Authorization: Bearer <admin access token>
+ *
+ * {
+ *   "name": "VAT 16%",
+ *   "rate": 0.16
+ * }
+ */
+router.route('/')
+    .get(validate(taxRuleListSchema), getTaxRules)
+    .post(authorize('admin'), validate(createTaxRuleSchema), createTaxRule);
+
+/**
+ * ROUTE: GET /api/tax-rules/resolve?category=groceries&location=<locationId>
+ * Declared before /:id so "resolve" is not read as an id
+ */
+router.get('/resolve', validate(resolveTaxSchema), resolveTaxRule);
+
+/**
+ * ROUTE: GET /api/tax-rules/:id
+ * ROUTE: PUT /api/tax-rules/:id (admin)
+ */
+router.route('/:id')
+    .get(validate(taxRuleParamsSchema), getTaxRule)
+    .put(authorize('admin'), validate(updateTaxRuleSchema), updateTaxRule);
+
+module.exports = router;
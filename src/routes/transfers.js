@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Transfer Controller + Auth Middleware
+ *
+ * - Admins prepare, dispatch and cancel transfers
+ * - The destination's staff (employees whose default location is the
+ *   destination) can see them and confirm what arrived
+ */
+const {
+    createTransfer,
+    getTransfers,
+    getTransfer,
+    updateTransfer,
+    dispatchTransfer,
+    receiveTransfer,
+    cancelTransfer,
+} = require('../controllers/transferController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createTransferSchema,
+    transferListSchema,
+    transferParamsSchema,
+    updateTransferSchema,
+    receiveTransferSchema,
+} = require('../validators/transfers.js');
+
+router.use(protect);
+
+/**
+ * ROUTE: GET /api/transfers (?status, ?location, ?page, ?limit)
+ * ROUTE: POST /api/transfers (admin) - create a draft
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/transfers
+ * Authorization: Bearer <admin access token>
+ *
+ * {
+ *   "from": "<warehouse id>",
+ *   "to": "<shop id>",
+ *   "items": [{ "product": "65a1fd98f66d453210cde123", "quantity": 12 }]
+ * }
+ */
+router.route('/')
+    .get(validate(transferListSchema), getTransfers)
+    .post(authorize('admin'), validate(createTransferSchema), createTransfer);
+
+/**
+ * ROUTE: GET /api/transfers/:id
+ * ROUTE: PUT /api/transfers/:id (admin) - edit a draft
+ */
+router.route('/:id')
+    .get(validate(transferParamsSchema), getTransfer)
+    .put(authorize('admin'), validate(updateTransferSchema), updateTransfer);
+
+/**
+ * ROUTE: POST /api/transfers/:id/dispatch (admin) - units leave the origin
+ * ROUTE: POST /api/transfers/:id/receive - units counted at the destination
+ *        { "items": [{ "product": "...", "quantity": 11 }], "note": "One box crushed" }
+ * ROUTE: POST /api/transfers/:id/cancel (admin) - drafts only
+ */
+router.post('/:id/dispatch', authorize('admin'), validate(transferParamsSchema), dispatchTransfer);
+router.post('/:id/receive', validate(receiveTransferSchema), receiveTransfer);
+router.post('/:id/cancel', authorize('admin'), validate(transferParamsSchema), cancelTransfer);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: User Controller + Auth Middleware
+ *
+ * User administration is for admins only
+ * (registration, login, sessions and the user's own profile are in routes/auth.js)
+ */
+const {
+    getUsers,
+    getUser,
+    changeUserRole,
+    deactivateUser,
+    reactivateUser,
+    unlockUser,
+} = require('../controllers/userController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    userListSchema,
+    userParamsSchema,
+    changeRoleSchema,
+} = require('../validators/users.js');
+
+router.use(protect, authorize('admin'));
+
+/**
+ * ROUTE: GET /api/users (?search, ?role, ?active, ?page, ?limit)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * GET http://localhost:5000/api/users?search=ana&role=employee&active=true
+ * Authorization: Bearer <admin access token>
+ *
+ * ROUTE: GET /api/users/:id
+ */
+router.get('/', validate(userListSchema), getUsers);
+router.get('/:id', validate(userParamsSchema), getUser);
+
+/**
+ * ROUTE: PATCH /api/users/:id/role
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * PATCH http://localhost:5000/api/users/65a1fd98f66d453210cde123/role
+ * Authorization: Bearer <admin access token>
+ *
+ * { "role": "admin" }
+ *
+ * Admins can't change their own role (so there is always at least one admin)
+ */
+router.patch('/:id/role', validate(changeRoleSchema), changeUserRole);
+
+/**
+ * ROUTE: POST /api/users/:id/deactivate - the user is logged out everywhere and can't log in
+ * ROUTE: POST /api/users/:id/reactivate
+ */
+router.post('/:id/deactivate', validate(userParamsSchema), deactivateUser);
+router.post('/:id/reactivate', validate(userParamsSchema), reactivateUser);
+
+/**
+ * ROUTE: POST /api/users/:id/unlock
+ *
+ * PURPOSE: Let a locked-out user log in again right away
+ * (accounts lock after too many wrong passwords, see the login controller)
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/users/65a1fd98f66d453210cde123/unlock
+ * Authorization: Bearer <admin access token>
+ */
+router.post('/:id/unlock', validate(userParamsSchema), unlockUser);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * IMPORT: Webhook Controller + Auth Middleware
+ *
+ * Only admins manage webhooks. Deliveries are signed with HMAC-SHA256
+ * (see services/webhookService.js for the headers and how to verify them).
+ */
+const {
+    createWebhook,
+    getWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    testWebhook,
+    getDeliveries,
+} = require('../controllers/webhookController.js');
+const { protect, authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const {
+    createWebhookSchema,
+    webhookParamsSchema,
+    updateWebhookSchema,
+    deliveriesSchema,
+} = require('../validators/webhooks.js');
+
+router.use(protect, authorize('admin'));
+
+/**
+ * ROUTE: POST /api/webhooks
+ *
+ * PURPOSE: Register an endpoint for alert events
+ *
+ * EXAMPLE REQUEST (in Postman):
+ * POST http://localhost:5000/api/webhooks
+ * Authorization: Bearer <admin access token>
+ *
+ * {
+ *   "url": "https://example.com/hooks/istd",
+ *   "events": ["alert.raised", "alert.resolved"]
+ * }
+ *
+ * The response includes the signing "secret" ONCE. Keep it safe.
+ *
+ * ROUTE: GET /api/webhooks
+ */
+router.route('/')
+    .get(getWebhooks)
+    .post(validate(createWebhookSchema), createWebhook);
+
+/**
+ * ROUTE: PATCH /api/webhooks/:id - change url/events/description, or pause with "active": false
+ * ROUTE: DELETE /api/webhooks/:id
+ */
+router.route('/:id')
+    .patch(validate(updateWebhookSchema), updateWebhook)
+    .delete(validate(webhookParamsSchema), deleteWebhook);
+
+/**
+ * ROUTE: POST /api/webhooks/:id/test - queue a "webhook.test" event
+ * ROUTE: GET /api/webhooks/:id/deliveries - delivery log with every attempt
+ */
+router.post('/:id/test', validate(webhookParamsSchema), testWebhook);
+router.get('/:id/deliveries', validate(deliveriesSchema), getDeliveries);
+
+module.exports = router;
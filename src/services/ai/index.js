@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const AiCache = require('../../models/AiCache.js');
+const AiUsage = require('../../models/AiUsage.js');
+const ApiError = require('../../utils/ApiError.js');
+const { readInteger } = require('../../utils/env.js');
+const createLocalProvider = require('./localProvider.js');
+
+/**
+ * AI SERVICE (pluggable providers)
+ *
+ * PURPOSE: Run AI tasks through whichever provider is configured,
+ * with a per-user daily quota and a cache of identical prompts
+ *
+ * PROVIDER INTERFACE (every provider must implement it):
+ * - name: string
+ * - generateDescription(input) → Promise<{ description }>
+ * - suggestDiscount(input) → Promise<{ suggestedPercentage, suggestedPrice, daysOfCover, reasoning }>
+ * - analyzeSales(input) → Promise<{ summary, highlights }>
+ * - inventoryInsights(input) → Promise<{ summary, restockSoon, overstocked, deadStock, outOfStock }>
+ * The input of each task is documented in localProvider.js
+ *
+ * CONFIG (environment variables):
+ * - AI_PROVIDER: provider name (default "local")
+ * - AI_DAILY_QUOTA: requests per user per day (default 50)
+ * - AI_CACHE_TTL_SECONDS: how long cached answers live (default 86400 = 1 day)
+ *
+ * ADDING A REMOTE PROVIDER (e.g. OpenAI):
+ * 1. Create ai/openaiProvider.js returning an object with the methods above
+ * 2. Register it in PROVIDERS below
+ * 3. Set AI_PROVIDER=openai
+ */
+const PROVIDERS = {
+    local: createLocalProvider,
+};
+
+const TASKS = ['generateDescription', 'suggestDiscount', 'analyzeSales', 'inventoryInsights'];
+
+let provider = null;
+
+/**
+ * FUNCTION: getProvider
+ * RETURNS: The configured provider (created once, then reused)
+ */
+const getProvider = () => {
+    if (!provider) {
+        const name = process.env.AI_PROVIDER || 'local';
+        if (!PROVIDERS[name]) {
+            throw new Error(`Unknown AI_PROVIDER '${name}'`);
+        }
+        provider = PROVIDERS[name]();
+    }
+    return provider;
+};
+
+/**
+ * FUNCTION: setProvider
+ * PURPOSE: Replace the provider at runtime (useful in tests)
+ */
+const setProvider = (instance) => {
+    provider = instance;
+};
+
+/**
+ * HELPER FUNCTION: Stable Stringify
+ * PURPOSE: Same data → same string, whatever the key order
+ * WHY: { a: 1, b: 2 } and { b: 2, a: 1 } must hit the same cache entry
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+const cacheKey = (providerName, task, input) => crypto
+    .createHash('sha256')
+    .update(`${providerName}:${task}:${stableStringify(input)}`)
+    .digest('hex');
+
+/**
+ * FUNCTION: runAiTask
+ *
+ * PURPOSE: Run one AI task for a user
+ *
+ * WHAT HAPPENS:
+ * 1. Look for a cached answer to the exact same input → return it (free, no quota used)
+ * 2. Consume one request from the user's daily quota → 429 if exceeded
+ * 3. Ask the provider
+ * 4. Cache the answer
+ *
+ * RETURNS: { result, provider, cached, quota }
+ * THROWS: ApiError(429) when the daily quota is used up
+ */
+const runAiTask = async (user, task, input) => {
+    if (!TASKS.includes(task)) {
+        throw new Error(`Unknown AI task '${task}'`);
+    }
+    const current = getProvider();
+    const key = cacheKey(current.name, task, input);
+
+    const hit = await AiCache.findOne({ key, expiresAt: { $gt: new Date() } });
+    if (hit) {
+        return { result: hit.result, provider: current.name, cached: true, quota: null };
+    }
+
+    const quota = await AiUsage.consume(user._id, readInteger('AI_DAILY_QUOTA', 50));
+    if (!quota.allowed) {
+        throw new ApiError(429, `Daily AI quota of ${quota.limit} requests reached, try again tomorrow`);
+    }
+
+    const result = await current[task](input);
+    await AiCache.updateOne(
+        { key },
+        {
+            key,
+            provider: current.name,
+            task,
+            result,
+            expiresAt: new Date(Date.now() + readInteger('AI_CACHE_TTL_SECONDS', 86400) * 1000),
+        },
+        { upsert: true }
+    );
+
+    return { result, provider: current.name, cached: false, quota };
+};
+
+module.exports = {
+    runAiTask,
+    getProvider,
+    setProvider,
+};
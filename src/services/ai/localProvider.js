@@ -0,0 +1,176 @@
+const { roundMinorUnits } = require('../../utils/money.js');
+const { formatMoney } = require('../../utils/currency.js');
+
+/**
+ * LOCAL AI PROVIDER (rule/template based)
+ *
+ * PURPOSE: Answer every AI task WITHOUT network access
+ *
+ * WHY?
+ * - Development and tests work offline
+ * - Output is deterministic: the same input always gives the same output
+ * - Nothing is billed
+ *
+ * It implements the provider interface described in services/ai/index.js
+ */
+
+/**
+ * DISCOUNT RULES
+ * The more days of stock we have (at the current sales speed), the bigger the discount
+ * Checked from top to bottom, the first match wins
+ */
+const DISCOUNT_RULES = [
+    { minDaysOfCover: 180, percentage: 25, reason: 'more than 6 months of stock on hand' },
+    { minDaysOfCover: 90, percentage: 15, reason: 'more than 3 months of stock on hand' },
+    { minDaysOfCover: 45, percentage: 10, reason: 'more than 6 weeks of stock on hand' },
+];
+
+const RESTOCK_DAYS = 14;
+const OVERSTOCK_DAYS = 90;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * TASK: generateDescription
+ * INPUT: { product: { name, sku, category, price, currency }, features: [string], tone: 'neutral' | 'friendly' | 'premium' }
+ * RETURNS: { description }
+ */
+const generateDescription = async ({ product, features = [], tone = 'neutral' }) => {
+    const category = product.category && product.category !== 'uncategorized'
+        ? product.category
+        : 'product';
+    const openings = {
+        neutral: `${product.name} is a ${category} item`,
+        friendly: `Meet ${product.name}, your new favourite ${category} pick`,
+        premium: `${product.name} brings premium quality to the ${category} range`,
+    };
+    const sentences = [`${openings[tone] || openings.neutral} (SKU ${product.sku}).`];
+    if (features.length > 0) {
+        sentences.push(`Highlights: ${features.map((feature) => String(feature).trim()).join(', ')}.`);
+    }
+    sentences.push(`Available now for ${formatMoney(product.price, product.currency)}.`);
+    return { description: sentences.join(' ') };
+};
+
+/**
+ * TASK: suggestDiscount
+ * INPUT: { product: { price, cost, currency, stock }, unitsSold, periodDays, minMargin }
+ * RETURNS: { suggestedPercentage, suggestedPrice (minor units of the product currency), daysOfCover, reasoning }
+ *
+ * RULES:
+ * 1. No stock → no discount
+ * 2. Pick the percentage from DISCOUNT_RULES using days of cover
+ * 3. Never go below cost × (1 + minMargin)
+ */
+const suggestDiscount = async ({ product, unitsSold, periodDays, minMargin }) => {
+    if (product.stock <= 0) {
+        return {
+            suggestedPercentage: 0,
+            suggestedPrice: product.price,
+            daysOfCover: 0,
+            reasoning: 'The product is out of stock, a discount would not help.',
+        };
+    }
+    const dailySales = unitsSold / periodDays;
+    const daysOfCover = dailySales > 0 ? Math.round(product.stock / dailySales) : null;
+    const rule = DISCOUNT_RULES.find((candidate) => daysOfCover === null || daysOfCover >= candidate.minDaysOfCover);
+    let percentage = rule ? rule.percentage : 0;
+    const reasons = [];
+    if (daysOfCover === null) {
+        reasons.push(`No units sold in the last ${periodDays} days`);
+    } else if (rule) {
+        reasons.push(`${capitalize(rule.reason)} (${daysOfCover} days at the current pace)`);
+    } else {
+        reasons.push(`Stock sells through in about ${daysOfCover} days, no discount needed`);
+    }
+
+    const floorPrice = product.cost * (1 + minMargin);
+    if (percentage > 0 && product.price * (1 - percentage / 100) < floorPrice) {
+        percentage = Math.max(Math.floor((1 - floorPrice / product.price) * 100), 0);
+        reasons.push(`Capped to keep at least a ${Math.round(minMargin * 100)}% margin over cost`);
+    }
+
+    return {
+        suggestedPercentage: percentage,
+        suggestedPrice: roundMinorUnits(product.price * (1 - percentage / 100)),
+        daysOfCover,
+        reasoning: `${reasons.join('. ')}.`,
+    };
+};
+
+/**
+ * TASK: analyzeSales
+ * INPUT: { from, to, currency, current: { revenue, salesCount, averageTicket }, previous: {...}, topProducts: [{ sku, name, quantity, revenue }] }
+ * (amounts in minor units of currency, the base currency)
+ * RETURNS: { summary, highlights: [string] }
+ */
+const analyzeSales = async ({ from, to, currency, current, previous, topProducts }) => {
+    const highlights = [];
+    const change = previous.revenue > 0
+        ? Math.round(((current.revenue - previous.revenue) / previous.revenue) * 1000) / 10
+        : null;
+    if (change === null) {
+        highlights.push('There are no sales in the previous period to compare with.');
+    } else if (change >= 0) {
+        highlights.push(`Revenue grew ${change}% compared with the previous period.`);
+    } else {
+        highlights.push(`Revenue dropped ${Math.abs(change)}% compared with the previous period.`);
+    }
+    if (topProducts.length > 0) {
+        const best = topProducts[0];
+        highlights.push(`Best seller: ${best.name} (${best.sku}) with ${best.quantity} units and ${formatMoney(best.revenue, currency)} in revenue.`);
+    }
+    if (current.salesCount > 0) {
+        highlights.push(`Average ticket: ${formatMoney(current.averageTicket, currency)}.`);
+    }
+    const summary = current.salesCount === 0
+        ? `No sales were recorded between ${from} and ${to}.`
+        : `${current.salesCount} sales totalling ${formatMoney(current.revenue, currency)} between ${from} and ${to}.`;
+    return { summary, highlights };
+};
+
+/**
+ * TASK: inventoryInsights
+ * INPUT: { products: [{ sku, name, stock, unitsSold }], periodDays }
+ * RETURNS: { summary, restockSoon, overstocked, deadStock, outOfStock }
+ */
+const inventoryInsights = async ({ products, periodDays }) => {
+    const restockSoon = [];
+    const overstocked = [];
+    const deadStock = [];
+    const outOfStock = [];
+
+    products.forEach((product) => {
+        const dailySales = product.unitsSold / periodDays;
+        const daysOfCover = dailySales > 0 ? Math.round(product.stock / dailySales) : null;
+        const entry = { sku: product.sku, name: product.name, stock: product.stock, daysOfCover };
+        if (product.stock <= 0) {
+            outOfStock.push(entry);
+        } else if (daysOfCover === null) {
+            deadStock.push(entry);
+        } else if (daysOfCover <= RESTOCK_DAYS) {
+            restockSoon.push(entry);
+        } else if (daysOfCover >= OVERSTOCK_DAYS) {
+            overstocked.push(entry);
+        }
+    });
+
+    restockSoon.sort((a, b) => a.daysOfCover - b.daysOfCover || a.sku.localeCompare(b.sku));
+    overstocked.sort((a, b) => b.daysOfCover - a.daysOfCover || a.sku.localeCompare(b.sku));
+
+    const summary = `${products.length} products reviewed: ${outOfStock.length} out of stock, `
+        + `${restockSoon.length} to restock within ${RESTOCK_DAYS} days, `
+        + `${overstocked.length} overstocked, ${deadStock.length} without sales in ${periodDays} days.`;
+
+    return { summary, restockSoon, overstocked, deadStock, outOfStock };
+};
+
+const createLocalProvider = () => ({
+    name: 'local',
+    generateDescription,
+    suggestDiscount,
+    analyzeSales,
+    inventoryInsights,
+});
+
+module.exports = createLocalProvider;
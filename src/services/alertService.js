@@ -0,0 +1,93 @@
+const Alert = require('../models/Alert.js');
+const { enqueueWebhookEvent } = require('./webhookService.js');
+const { publishEvent } = require('./realtimeService.js');
+
+/**
+ * ALERT SERVICE
+ *
+ * PURPOSE: Raise or resolve low-stock alerts after every stock change
+ * Called by inventoryService.applyStockMovement() inside the same transaction.
+ */
+
+/**
+ * HELPER FUNCTION: Alert Payload
+ * PURPOSE: The data sent to webhooks (and to the dashboards) for an alert
+ */
+const alertPayload = (alert) => ({
+    alert: {
+        id: String(alert._id),
+        type: alert.type,
+        status: alert.status,
+        product: String(alert.product),
+        sku: alert.sku,
+        name: alert.name,
+        stock: alert.stock,
+        reorderPoint: alert.reorderPoint,
+        reorderQuantity: alert.reorderQuantity,
+        createdAt: alert.createdAt,
+        resolvedAt: alert.resolvedAt,
+    },
+});
+
+/**
+ * FUNCTION: evaluateStockAlert(product, session)
+ *
+ * PURPOSE: Compare the product stock with its reorder point
+ *
+ * WHAT HAPPENS:
+ * - stock <= reorder point and no active alert → raise one (+ "alert.raised" webhook and real-time event)
+ * - stock <= reorder point and an active alert → refresh its figures
+ *   (low_stock becomes out_of_stock when stock hits zero)
+ * - stock > reorder point and an active alert → resolve it (+ "alert.resolved" webhook and real-time event)
+ *
+ * WHY AN UPSERT?
+ * Two sales of the same product in parallel must not raise two alerts.
+ * The upsert + the partial unique index on { product, active: true } make
+ * MongoDB raise a write conflict instead, and the transaction is retried.
+ *
+ * RETURNS: { raised, resolved } - the alert that changed state, if any
+ */
+const evaluateStockAlert = async (product, session) => {
+    const reorderPoint = product.effectiveReorderPoint();
+    const figures = {
+        type: product.stock === 0 ? 'out_of_stock' : 'low_stock',
+        sku: product.sku,
+        name: product.name,
+        stock: product.stock,
+        reorderPoint,
+        reorderQuantity: product.reorderQuantity,
+    };
+
+    if (product.stock <= reorderPoint) {
+        const result = await Alert.findOneAndUpdate(
+            { product: product._id, active: true },
+            {
+                $set: figures,
+                $setOnInsert: { product: product._id, status: 'open', active: true },
+            },
+            { upsert: true, new: true, session, includeResultMetadata: true }
+        );
+        const created = !result.lastErrorObject.updatedExisting;
+        if (created) {
+            await enqueueWebhookEvent('alert.raised', alertPayload(result.value), session);
+            publishEvent('inventory', 'alert.raised', alertPayload(result.value), session);
+        }
+        return { raised: created ? result.value : null, resolved: null };
+    }
+
+    const resolved = await Alert.findOneAndUpdate(
+        { product: product._id, active: true },
+        { $set: { stock: product.stock, active: false, status: 'resolved', resolvedAt: new Date() } },
+        { new: true, session }
+    );
+    if (resolved) {
+        await enqueueWebhookEvent('alert.resolved', alertPayload(resolved), session);
+        publishEvent('inventory', 'alert.resolved', alertPayload(resolved), session);
+    }
+    return { raised: null, resolved };
+};
+
+module.exports = {
+    evaluateStockAlert,
+    alertPayload,
+};
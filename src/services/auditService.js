@@ -0,0 +1,125 @@
+const AuditLog = require('../models/AuditLog.js');
+const { getContext } = require('../utils/requestContext.js');
+
+/**
+ * AUDIT SERVICE
+ *
+ * PURPOSE: Write entries to the audit log (models/AuditLog.js)
+ *
+ * WHO CALLS IT:
+ * - The audit plugin (models/plugins/audit.js) for every document change
+ * - authController/sessionService for auth events (login, failed login, logout...)
+ *
+ * The actor, IP, user agent and request id come from the request context
+ * (utils/requestContext.js), so callers only say WHAT happened.
+ */
+
+/**
+ * FIELDS WE NEVER COPY INTO THE LOG
+ * The log only records that they changed
+ */
+const REDACTED_FIELDS = ['password', 'secret', 'tokenHash', 'currentTokenHash', 'previousTokenHashes'];
+const REDACTED = '[REDACTED]';
+
+/**
+ * FIELDS LEFT OUT OF DIFFS (they change on every write and say nothing)
+ */
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * HELPER FUNCTION: Plain Value
+ * PURPOSE: Turn ObjectIds, Dates and subdocuments into plain JSON values
+ * so they can be compared and stored in a Mixed field
+ */
+const plainValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// ==========================================
+// FUNCTION: Diff Documents
+// ==========================================
+
+/**
+ * FUNCTION: diffDocuments(before, after)
+ *
+ * PURPOSE: Compare two versions of a document (plain objects) field by field
+ * - Created document: before = null
+ * - Deleted document: after = null
+ *
+ * RETURNS: { field: { before, after } } for the top-level fields that differ
+ * (an array or subdocument that changed is shown whole), or null if nothing changed
+ *
+ * EXAMPLE:
+ * diffDocuments({ price: 1850, name: 'Cola' }, { price: 1500, name: 'Cola' })
+ * → { price: { before: 1850, after: 1500 } }
+ */
+const diffDocuments = (before, after) => {
+    const oldDoc = before || {};
+    const newDoc = after || {};
+    const fields = new Set([...Object.keys(oldDoc), ...Object.keys(newDoc)]);
+    const changes = {};
+    fields.forEach((field) => {
+        if (IGNORED_FIELDS.includes(field)) {
+            return;
+        }
+        const oldValue = plainValue(oldDoc[field]);
+        const newValue = plainValue(newDoc[field]);
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+            return;
+        }
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { before: REDACTED, after: REDACTED }
+            : { before: oldValue, after: newValue };
+    });
+    return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// ==========================================
+// FUNCTION: Record Audit Entry
+// ==========================================
+
+/**
+ * FUNCTION: recordAudit({ action, targetModel, targetId, changes, metadata, actor }, session)
+ *
+ * PURPOSE: Append one entry to the audit log
+ *
+ * PARAMETERS:
+ * - action: "<target>.<verb>", e.g. "auth.login_failed" or "product.update"
+ * - actor: optional, defaults to the user of the current request
+ * - session: optional transaction; the entry is then kept only if the transaction commits
+ *
+ * FAILURES:
+ * - Outside a transaction, a failed audit write is logged and ignored:
+ *   the action already happened and the caller must still get its answer
+ * - Inside a transaction, the error is thrown so the whole transaction is retried/aborted
+ */
+const recordAudit = async ({ action, targetModel = null, targetId = null, changes = null, metadata = null, actor }, session = null) => {
+    const context = getContext() || {};
+    const user = actor === undefined ? context.user : actor;
+    const entry = {
+        actor: user ? user._id : null,
+        actorRole: user && user.role ? user.role : null,
+        action,
+        targetModel,
+        targetId,
+        changes,
+        metadata,
+        requestId: context.requestId || null,
+        ip: context.ip || '',
+        userAgent: context.userAgent || '',
+        method: context.method || null,
+        path: context.path || null,
+    };
+    try {
+        await AuditLog.create([entry], { session });
+    } catch (error) {
+        if (session) {
+            throw error;
+        }
+        console.error('Audit Error:', error.message, `(${action})`);
+    }
+};
+
+module.exports = {
+    recordAudit,
+    diffDocuments,
+    REDACTED_FIELDS,
+};
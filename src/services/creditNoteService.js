@@ -0,0 +1,96 @@
+const CreditNote = require('../models/CreditNote.js');
+const Invoice = require('../models/Invoice.js');
+const Counter = require('../models/Counter.js');
+const { getStorage } = require('./storage/index.js');
+const { renderCreditNotePdf } = require('./invoicePdfService.js');
+
+/**
+ * CREDIT NOTE SERVICE
+ *
+ * PURPOSE: Issue credit notes against invoices after returns and voids
+ *
+ * Numbering works exactly like invoices (see Counter.js):
+ * 1. ensureCreditNoteCounter() OUTSIDE the transaction
+ * 2. issueCreditNote() INSIDE the same transaction that saves the return
+ * so a failed return never burns a credit note number.
+ */
+
+const counterName = (issuedAt) => `credit-note-${issuedAt.getUTCFullYear()}`;
+
+/**
+ * FUNCTION: ensureCreditNoteCounter
+ * PURPOSE: Create this year's counter document before the transaction starts
+ */
+const ensureCreditNoteCounter = (issuedAt) => Counter.ensure(counterName(issuedAt));
+
+/**
+ * FUNCTION: issueCreditNote
+ *
+ * INPUT:
+ * - saleReturn: the SaleReturn being credited (items and amounts are copied)
+ * - sale: the Sale it belongs to
+ * - issuedAt: same date passed to ensureCreditNoteCounter()
+ * - user: userId issuing it
+ * session: MongoDB session of the return transaction
+ *
+ * RETURNS: The new CreditNote, or null when the sale was never invoiced
+ * (without an invoice there is nothing to correct, the return itself is the record)
+ */
+const issueCreditNote = async ({ saleReturn, sale, issuedAt, user }, session) => {
+    const invoice = await Invoice.findOne({ sale: sale._id }).session(session);
+    if (!invoice) {
+        return null;
+    }
+    const year = issuedAt.getUTCFullYear();
+    const sequence = await Counter.next(counterName(issuedAt), session);
+    const [creditNote] = await CreditNote.create([{
+        creditNoteNumber: CreditNote.formatNumber(year, sequence),
+        year,
+        sequence,
+        invoice: invoice._id,
+        sale: sale._id,
+        saleReturn: saleReturn._id,
+        soldBy: sale.soldBy,
+        reason: saleReturn.reason,
+        items: saleReturn.items,
+        currency: saleReturn.currency,
+        subtotal: saleReturn.subtotal,
+        discount: saleReturn.discount,
+        tax: saleReturn.tax,
+        taxIncluded: saleReturn.taxIncluded,
+        taxBreakdown: saleReturn.taxBreakdown,
+        total: saleReturn.total,
+        issuedAt,
+        issuedBy: user,
+    }], { session });
+    return creditNote;
+};
+
+/**
+ * FUNCTION: ensureCreditNotePdf
+ *
+ * PURPOSE: Make sure the PDF of a credit note exists in storage
+ * Same recovery rule as invoices: if rendering failed after the credit note
+ * was saved, it is rendered again the next time somebody asks for it.
+ *
+ * RETURNS: The storage key of the PDF
+ */
+const ensureCreditNotePdf = async (creditNote) => {
+    const storage = getStorage();
+    if (creditNote.pdfKey && await storage.exists(creditNote.pdfKey)) {
+        return creditNote.pdfKey;
+    }
+    const invoice = await Invoice.findById(creditNote.invoice);
+    const buffer = await renderCreditNotePdf(creditNote, invoice);
+    const key = await storage.save(`credit-notes/${creditNote.year}/${creditNote.creditNoteNumber}.pdf`, buffer);
+    creditNote.pdfKey = key;
+    creditNote.pdfUrl = `/api/credit-notes/${creditNote._id}/pdf`;
+    await creditNote.save();
+    return key;
+};
+
+module.exports = {
+    ensureCreditNoteCounter,
+    issueCreditNote,
+    ensureCreditNotePdf,
+};
@@ -0,0 +1,93 @@
+const ExchangeRate = require('../models/ExchangeRate.js');
+const ApiError = require('../utils/ApiError.js');
+const { roundMinorUnits } = require('../utils/money.js');
+const { baseCurrency, minorUnitRate } = require('../utils/currency.js');
+
+/**
+ * EXCHANGE RATE SERVICE
+ *
+ * PURPOSE: Find the rate valid at a moment and convert amounts between currencies
+ *
+ * Every conversion goes through the base currency:
+ * amount in A → base → amount in B, rounded once at the end to minor units of B
+ */
+
+/**
+ * FUNCTION: findRate
+ *
+ * INPUT: currency code, moment (Date), session (optional)
+ *
+ * RETURNS (the snapshot a sale keeps, see Sale.js):
+ * {
+ *   baseCurrency: 'USD',
+ *   rate: 0.0067,          (base units per unit of currency)
+ *   minorRate: 0.67,       (base minor units per minor unit of currency)
+ *   effectiveFrom: Date,   (null for the base currency itself)
+ *   source: rateId         (null for the base currency itself)
+ * }
+ *
+ * THROWS: ApiError(400, NO_EXCHANGE_RATE) when the currency has no rate effective at that moment
+ */
+const findRate = async (currency, at = new Date(), session) => {
+    const base = baseCurrency();
+    if (currency === base) {
+        return { baseCurrency: base, rate: 1, minorRate: 1, effectiveFrom: null, source: null };
+    }
+    const exchangeRate = await ExchangeRate.findOne({
+        baseCurrency: base,
+        currency,
+        effectiveFrom: { $lte: at },
+    })
+        .sort({ effectiveFrom: -1 })
+        .session(session || null);
+    if (!exchangeRate) {
+        throw new ApiError(400, `There is no ${currency} to ${base} exchange rate effective at ${at.toISOString()}`, 'NO_EXCHANGE_RATE');
+    }
+    return {
+        baseCurrency: base,
+        rate: exchangeRate.rate,
+        minorRate: minorUnitRate(exchangeRate.rate, currency),
+        effectiveFrom: exchangeRate.effectiveFrom,
+        source: exchangeRate._id,
+    };
+};
+
+/**
+ * FUNCTION: createConverter
+ *
+ * PURPOSE: Convert amounts of any currency into one target currency, with
+ * the rates valid at one moment (each rate is looked up once)
+ *
+ * USAGE:
+ * const converter = await createConverter('EUR', new Date(), session);
+ * await converter.convert(1850, 'USD') → 1713 (with 1 EUR = 1.08 USD)
+ * converter.exchangeRate → findRate() of the target currency
+ *
+ * THROWS: ApiError(400, NO_EXCHANGE_RATE) for a currency without a rate
+ */
+const createConverter = async (currency, at = new Date(), session) => {
+    const rates = new Map();
+    const rateOf = async (code) => {
+        if (!rates.has(code)) {
+            rates.set(code, await findRate(code, at, session));
+        }
+        return rates.get(code);
+    };
+    const target = await rateOf(currency);
+    return {
+        currency,
+        exchangeRate: target,
+        convert: async (amount, from) => {
+            if (from === currency) {
+                return amount;
+            }
+            const source = await rateOf(from);
+            return roundMinorUnits((amount * source.minorRate) / target.minorRate);
+        },
+    };
+};
+
+module.exports = {
+    findRate,
+    createConverter,
+};
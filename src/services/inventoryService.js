@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.js');
+const StockMovement = require('../models/StockMovement.js');
+const Location = require('../models/Location.js');
+const ProductStock = require('../models/ProductStock.js');
+const ApiError = require('../utils/ApiError.js');
+const { roundMinorUnits } = require('../utils/money.js');
+const { createConverter } = require('./exchangeRateService.js');
+const { evaluateStockAlert } = require('./alertService.js');
+const { publishStockChange } = require('./realtimeService.js');
+
+/**
+ * INVENTORY SERVICE
+ *
+ * PURPOSE: The ONLY place allowed to change Product.stock
+ *
+ * Every change:
+ * 1. Updates the stock of the location and the product total atomically (never below zero)
+ * 2. Appends a StockMovement with the resulting balance
+ * 3. Raises/resolves the low-stock alert of the product (alertService.js)
+ * 4. Publishes "stock.changed" to the dashboards once committed (realtimeService.js)
+ * Pass a MongoDB session so both writes commit (or roll back) together.
+ */
+
+/**
+ * FUNCTION: resolveLocation
+ *
+ * PURPOSE: Turn an optional location id into an active Location
+ * No id → the default location (Location.getDefault())
+ *
+ * Call it BEFORE starting the transaction (it may create the default location)
+ *
+ * THROWS:
+ * - ApiError(404) if the location does not exist
+ * - ApiError(409) if the location is inactive
+ */
+const resolveLocation = async (locationId) => {
+    if (locationId === undefined || locationId === null || locationId === '') {
+        return Location.getDefault();
+    }
+    const location = mongoose.isValidObjectId(locationId) ? await Location.findById(locationId) : null;
+    if (!location) {
+        throw new ApiError(404, 'Location not found');
+    }
+    if (!location.isActive) {
+        throw new ApiError(409, `Location ${location.code} is inactive`);
+    }
+    return location;
+};
+
+/**
+ * FUNCTION: applyStockMovement
+ *
+ * INPUT:
+ * {
+ *   product: productId,
+ *   location: locationId (optional, defaults to the default location),
+ *   quantity: -2 (signed: negative takes units out, positive puts them in),
+ *   type: 'sale' | 'restock' | 'adjustment' | 'return' | 'transfer' | 'write_off',
+ *   user: userId,
+ *   reference: { model: 'Sale', id: saleId } (optional),
+ *   note: 'Broken in transport' (optional),
+ *   allowDeleted: true (optional, also finds soft-deleted products)
+ * }
+ * session: MongoDB session (required for multi-document consistency)
+ *
+ * DELETED PRODUCTS:
+ * New stock changes of a deleted product are refused (404). Returns and voids
+ * pass allowDeleted: a sale of a product deleted since then must still be
+ * refundable, and its units come back into the ledger. No low-stock alert is
+ * raised for a deleted product.
+ *
+ * WHAT CHANGES:
+ * - ProductStock of that location (units at the location)
+ * - Product.stock (total of every location)
+ * Both with $inc, in the same transaction, plus one StockMovement.
+ *
+ * HOW IT STAYS ATOMIC:
+ * For negative quantities the filter { quantity: { $gte: units } } and the $inc run
+ * as ONE operation, so two requests can't both take the last unit.
+ *
+ * RETURNS: { product, productStock, movement, alert: { raised, resolved } }
+ * THROWS:
+ * - ApiError(404) if the product does not exist (or was deleted)
+ * - ApiError(409) if there is not enough stock at the location
+ */
+const applyStockMovement = async ({ product: productId, location, quantity, type, user, reference, note, allowDeleted = false }, session) => {
+    const locationId = location || (await Location.getDefault())._id;
+
+    const productFilter = { _id: productId };
+    if (!allowDeleted) {
+        productFilter.isDeleted = false;
+    }
+    const existing = await Product.findOne(productFilter).session(session || null);
+    if (!existing) {
+        throw new ApiError(404, `Product ${productId} not found`);
+    }
+
+    const stockFilter = { product: existing._id, location: locationId };
+    if (quantity < 0) {
+        stockFilter.quantity = { $gte: -quantity };
+    }
+    const productStock = await ProductStock.findOneAndUpdate(
+        stockFilter,
+        { $inc: { quantity } },
+        { new: true, upsert: quantity > 0, session, ledger: true }
+    );
+    if (!productStock) {
+        const atLocation = await ProductStock.findOne({ product: existing._id, location: locationId }).session(session || null);
+        const available = atLocation ? atLocation.quantity : 0;
+        const place = await Location.findById(locationId).select('code');
+        throw new ApiError(409, `Insufficient stock for ${existing.sku} at ${place ? place.code : locationId}: ${available} available, ${-quantity} requested`);
+    }
+
+    const product = await Product.findOneAndUpdate(
+        { _id: existing._id },
+        { $inc: { stock: quantity } },
+        { new: true, session, ledger: true }
+    );
+
+    const [movement] = await StockMovement.create([{
+        product: product._id,
+        type,
+        quantity,
+        balanceAfter: product.stock,
+        location: locationId,
+        locationBalanceAfter: productStock.quantity,
+        user,
+        referenceModel: reference ? reference.model : null,
+        referenceId: reference ? reference.id : null,
+        note,
+    }], { session });
+
+    const alert = product.isDeleted
+        ? { raised: null, resolved: null }
+        : await evaluateStockAlert(product, session);
+    publishStockChange({ product, productStock, movement }, session);
+
+    return { product, productStock, movement, alert };
+};
+
+/**
+ * FUNCTION: receiveStock
+ *
+ * PURPOSE: Put purchased units into stock and update the product cost
+ *
+ * WEIGHTED-AVERAGE COST:
+ * newCost = (stockBefore × oldCost + quantity × unitCost) / (stockBefore + quantity)
+ *
+ * EXAMPLE (minor units):
+ * 10 units in stock at 400, we receive 30 at 500
+ * → (10 × 400 + 30 × 500) / 40 = 475
+ *
+ * INPUT: same as applyStockMovement (quantity must be positive) + unitCost
+ * and its currency (defaults to the product currency); a unit cost in another
+ * currency is converted into the product currency at the rate of the moment
+ * RETURNS: { product, movement, alert }
+ */
+const receiveStock = async ({ product: productId, location, quantity, unitCost, currency, user, reference, note }, session) => {
+    const result = await applyStockMovement({
+        product: productId,
+        location,
+        quantity,
+        type: 'restock',
+        user,
+        reference,
+        note,
+    }, session);
+    const { product } = result;
+    const converter = await createConverter(product.currency, new Date(), session);
+    const cost = await converter.convert(unitCost, currency || product.currency);
+    const stockBefore = product.stock - quantity;
+    const newCost = stockBefore > 0
+        ? roundMinorUnits((stockBefore * product.cost + quantity * cost) / product.stock)
+        : cost;
+    product.cost = newCost;
+    await Product.updateOne({ _id: product._id }, { cost: newCost }, { session });
+    return result;
+};
+
+/**
+ * FUNCTION: reconcileStock
+ *
+ * PURPOSE: Recompute stock from the ledger and compare with Product.stock
+ *
+ * INPUT: { product: productId } to check one product, or {} for the whole catalog
+ *
+ * RETURNS: [{ product, sku, name, stock, ledgerStock, drift, locationStock, locationDrift, movements }]
+ * - drift = stock - ledgerStock (0 means the ledger explains the current stock)
+ * - locationDrift = stock - locationStock (0 means the locations add up to the total)
+ */
+const reconcileStock = async ({ product } = {}) => {
+    const match = { isDeleted: false };
+    if (product) {
+        match._id = new mongoose.Types.ObjectId(String(product));
+    }
+    return Product.aggregate([
+        { $match: match },
+        {
+            $lookup: {
+                from: StockMovement.collection.name,
+                localField: '_id',
+                foreignField: 'product',
+                as: 'movements',
+                pipeline: [{ $group: { _id: null, total: { $sum: '$quantity' }, count: { $sum: 1 } } }],
+            },
+        },
+        {
+            $lookup: {
+                from: ProductStock.collection.name,
+                localField: '_id',
+                foreignField: 'product',
+                as: 'locations',
+                pipeline: [{ $group: { _id: null, total: { $sum: '$quantity' } } }],
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                product: '$_id',
+                sku: 1,
+                name: 1,
+                stock: 1,
+                ledgerStock: { $ifNull: [{ $first: '$movements.total' }, 0] },
+                locationStock: { $ifNull: [{ $first: '$locations.total' }, 0] },
+                movements: { $ifNull: [{ $first: '$movements.count' }, 0] },
+            },
+        },
+        {
+            $addFields: {
+                drift: { $subtract: ['$stock', '$ledgerStock'] },
+                locationDrift: { $subtract: ['$stock', '$locationStock'] },
+            },
+        },
+        { $sort: { sku: 1 } },
+    ]);
+};
+
+/**
+ * FUNCTION: assignUnlocatedStock
+ *
+ * PURPOSE: Give a location to stock recorded before locations existed
+ *
+ * WHY?
+ * Older products have Product.stock but no ProductStock documents. Without
+ * them a sale would find 0 units at every location. Units not assigned to
+ * any location are put in the default location. No ledger movement is
+ * written: the total doesn't change, only where the units are.
+ *
+ * Safe to run many times (on every start, see server.js): once the
+ * locations add up to Product.stock nothing is left to assign.
+ *
+ * RETURNS: Number of products that were fixed
+ */
+const assignUnlocatedStock = async () => {
+    const unlocated = (await reconcileStock()).filter((row) => row.locationDrift > 0);
+    if (unlocated.length === 0) {
+        return 0;
+    }
+    const defaultLocation = await Location.getDefault();
+    for (const row of unlocated) {
+        await ProductStock.findOneAndUpdate(
+            { product: row.product, location: defaultLocation._id },
+            { $inc: { quantity: row.locationDrift } },
+            { upsert: true, ledger: true }
+        );
+    }
+    return unlocated.length;
+};
+
+/**
+ * FUNCTION: getProductStock
+ *
+ * PURPOSE: Answer "how many of X are at each location"
+ *
+ * INPUT: productId, locationId (optional: only that location)
+ * RETURNS: [{ location: { _id, code, name, type }, quantity }] (locations with 0 units are omitted)
+ */
+const getProductStock = async (productId, locationId = null) => {
+    const filter = { product: productId, quantity: { $gt: 0 } };
+    if (locationId) {
+        filter.location = locationId;
+        delete filter.quantity;
+    }
+    const rows = await ProductStock.find(filter).populate('location', 'code name type');
+    return rows
+        .map((row) => ({ location: row.location, quantity: row.quantity }))
+        .sort((a, b) => String(a.location && a.location.code).localeCompare(String(b.location && b.location.code)));
+};
+
+module.exports = {
+    resolveLocation,
+    applyStockMovement,
+    receiveStock,
+    reconcileStock,
+    assignUnlocatedStock,
+    getProductStock,
+};
@@ -0,0 +1,198 @@
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('../utils/currency.js');
+
+/**
+ * INVOICE PDF SERVICE
+ *
+ * PURPOSE: Render invoices and credit notes as PDF files, on the server, with pdfkit
+ *
+ * CONFIG (environment variables, all optional):
+ * - COMPANY_NAME: printed in the header (default "I.S.T.D PRO")
+ * - COMPANY_DETAILS: a second header line (address, tax id...)
+ *
+ * Amounts are printed in the currency of the document, with its own number
+ * of decimals (1850 minor units → "18.50 USD", 1500 → "1500 JPY")
+ */
+
+const formatRate = (rate) => `${Math.round(rate * 10000) / 100}%`;
+
+/**
+ * FUNCTION: collectPdf
+ * PURPOSE: pdfkit produces a stream, we turn it into a single Buffer
+ * (also used by labelService.js)
+ *
+ * Call it before drawing and call doc.end() after the last drawing:
+ * the Buffer is ready once the document is ended, whatever is drawn after
+ * doc.end() is lost
+ */
+const collectPdf = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+});
+
+/**
+ * HELPER FUNCTION: Render Document
+ *
+ * PURPOSE: The layout shared by invoices and credit notes
+ *
+ * INPUT:
+ * {
+ *   title: 'Invoice INV-2026-000123',
+ *   date: Date,
+ *   currency: 'USD',
+ *   lines: ['Credit for invoice INV-2026-000120'] (optional extra header lines),
+ *   billTo: { name, taxId, address },
+ *   items: [{ sku, name, quantity, unitPrice, lineTotal }],
+ *   totals: [['Subtotal', 1000], ['Tax', 160], ['Total', 1160]] (minor units),
+ *   taxBreakdown: [{ name, rate, taxableAmount, tax }] (optional, printed under the totals)
+ * }
+ *
+ * RETURNS: Promise<Buffer> with the PDF bytes
+ */
+const renderDocument = ({ title, date, currency, lines = [], billTo = {}, items, totals, taxBreakdown = [] }) => {
+    const formatAmount = (amount) => formatMoney(amount, currency);
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const pdf = collectPdf(doc);
+
+    // Header
+    doc.fontSize(20).text(process.env.COMPANY_NAME || 'I.S.T.D PRO');
+    if (process.env.COMPANY_DETAILS) {
+        doc.fontSize(9).text(process.env.COMPANY_DETAILS);
+    }
+    doc.moveDown();
+    doc.fontSize(14).text(title);
+    doc.fontSize(10).text(`Date: ${date.toISOString().slice(0, 10)}`);
+    lines.forEach((line) => doc.text(line));
+
+    // Bill to
+    if (billTo.name || billTo.taxId || billTo.address) {
+        doc.moveDown().fontSize(11).text('Bill to:');
+        doc.fontSize(10);
+        if (billTo.name) doc.text(billTo.name);
+        if (billTo.taxId) doc.text(`Tax ID: ${billTo.taxId}`);
+        if (billTo.address) doc.text(billTo.address);
+    }
+
+    // Items table
+    doc.moveDown().fontSize(10);
+    const columns = { sku: 50, name: 140, qty: 330, price: 380, total: 470 };
+    const header = doc.y;
+    doc.text('SKU', columns.sku, header);
+    doc.text('Product', columns.name, header);
+    doc.text('Qty', columns.qty, header);
+    doc.text('Unit price', columns.price, header);
+    doc.text('Total', columns.total, header);
+    doc.moveTo(50, doc.y + 2).lineTo(545, doc.y + 2).stroke();
+    doc.moveDown(0.5);
+
+    items.forEach((item) => {
+        const row = doc.y;
+        doc.text(item.sku, columns.sku, row, { width: 85 });
+        doc.text(item.name, columns.name, row, { width: 185 });
+        doc.text(String(item.quantity), columns.qty, row);
+        doc.text(formatAmount(item.unitPrice), columns.price, row);
+        doc.text(formatAmount(item.lineTotal), columns.total, row);
+        doc.moveDown(0.3);
+    });
+
+    // Totals
+    doc.moveDown();
+    totals.forEach(([label, amount]) => {
+        const row = doc.y;
+        doc.text(label, columns.price, row);
+        doc.text(formatAmount(amount), columns.total, row);
+    });
+
+    // Tax breakdown by rate
+    if (taxBreakdown.length > 0) {
+        doc.moveDown().fontSize(11).text('Tax breakdown', 50);
+        doc.fontSize(10);
+        const breakdownHeader = doc.y;
+        doc.text('Tax', columns.sku, breakdownHeader);
+        doc.text('Rate', columns.qty, breakdownHeader);
+        doc.text('Taxable', columns.price, breakdownHeader);
+        doc.text('Tax', columns.total, breakdownHeader);
+        taxBreakdown.forEach((entry) => {
+            const row = doc.y;
+            doc.text(entry.name, columns.sku, row, { width: 275 });
+            doc.text(formatRate(entry.rate), columns.qty, row);
+            doc.text(formatAmount(entry.taxableAmount), columns.price, row);
+            doc.text(formatAmount(entry.tax), columns.total, row);
+        });
+    }
+
+    doc.end();
+    return pdf;
+};
+
+/**
+ * HELPER FUNCTION: Tax Rows
+ * Documents with tax already inside some prices show it, so the rows add up to the total
+ */
+const taxRows = (document) => {
+    const rows = [['Tax', document.tax]];
+    if (document.taxIncluded > 0) {
+        rows.push(['Tax in prices', -document.taxIncluded]);
+    }
+    return rows;
+};
+
+/**
+ * FUNCTION: renderInvoicePdf
+ *
+ * INPUT:
+ * - invoice: Invoice document
+ * - sale: the Sale document the invoice was issued from
+ *
+ * RETURNS: Promise<Buffer> with the PDF bytes
+ */
+const renderInvoicePdf = (invoice, sale) => renderDocument({
+    title: `Invoice ${invoice.invoiceNumber}`,
+    date: invoice.issuedAt,
+    currency: invoice.currency,
+    // The discount row is the total, this says where it came from
+    lines: (sale.promotions || []).map((promotion) =>
+        `Promotion: ${promotion.name}${promotion.code ? ` (${promotion.code})` : ''} -${formatMoney(promotion.amount, invoice.currency)}`),
+    billTo: invoice.billTo,
+    items: sale.items,
+    totals: [
+        ['Subtotal', invoice.subtotal],
+        ['Discount', -invoice.discount],
+        ...taxRows(invoice),
+        ['Total', invoice.total],
+    ],
+    taxBreakdown: invoice.taxBreakdown,
+});
+
+/**
+ * FUNCTION: renderCreditNotePdf
+ *
+ * INPUT:
+ * - creditNote: CreditNote document
+ * - invoice: the Invoice it corrects
+ *
+ * RETURNS: Promise<Buffer> with the PDF bytes
+ */
+const renderCreditNotePdf = (creditNote, invoice) => renderDocument({
+    title: `Credit note ${creditNote.creditNoteNumber}`,
+    date: creditNote.issuedAt,
+    currency: creditNote.currency,
+    lines: [`Corrects invoice ${invoice.invoiceNumber}`, `Reason: ${creditNote.reason}`],
+    billTo: invoice.billTo,
+    items: creditNote.items,
+    totals: [
+        ['Subtotal', creditNote.subtotal],
+        ['Discount', -creditNote.discount],
+        ...taxRows(creditNote),
+        ['Total credited', creditNote.total],
+    ],
+    taxBreakdown: creditNote.taxBreakdown,
+});
+
+module.exports = {
+    collectPdf,
+    renderInvoicePdf,
+    renderCreditNotePdf,
+};
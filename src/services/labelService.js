@@ -0,0 +1,216 @@
+const PDFDocument = require('pdfkit');
+const { encodeEan13, isGuardModule } = require('../utils/barcode.js');
+const { collectPdf } = require('./invoicePdfService.js');
+
+/**
+ * LABEL SERVICE
+ *
+ * PURPOSE: Render shelf/product labels (name, price, EAN-13 barcode) as
+ * printable sheets, on the server: the bars are drawn from utils/barcode.js,
+ * no external barcode service or font is needed
+ *
+ * SHEET: A4 with 3 columns × 8 rows of 70 × 37 mm labels (the common
+ * 24-per-sheet adhesive label paper). Labels fill the sheet left to right,
+ * top to bottom, and continue on a new sheet.
+ *
+ * FORMATS:
+ * - PDF: one page per sheet (best for printing)
+ * - SVG: one drawing with the sheets one under the other, in millimetres
+ *   (for label printers and editors that take vector files)
+ *
+ * Both are drawn from the same layout, so they look the same.
+ */
+
+/**
+ * SHEET LAYOUT (millimetres)
+ */
+const SHEET = {
+    width: 210,
+    height: 297,
+    columns: 3,
+    rows: 8,
+};
+const LABEL_WIDTH = SHEET.width / SHEET.columns;
+const LABEL_HEIGHT = SHEET.height / SHEET.rows;
+
+/**
+ * LABEL CONTENT (millimetres from the top left corner of the label)
+ * MODULE: width of the thinnest bar, 0.33 mm is the nominal EAN-13 size
+ */
+const PADDING = 3;
+const NAME = { top: 3, size: 3.2, maxChars: 38 };
+const PRICE = { top: 7.5, size: 4.6 };
+const BARS = { top: 14, height: 14, guardExtra: 1.5, module: 0.33 };
+const DIGITS = { top: 30.2, size: 2.8 };
+
+const LABELS_PER_SHEET = SHEET.columns * SHEET.rows;
+
+/**
+ * HELPER FUNCTION: Truncate
+ * Long names are cut so they stay on one line of the label
+ */
+const truncate = (text, maxChars) => (text.length > maxChars ? `${text.slice(0, maxChars - 3).trimEnd()}...` : text);
+
+/**
+ * HELPER FUNCTION: Bars
+ *
+ * PURPOSE: Turn the 95 modules of a code into rectangles, neighbouring
+ * modules of the same bar merged into one (fewer shapes, no hairline gaps)
+ *
+ * RETURNS: [{ x, width, height }] relative to the left edge of the symbol
+ */
+const bars = (code) => {
+    const modules = encodeEan13(code);
+    const result = [];
+    let index = 0;
+    while (index < modules.length) {
+        if (modules[index] !== '1') {
+            index += 1;
+            continue;
+        }
+        const start = index;
+        const guard = isGuardModule(index);
+        while (index < modules.length && modules[index] === '1' && isGuardModule(index) === guard) {
+            index += 1;
+        }
+        result.push({
+            x: start * BARS.module,
+            width: (index - start) * BARS.module,
+            height: BARS.height + (guard ? BARS.guardExtra : 0),
+        });
+    }
+    return result;
+};
+
+/**
+ * FUNCTION: layoutLabels
+ *
+ * PURPOSE: Place every label on its sheet
+ *
+ * INPUT: [{ name, price, barcode }] one entry per printed label
+ * (price already formatted, e.g. "18.50 USD"; barcode = 13 digits)
+ *
+ * RETURNS: [[{ x, y, name, price, barcode, barsLeft, bars }]] one list per sheet,
+ * positions in millimetres from the top left corner of the sheet
+ */
+const layoutLabels = (labels) => {
+    const sheets = [];
+    labels.forEach((label, index) => {
+        const position = index % LABELS_PER_SHEET;
+        if (position === 0) {
+            sheets.push([]);
+        }
+        const x = (position % SHEET.columns) * LABEL_WIDTH;
+        const y = Math.floor(position / SHEET.columns) * LABEL_HEIGHT;
+        sheets[sheets.length - 1].push({
+            x,
+            y,
+            name: truncate(String(label.name), NAME.maxChars),
+            price: label.price,
+            barcode: label.barcode,
+            barsLeft: x + (LABEL_WIDTH - 95 * BARS.module) / 2,
+            bars: bars(label.barcode),
+        });
+    });
+    return sheets;
+};
+
+// ==========================================
+// SVG
+// ==========================================
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * HELPER FUNCTION: SVG Text
+ * SVG places text by its baseline, the layout by its top: the baseline is
+ * about 0.8 × the font size below the top for Helvetica/Arial
+ */
+const svgText = (text, centerX, top, size, weight = 'normal') =>
+    `<text x="${round(centerX)}" y="${round(top + size * 0.8)}" font-size="${size}" font-weight="${weight}" text-anchor="middle">${escapeXml(text)}</text>`;
+
+/**
+ * FUNCTION: renderLabelsSvg(labels)
+ * INPUT: see layoutLabels
+ * RETURNS: The SVG document as a string
+ */
+const renderLabelsSvg = (labels) => {
+    const sheets = layoutLabels(labels);
+    const height = SHEET.height * sheets.length;
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${SHEET.width}mm" height="${round(height)}mm" viewBox="0 0 ${SHEET.width} ${round(height)}">`,
+        '<g font-family="Helvetica, Arial, sans-serif" fill="#000">',
+    ];
+    sheets.forEach((sheet, sheetIndex) => {
+        const offset = sheetIndex * SHEET.height;
+        sheet.forEach((label) => {
+            const top = offset + label.y;
+            const centerX = label.x + LABEL_WIDTH / 2;
+            parts.push(svgText(label.name, centerX, top + NAME.top, NAME.size));
+            parts.push(svgText(label.price, centerX, top + PRICE.top, PRICE.size, 'bold'));
+            parts.push('<g shape-rendering="crispEdges">');
+            label.bars.forEach((bar) => {
+                parts.push(`<rect x="${round(label.barsLeft + bar.x)}" y="${round(top + BARS.top)}" width="${round(bar.width)}" height="${round(bar.height)}"/>`);
+            });
+            parts.push('</g>');
+            parts.push(svgText(label.barcode, centerX, top + DIGITS.top, DIGITS.size));
+        });
+    });
+    parts.push('</g>', '</svg>');
+    return `${parts.join('\n')}\n`;
+};
+
+// ==========================================
+// PDF
+// ==========================================
+
+/**
+ * pdfkit works in points (1/72 inch)
+ */
+const pt = (mm) => (mm * 72) / 25.4;
+
+/**
+ * FUNCTION: renderLabelsPdf(labels)
+ * INPUT: see layoutLabels
+ * RETURNS: Promise<Buffer> with the PDF bytes
+ */
+const renderLabelsPdf = (labels) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+    const pdf = collectPdf(doc);
+    const textBox = (text, label, top, size, font) => {
+        doc.font(font).fontSize(pt(size)).text(text, pt(label.x + PADDING), pt(label.y + top), {
+            width: pt(LABEL_WIDTH - 2 * PADDING),
+            align: 'center',
+            lineBreak: false,
+        });
+    };
+
+    layoutLabels(labels).forEach((sheet) => {
+        doc.addPage();
+        sheet.forEach((label) => {
+            textBox(label.name, label, NAME.top, NAME.size, 'Helvetica');
+            textBox(label.price, label, PRICE.top, PRICE.size, 'Helvetica-Bold');
+            label.bars.forEach((bar) => {
+                doc.rect(pt(label.barsLeft + bar.x), pt(label.y + BARS.top), pt(bar.width), pt(bar.height));
+            });
+            doc.fill('#000000');
+            textBox(label.barcode, label, DIGITS.top, DIGITS.size, 'Helvetica');
+        });
+    });
+    doc.end();
+    return pdf;
+};
+
+module.exports = {
+    LABELS_PER_SHEET,
+    layoutLabels,
+    renderLabelsSvg,
+    renderLabelsPdf,
+};
@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer.js');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction.js');
+const ApiError = require('../utils/ApiError.js');
+const { baseCurrency, currencyExponent } = require('../utils/currency.js');
+const { readNumber } = require('../utils/env.js');
+
+/**
+ * LOYALTY SERVICE
+ *
+ * PURPOSE: The ONLY place allowed to change Customer.loyaltyPoints
+ *
+ * THE PROGRAM:
+ * - Earn: LOYALTY_POINTS_PER_UNIT points per unit of the base currency paid
+ *   (default 1: a sale of 18.50 USD earns 18 points, rounded down)
+ * - Redeem: each point pays LOYALTY_POINT_VALUE minor units of the base
+ *   currency (default 1: 500 points pay 5.00 USD), converted into the sale currency
+ * - Expiry: points expire LOYALTY_EXPIRY_DAYS after they were earned
+ *   (default 365, 0 = never), the oldest points are used first
+ *
+ * Every change:
+ * 1. Updates Customer.loyaltyPoints atomically (never below zero)
+ * 2. Appends a LoyaltyTransaction with the resulting balance
+ * Pass a MongoDB session so both writes commit (or roll back) together.
+ */
+
+/**
+ * FUNCTION: loyaltySettings
+ * RETURNS: { pointsPerUnit, pointValue, expiryDays } (see the top of this file)
+ */
+const loyaltySettings = () => ({
+    pointsPerUnit: readNumber('LOYALTY_POINTS_PER_UNIT', 1),
+    pointValue: readNumber('LOYALTY_POINT_VALUE', 1),
+    expiryDays: readNumber('LOYALTY_EXPIRY_DAYS', 365),
+});
+
+/**
+ * FUNCTION: pointsEarnedFor(amount, exchangeRate)
+ *
+ * INPUT: amount paid in minor units of the sale currency, and the exchange
+ * rate snapshot of the sale (Sale.exchangeRate, null = base currency)
+ *
+ * EXAMPLE (base USD, 1 point per unit): 1850 → 18.50 USD → 18 points
+ */
+const pointsEarnedFor = (amount, exchangeRate) => {
+    const baseMinorUnits = amount * (exchangeRate ? exchangeRate.minorRate : 1);
+    const units = baseMinorUnits / 10 ** currencyExponent(baseCurrency());
+    // Rounded to 6 decimals first so 18.999999999 from the float math stays 19
+    return Math.max(0, Math.floor(Math.round(units * loyaltySettings().pointsPerUnit * 1e6) / 1e6));
+};
+
+/**
+ * FUNCTION: pointsValue(points, converter)
+ * RETURNS: What the points pay, in minor units of the converter currency
+ * (converter of exchangeRateService.createConverter)
+ */
+const pointsValue = (points, converter) =>
+    converter.convert(Math.round(points * loyaltySettings().pointValue), baseCurrency());
+
+/**
+ * HELPER FUNCTION: Expiry Date Of A New Lot
+ */
+const lotExpiry = (at) => {
+    const { expiryDays } = loyaltySettings();
+    return expiryDays > 0 ? new Date(at.getTime() + expiryDays * 24 * 60 * 60 * 1000) : null;
+};
+
+/**
+ * HELPER FUNCTION: Change Balance
+ *
+ * PURPOSE: $inc the balance and write the ledger entry
+ * For negative points the filter { loyaltyPoints: { $gte: points } } and the
+ * $inc run as ONE operation, so two sales can't both spend the same points.
+ *
+ * RETURNS: { customer, transaction }
+ * THROWS: ApiError(409) if the customer doesn't have that many points
+ */
+const changeBalance = async ({ customer: customerId, type, points, lot, sale, saleReturn, user }, session) => {
+    const filter = { _id: customerId };
+    if (points < 0) {
+        filter.loyaltyPoints = { $gte: -points };
+    }
+    const customer = await Customer.findOneAndUpdate(
+        filter,
+        { $inc: { loyaltyPoints: points } },
+        { new: true, session, ledger: true }
+    );
+    if (!customer) {
+        const current = await Customer.findById(customerId).select('loyaltyPoints').session(session || null);
+        throw new ApiError(409, `Not enough loyalty points: ${current ? current.loyaltyPoints : 0} available, ${-points} requested`);
+    }
+    const [transaction] = await LoyaltyTransaction.create([{
+        customer: customer._id,
+        type,
+        points,
+        balanceAfter: customer.loyaltyPoints,
+        remaining: lot ? points : 0,
+        expiresAt: lot ? lot.expiresAt : null,
+        sale: sale || null,
+        saleReturn: saleReturn || null,
+        user: user || null,
+    }], { session });
+    return { customer, transaction };
+};
+
+/**
+ * HELPER FUNCTION: Take From Lots
+ *
+ * PURPOSE: Mark points as used in the lots that expire first
+ * (lots that never expire are used last)
+ */
+const takeFromLots = async (customerId, points, at, session) => {
+    const lots = await LoyaltyTransaction.find({
+        customer: customerId,
+        remaining: { $gt: 0 },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }],
+    })
+        .sort({ expiresAt: 1, createdAt: 1 })
+        .session(session || null);
+    const ordered = [
+        ...lots.filter((lot) => lot.expiresAt !== null),
+        ...lots.filter((lot) => lot.expiresAt === null),
+    ];
+    let left = points;
+    for (const lot of ordered) {
+        if (left === 0) {
+            break;
+        }
+        const used = Math.min(lot.remaining, left);
+        await LoyaltyTransaction.updateOne({ _id: lot._id }, { $inc: { remaining: -used } }, { session });
+        left -= used;
+    }
+};
+
+// ==========================================
+// FUNCTION: Expire Points
+// ==========================================
+
+/**
+ * FUNCTION: expirePoints(customerId, at, session)
+ *
+ * PURPOSE: Take away the unused points of every lot of the customer that expired by "at"
+ * Runs before every redemption (so nobody pays with expired points) and
+ * for every customer every 6 hours (startLoyaltyExpiry).
+ *
+ * RETURNS: Number of points that expired
+ */
+const expirePoints = async (customerId, at = new Date(), session = null) => {
+    const lots = await LoyaltyTransaction.find({
+        customer: customerId,
+        remaining: { $gt: 0 },
+        expiresAt: { $ne: null, $lte: at },
+    }).session(session || null);
+    let expired = 0;
+    for (const lot of lots) {
+        await LoyaltyTransaction.updateOne({ _id: lot._id }, { remaining: 0 }, { session });
+        expired += lot.remaining;
+    }
+    if (expired > 0) {
+        await changeBalance({ customer: customerId, type: 'expire', points: -expired }, session);
+    }
+    return expired;
+};
+
+/**
+ * FUNCTION: expireAllPoints(at)
+ *
+ * PURPOSE: expirePoints() for every customer with expired lots, one
+ * transaction per customer
+ *
+ * RETURNS: Number of customers whose points expired
+ */
+const expireAllPoints = async (at = new Date()) => {
+    const customers = await LoyaltyTransaction.distinct('customer', {
+        remaining: { $gt: 0 },
+        expiresAt: { $ne: null, $lte: at },
+    });
+    for (const customerId of customers) {
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(() => expirePoints(customerId, at, session));
+        } finally {
+            await session.endSession();
+        }
+    }
+    return customers.length;
+};
+
+/**
+ * FUNCTION: startLoyaltyExpiry({ intervalMs })
+ *
+ * PURPOSE: Expire points of every customer every 6 hours by default
+ * (started from server.js)
+ *
+ * RETURNS: stop() - call it on shutdown
+ */
+const startLoyaltyExpiry = ({ intervalMs = 6 * 60 * 60 * 1000 } = {}) => {
+    let running = false;
+    const run = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await expireAllPoints();
+        } catch (error) {
+            console.error('Loyalty Expiry Error:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+    return () => clearInterval(timer);
+};
+
+// ==========================================
+// SALES
+// ==========================================
+
+/**
+ * FUNCTION: redeemPoints({ customer, points, sale, user, at }, session)
+ *
+ * PURPOSE: Pay part of a sale with points
+ * Expired points are taken away first, then the points are used from the
+ * lots that expire first.
+ *
+ * RETURNS: { customer, transaction }
+ * THROWS: ApiError(409) if the customer doesn't have that many points
+ */
+const redeemPoints = async ({ customer, points, sale, user, at = new Date() }, session) => {
+    await expirePoints(customer, at, session);
+    const result = await changeBalance({ customer, type: 'redeem', points: -points, sale, user }, session);
+    await takeFromLots(customer, points, at, session);
+    return result;
+};
+
+/**
+ * FUNCTION: earnPoints({ customer, points, sale, user, at }, session)
+ * PURPOSE: Add the points of a purchase as a new lot (nothing happens for 0 points)
+ * RETURNS: { customer, transaction } or null
+ */
+const earnPoints = async ({ customer, points, sale, user, at = new Date() }, session) => {
+    if (points <= 0) {
+        return null;
+    }
+    return changeBalance({ customer, type: 'earn', points, lot: { expiresAt: lotExpiry(at) }, sale, user }, session);
+};
+
+/**
+ * FUNCTION: settleReturn({ sale, saleReturn, refundedBefore, user, at }, session)
+ *
+ * PURPOSE: Undo the points of the returned part of a sale
+ * - points paid with are given back ("restore", a new lot)
+ * - points earned are taken back ("reverse"), but never more than the
+ *   customer still has (they may have spent them meanwhile)
+ *
+ * HOW MUCH? The share of the returned money, counted cumulatively like
+ * returnService.unitShare: share = round(points × refunded after / total)
+ * - round(points × refunded before / total). A fully returned (or voided)
+ * sale gives back exactly what was redeemed and takes back exactly what was earned.
+ *
+ * INPUT: refundedBefore = sale.refundedTotal before this return
+ * (saleReturn.total is the value of the returned goods)
+ *
+ * RETURNS: { pointsRestored, restoredAmount, pointsReversed }
+ * restoredAmount is the part of the refund given back as points
+ * (minor units of the sale currency), the rest is refunded with the refund method
+ */
+const settleReturn = async ({ sale, saleReturn, refundedBefore, user, at = new Date() }, session) => {
+    const settled = { pointsRestored: 0, restoredAmount: 0, pointsReversed: 0 };
+    if (!sale.customer || !sale.loyalty || sale.total === 0) {
+        return settled;
+    }
+    const refundedAfter = refundedBefore + saleReturn.total;
+    const share = (amount) => Math.round((amount * refundedAfter) / sale.total) - Math.round((amount * refundedBefore) / sale.total);
+
+    settled.pointsRestored = share(sale.loyalty.pointsRedeemed);
+    settled.restoredAmount = Math.min(share(sale.loyalty.redeemedAmount), saleReturn.total);
+    if (settled.pointsRestored > 0) {
+        await changeBalance({
+            customer: sale.customer,
+            type: 'restore',
+            points: settled.pointsRestored,
+            lot: { expiresAt: lotExpiry(at) },
+            sale: sale._id,
+            saleReturn: saleReturn._id,
+            user,
+        }, session);
+    }
+
+    const toReverse = share(sale.loyalty.pointsEarned);
+    if (toReverse > 0) {
+        await expirePoints(sale.customer, at, session);
+        const customer = await Customer.findById(sale.customer).select('loyaltyPoints').session(session || null);
+        settled.pointsReversed = Math.min(toReverse, customer ? customer.loyaltyPoints : 0);
+        if (settled.pointsReversed > 0) {
+            await changeBalance({
+                customer: sale.customer,
+                type: 'reverse',
+                points: -settled.pointsReversed,
+                sale: sale._id,
+                saleReturn: saleReturn._id,
+                user,
+            }, session);
+            await takeFromLots(sale.customer, settled.pointsReversed, at, session);
+        }
+    }
+    return settled;
+};
+
+module.exports = {
+    loyaltySettings,
+    pointsEarnedFor,
+    pointsValue,
+    expirePoints,
+    expireAllPoints,
+    startLoyaltyExpiry,
+    redeemPoints,
+    earnPoints,
+    settleReturn,
+};
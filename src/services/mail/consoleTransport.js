@@ -0,0 +1,17 @@
+/**
+ * CONSOLE MAIL TRANSPORT
+ *
+ * PURPOSE: "Send" emails by printing them in the server console (development)
+ *
+ * Implements the mail transport interface described in mail/index.js
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+
+    async send(message) {
+        console.log(`\n📧 MAIL to ${message.to}: ${message.subject}\n${message.text}\n`);
+        return { id: null };
+    },
+});
+
+module.exports = createConsoleTransport;
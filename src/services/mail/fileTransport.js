@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * FILE MAIL TRANSPORT
+ *
+ * PURPOSE: "Send" emails by writing each one as a JSON file (development and tests)
+ *
+ * CONFIG: MAIL_DIR environment variable (defaults to ./storage/mail)
+ *
+ * EXAMPLE FILE: storage/mail/2026-03-14T10-22-01-123Z-4f2a9c1e.json
+ * { "to": "juan@example.com", "subject": "...", "text": "...", "sentAt": "..." }
+ *
+ * Implements the mail transport interface described in mail/index.js
+ */
+const createFileTransport = (dir = process.env.MAIL_DIR || path.join(process.cwd(), 'storage', 'mail')) => ({
+    name: 'file',
+
+    async send(message) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const sentAt = new Date().toISOString();
+        const id = `${sentAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+        await fs.promises.writeFile(
+            path.join(dir, `${id}.json`),
+            JSON.stringify({ ...message, sentAt }, null, 2)
+        );
+        return { id };
+    },
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,67 @@
+const createConsoleTransport = require('./consoleTransport.js');
+const createFileTransport = require('./fileTransport.js');
+
+/**
+ * MAIL SERVICE (pluggable transports)
+ *
+ * PURPOSE: Send emails (password reset, email verification...) through whichever transport is configured
+ *
+ * TRANSPORT INTERFACE (every transport must implement it):
+ * - name: string
+ * - send({ to, subject, text }) → Promise<{ id }>
+ *
+ * CONFIG (environment variables):
+ * - MAIL_TRANSPORT: "console" (default) or "file"
+ * - MAIL_FROM: sender address (default "no-reply@istdpro.local")
+ *
+ * ADDING A REAL TRANSPORT (SMTP, SendGrid...):
+ * 1. Create mail/smtpTransport.js returning an object with send()
+ * 2. Register it in TRANSPORTS below
+ * 3. Set MAIL_TRANSPORT=smtp
+ */
+const TRANSPORTS = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+};
+
+let transport = null;
+
+/**
+ * FUNCTION: getTransport
+ * RETURNS: The configured transport (created once, then reused)
+ */
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!TRANSPORTS[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT '${name}'`);
+        }
+        transport = TRANSPORTS[name]();
+    }
+    return transport;
+};
+
+/**
+ * FUNCTION: setTransport
+ * PURPOSE: Replace the transport at runtime (useful in tests)
+ */
+const setTransport = (instance) => {
+    transport = instance;
+};
+
+/**
+ * FUNCTION: sendMail({ to, subject, text })
+ * PURPOSE: Send one email with the configured transport
+ */
+const sendMail = async ({ to, subject, text }) => getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@istdpro.local',
+    to,
+    subject,
+    text,
+});
+
+module.exports = {
+    sendMail,
+    getTransport,
+    setTransport,
+};
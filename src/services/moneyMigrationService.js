@@ -0,0 +1,166 @@
+const Product = require('../models/Product.js');
+const Sale = require('../models/Sale.js');
+const SaleReturn = require('../models/SaleReturn.js');
+const Invoice = require('../models/Invoice.js');
+const CreditNote = require('../models/CreditNote.js');
+const PurchaseOrder = require('../models/PurchaseOrder.js');
+const Promotion = require('../models/Promotion.js');
+const PromotionRedemption = require('../models/PromotionRedemption.js');
+const { baseCurrency, currencyExponent } = require('../utils/currency.js');
+
+/**
+ * MONEY MIGRATION SERVICE
+ *
+ * PURPOSE: Convert money saved as decimals (18.5) into integer minor units
+ * of the base currency (1850), see utils/money.js
+ *
+ * HOW DO WE KNOW A DOCUMENT IS OLD?
+ * Every document with money now has a currency. Documents without one were
+ * saved before currencies existed, so their amounts are decimals in the
+ * base currency. Each document is converted and gets its currency in the
+ * same update, so running this again never converts anything twice.
+ *
+ * The updates run on the raw collections (aggregation pipeline updates):
+ * loading old documents through the models would fail the whole-number
+ * validators before they could be fixed.
+ */
+
+// ==========================================
+// PIPELINE HELPERS
+// ==========================================
+
+/**
+ * Decimal amount → rounded minor units (a missing field stays missing)
+ */
+const scaled = (path, factor) => ({
+    $cond: [
+        { $eq: [{ $type: path }, 'missing'] },
+        '$$REMOVE',
+        { $round: [{ $multiply: [path, factor] }, 0] },
+    ],
+});
+
+/**
+ * Apply scaled() to some fields of every element of an array
+ * extra: other fields to set on each element (nested arrays)
+ */
+const scaledArray = (path, fields, factor, extra = {}) => ({
+    $map: {
+        input: { $ifNull: [path, []] },
+        as: 'entry',
+        in: {
+            $mergeObjects: [
+                '$$entry',
+                Object.fromEntries(fields.map((field) => [field, scaled(`$$entry.${field}`, factor)])),
+                extra,
+            ],
+        },
+    },
+});
+
+/**
+ * Totals shared by sales, returns, invoices and credit notes
+ */
+const totalFields = (factor) => ({
+    subtotal: scaled('$subtotal', factor),
+    discount: scaled('$discount', factor),
+    tax: scaled('$tax', factor),
+    taxIncluded: scaled('$taxIncluded', factor),
+    total: scaled('$total', factor),
+    taxBreakdown: scaledArray('$taxBreakdown', ['taxableAmount', 'tax'], factor),
+});
+
+/**
+ * The snapshot of a sale made in the base currency (see Sale.js)
+ */
+const baseRate = (base) => ({
+    baseCurrency: base,
+    rate: 1,
+    minorRate: 1,
+    effectiveFrom: null,
+    source: null,
+});
+
+// ==========================================
+// MIGRATION
+// ==========================================
+
+/**
+ * FUNCTION: convertLegacyMoney
+ *
+ * PURPOSE: Convert every document saved before currencies existed
+ *
+ * Safe to run many times (on every start, see server.js): converted
+ * documents have a currency and are never matched again.
+ *
+ * RETURNS: Number of documents converted
+ */
+const convertLegacyMoney = async () => {
+    const base = baseCurrency();
+    const factor = 10 ** currencyExponent(base);
+
+    const saleItemFields = ['unitPrice', 'lineTotal', 'discount', 'taxableAmount', 'tax'];
+    const updates = [
+        [Product, {
+            price: scaled('$price', factor),
+            cost: scaled('$cost', factor),
+        }],
+        [Sale, {
+            ...totalFields(factor),
+            refundedTotal: scaled('$refundedTotal', factor),
+            promotions: scaledArray('$promotions', ['amount'], factor),
+            items: scaledArray('$items', [...saleItemFields, 'unitCost'], factor, {
+                promotions: scaledArray('$$entry.promotions', ['amount'], factor),
+            }),
+            exchangeRate: baseRate(base),
+        }],
+        [SaleReturn, {
+            ...totalFields(factor),
+            items: scaledArray('$items', saleItemFields, factor),
+            exchangeRate: { baseCurrency: base, rate: 1, minorRate: 1 },
+        }],
+        [Invoice, totalFields(factor)],
+        [CreditNote, {
+            ...totalFields(factor),
+            items: scaledArray('$items', ['unitPrice', 'lineTotal'], factor),
+        }],
+        [PurchaseOrder, {
+            subtotal: scaled('$subtotal', factor),
+            items: scaledArray('$items', ['unitCost'], factor),
+            receipts: {
+                $map: {
+                    input: { $ifNull: ['$receipts', []] },
+                    as: 'receipt',
+                    in: {
+                        $mergeObjects: [
+                            '$$receipt',
+                            { items: scaledArray('$$receipt.items', ['unitCost'], factor) },
+                        ],
+                    },
+                },
+            },
+        }],
+        [Promotion, {
+            // Percentages and buy X get Y values are not money
+            value: { $cond: [{ $eq: ['$type', 'fixed'] }, scaled('$value', factor), '$value'] },
+            minSubtotal: scaled('$minSubtotal', factor),
+        }],
+        [PromotionRedemption, {
+            amount: scaled('$amount', factor),
+        }],
+    ];
+
+    let converted = 0;
+    for (const [Model, fields] of updates) {
+        const result = await Model.collection.updateMany(
+            { currency: { $exists: false } },
+            [{ $set: { ...fields, currency: base } }]
+        );
+        converted += result.modifiedCount;
+    }
+    return converted;
+};
+
+module.exports = {
+    convertLegacyMoney,
+};
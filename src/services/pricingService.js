@@ -0,0 +1,171 @@
+const ApiError = require('../utils/ApiError.js');
+const { roundMinorUnits, splitMinorUnits } = require('../utils/money.js');
+
+/**
+ * PRICING SERVICE
+ *
+ * PURPOSE: Calculate every figure of a sale on the server
+ *
+ * WHY ON THE SERVER?
+ * Anything the client sends (prices, totals) can be edited in the browser.
+ * We only trust product ids and quantities from the client; prices come
+ * from the database and totals are computed here.
+ *
+ * MONEY: every amount in and out is integer minor units of the sale currency
+ * (cents for USD, see utils/money.js); prices are converted into the sale
+ * currency before they get here (saleController.js)
+ *
+ * ORDER OF OPERATIONS:
+ * 1. lineTotal = unitPrice × quantity (per line)
+ * 2. subtotal = sum of line totals
+ * 3. promotions = sum of the line discounts (promotionService.js sets items[].discount)
+ * 4. manual discount = fixed amount or percentage of (subtotal - promotions)
+ *    (never more than what is left)
+ * 5. discount = promotions + manual discount
+ *    (the manual discount is shared between the lines in proportion to what
+ *    is left of them, to the minor unit, so every line knows its net amount)
+ * 6. tax per line, at the rate of its tax rule (taxService.js):
+ *    - price without tax: taxableAmount = net, tax = net × rate
+ *    - price with tax included: tax = net × rate / (1 + rate), taxableAmount = net - tax
+ * 7. tax = sum of line taxes, taxIncluded = the part of it already inside the prices
+ * 8. total = subtotal - discount + tax - taxIncluded
+ *
+ * ROUNDING MODE:
+ * Tax is rounded PER LINE, half away from zero, to the minor unit (roundMinorUnits).
+ * The sale tax and the breakdown by rate are sums of the rounded line taxes,
+ * so the lines, the breakdown and the total always agree.
+ */
+
+/**
+ * FUNCTION: getDefaultTaxRate
+ * CONFIG: SALES_TAX_RATE environment variable as a fraction (e.g. 0.16 for 16%)
+ * Used for lines no TaxRule matches (see taxService.js)
+ */
+const getDefaultTaxRate = () => {
+    const rate = parseFloat(process.env.SALES_TAX_RATE);
+    return Number.isNaN(rate) ? 0 : rate;
+};
+
+/**
+ * FUNCTION: calculateDiscount
+ *
+ * ACCEPTED INPUT:
+ * - undefined / null → no discount
+ * - { "type": "percentage", "value": 10 } → 10% of subtotal
+ * - { "type": "fixed", "value": 500 } → 500 minor units off (5.00 in a currency with cents)
+ *
+ * THROWS: ApiError(400) for an unknown type or invalid value
+ */
+const calculateDiscount = (subtotal, discount) => {
+    if (!discount) {
+        return 0;
+    }
+    const value = Number(discount.value);
+    if (Number.isNaN(value) || value < 0) {
+        throw new ApiError(400, 'Discount value must be a non-negative number');
+    }
+    if (discount.type === 'fixed' && !Number.isInteger(value)) {
+        throw new ApiError(400, 'A fixed discount is a whole number of minor units (e.g. 500 = 5.00)');
+    }
+    if (discount.type === 'percentage') {
+        if (value > 100) {
+            throw new ApiError(400, 'Percentage discount cannot exceed 100');
+        }
+        return roundMinorUnits((subtotal * value) / 100);
+    }
+    if (discount.type === 'fixed') {
+        return Math.min(value, subtotal);
+    }
+    throw new ApiError(400, "Discount type must be 'percentage' or 'fixed'");
+};
+
+/**
+ * FUNCTION: calculateLineTax
+ * INPUT: net amount of the line (after every discount) and its tax fields
+ * RETURNS: { taxableAmount, tax }
+ */
+const calculateLineTax = (net, { taxRate, priceIncludesTax }) => {
+    if (priceIncludesTax) {
+        const tax = roundMinorUnits((net * taxRate) / (1 + taxRate));
+        return { taxableAmount: net - tax, tax };
+    }
+    return { taxableAmount: net, tax: roundMinorUnits(net * taxRate) };
+};
+
+/**
+ * FUNCTION: buildTaxBreakdown
+ *
+ * PURPOSE: Taxable amount and tax per rate, for invoices and the tax report
+ * INPUT: lines with { taxName, taxRate, taxableAmount, tax }
+ * RETURNS: [{ name, rate, taxableAmount, tax }] highest rate first
+ */
+const buildTaxBreakdown = (lines) => {
+    const groups = new Map();
+    lines.forEach((line) => {
+        const key = `${line.taxName}|${line.taxRate}`;
+        const group = groups.get(key) || { name: line.taxName, rate: line.taxRate, taxableAmount: 0, tax: 0 };
+        group.taxableAmount += line.taxableAmount;
+        group.tax += line.tax;
+        groups.set(key, group);
+    });
+    return [...groups.values()].sort((a, b) => b.rate - a.rate || a.name.localeCompare(b.name));
+};
+
+/**
+ * FUNCTION: calculateSaleTotals
+ *
+ * INPUT:
+ * {
+ *   items: [{
+ *     unitPrice: 1850, quantity: 2,
+ *     discount: 370 (promotions, optional),
+ *     taxName: 'VAT 16%', taxRate: 0.16, priceIncludesTax: false (taxService.applyTaxRules),
+ *     ...
+ *   }],
+ *   discount: { type: 'percentage', value: 10 } (optional manual discount)
+ * }
+ *
+ * RETURNS:
+ * { items (with lineTotal, taxableAmount, tax), subtotal, discount, tax, taxIncluded, taxBreakdown, total }
+ */
+const calculateSaleTotals = ({ items, discount }) => {
+    const pricedItems = items.map((item) => ({
+        ...item,
+        lineTotal: item.unitPrice * item.quantity,
+        discount: item.discount || 0,
+    }));
+    const subtotal = pricedItems.reduce((sum, item) => sum + item.lineTotal, 0);
+    const promotionDiscount = pricedItems.reduce((sum, item) => sum + item.discount, 0);
+    const manualDiscount = calculateDiscount(subtotal - promotionDiscount, discount);
+    const discountAmount = promotionDiscount + manualDiscount;
+
+    const manualShares = splitMinorUnits(
+        manualDiscount,
+        pricedItems.map((item) => item.lineTotal - item.discount)
+    );
+    const taxedItems = pricedItems.map((item, index) => {
+        const net = item.lineTotal - item.discount - manualShares[index];
+        return { ...item, ...calculateLineTax(net, item) };
+    });
+    const tax = taxedItems.reduce((sum, item) => sum + item.tax, 0);
+    const taxIncluded = taxedItems
+        .filter((item) => item.priceIncludesTax)
+        .reduce((sum, item) => sum + item.tax, 0);
+    const total = subtotal - discountAmount + tax - taxIncluded;
+
+    return {
+        items: taxedItems,
+        subtotal,
+        discount: discountAmount,
+        tax,
+        taxIncluded,
+        taxBreakdown: buildTaxBreakdown(taxedItems),
+        total,
+    };
+};
+
+module.exports = {
+    calculateSaleTotals,
+    buildTaxBreakdown,
+    getDefaultTaxRate,
+};
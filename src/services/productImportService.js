@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.js');
+const ProductStock = require('../models/ProductStock.js');
+const ApiError = require('../utils/ApiError.js');
+const { parseCsv, unescapeCsvValue } = require('../utils/csv.js');
+const { applyStockMovement } = require('./inventoryService.js');
+const { evaluateStockAlert } = require('./alertService.js');
+
+/**
+ * PRODUCT IMPORT SERVICE
+ *
+ * PURPOSE: Create or update many products at once from a CSV file
+ *
+ * FILE FORMAT (first line = headers, any order, only sku is mandatory):
+ * sku,barcodes,name,description,category,price,priceIncludesTax,cost,currency,stock,reorderPoint,reorderQuantity
+ * AB-100,4006381333931|036000291452,Coffee Beans 1kg,Medium roast,beverages,1850,false,975,USD,40,10,24
+ * (price and cost in minor units of currency, like the API; several barcodes separated by |)
+ *
+ * RULES:
+ * - Rows are matched to active products by SKU (case-insensitive): existing → update, new → create
+ * - An empty cell means "leave as it is" (new products need at least name and price)
+ * - stock is the TARGET count at the import location (default location unless
+ *   another one is given): the difference is written to the inventory ledger
+ *   as an "adjustment" movement, so stock still only changes through the ledger
+ * - Rows with errors are skipped and reported, the other rows are applied
+ * - Rows are applied batch by batch while the file is read: a broken file
+ *   (e.g. an unclosed quote) found after some batches stops the import, and
+ *   the result says how many rows were already applied ("aborted")
+ *
+ * IDEMPOTENT:
+ * Importing the same file twice changes nothing the second time: every row
+ * matches its product, no field differs and the stock difference is 0.
+ * After fixing the reported rows, simply upload the whole file again.
+ */
+
+/**
+ * COLUMNS THE FILE MAY CONTAIN
+ * Same list as the export (GET /api/products/export), so an exported file can be re-imported
+ */
+const IMPORT_COLUMNS = ['sku', 'barcodes', 'name', 'description', 'category', 'price', 'priceIncludesTax', 'cost', 'currency', 'stock', 'reorderPoint', 'reorderQuantity'];
+const NUMBER_COLUMNS = ['price', 'cost', 'stock', 'reorderPoint', 'reorderQuantity'];
+const BOOLEAN_COLUMNS = ['priceIncludesTax'];
+const LIST_COLUMNS = ['barcodes'];
+
+/**
+ * LIST SEPARATOR
+ * The comma already separates the columns, so the values of a list cell use |
+ */
+const LIST_SEPARATOR = '|';
+
+/**
+ * ROWS PER BATCH
+ * Existing products are loaded with one query per batch instead of one per row
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * MAX ERRORS IN THE REPORT
+ * Keeps the response small when a whole file is wrong (e.g. wrong separator)
+ */
+const MAX_REPORTED_ERRORS = 1000;
+
+/**
+ * HELPER FUNCTION: Read Header
+ * RETURNS: The column names in file order
+ * THROWS: ApiError(400) for unknown, repeated or missing columns
+ */
+const readHeader = (record) => {
+    if (!record) {
+        throw new ApiError(400, 'The CSV file is empty');
+    }
+    const columns = record.map((name) => name.trim());
+    const unknown = columns.filter((name) => !IMPORT_COLUMNS.includes(name));
+    if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown column(s): ${unknown.join(', ')}. Allowed: ${IMPORT_COLUMNS.join(', ')}`);
+    }
+    const repeated = columns.filter((name, index) => columns.indexOf(name) !== index);
+    if (repeated.length > 0) {
+        throw new ApiError(400, `Repeated column(s): ${[...new Set(repeated)].join(', ')}`);
+    }
+    if (!columns.includes('sku')) {
+        throw new ApiError(400, 'The CSV file needs a sku column');
+    }
+    return columns;
+};
+
+/**
+ * HELPER FUNCTION: Parse Row
+ *
+ * PURPOSE: Turn a CSV record into product fields
+ * Empty cells are left out (unchanged), numbers and true/false are converted
+ *
+ * RETURNS: { sku, data, stock, errors: [{ field, message }] }
+ */
+const parseRow = (columns, record) => {
+    const errors = [];
+    const data = {};
+    if (record.length !== columns.length) {
+        errors.push({ field: null, message: `Expected ${columns.length} values, found ${record.length}` });
+        return { sku: null, data, stock: undefined, errors };
+    }
+    columns.forEach((column, index) => {
+        // Exported text starting with = + - @ has a leading ' (see utils/csv.js)
+        const value = unescapeCsvValue(record[index].trim());
+        if (value === '') {
+            return;
+        }
+        if (NUMBER_COLUMNS.includes(column)) {
+            const number = Number(value);
+            if (Number.isNaN(number)) {
+                errors.push({ field: column, message: `${column} must be a number` });
+                return;
+            }
+            data[column] = number;
+            return;
+        }
+        if (BOOLEAN_COLUMNS.includes(column)) {
+            if (!['true', 'false'].includes(value.toLowerCase())) {
+                errors.push({ field: column, message: `${column} must be true or false` });
+                return;
+            }
+            data[column] = value.toLowerCase() === 'true';
+            return;
+        }
+        if (LIST_COLUMNS.includes(column)) {
+            data[column] = value.split(LIST_SEPARATOR).map((item) => item.trim()).filter((item) => item !== '');
+            return;
+        }
+        data[column] = value;
+    });
+
+    const sku = data.sku ? data.sku.toUpperCase() : null;
+    if (!sku) {
+        errors.push({ field: 'sku', message: 'sku is required' });
+    }
+    const { stock } = data;
+    delete data.stock;
+    if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+        errors.push({ field: 'stock', message: 'stock must be a non-negative whole number' });
+    }
+    return { sku, data, stock, errors };
+};
+
+/**
+ * HELPER FUNCTION: Schema Errors
+ * RETURNS: Mongoose validation errors of the document as [{ field, message }]
+ */
+const schemaErrors = (product) => {
+    const validation = product.validateSync();
+    if (!validation) {
+        return [];
+    }
+    return Object.values(validation.errors).map((error) => ({ field: error.path, message: error.message }));
+};
+
+/**
+ * HELPER FUNCTION: Duplicate Key Error
+ * RETURNS: { field, message } for a duplicate SKU or barcode, null for any other error
+ */
+const duplicateKeyError = (error) => {
+    if (error.code !== 11000) {
+        return null;
+    }
+    if (error.keyValue && error.keyValue.barcodes) {
+        return { field: 'barcodes', message: `Barcode ${error.keyValue.barcodes} already belongs to another product` };
+    }
+    return { field: 'sku', message: 'A product with this SKU already exists' };
+};
+
+/**
+ * HELPER FUNCTION: Apply Row
+ *
+ * PURPOSE: Write one valid row (its own transaction, so a failing row never
+ * leaves a product saved without its ledger movement)
+ */
+const applyRow = async ({ product, location, stockDelta, isNew, userId }) => {
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            const reorderPointChanged = !isNew && product.isModified('reorderPoint');
+            await product.save({ session });
+            if (stockDelta !== 0) {
+                await applyStockMovement({
+                    product: product._id,
+                    location,
+                    quantity: stockDelta,
+                    type: 'adjustment',
+                    user: userId,
+                    note: isNew ? 'Opening stock (CSV import)' : 'CSV import',
+                }, session);
+            } else if (reorderPointChanged) {
+                await evaluateStockAlert(product, session);
+            }
+        });
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * FUNCTION: importProducts
+ *
+ * INPUT:
+ * - stream: readable stream with the CSV file (the request itself)
+ * - dryRun: true → validate every row and report, write nothing
+ * - location: locationId the stock column refers to
+ * - userId: admin running the import (createdBy + ledger movements)
+ *
+ * RETURNS:
+ * {
+ *   dryRun,
+ *   summary: { rows, created, updated, unchanged, failed },
+ *   errors: [{ row: 7, field: 'price', message: 'Price cannot be negative' }],
+ *   errorsTruncated: false
+ * }
+ * Row numbers count the header as row 1, like a spreadsheet.
+ * In a dry run "created"/"updated" are what WOULD happen.
+ *
+ * BROKEN FILE AFTER ROWS WERE APPLIED:
+ * The result gets aborted: { row, message }, and summary counts only the rows
+ * applied before the error. Fix the file and import it again: the rows
+ * already applied are then "unchanged" (see IDEMPOTENT above).
+ *
+ * THROWS: ApiError(400) for an invalid header, or a broken CSV file when nothing was written yet
+ */
+const importProducts = async ({ stream, dryRun, location, userId }) => {
+    const summary = { rows: 0, created: 0, updated: 0, unchanged: 0, failed: 0 };
+    const errors = [];
+    let errorsTruncated = false;
+    const seenSkus = new Map();
+    let columns = null;
+    let rowNumber = 0;
+    let batch = [];
+
+    const reportErrors = (row, rowErrors) => {
+        summary.failed += 1;
+        rowErrors.forEach((error) => {
+            if (errors.length < MAX_REPORTED_ERRORS) {
+                errors.push({ row, ...error });
+            } else {
+                errorsTruncated = true;
+            }
+        });
+    };
+
+    const processBatch = async (rows) => {
+        const existing = await Product.find({ isDeleted: false, sku: { $in: rows.map((row) => row.sku) } });
+        const bySku = new Map(existing.map((product) => [product.sku, product]));
+        const stockRows = await ProductStock.find({ location, product: { $in: existing.map((product) => product._id) } });
+        const stockByProduct = new Map(stockRows.map((row) => [String(row.product), row.quantity]));
+
+        for (const row of rows) {
+            const current = bySku.get(row.sku);
+            const product = current || new Product({ createdBy: userId });
+            product.set(row.data);
+            // Required fields (name, price) and ranges come from the Product schema itself
+            const rowErrors = schemaErrors(product);
+            if (rowErrors.length > 0) {
+                reportErrors(row.number, rowErrors);
+                continue;
+            }
+
+            const currentStock = current ? stockByProduct.get(String(current._id)) || 0 : 0;
+            const stockDelta = row.stock === undefined ? 0 : row.stock - currentStock;
+            if (current && !product.isModified() && stockDelta === 0) {
+                summary.unchanged += 1;
+                continue;
+            }
+            if (!dryRun) {
+                try {
+                    await applyRow({ product, location, stockDelta, isNew: !current, userId });
+                } catch (error) {
+                    if (error instanceof ApiError || error.name === 'ValidationError' || error.code === 11000) {
+                        reportErrors(row.number, [duplicateKeyError(error) || { field: null, message: error.message }]);
+                        continue;
+                    }
+                    throw error;
+                }
+            }
+            summary[current ? 'updated' : 'created'] += 1;
+        }
+    };
+
+    try {
+        for await (const record of parseCsv(stream)) {
+            rowNumber += 1;
+            if (!columns) {
+                columns = readHeader(record);
+                continue;
+            }
+            if (record.every((value) => value.trim() === '')) {
+                continue;
+            }
+            summary.rows += 1;
+            const row = { number: rowNumber, ...parseRow(columns, record) };
+            if (row.sku && seenSkus.has(row.sku)) {
+                row.errors.push({ field: 'sku', message: `SKU already appears on row ${seenSkus.get(row.sku)}` });
+            } else if (row.sku) {
+                seenSkus.set(row.sku, row.number);
+            }
+            if (row.errors.length > 0) {
+                reportErrors(row.number, row.errors);
+                continue;
+            }
+            batch.push(row);
+            if (batch.length >= BATCH_SIZE) {
+                await processBatch(batch);
+                batch = [];
+            }
+        }
+    } catch (error) {
+        if (error.name !== 'CsvParseError') {
+            throw error;
+        }
+        const message = `${error.message} (near row ${rowNumber + 1})`;
+        if (dryRun || summary.created + summary.updated === 0) {
+            throw new ApiError(400, message);
+        }
+        return {
+            dryRun,
+            summary,
+            errors,
+            errorsTruncated,
+            aborted: { row: rowNumber + 1, message },
+        };
+    }
+    if (!columns) {
+        readHeader(null);
+    }
+    if (batch.length > 0) {
+        await processBatch(batch);
+    }
+
+    return {
+        dryRun,
+        summary,
+        errors,
+        errorsTruncated,
+    };
+};
+
+module.exports = {
+    IMPORT_COLUMNS,
+    LIST_SEPARATOR,
+    importProducts,
+};
@@ -0,0 +1,364 @@
+const Counter = require('../models/Counter.js');
+const Promotion = require('../models/Promotion.js');
+const PromotionRedemption = require('../models/PromotionRedemption.js');
+const ApiError = require('../utils/ApiError.js');
+const { splitMinorUnits } = require('../utils/money.js');
+const { formatMoney } = require('../utils/currency.js');
+
+/**
+ * PROMOTION SERVICE
+ *
+ * PURPOSE: Decide which promotions discount a sale, and by how much
+ *
+ * STACKING RULES (the same cart always gets the same result):
+ * 1. Candidates: active promotions inside their validity window that are
+ *    automatic (no code) or whose code was entered at the till
+ * 2. Order: priority (higher first), then the older promotion, then _id
+ * 3. Each promotion in turn looks at the lines in its scope:
+ *    - a line taken by an exclusive promotion is skipped by every later one
+ *    - an exclusive promotion skips lines a previous promotion already discounted
+ *    - non-exclusive promotions stack: each one works on what is left of
+ *      the line after the previous ones (a line never goes below 0)
+ * 4. minSubtotal is compared with the eligible lines before any discount
+ * 5. Usage limits are checked; a promotion over its limit is skipped
+ *
+ * COUPONS vs AUTOMATIC PROMOTIONS:
+ * An automatic promotion that doesn't apply is silently skipped. A coupon the
+ * cashier typed in must apply: otherwise the sale fails with a 400 saying why,
+ * so the customer isn't told "your coupon worked" when it didn't.
+ *
+ * MONEY: amounts are integer minor units of the sale currency, so a fixed
+ * discount shared between lines always adds up to exactly its value.
+ * The fixed value and minSubtotal of a promotion are in the promotion's own
+ * currency and are converted into the sale currency first (exchangeRateService.js).
+ */
+
+/**
+ * HELPER FUNCTION: Does The Line Belong To The Promotion Scope?
+ */
+const inScope = (promotion, line) => {
+    if (promotion.scope === 'category') {
+        return promotion.categories.includes(line.category);
+    }
+    if (promotion.scope === 'sku') {
+        return promotion.skus.includes(line.sku);
+    }
+    return true;
+};
+
+/**
+ * HELPER FUNCTION: Minor Units Off Each Eligible Line
+ * INPUT: fixedValue = promotion.value already in the sale currency (fixed promotions)
+ * RETURNS: array of minor units, same order as `lines`
+ */
+const discountMinorUnits = (promotion, lines, fixedValue) => {
+    if (promotion.type === 'percentage') {
+        return lines.map((line) => Math.round((line.remaining * promotion.value) / 100));
+    }
+    if (promotion.type === 'fixed') {
+        const available = lines.reduce((sum, line) => sum + line.remaining, 0);
+        return splitMinorUnits(Math.min(fixedValue, available), lines.map((line) => line.remaining));
+    }
+    // buy_x_get_y: counted per line, i.e. per product (sale lines are merged by product)
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    return lines.map((line) => {
+        const discountedUnits = Math.floor(line.quantity / groupSize) * promotion.getQuantity;
+        const amount = Math.round((discountedUnits * line.unitPrice * promotion.getDiscountPercent) / 100);
+        return Math.min(amount, line.remaining);
+    });
+};
+
+/**
+ * HELPER FUNCTION: Customer Usage Counter
+ *
+ * PURPOSE: How many times one customer used one promotion, as a Counter
+ * document: { _id: 'promotion-<promotionId>-<customer>', seq: 2 }
+ *
+ * WHY A COUNTER AND NOT countDocuments()?
+ * Two sales of the same customer at once would both count "1 of 2 used" and
+ * both insert a redemption: different documents, no write conflict, limit
+ * exceeded. The counter is ONE document that every such sale $inc's, so the
+ * transactions conflict and the second one is retried against the new count.
+ *
+ * ensureCustomerCounter() creates it OUTSIDE the transaction (see Counter.ensure),
+ * starting at the redemptions already recorded before counters existed.
+ */
+const customerCounterName = (promotionId, customer) => `promotion-${promotionId}-${customer}`;
+
+const ensureCustomerCounter = async (promotionId, customer) => {
+    const name = customerCounterName(promotionId, customer);
+    if (await Counter.exists({ _id: name })) {
+        return name;
+    }
+    const used = await PromotionRedemption.countDocuments({ promotion: promotionId, customer, releasedAt: null });
+    try {
+        await Counter.updateOne({ _id: name }, { $setOnInsert: { seq: used } }, { upsert: true });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+    return name;
+};
+
+/**
+ * HELPER FUNCTION: Why Can't The Promotion Be Used?
+ *
+ * Checks the usage limits of the promotion (recordRedemptions enforces them
+ * again atomically when the sale is saved)
+ * RETURNS: the reason as text, or null when it can be used
+ */
+const checkUsageLimits = async (promotion, customer, session) => {
+    if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+        return 'has reached its usage limit';
+    }
+    if (promotion.perCustomerLimit !== null) {
+        if (!customer) {
+            return 'requires a customer or a customer email';
+        }
+        const counter = await Counter.findById(customerCounterName(promotion._id, customer)).session(session || null);
+        const used = counter
+            ? counter.seq
+            : await PromotionRedemption.countDocuments({ promotion: promotion._id, customer, releasedAt: null }).session(session || null);
+        if (used >= promotion.perCustomerLimit) {
+            return 'was already used the maximum number of times by this customer';
+        }
+    }
+    return null;
+};
+
+/**
+ * FUNCTION: loadPromotions
+ *
+ * PURPOSE: Candidate promotions of a sale, already in stacking order
+ *
+ * THROWS: ApiError(400, INVALID_COUPON) if a coupon doesn't exist, is
+ * inactive, or is outside its validity window
+ */
+const loadPromotions = async (coupons, at, session) => {
+    const promotions = await Promotion.find({
+        isActive: true,
+        $and: [
+            { $or: [{ code: null }, { code: { $in: coupons } }] },
+            { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+            { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] },
+        ],
+    }).session(session || null);
+
+    const found = new Set(promotions.map((promotion) => promotion.code));
+    const unknown = coupons.find((code) => !found.has(code));
+    if (unknown) {
+        throw new ApiError(400, `Coupon ${unknown} is not valid`, 'INVALID_COUPON');
+    }
+
+    return promotions.sort((a, b) =>
+        b.priority - a.priority
+        || a.createdAt - b.createdAt
+        || String(a._id).localeCompare(String(b._id)));
+};
+
+// ==========================================
+// SERVICE: Apply Promotions
+// ==========================================
+
+/**
+ * FUNCTION: applyPromotions
+ *
+ * INPUT:
+ * {
+ *   items: [{ product, sku, name, category, quantity, unitPrice, ... }] (merged by product,
+ *          unitPrice in minor units of the sale currency),
+ *   coupons: ['WELCOME5'] (uppercase, no duplicates),
+ *   customer: 'customer:<customerId>' | 'ana@example.com' | null (who per-customer limits count against),
+ *   converter: exchangeRateService.createConverter() of the sale currency,
+ *   at: Date (defaults to now)
+ * }
+ * session: MongoDB session (optional)
+ *
+ * RETURNS:
+ * {
+ *   items: same lines plus { discount, promotions: [{ promotion, name, code, amount }] },
+ *   promotions: [{ promotion, name, code, amount }] (one per promotion used, in the order applied)
+ * }
+ *
+ * THROWS: ApiError(400) for a coupon that is not valid or doesn't apply
+ */
+const applyPromotions = async ({ items, coupons = [], customer = null, converter, at = new Date() }, session) => {
+    const candidates = await loadPromotions(coupons, at, session);
+
+    const lines = items.map((item) => ({
+        ...item,
+        remaining: item.unitPrice * item.quantity,
+        applied: [],
+        locked: false,
+    }));
+    const used = [];
+
+    for (const promotion of candidates) {
+        const isCoupon = promotion.code !== null;
+        const refuse = (reason) => {
+            if (isCoupon) {
+                throw new ApiError(400, `Coupon ${promotion.code} ${reason}`, 'INVALID_COUPON');
+            }
+        };
+
+        const eligible = lines.filter((line) =>
+            inScope(promotion, line)
+            && !line.locked
+            && line.remaining > 0
+            && (!promotion.exclusive || line.applied.length === 0));
+        if (eligible.length === 0) {
+            refuse('does not apply to any item of this sale');
+            continue;
+        }
+
+        const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+        const minSubtotal = await converter.convert(promotion.minSubtotal, promotion.currency);
+        if (eligibleSubtotal < minSubtotal) {
+            refuse(`needs a minimum purchase of ${formatMoney(minSubtotal, converter.currency)}`);
+            continue;
+        }
+
+        const fixedValue = promotion.type === 'fixed'
+            ? await converter.convert(promotion.value, promotion.currency)
+            : null;
+        const amounts = discountMinorUnits(promotion, eligible, fixedValue);
+        const total = amounts.reduce((sum, amount) => sum + amount, 0);
+        if (total === 0) {
+            refuse('does not apply to any item of this sale');
+            continue;
+        }
+
+        const blocked = await checkUsageLimits(promotion, customer, session);
+        if (blocked) {
+            refuse(blocked);
+            continue;
+        }
+
+        eligible.forEach((line, index) => {
+            if (amounts[index] === 0) {
+                return;
+            }
+            line.remaining -= amounts[index];
+            line.applied.push({
+                promotion: promotion._id,
+                name: promotion.name,
+                code: promotion.code,
+                amount: amounts[index],
+            });
+            if (promotion.exclusive) {
+                line.locked = true;
+            }
+        });
+        used.push({
+            promotion: promotion._id,
+            name: promotion.name,
+            code: promotion.code,
+            amount: total,
+        });
+    }
+
+    return {
+        items: lines.map(({ remaining, applied, locked, ...item }) => ({
+            ...item,
+            discount: applied.reduce((sum, promotion) => sum + promotion.amount, 0),
+            promotions: applied,
+        })),
+        promotions: used,
+    };
+};
+
+// ==========================================
+// SERVICE: Record / Release Redemptions
+// ==========================================
+
+/**
+ * FUNCTION: recordRedemptions
+ *
+ * PURPOSE: Count the uses of the promotions of a saved sale
+ * Call it inside the sale transaction, right after the sale is created.
+ *
+ * HOW THE USAGE LIMITS STAY EXACT:
+ * The "usageCount below usageLimit" check and the $inc run as ONE operation,
+ * so two tills can't both take the last use of a coupon. The per-customer
+ * limit works the same way on the customer's usage counter (see
+ * ensureCustomerCounter), counted for every promotion so a limit added
+ * later starts from the real number of uses.
+ *
+ * THROWS: ApiError(409) if the promotion reached a limit in the meantime
+ * (the transaction is rolled back, nothing is sold)
+ */
+const recordRedemptions = async ({ sale, promotions, customer = null }, session) => {
+    for (const used of promotions) {
+        if (customer) {
+            const limit = await Promotion.findById(used.promotion).select('perCustomerLimit').session(session || null);
+            const name = await ensureCustomerCounter(used.promotion, customer);
+            const filter = { _id: name };
+            if (limit && limit.perCustomerLimit !== null) {
+                filter.seq = { $lt: limit.perCustomerLimit };
+            }
+            const counter = await Counter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true, session });
+            if (!counter) {
+                throw new ApiError(409, `Promotion ${used.name} was already used the maximum number of times by this customer`);
+            }
+        }
+        const promotion = await Promotion.findOneAndUpdate(
+            {
+                _id: used.promotion,
+                $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }],
+            },
+            { $inc: { usageCount: 1 } },
+            // Counting a use is not an admin edit of the promotion
+            { new: true, session, audit: false }
+        );
+        if (!promotion) {
+            throw new ApiError(409, `Promotion ${used.name} has reached its usage limit`);
+        }
+    }
+    if (promotions.length > 0) {
+        await PromotionRedemption.insertMany(promotions.map((used) => ({
+            promotion: used.promotion,
+            sale: sale._id,
+            code: used.code,
+            customer,
+            amount: used.amount,
+            currency: sale.currency,
+        })), { session });
+    }
+};
+
+/**
+ * FUNCTION: releaseRedemptions
+ *
+ * PURPOSE: Give back the promotion uses of a voided sale
+ * The redemptions are kept (marked releasedAt) so the history stays complete.
+ * Returns do NOT release anything: the customer kept part of the sale.
+ */
+const releaseRedemptions = async (saleId, at, session) => {
+    const redemptions = await PromotionRedemption.find({ sale: saleId, releasedAt: null }).session(session);
+    for (const redemption of redemptions) {
+        await Promotion.updateOne(
+            { _id: redemption.promotion, usageCount: { $gt: 0 } },
+            { $inc: { usageCount: -1 } },
+            { session, audit: false }
+        );
+        if (redemption.customer) {
+            await Counter.updateOne(
+                { _id: customerCounterName(redemption.promotion, redemption.customer), seq: { $gt: 0 } },
+                { $inc: { seq: -1 } },
+                { session }
+            );
+        }
+    }
+    await PromotionRedemption.updateMany(
+        { sale: saleId, releasedAt: null },
+        { $set: { releasedAt: at } },
+        { session }
+    );
+};
+
+module.exports = {
+    applyPromotions,
+    recordRedemptions,
+    releaseRedemptions,
+};
@@ -0,0 +1,54 @@
+const createMemoryStore = require('./memoryStore.js');
+
+/**
+ * RATE LIMIT STORE (pluggable)
+ *
+ * PURPOSE: One place that decides WHERE request counters are kept
+ * USED BY: middleware/rateLimit.js and the login failure counter in authController.js
+ *
+ * STORE INTERFACE (every store must implement it):
+ * - increment(key, windowMs) → Promise<{ count, resetAt }>   Count one hit in the current window
+ *   (the window starts with the first hit and lasts windowMs; resetAt is a Date)
+ * - reset(key) → Promise<void>                               Forget the key
+ *
+ * CONFIG: RATE_LIMIT_STORE environment variable (default: "memory")
+ *
+ * ADDING A SHARED STORE (e.g. Redis, for several server instances):
+ * 1. Create rateLimit/redisStore.js returning an object with the methods above
+ *    (INCR + PEXPIRE on the first hit gives the same fixed windows)
+ * 2. Register it in STORES below
+ * 3. Set RATE_LIMIT_STORE=redis
+ */
+const STORES = {
+    memory: createMemoryStore,
+};
+
+let store = null;
+
+/**
+ * FUNCTION: getStore
+ * RETURNS: The configured store (created once, then reused)
+ */
+const getStore = () => {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!STORES[name]) {
+            throw new Error(`Unknown RATE_LIMIT_STORE '${name}'`);
+        }
+        store = STORES[name]();
+    }
+    return store;
+};
+
+/**
+ * FUNCTION: setStore
+ * PURPOSE: Replace the store at runtime (useful in tests)
+ */
+const setStore = (instance) => {
+    store = instance;
+};
+
+module.exports = {
+    getStore,
+    setStore,
+};
@@ -0,0 +1,56 @@
+/**
+ * MEMORY RATE LIMIT STORE
+ *
+ * PURPOSE: Count hits per key in this process (fixed windows)
+ *
+ * LIMITATION: Every server process has its own counters, so with several
+ * instances behind a load balancer each one allows the full limit.
+ * Use a shared store (see rateLimit/index.js) for those deployments.
+ *
+ * Implements the store interface described in rateLimit/index.js
+ */
+const SWEEP_EVERY = 1000;
+
+const createMemoryStore = () => {
+    const windows = new Map();
+    let hitsSinceSweep = 0;
+
+    /**
+     * HELPER FUNCTION: Sweep
+     * PURPOSE: Forget expired windows so the map doesn't grow forever
+     * (runs every SWEEP_EVERY hits instead of on a timer, so nothing keeps the process alive)
+     */
+    const sweep = (now) => {
+        for (const [key, entry] of windows) {
+            if (entry.resetAt <= now) {
+                windows.delete(key);
+            }
+        }
+    };
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            hitsSinceSweep += 1;
+            if (hitsSinceSweep >= SWEEP_EVERY) {
+                hitsSinceSweep = 0;
+                sweep(now);
+            }
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += 1;
+            return { count: entry.count, resetAt: new Date(entry.resetAt) };
+        },
+
+        async reset(key) {
+            windows.delete(key);
+        },
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,58 @@
+const createMemoryBus = require('./memoryBus.js');
+
+/**
+ * REALTIME EVENT BUS (pluggable)
+ *
+ * PURPOSE: One place that decides HOW real-time events reach the open streams
+ * USED BY: services/realtimeService.js (publish) and controllers/realtimeController.js (streams)
+ *
+ * BUS INTERFACE (every bus must implement it):
+ * - publish({ channel, type, data }) → Promise<event>   Give the event an id and createdAt
+ *   and hand it to every subscriber (of every server instance)
+ * - subscribe(listener) → unsubscribe()                  listener(event) is called for each event
+ * - replay(lastEventId) → Promise<event[] | null>        The events published after lastEventId,
+ *   oldest first, or null when that id is unknown or too old (the client must reload instead)
+ *
+ * EVENT: { id, channel, type, data, createdAt }
+ *
+ * CONFIG: REALTIME_BUS environment variable (default: "memory")
+ *
+ * ADDING A SHARED BUS (e.g. Redis, for several server instances):
+ * 1. Create realtime/redisBus.js returning an object with the methods above
+ *    (XADD to a capped stream gives the ids and the history, XREAD feeds the subscribers)
+ * 2. Register it in BUSES below
+ * 3. Set REALTIME_BUS=redis
+ */
+const BUSES = {
+    memory: createMemoryBus,
+};
+
+let bus = null;
+
+/**
+ * FUNCTION: getEventBus
+ * RETURNS: The configured bus (created once, then reused)
+ */
+const getEventBus = () => {
+    if (!bus) {
+        const name = process.env.REALTIME_BUS || 'memory';
+        if (!BUSES[name]) {
+            throw new Error(`Unknown REALTIME_BUS '${name}'`);
+        }
+        bus = BUSES[name]();
+    }
+    return bus;
+};
+
+/**
+ * FUNCTION: setEventBus
+ * PURPOSE: Replace the bus at runtime (useful in tests)
+ */
+const setEventBus = (instance) => {
+    bus = instance;
+};
+
+module.exports = {
+    getEventBus,
+    setEventBus,
+};
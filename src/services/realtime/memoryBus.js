@@ -0,0 +1,83 @@
+const { readInteger } = require('../../utils/env.js');
+
+/**
+ * MEMORY EVENT BUS
+ *
+ * PURPOSE: Deliver real-time events to the streams of this process and keep
+ * the last ones so a client that reconnects can catch up
+ *
+ * EVENT IDS: "<run>-<sequence>" (e.g. "m1x2y3z4-57"). The run part changes
+ * on every start, so an id from before a restart is recognised as unknown
+ * instead of being mistaken for a recent one.
+ *
+ * LIMITATION: Only streams connected to THIS process get the events, and
+ * the history is lost on restart. Use a shared bus (see realtime/index.js)
+ * for several server instances.
+ *
+ * Implements the bus interface described in realtime/index.js
+ */
+const createMemoryBus = () => {
+    const run = Date.now().toString(36);
+    const historySize = readInteger('REALTIME_HISTORY_SIZE', 1000);
+    const history = [];
+    const listeners = new Set();
+    let sequence = 0;
+
+    /**
+     * HELPER FUNCTION: Sequence Of
+     * RETURNS: The sequence number of one of our ids, or null (other run, not an id)
+     */
+    const sequenceOf = (id) => {
+        const [idRun, value] = String(id).split('-');
+        const number = Number(value);
+        return idRun === run && Number.isInteger(number) ? number : null;
+    };
+
+    return {
+        name: 'memory',
+
+        async publish({ channel, type, data }) {
+            sequence += 1;
+            const event = {
+                id: `${run}-${sequence}`,
+                channel,
+                type,
+                data,
+                createdAt: new Date().toISOString(),
+            };
+            history.push(event);
+            if (history.length > historySize) {
+                history.shift();
+            }
+            for (const listener of listeners) {
+                try {
+                    listener(event);
+                } catch (error) {
+                    // One broken stream must not stop the others
+                    console.error('Realtime Listener Error:', error.message);
+                }
+            }
+            return event;
+        },
+
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        async replay(lastEventId) {
+            const last = sequenceOf(lastEventId);
+            if (last === null || last > sequence) {
+                return null;
+            }
+            const oldest = history.length > 0 ? sequenceOf(history[0].id) : sequence + 1;
+            if (last < oldest - 1) {
+                // Some events after lastEventId were already dropped from the history
+                return null;
+            }
+            return history.filter((event) => sequenceOf(event.id) > last);
+        },
+    };
+};
+
+module.exports = createMemoryBus;
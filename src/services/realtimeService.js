@@ -0,0 +1,178 @@
+const { getEventBus } = require('./realtime/index.js');
+
+/**
+ * REALTIME SERVICE
+ *
+ * PURPOSE: Publish what the dashboard shows live (stock levels, low-stock
+ * alerts, new sales) to the open event streams (GET /api/realtime/events)
+ *
+ * CHANNELS (who receives what):
+ * - inventory:    stock.changed, alert.raised, alert.resolved → every role
+ * - sales:        sale.created of every seller                → admin only
+ * - user:<id>:    sale.created of that seller                 → only that user
+ * Employees only see their own sales elsewhere too (GET /api/sales), so
+ * the sales channel is admin-only and each seller gets a personal channel.
+ *
+ * AFTER COMMIT ONLY:
+ * Most changes happen inside a transaction that can still roll back (or be
+ * retried). Pass its session and the event waits until the session ends
+ * with the transaction committed; a rolled back attempt publishes nothing.
+ */
+
+const CHANNELS = {
+    inventory: ['admin', 'employee'],
+    sales: ['admin'],
+};
+
+/**
+ * FUNCTION: userChannel(userId)
+ * RETURNS: The personal channel of a user ("user:65a1...")
+ */
+const userChannel = (userId) => `user:${userId}`;
+
+/**
+ * FUNCTION: channelsFor(user)
+ * RETURNS: Every channel the user may listen to
+ */
+const channelsFor = (user) => [
+    ...Object.keys(CHANNELS).filter((channel) => CHANNELS[channel].includes(user.role)),
+    userChannel(user._id),
+];
+
+// ==========================================
+// FUNCTION: Publish Event
+// ==========================================
+
+/**
+ * Events waiting for their transaction to commit
+ * Keyed by the transaction (not the session): a retried transaction is a new
+ * one, so the events of the failed attempt are simply forgotten
+ */
+const pendingByTransaction = new WeakMap();
+
+const send = (event) => {
+    getEventBus()
+        .publish(event)
+        .catch((error) => console.error('Realtime Publish Error:', error.message));
+};
+
+/**
+ * FUNCTION: publishEvent(channel, type, data, session)
+ *
+ * PURPOSE: Hand one event to the bus, now or once the transaction commits
+ *
+ * Never throws: a real-time failure is logged and must not break a sale.
+ * The session must be ended (session.endSession(), as every controller does
+ * in its finally block) for the events of a transaction to go out.
+ */
+const publishEvent = (channel, type, data, session = null) => {
+    const event = { channel, type, data };
+    if (!session || !session.inTransaction()) {
+        send(event);
+        return;
+    }
+    const { transaction } = session;
+    if (!pendingByTransaction.has(transaction)) {
+        pendingByTransaction.set(transaction, []);
+        session.once('ended', () => {
+            if (transaction.isCommitted) {
+                pendingByTransaction.get(transaction).forEach(send);
+            }
+            pendingByTransaction.delete(transaction);
+        });
+    }
+    pendingByTransaction.get(transaction).push(event);
+};
+
+// ==========================================
+// EVENTS
+// ==========================================
+
+/**
+ * FUNCTION: publishStockChange({ product, productStock, movement }, session)
+ * PURPOSE: "stock.changed" after every ledger movement (inventoryService.applyStockMovement)
+ *
+ * DATA:
+ * { "product": "<id>", "sku": "AB-100", "name": "...", "location": "<id>",
+ *   "quantity": -2, "movementType": "sale", "stock": 18, "locationStock": 7, "movement": "<id>" }
+ */
+const publishStockChange = ({ product, productStock, movement }, session) => {
+    publishEvent('inventory', 'stock.changed', {
+        product: String(product._id),
+        sku: product.sku,
+        name: product.name,
+        location: String(movement.location),
+        quantity: movement.quantity,
+        movementType: movement.type,
+        stock: product.stock,
+        locationStock: productStock.quantity,
+        movement: String(movement._id),
+    }, session);
+};
+
+/**
+ * FUNCTION: publishSale(type, sale, session)
+ * PURPOSE: A sale event for the admins and for the seller
+ *
+ * DATA:
+ * { "sale": { "id": "<id>", "total": 1850, "currency": "USD", "items": 3,
+ *             "location": "<id>", "soldBy": "<id>", "status": "completed", "createdAt": "..." } }
+ */
+const publishSale = (type, sale, session) => {
+    const data = {
+        sale: {
+            id: String(sale._id),
+            total: sale.total,
+            currency: sale.currency,
+            items: sale.items.reduce((sum, item) => sum + item.quantity, 0),
+            location: String(sale.location),
+            soldBy: String(sale.soldBy),
+            status: sale.status,
+            createdAt: sale.createdAt,
+        },
+    };
+    publishEvent('sales', type, data, session);
+    publishEvent(userChannel(sale.soldBy), type, data, session);
+};
+
+// ==========================================
+// OPEN STREAMS (graceful shutdown)
+// ==========================================
+
+/**
+ * An event stream never ends by itself, so a shutdown waiting for every
+ * request to finish would wait forever: server.js ends them all instead
+ * (browsers reconnect on their own, to this server once it is back or to another one)
+ */
+const openStreams = new Set();
+
+/**
+ * FUNCTION: registerStream(end)
+ * INPUT: end() - ends one stream (called by closeStreams)
+ * RETURNS: unregister() - call it when the stream closes
+ */
+const registerStream = (end) => {
+    openStreams.add(end);
+    return () => openStreams.delete(end);
+};
+
+/**
+ * FUNCTION: closeStreams()
+ * RETURNS: Number of streams ended
+ */
+const closeStreams = () => {
+    const ends = [...openStreams];
+    openStreams.clear();
+    ends.forEach((end) => end());
+    return ends.length;
+};
+
+module.exports = {
+    channelsFor,
+    userChannel,
+    publishEvent,
+    publishStockChange,
+    publishSale,
+    registerStream,
+    closeStreams,
+};
@@ -0,0 +1,679 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale.js');
+const SaleReturn = require('../models/SaleReturn.js');
+const ApiError = require('../utils/ApiError.js');
+const { roundMinorUnits } = require('../utils/money.js');
+const {
+    businessTimezone,
+    businessDayKey,
+    isValidTimezone,
+    startOfBusinessDay,
+    addDays,
+} = require('../utils/businessDay.js');
+
+/**
+ * REPORT SERVICE
+ *
+ * PURPOSE: Hard numbers for the dashboard, calculated by MongoDB aggregation pipelines
+ *
+ * RULES SHARED BY EVERY REPORT:
+ * - Voided sales are left out, returned units and refunds are subtracted
+ *   (see the reporting helpers in Sale.js)
+ * - Dates are local calendar days in the requested timezone
+ * - Money is converted to the base currency (BASE_CURRENCY) with the rate
+ *   saved on each sale, i.e. the rate valid on the sale date
+ *   (Sale.toBaseExpression), and returned as integer minor units
+ * - Every report is calculated for the requested period AND the previous
+ *   period of the same length, so the dashboard can show the change
+ *
+ * NOTE: $dateTrunc needs MongoDB 5.0 or newer (Atlas runs newer versions)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 3 * 366;
+const INTERVALS = ['day', 'week', 'month'];
+
+// ==========================================
+// RANGE AND SCOPE
+// ==========================================
+
+/**
+ * FUNCTION: parseReportRange
+ *
+ * PURPOSE: Read ?from, ?to and ?timezone and work out both periods
+ *
+ * QUERY PARAMS (all optional):
+ * - from / to: local days, both included (YYYY-MM-DD). Default: the last 30 days
+ * - timezone: IANA name (default BUSINESS_TIMEZONE, or UTC)
+ *
+ * EXAMPLE: from=2026-03-01&to=2026-03-31 → previous period 2026-01-29..2026-02-28 (31 days)
+ *
+ * RETURNS:
+ * {
+ *   timezone,
+ *   current: { fromDay, toDay, from, to },   (from/to are Dates, to is exclusive)
+ *   previous: { fromDay, toDay, from, to }
+ * }
+ * THROWS: ApiError(400) for an unknown timezone or an invalid range
+ */
+const parseReportRange = (query) => {
+    const timezone = query.timezone ? String(query.timezone) : businessTimezone();
+    if (!isValidTimezone(timezone)) {
+        throw new ApiError(400, `Unknown timezone '${timezone}'`);
+    }
+    const toDay = query.to ? String(query.to) : businessDayKey(new Date(), timezone);
+    if (!startOfBusinessDay(toDay, timezone)) {
+        throw new ApiError(400, 'to must be a date like 2026-01-31');
+    }
+    const fromDay = query.from ? String(query.from) : addDays(toDay, -(DEFAULT_RANGE_DAYS - 1));
+    if (!startOfBusinessDay(fromDay, timezone)) {
+        throw new ApiError(400, 'from must be a date like 2026-01-01');
+    }
+    const days = Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS) + 1;
+    if (days < 1) {
+        throw new ApiError(400, 'from must be on or before to');
+    }
+    if (days > MAX_RANGE_DAYS) {
+        throw new ApiError(400, `The range cannot be longer than ${MAX_RANGE_DAYS} days`);
+    }
+
+    const period = (first, last) => ({
+        fromDay: first,
+        toDay: last,
+        from: startOfBusinessDay(first, timezone),
+        to: startOfBusinessDay(addDays(last, 1), timezone),
+    });
+    return {
+        timezone,
+        current: period(fromDay, toDay),
+        previous: period(addDays(fromDay, -days), addDays(fromDay, -1)),
+    };
+};
+
+/**
+ * FUNCTION: reportScope
+ *
+ * PURPOSE: Which sales the user may report on (role comments in User.js)
+ * - employee → only their own sales
+ * - admin → every sale, or one employee with ?soldBy=<userId>
+ *
+ * WHY ObjectId?
+ * Aggregation pipelines don't cast strings like find() does
+ */
+const reportScope = (user, query) => {
+    if (user.role !== 'admin') {
+        return { soldBy: user._id };
+    }
+    if (query.soldBy !== undefined) {
+        if (!mongoose.isValidObjectId(query.soldBy)) {
+            throw new ApiError(400, 'soldBy must be a valid user id');
+        }
+        return { soldBy: new mongoose.Types.ObjectId(String(query.soldBy)) };
+    }
+    return {};
+};
+
+/**
+ * FUNCTION: periodMatch
+ * RETURNS: The $match stage content for one period
+ */
+const periodMatch = (scope, period) => Sale.countedMatch({
+    ...scope,
+    createdAt: { $gte: period.from, $lt: period.to },
+});
+
+/**
+ * FUNCTION: percentChange
+ * RETURNS: Change from previous to current in % (1 decimal), null when previous is 0
+ */
+const percentChange = (current, previous) => (previous === 0
+    ? null
+    : Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10);
+
+/**
+ * FUNCTION: compareTotals
+ * RETURNS: { field: percentChange } for every listed field
+ */
+const compareTotals = (current, previous, fields) => fields.reduce((change, field) => ({
+    ...change,
+    [field]: percentChange(current[field], previous[field]),
+}), {});
+
+// ==========================================
+// REPORT: Revenue Over Time
+// ==========================================
+
+/**
+ * FUNCTION: revenueTotals
+ * RETURNS: { revenue, salesCount, averageTicket } (revenue net of refunds)
+ */
+const revenueTotals = async (match) => {
+    const [row] = await Sale.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                revenue: { $sum: Sale.toBaseExpression(Sale.netTotalExpression()) },
+                salesCount: { $sum: 1 },
+            },
+        },
+    ]);
+    if (!row) {
+        return { revenue: 0, salesCount: 0, averageTicket: 0 };
+    }
+    return {
+        revenue: roundMinorUnits(row.revenue),
+        salesCount: row.salesCount,
+        averageTicket: roundMinorUnits(row.revenue / row.salesCount),
+    };
+};
+
+/**
+ * FUNCTION: revenueSeries
+ *
+ * PURPOSE: Revenue per day, week (starting Monday) or month, in local time
+ * Periods without sales are not listed
+ *
+ * RETURNS: [{ period: "2026-03-02" (or "2026-03" for months), revenue, salesCount }]
+ */
+const revenueSeries = async (match, interval, timezone) => {
+    const rows = await Sale.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' },
+                },
+                revenue: { $sum: Sale.toBaseExpression(Sale.netTotalExpression()) },
+                salesCount: { $sum: 1 },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]);
+    return rows.map((row) => {
+        const day = businessDayKey(row._id, timezone);
+        return {
+            period: interval === 'month' ? day.slice(0, 7) : day,
+            revenue: roundMinorUnits(row.revenue),
+            salesCount: row.salesCount,
+        };
+    });
+};
+
+/**
+ * FUNCTION: revenueReport
+ *
+ * INPUT: { range (parseReportRange), scope (reportScope), interval: 'day' | 'week' | 'month' }
+ * RETURNS: { interval, current: { totals, series }, previous: { totals, series }, change }
+ */
+const revenueReport = async ({ range, scope, interval = 'day' }) => {
+    if (!INTERVALS.includes(interval)) {
+        throw new ApiError(400, `interval must be one of: ${INTERVALS.join(', ')}`);
+    }
+    const currentMatch = periodMatch(scope, range.current);
+    const previousMatch = periodMatch(scope, range.previous);
+    const [currentTotals, previousTotals, currentSeries, previousSeries] = await Promise.all([
+        revenueTotals(currentMatch),
+        revenueTotals(previousMatch),
+        revenueSeries(currentMatch, interval, range.timezone),
+        revenueSeries(previousMatch, interval, range.timezone),
+    ]);
+    return {
+        interval,
+        current: { totals: currentTotals, series: currentSeries },
+        previous: { totals: previousTotals, series: previousSeries },
+        change: compareTotals(currentTotals, previousTotals, ['revenue', 'salesCount', 'averageTicket']),
+    };
+};
+
+// ==========================================
+// REPORT: Top Products
+// ==========================================
+
+/**
+ * FUNCTION: productFigures
+ * RETURNS: [{ product, sku, name, quantity, revenue }] per product
+ * (units net of returns, revenue = unitPrice × units, before discount and tax)
+ */
+const productFigures = (match, extraStages = []) => Sale.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    ...extraStages,
+    {
+        $group: {
+            _id: '$items.product',
+            sku: { $first: '$items.sku' },
+            name: { $first: '$items.name' },
+            quantity: { $sum: Sale.netItemQuantityExpression() },
+            revenue: { $sum: Sale.toBaseExpression(Sale.netItemRevenueExpression()) },
+        },
+    },
+    { $match: { quantity: { $gt: 0 } } },
+]);
+
+/**
+ * FUNCTION: topProductsReport
+ *
+ * INPUT: { range, scope, by: 'quantity' | 'revenue', limit: 10 (max 100) }
+ * RETURNS: { by, products: [{ rank, product, sku, name, quantity, revenue, previous: { quantity, revenue }, change }] }
+ * The previous figures are for the same products, so the list shows how each one moved.
+ */
+const topProductsReport = async ({ range, scope, by = 'quantity', limit = 10 }) => {
+    if (!['quantity', 'revenue'].includes(by)) {
+        throw new ApiError(400, 'by must be one of: quantity, revenue');
+    }
+    const size = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100);
+    const rows = await productFigures(periodMatch(scope, range.current));
+    const top = rows
+        .sort((a, b) => b[by] - a[by] || a.sku.localeCompare(b.sku))
+        .slice(0, size);
+
+    const ids = top.map((row) => row._id);
+    const previousRows = await productFigures(
+        { ...periodMatch(scope, range.previous), 'items.product': { $in: ids } },
+        [{ $match: { 'items.product': { $in: ids } } }]
+    );
+    const previousById = new Map(previousRows.map((row) => [String(row._id), row]));
+
+    return {
+        by,
+        products: top.map((row, index) => {
+            const previousRow = previousById.get(String(row._id)) || { quantity: 0, revenue: 0 };
+            const current = { quantity: row.quantity, revenue: roundMinorUnits(row.revenue) };
+            const previous = { quantity: previousRow.quantity, revenue: roundMinorUnits(previousRow.revenue) };
+            return {
+                rank: index + 1,
+                product: row._id,
+                sku: row.sku,
+                name: row.name,
+                ...current,
+                previous,
+                change: compareTotals(current, previous, ['quantity', 'revenue']),
+            };
+        }),
+    };
+};
+
+// ==========================================
+// REPORT: Gross Margin
+// ==========================================
+
+/**
+ * FUNCTION: marginByCategory
+ *
+ * CALCULATION PER LINE (net of returned units):
+ * - revenue = taxableAmount × units / quantity
+ *   → taxableAmount is the line after every discount and without tax (pricingService.js)
+ *   sales made before tax rules: unitPrice × units × (1 - sale discount / sale subtotal)
+ *   → the sale discount is spread over its lines, tax is not revenue
+ * - cost = unitCost × units
+ *   → unitCost is the cost saved on the sale line (in the sale currency);
+ *     older sales without it use the current product cost
+ * Both are converted to the base currency with the rate of the sale
+ *
+ * RETURNS: [{ category, revenue, cost }]
+ */
+const marginByCategory = (match) => Sale.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    {
+        $lookup: {
+            from: 'products',
+            localField: 'items.product',
+            foreignField: '_id',
+            pipeline: [{ $project: { cost: 1, category: 1 } }],
+            as: 'product',
+        },
+    },
+    {
+        $set: {
+            units: Sale.netItemQuantityExpression(),
+            keptRatio: {
+                $cond: [{ $gt: ['$subtotal', 0] }, { $subtract: [1, { $divide: ['$discount', '$subtotal'] }] }, 1],
+            },
+            unitCost: { $ifNull: ['$items.unitCost', { $ifNull: [{ $first: '$product.cost' }, 0] }] },
+            category: { $ifNull: [{ $first: '$product.category' }, 'uncategorized'] },
+        },
+    },
+    {
+        $group: {
+            _id: '$category',
+            revenue: {
+                $sum: Sale.toBaseExpression({
+                    $cond: [
+                        { $eq: [{ $type: '$items.taxableAmount' }, 'missing'] },
+                        { $multiply: ['$items.unitPrice', '$units', '$keptRatio'] },
+                        { $multiply: ['$items.taxableAmount', { $divide: ['$units', '$items.quantity'] }] },
+                    ],
+                }),
+            },
+            cost: { $sum: Sale.toBaseExpression({ $multiply: ['$unitCost', '$units'] }) },
+        },
+    },
+    { $sort: { _id: 1 } },
+]);
+
+/**
+ * FUNCTION: marginFigures
+ * RETURNS: { revenue, cost, margin, marginPercent } (marginPercent null without revenue)
+ */
+const marginFigures = (revenue, cost) => ({
+    revenue: roundMinorUnits(revenue),
+    cost: roundMinorUnits(cost),
+    margin: roundMinorUnits(revenue) - roundMinorUnits(cost),
+    marginPercent: revenue > 0 ? Math.round(((revenue - cost) / revenue) * 1000) / 10 : null,
+});
+
+/**
+ * FUNCTION: summarizeMargin
+ * RETURNS: { totals, categories: [{ category, revenue, cost, margin, marginPercent }] }
+ */
+const summarizeMargin = (rows) => {
+    const revenue = rows.reduce((sum, row) => sum + row.revenue, 0);
+    const cost = rows.reduce((sum, row) => sum + row.cost, 0);
+    return {
+        totals: marginFigures(revenue, cost),
+        categories: rows.map((row) => ({ category: row._id, ...marginFigures(row.revenue, row.cost) })),
+    };
+};
+
+/**
+ * FUNCTION: grossMarginReport
+ * INPUT: { range, scope }
+ * RETURNS: { current: { totals, categories }, previous: { totals, categories }, change }
+ */
+const grossMarginReport = async ({ range, scope }) => {
+    const [currentRows, previousRows] = await Promise.all([
+        marginByCategory(periodMatch(scope, range.current)),
+        marginByCategory(periodMatch(scope, range.previous)),
+    ]);
+    const current = summarizeMargin(currentRows);
+    const previous = summarizeMargin(previousRows);
+    return {
+        current,
+        previous,
+        change: compareTotals(current.totals, previous.totals, ['revenue', 'cost', 'margin']),
+    };
+};
+
+// ==========================================
+// REPORT: Sales Per Employee
+// ==========================================
+
+/**
+ * FUNCTION: employeeFigures
+ * RETURNS: [{ _id: userId, name, email, salesCount, revenue }] sorted by revenue
+ */
+const employeeFigures = (match) => Sale.aggregate([
+    { $match: match },
+    {
+        $group: {
+            _id: '$soldBy',
+            salesCount: { $sum: 1 },
+            revenue: { $sum: Sale.toBaseExpression(Sale.netTotalExpression()) },
+        },
+    },
+    {
+        $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            pipeline: [{ $project: { name: 1, email: 1 } }],
+            as: 'user',
+        },
+    },
+    {
+        $set: {
+            name: { $first: '$user.name' },
+            email: { $first: '$user.email' },
+        },
+    },
+    { $project: { user: 0 } },
+    { $sort: { revenue: -1, _id: 1 } },
+]);
+
+/**
+ * FUNCTION: employeesReport
+ * INPUT: { range, scope }
+ * RETURNS: { employees: [{ user, name, email, salesCount, revenue, averageTicket, previous, change }] }
+ * Employees that only sold in the previous period are listed too (with 0 now)
+ */
+const employeesReport = async ({ range, scope }) => {
+    const [currentRows, previousRows] = await Promise.all([
+        employeeFigures(periodMatch(scope, range.current)),
+        employeeFigures(periodMatch(scope, range.previous)),
+    ]);
+    const figures = (row) => ({
+        salesCount: row ? row.salesCount : 0,
+        revenue: row ? roundMinorUnits(row.revenue) : 0,
+        averageTicket: row ? roundMinorUnits(row.revenue / row.salesCount) : 0,
+    });
+    const previousById = new Map(previousRows.map((row) => [String(row._id), row]));
+    const currentIds = new Set(currentRows.map((row) => String(row._id)));
+    const rows = [...currentRows, ...previousRows.filter((row) => !currentIds.has(String(row._id)))];
+
+    return {
+        employees: rows.map((row) => {
+            const current = figures(currentIds.has(String(row._id)) ? row : null);
+            const previous = figures(previousById.get(String(row._id)));
+            return {
+                user: row._id,
+                name: row.name || null,
+                email: row.email || null,
+                ...current,
+                previous,
+                change: compareTotals(current, previous, ['salesCount', 'revenue', 'averageTicket']),
+            };
+        }),
+    };
+};
+
+// ==========================================
+// REPORT: Basket Size
+// ==========================================
+
+/**
+ * FUNCTION: basketFigures
+ *
+ * PER SALE: units (net of returns), lines (distinct products), value (total - refunds, in base currency)
+ * Fully returned sales are left out: an empty basket says nothing about buying habits
+ *
+ * RETURNS: { salesCount, averageUnits, averageLines, averageValue }
+ */
+const basketFigures = async (match) => {
+    const [row] = await Sale.aggregate([
+        { $match: { ...match, status: { $nin: ['voided', 'returned'] } } },
+        {
+            $project: {
+                units: {
+                    $sum: {
+                        $map: {
+                            input: '$items',
+                            as: 'item',
+                            in: { $subtract: ['$$item.quantity', { $ifNull: ['$$item.quantityReturned', 0] }] },
+                        },
+                    },
+                },
+                lines: { $size: '$items' },
+                value: Sale.toBaseExpression(Sale.netTotalExpression()),
+            },
+        },
+        {
+            $group: {
+                _id: null,
+                salesCount: { $sum: 1 },
+                averageUnits: { $avg: '$units' },
+                averageLines: { $avg: '$lines' },
+                averageValue: { $avg: '$value' },
+            },
+        },
+    ]);
+    if (!row) {
+        return { salesCount: 0, averageUnits: 0, averageLines: 0, averageValue: 0 };
+    }
+    return {
+        salesCount: row.salesCount,
+        averageUnits: Math.round(row.averageUnits * 100) / 100,
+        averageLines: Math.round(row.averageLines * 100) / 100,
+        averageValue: roundMinorUnits(row.averageValue),
+    };
+};
+
+/**
+ * FUNCTION: basketSizeReport
+ * INPUT: { range, scope }
+ * RETURNS: { current, previous, change }
+ */
+const basketSizeReport = async ({ range, scope }) => {
+    const [current, previous] = await Promise.all([
+        basketFigures(periodMatch(scope, range.current)),
+        basketFigures(periodMatch(scope, range.previous)),
+    ]);
+    return {
+        current,
+        previous,
+        change: compareTotals(current, previous, ['salesCount', 'averageUnits', 'averageLines', 'averageValue']),
+    };
+};
+
+// ==========================================
+// REPORT: Tax Summary
+// ==========================================
+
+/**
+ * LEGACY TAX NAME
+ * Sales made before tax rules had one rate for the whole sale and no breakdown
+ */
+const LEGACY_TAX_NAME = 'Sales tax';
+
+/**
+ * FUNCTION: taxEntriesExpression
+ * PURPOSE: The taxBreakdown of a sale or return, or one entry at its single rate for older documents
+ */
+const taxEntriesExpression = () => ({
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$taxBreakdown', []] } }, 0] },
+        '$taxBreakdown',
+        [{
+            name: LEGACY_TAX_NAME,
+            rate: { $ifNull: ['$taxRate', 0] },
+            taxableAmount: { $subtract: ['$subtotal', '$discount'] },
+            tax: '$tax',
+        }],
+    ],
+});
+
+/**
+ * FUNCTION: taxByRate
+ * RETURNS: [{ _id: { name, rate }, taxableAmount, tax }] for the sales or returns matched,
+ * in the base currency (returns carry the exchange rate of their sale, see SaleReturn.js)
+ * (stages: extra pipeline stages run before grouping)
+ */
+const taxByRate = (Model, match, stages = []) => Model.aggregate([
+    { $match: match },
+    ...stages,
+    { $project: { entries: taxEntriesExpression(), exchangeRate: 1 } },
+    { $unwind: '$entries' },
+    {
+        $group: {
+            _id: { name: '$entries.name', rate: '$entries.rate' },
+            taxableAmount: { $sum: Sale.toBaseExpression('$entries.taxableAmount') },
+            tax: { $sum: Sale.toBaseExpression('$entries.tax') },
+        },
+    },
+]);
+
+/**
+ * FUNCTION: taxFigures
+ *
+ * PURPOSE: Tax of one period, per rate
+ * - sales: every sale made in the period (voided sales left out)
+ * - returns: refunds made in the period, whatever the date of the sale
+ *   (that's when the tax is given back)
+ * - net = sales - returns (what is filed)
+ *
+ * RETURNS: { totals: { sales, returns, net }, rates: [{ name, rate, sales, returns, net }] }
+ * (each of sales/returns/net is { taxableAmount, tax })
+ */
+const taxFigures = async (scope, period) => {
+    const [saleRows, returnRows] = await Promise.all([
+        taxByRate(Sale, periodMatch(scope, period)),
+        taxByRate(SaleReturn, {
+            ...scope,
+            type: 'return',
+            createdAt: { $gte: period.from, $lt: period.to },
+        }, [
+            // Returns of older sales: the rate is on the sale
+            {
+                $lookup: {
+                    from: 'sales',
+                    localField: 'sale',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { taxRate: 1 } }],
+                    as: 'saleTax',
+                },
+            },
+            { $set: { taxRate: { $first: '$saleTax.taxRate' } } },
+        ]),
+    ]);
+
+    const empty = () => ({ taxableAmount: 0, tax: 0 });
+    const add = (target, row) => {
+        target.taxableAmount += roundMinorUnits(row.taxableAmount);
+        target.tax += roundMinorUnits(row.tax);
+    };
+    const rates = new Map();
+    const rateOf = (row) => {
+        const key = `${row._id.name}|${row._id.rate}`;
+        if (!rates.has(key)) {
+            rates.set(key, { name: row._id.name, rate: row._id.rate, sales: empty(), returns: empty() });
+        }
+        return rates.get(key);
+    };
+    saleRows.forEach((row) => add(rateOf(row).sales, row));
+    returnRows.forEach((row) => add(rateOf(row).returns, row));
+
+    const totals = { sales: empty(), returns: empty() };
+    const net = (entry) => ({
+        taxableAmount: entry.sales.taxableAmount - entry.returns.taxableAmount,
+        tax: entry.sales.tax - entry.returns.tax,
+    });
+    const rows = [...rates.values()]
+        .sort((a, b) => b.rate - a.rate || a.name.localeCompare(b.name))
+        .map((entry) => {
+            add(totals.sales, entry.sales);
+            add(totals.returns, entry.returns);
+            return { ...entry, net: net(entry) };
+        });
+    return { totals: { ...totals, net: net(totals) }, rates: rows };
+};
+
+/**
+ * FUNCTION: taxReport
+ * INPUT: { range, scope }
+ * RETURNS: { current: { totals, rates }, previous: { totals, rates }, change (of the net figures) }
+ */
+const taxReport = async ({ range, scope }) => {
+    const [current, previous] = await Promise.all([
+        taxFigures(scope, range.current),
+        taxFigures(scope, range.previous),
+    ]);
+    return {
+        current,
+        previous,
+        change: compareTotals(current.totals.net, previous.totals.net, ['taxableAmount', 'tax']),
+    };
+};
+
+module.exports = {
+    parseReportRange,
+    reportScope,
+    revenueReport,
+    topProductsReport,
+    grossMarginReport,
+    employeesReport,
+    basketSizeReport,
+    taxReport,
+    INTERVALS,
+};
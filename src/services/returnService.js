@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale.js');
+const SaleReturn = require('../models/SaleReturn.js');
+const ApiError = require('../utils/ApiError.js');
+const { roundMinorUnits } = require('../utils/money.js');
+const { buildTaxBreakdown } = require('./pricingService.js');
+const { isSameBusinessDay, businessTimezone } = require('../utils/businessDay.js');
+const { applyStockMovement } = require('./inventoryService.js');
+const { issueCreditNote } = require('./creditNoteService.js');
+const { releaseRedemptions } = require('./promotionService.js');
+const { settleReturn } = require('./loyaltyService.js');
+
+/**
+ * RETURN SERVICE
+ *
+ * PURPOSE: Undo sales, fully or partially, without rewriting history
+ *
+ * The original sale lines are never changed. Instead:
+ * - the returned units go back to stock ("return" movements in the ledger)
+ * - a SaleReturn records what came back and how much money was refunded
+ * - the sale keeps counters (items[].quantityReturned, refundedTotal, status)
+ * - if the sale was invoiced, a credit note corrects the invoice
+ * - loyalty points of the returned part are given back / taken back
+ * Everything runs inside the caller's transaction.
+ */
+
+/**
+ * HELPER FUNCTION: Share Of Returned Units
+ *
+ * PURPOSE: The part of a line amount (discount, tax...) that belongs to the units being returned
+ *
+ * WHY CUMULATIVE?
+ * share = amount × (returned so far + now) / quantity - amount × (returned so far) / quantity
+ * Each part is rounded to minor units, but the parts of all the returns of a
+ * line always add up to exactly the line amount: returning 1 + 1 + 1 units of
+ * a line with 100 cents of tax refunds 33 + 34 + 33, never 99.
+ */
+const unitShare = (amount, returnedBefore, returning, quantity) =>
+    roundMinorUnits((amount * (returnedBefore + returning)) / quantity) - roundMinorUnits((amount * returnedBefore) / quantity);
+
+/**
+ * FUNCTION: calculateRefund
+ *
+ * PURPOSE: How much money the returned lines are worth (minor units of the sale currency)
+ *
+ * SALES WITH TAX RULES (sale.taxBreakdown not empty):
+ * Every returned line carries its share of the line's discount and tax
+ * (see recordReturn), so the refund is the sum of the lines:
+ * 1. subtotal = sum of unitPrice × quantity of the returned lines
+ * 2. net = what the returned units cost after every discount
+ * 3. discount = subtotal - net
+ * 4. tax = sum of line taxes, taxIncluded = the part inside the prices
+ * 5. total = subtotal - discount + tax - taxIncluded
+ * A fully returned sale refunds exactly what was paid (the shares add up per line).
+ *
+ * OLDER SALES (one tax rate for the whole sale), mirrors the old pricingService.js:
+ * 1. subtotal = sum of unitPrice × quantity of the returned lines
+ * 2. discount = promotions of the returned units (their share of items[].discount)
+ *    + their share of the manual discount, in proportion to what they cost
+ *    after promotions (sales without promotions: sale.discount × subtotal / sale.subtotal)
+ * 3. tax = (subtotal - discount) × sale.taxRate
+ * 4. total = subtotal - discount + tax
+ *
+ * LAST RETURN:
+ * When these lines are the last units of the sale, the total is whatever
+ * remains to refund (sale.total - sale.refundedTotal). Rounding differences
+ * from earlier partial returns are absorbed here, so a fully returned sale
+ * always refunds exactly what was paid.
+ */
+const calculateRefund = (sale, lines, isLastReturn) => {
+    const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    if (sale.taxBreakdown.length > 0) {
+        const sumOf = (selected, field) => selected.reduce((sum, line) => sum + line[field], 0);
+        const included = lines.filter((line) => line.priceIncludesTax);
+        const tax = sumOf(lines, 'tax');
+        const taxIncluded = sumOf(included, 'tax');
+        const net = sumOf(lines, 'taxableAmount') + taxIncluded;
+        return {
+            subtotal,
+            discount: subtotal - net,
+            tax,
+            taxIncluded,
+            taxBreakdown: buildTaxBreakdown(lines),
+            total: net + tax - taxIncluded,
+        };
+    }
+    const promotionDiscount = lines.reduce((sum, line) => sum + (line.discount || 0), 0);
+    const manualDiscount = sale.manualDiscount();
+    const salePromotionDiscount = sale.discount - manualDiscount;
+    const afterPromotions = sale.subtotal - salePromotionDiscount;
+    const manualShare = afterPromotions > 0
+        ? (manualDiscount * (subtotal - promotionDiscount)) / afterPromotions
+        : 0;
+    const discount = roundMinorUnits(promotionDiscount + manualShare);
+    if (isLastReturn) {
+        const total = sale.total - sale.refundedTotal;
+        return { subtotal, discount, tax: Math.max(0, total - subtotal + discount), total };
+    }
+    const tax = roundMinorUnits((subtotal - discount) * sale.taxRate);
+    return { subtotal, discount, tax, total: subtotal - discount + tax };
+};
+
+/**
+ * HELPER FUNCTION: Record Return
+ *
+ * PURPOSE: Shared steps of returns and voids
+ * 1. Put every returned unit back in stock at the sale's location
+ *    (ledger movement referencing the return, also for products deleted since)
+ * 2. Settle the loyalty points of the returned part (loyaltyService.settleReturn)
+ * 3. Update the sale counters and status
+ * 4. Save the SaleReturn
+ * 5. Issue the credit note if the sale has an invoice
+ *
+ * INPUT:
+ * - sale: Sale document loaded with the same session
+ * - lines: [{ index (position in sale.items), quantity }]
+ * - details: { type, refundMethod, refundReference, reason, user, issuedAt }
+ *
+ * RETURNS: { sale, saleReturn, creditNote }
+ */
+const recordReturn = async (sale, lines, details, session) => {
+    const returnId = new mongoose.Types.ObjectId();
+    const returnItems = [];
+    for (const line of lines) {
+        const saleItem = sale.items[line.index];
+        await applyStockMovement({
+            product: saleItem.product,
+            location: sale.location,
+            quantity: line.quantity,
+            type: 'return',
+            user: details.user,
+            reference: { model: 'SaleReturn', id: returnId },
+            note: details.type === 'void' ? 'Sale voided' : details.reason,
+            // The product may have been deleted after the sale
+            allowDeleted: true,
+        }, session);
+        const share = (amount) => unitShare(amount || 0, saleItem.quantityReturned, line.quantity, saleItem.quantity);
+        const returnItem = {
+            product: saleItem.product,
+            sku: saleItem.sku,
+            name: saleItem.name,
+            quantity: line.quantity,
+            unitPrice: saleItem.unitPrice,
+            lineTotal: saleItem.unitPrice * line.quantity,
+            // Discounts and tax of the line are spread evenly over its units
+            discount: share(saleItem.discount),
+        };
+        if (saleItem.tax !== undefined) {
+            Object.assign(returnItem, {
+                taxName: saleItem.taxName,
+                taxRate: saleItem.taxRate,
+                priceIncludesTax: saleItem.priceIncludesTax,
+                taxableAmount: share(saleItem.taxableAmount),
+                tax: share(saleItem.tax),
+            });
+        }
+        saleItem.quantityReturned += line.quantity;
+        returnItems.push(returnItem);
+    }
+
+    const isLastReturn = sale.items.every((item) => item.quantityReturned >= item.quantity);
+    const amounts = calculateRefund(sale, returnItems, isLastReturn);
+    const loyalty = await settleReturn({
+        sale,
+        saleReturn: { _id: returnId, total: amounts.total },
+        refundedBefore: sale.refundedTotal,
+        user: details.user,
+        at: details.issuedAt,
+    }, session);
+
+    const [saleReturn] = await SaleReturn.create([{
+        _id: returnId,
+        sale: sale._id,
+        soldBy: sale.soldBy,
+        items: returnItems,
+        ...amounts,
+        currency: sale.currency,
+        exchangeRate: {
+            baseCurrency: sale.exchangeRate.baseCurrency,
+            rate: sale.exchangeRate.rate,
+            minorRate: sale.exchangeRate.minorRate,
+        },
+        loyalty,
+        type: details.type,
+        refundMethod: details.refundMethod,
+        refundReference: details.refundReference,
+        reason: details.reason,
+        createdBy: details.user,
+    }], { session });
+
+    sale.refundedTotal += amounts.total;
+    if (details.type === 'void') {
+        sale.status = 'voided';
+        sale.voidedAt = details.issuedAt;
+        sale.voidedBy = details.user;
+        sale.voidReason = details.reason;
+    } else {
+        sale.status = isLastReturn ? 'returned' : 'partially_returned';
+    }
+    await sale.save({ session });
+
+    const creditNote = await issueCreditNote({
+        saleReturn,
+        sale,
+        issuedAt: details.issuedAt,
+        user: details.user,
+    }, session);
+    if (creditNote) {
+        saleReturn.creditNote = creditNote._id;
+        await saleReturn.save({ session });
+    }
+
+    return { sale, saleReturn, creditNote };
+};
+
+/**
+ * HELPER FUNCTION: Load Sale For Update
+ * THROWS: ApiError(404) if the sale doesn't exist or the user can't see it
+ */
+const loadSale = async (filter, session) => {
+    const sale = await Sale.findOne(filter).session(session);
+    if (!sale) {
+        throw new ApiError(404, 'Sale not found');
+    }
+    return sale;
+};
+
+// ==========================================
+// SERVICE: Return Items
+// ==========================================
+
+/**
+ * FUNCTION: returnSaleItems
+ *
+ * INPUT:
+ * {
+ *   filter: { _id: saleId, ...visibility } (employees only reach their own sales),
+ *   items: [{ product: productId, quantity: 1 }] (already validated and merged),
+ *   refundMethod, refundReference, reason,
+ *   user: userId,
+ *   issuedAt: Date (credit note date, its counter must already exist)
+ * }
+ * session: MongoDB session (required)
+ *
+ * RETURNS: { sale, saleReturn, creditNote }
+ * THROWS:
+ * - ApiError(404) sale not found
+ * - ApiError(409) sale voided / already fully returned
+ * - ApiError(400) product not in the sale, or more units than can still be returned
+ */
+const returnSaleItems = async ({ filter, items, refundMethod, refundReference, reason, user, issuedAt }, session) => {
+    const sale = await loadSale(filter, session);
+    if (sale.status === 'voided') {
+        throw new ApiError(409, 'This sale was voided');
+    }
+    if (sale.status === 'returned') {
+        throw new ApiError(409, 'Every unit of this sale was already returned');
+    }
+
+    const lines = items.map((item) => {
+        const index = sale.items.findIndex((saleItem) => String(saleItem.product) === String(item.product));
+        if (index === -1) {
+            throw new ApiError(400, `Product ${item.product} is not part of this sale`);
+        }
+        const saleItem = sale.items[index];
+        const returnable = saleItem.quantity - saleItem.quantityReturned;
+        if (item.quantity > returnable) {
+            throw new ApiError(400, `Only ${returnable} unit(s) of ${saleItem.sku} can still be returned`);
+        }
+        return { index, quantity: item.quantity };
+    });
+
+    return recordReturn(sale, lines, {
+        type: 'return',
+        refundMethod,
+        refundReference,
+        reason,
+        user,
+        issuedAt,
+    }, session);
+};
+
+// ==========================================
+// SERVICE: Void Sale
+// ==========================================
+
+/**
+ * FUNCTION: voidSale
+ *
+ * PURPOSE: Cancel a whole sale on the day it was made (e.g. wrong items rung up)
+ *
+ * RULES:
+ * - Only sales with status "completed" (no returns yet): a partially returned
+ *   sale must be finished with a return instead
+ * - Only on the same business day as the sale (BUSINESS_TIMEZONE)
+ *
+ * Every unit is restocked, the full total is refunded (by default with the
+ * payment method of the sale) and the sale no longer counts as revenue.
+ * The promotion uses of the sale are given back (promotionService.releaseRedemptions).
+ *
+ * RETURNS: { sale, saleReturn, creditNote }
+ * THROWS:
+ * - ApiError(404) sale not found
+ * - ApiError(409) sale not "completed" or not from today
+ */
+const voidSale = async ({ filter, reason, refundMethod, user, issuedAt }, session) => {
+    const sale = await loadSale(filter, session);
+    if (sale.status !== 'completed') {
+        throw new ApiError(409, `A sale with status '${sale.status}' cannot be voided`);
+    }
+    if (!isSameBusinessDay(sale.createdAt, issuedAt)) {
+        throw new ApiError(409, `Sales can only be voided on the day they were made (${businessTimezone()})`);
+    }
+    const lines = sale.items.map((item, index) => ({ index, quantity: item.quantity }));
+    await releaseRedemptions(sale._id, issuedAt, session);
+    return recordReturn(sale, lines, {
+        type: 'void',
+        refundMethod: refundMethod || sale.paymentMethod,
+        reason,
+        user,
+        issuedAt,
+    }, session);
+};
+
+module.exports = {
+    unitShare,
+    calculateRefund,
+    returnSaleItems,
+    voidSale,
+};
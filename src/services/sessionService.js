@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session.js');
+const User = require('../models/User.js');
+const ApiError = require('../utils/ApiError.js');
+const { recordAudit } = require('./auditService.js');
+
+const REFRESH_TOKEN_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PREVIOUS_HASHES = 50;
+
+/**
+ * SESSION SERVICE
+ *
+ * PURPOSE: Issue, rotate and revoke the tokens of a login session
+ *
+ * TOKENS:
+ * - Access token (7d): proves who the user is on every request
+ * - Refresh token (30d): exchanges for a new pair of tokens at /api/auth/refresh
+ * Both carry the session id ("sid"), so revoking the session kills both.
+ */
+
+/**
+ * HELPER FUNCTION: Generate JWT Token
+ * 
+ * PURPOSE: Create a JWT token for authenticaed users
+ * 
+ * WHAT IS JWT?
+ * JWT = JSON Web Token
+ * A compact, self-contained token that proves user is authenticated
+ * 
+ * HOW IT WORKS:
+ * 1. Server creared a token: jwt.sign({ id: userID, sid: sessionId }, SECRET_KEY, { expiresIn: '7d' })
+ * 2. Client receives and stores token (in browser memory or localstorage)
+ * 3. Client sends token with every request in Authorization header
+ * 4. Server verifies token is valid, hasn't expired and its session is still active
+ * 5. If valid, server processes the request
+ * 
+ * TOKEN STRUCTURE:
+* header.payload.signature
+* 
+* EXAMPLE TOKEN:
+* eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.
+* eyJpZCI6IjY1YTFmZDk4ZjY2ZDQ1MzIxMGNkZTEyMyIsImlhdCI6MTcwNTA0NDU2MCwi
+* ZXhwIjoxNzA1NjQ5MzYwfQ.
+* 8vZU7X-qY9jK4mL2nO3pQ8rS5tU6vW7xY8z9A0b1C
+*/
+const generateToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: '7d', // Toekn will expire in 7 days (adjust as needed)
+    });
+};
+
+/**
+ * HELPER FUNCTION: Generate Refresh Token
+ * 
+ * PURPOSE: Create a longer-lasting token to get a new access token
+ * 
+ * WHY REFRESH TOKENS?
+ * - Access token expires after 7 days (for security)
+ * - User doesn't want to re-login every 7 days
+ * - Solution: Refresh token (30 days) generates new access token
+ * 
+ * WHY jwtid?
+ * Every refresh token gets a random id, so two tokens issued in the same
+ * second are still different (and have different hashes)
+ */
+const generateRefreshToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_REFRESH_SECRET, {
+        expiresIn: `${REFRESH_TOKEN_DAYS}d`, // Refresh token lasts 30 days
+        jwtid: crypto.randomUUID(),
+    });
+};
+
+/**
+ * HELPER FUNCTION: Hash Token
+ * PURPOSE: SHA-256 of a token, the only form we store in the database
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * HELPER FUNCTION: Device Info From Request
+ */
+const deviceInfo = (req) => ({
+    device: (req.body && typeof req.body.device === 'string') ? req.body.device.slice(0, 100) : '',
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || '',
+});
+
+// ==========================================
+// FUNCTION: Create Session
+// ==========================================
+
+/**
+ * FUNCTION: createSession(user, req)
+ *
+ * PURPOSE: Start a new session after register/login
+ *
+ * RETURNS: { token, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+    const session = new Session({
+        user: user._id,
+        role: user.role,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+        ...deviceInfo(req),
+    });
+    const token = generateToken(user._id, session._id);
+    const refreshToken = generateRefreshToken(user._id, session._id);
+    session.currentTokenHash = hashToken(refreshToken);
+    await session.save();
+    return { token, refreshToken, session };
+};
+
+// ==========================================
+// FUNCTION: Revoke Sessions
+// ==========================================
+
+/**
+ * FUNCTION: revokeSession(sessionId, reason)
+ * PURPOSE: Revoke one session (its access and refresh tokens stop working)
+ */
+const revokeSession = async (sessionId, reason) => {
+    await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+/**
+ * FUNCTION: revokeUserSessions(userId, reason, exceptSessionId)
+ * PURPOSE: Revoke every active session of a user, optionally keeping one (the current one)
+ * RETURNS: How many sessions were revoked
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+};
+
+// ==========================================
+// FUNCTION: Rotate Refresh Token
+// ==========================================
+
+/**
+ * FUNCTION: rotateRefreshToken(refreshToken)
+ *
+ * PURPOSE: Exchange a refresh token for a NEW access + refresh token pair
+ *
+ * WHAT HAPPENS:
+ * 1. Verify the JWT signature/expiry and read the session id
+ * 2. Load the session and the user
+ * 3. If the user was deleted, deactivated or their role changed → revoke the session
+ * 4. Atomically swap currentTokenHash for the hash of a new token
+ *    (the filter includes the OLD hash, so two parallel refreshes can't both win)
+ *    and move expiresAt to 30 days from now, the lifetime the new token advertises
+ *    (sliding session: it only ends after 30 days without a refresh)
+ * 5. If the presented token is not the current one → it was already used:
+ *    somebody replayed it, so we revoke the whole session
+ *
+ * RETURNS: { token, refreshToken, user }
+ * THROWS: ApiError(401) in every failure case
+ */
+const rotateRefreshToken = async (refreshToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+        throw new ApiError(401, 'invalid or expired refresh token');
+    }
+
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive()) {
+        throw new ApiError(401, 'invalid or expired refresh token');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive || user.role !== session.role) {
+        await revokeSession(session._id, 'user_changed');
+        throw new ApiError(401, 'invalid or expired refresh token');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    const newRefreshToken = generateRefreshToken(user._id, session._id);
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, currentTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                currentTokenHash: hashToken(newRefreshToken),
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+            },
+            $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_HASHES } },
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        // The token is signed by us and points to this session, but it's not
+        // the current one anymore: it has been used before. Kill the family.
+        await revokeSession(session._id, 'token_reuse');
+        console.error(`Refresh token reuse detected for session ${session._id} (user ${user._id})`);
+        await recordAudit({ action: 'auth.token_reuse', targetModel: 'Session', targetId: session._id, actor: user });
+        throw new ApiError(401, 'invalid or expired refresh token');
+    }
+
+    return {
+        token: generateToken(user._id, session._id),
+        refreshToken: newRefreshToken,
+        user,
+    };
+};
+
+// ==========================================
+// FUNCTION: Verify Access Token
+// ==========================================
+
+/**
+ * FUNCTION: verifyAccessToken(token)
+ *
+ * PURPOSE: Check an access token and return who it belongs to
+ * USED BY: middleware/auth.js
+ *
+ * RETURNS: { user, session } or null when the user/session is gone, revoked or the user was deactivated
+ * THROWS: jsonwebtoken errors when the signature is invalid or the token expired
+ */
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid) {
+        return null;
+    }
+    const [user, session] = await Promise.all([
+        User.findById(decoded.id),
+        Session.findById(decoded.sid),
+    ]);
+    if (!user || !user.isActive || !session || !session.isActive() || !session.user.equals(user._id)) {
+        return null;
+    }
+    return { user, session };
+};
+
+/**
+ * FUNCTION: readRefreshTokenSession(refreshToken)
+ *
+ * PURPOSE: Find which session a refresh token belongs to (used by logout)
+ * Logout must work even with an expired token, so expiry is ignored here
+ * (the signature is still verified).
+ *
+ * RETURNS: { userId, sessionId } or null if the token is not ours
+ */
+const readRefreshTokenSession = (refreshToken) => {
+    try {
+        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+        return decoded.sid ? { userId: decoded.id, sessionId: decoded.sid } : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    verifyAccessToken,
+    readRefreshTokenSession,
+    hashToken,
+};
@@ -0,0 +1,53 @@
+const createLocalDiskStorage = require('./localDiskStorage.js');
+
+/**
+ * STORAGE (pluggable)
+ *
+ * PURPOSE: One place that decides WHERE generated files are kept
+ *
+ * STORAGE INTERFACE (every driver must implement it):
+ * - save(key, buffer) → Promise<key>      Write a file
+ * - exists(key) → Promise<boolean>        Check if a file is there
+ * - createReadStream(key) → Readable      Stream a file (for downloads)
+ * - remove(key) → Promise<void>           Delete a file
+ *
+ * CONFIG: STORAGE_DRIVER environment variable (default: "local")
+ *
+ * ADDING A DRIVER (e.g. S3):
+ * 1. Create storage/s3Storage.js returning an object with the methods above
+ * 2. Register it in DRIVERS below
+ * 3. Set STORAGE_DRIVER=s3
+ */
+const DRIVERS = {
+    local: createLocalDiskStorage,
+};
+
+let storage = null;
+
+/**
+ * FUNCTION: getStorage
+ * RETURNS: The configured storage driver (created once, then reused)
+ */
+const getStorage = () => {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || 'local';
+        if (!DRIVERS[driver]) {
+            throw new Error(`Unknown STORAGE_DRIVER '${driver}'`);
+        }
+        storage = DRIVERS[driver]();
+    }
+    return storage;
+};
+
+/**
+ * FUNCTION: setStorage
+ * PURPOSE: Replace the driver at runtime (useful in tests)
+ */
+const setStorage = (driver) => {
+    storage = driver;
+};
+
+module.exports = {
+    getStorage,
+    setStorage,
+};
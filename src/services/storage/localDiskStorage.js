@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * LOCAL DISK STORAGE
+ *
+ * PURPOSE: Save generated files (invoice PDFs...) in a folder on this server
+ *
+ * CONFIG: STORAGE_DIR environment variable (defaults to ./storage in the project root)
+ *
+ * Implements the storage interface described in storage/index.js
+ */
+const createLocalDiskStorage = (rootDir = process.env.STORAGE_DIR || path.join(process.cwd(), 'storage')) => {
+    const root = path.resolve(rootDir);
+
+    /**
+     * HELPER FUNCTION: Resolve Key
+     * PURPOSE: Turn a key like "invoices/INV-2026-000001.pdf" into an absolute path
+     * SECURITY: Refuses keys that would escape the storage folder ("../../etc/passwd")
+     */
+    const resolveKey = (key) => {
+        const fullPath = path.resolve(root, key);
+        if (!fullPath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+
+        async save(key, buffer) {
+            const fullPath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.promises.writeFile(fullPath, buffer);
+            return key;
+        },
+
+        async exists(key) {
+            try {
+                await fs.promises.access(resolveKey(key));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        },
+    };
+};
+
+module.exports = createLocalDiskStorage;
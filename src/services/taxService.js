@@ -0,0 +1,69 @@
+const TaxRule = require('../models/TaxRule.js');
+const { getDefaultTaxRate } = require('./pricingService.js');
+
+/**
+ * TAX SERVICE
+ *
+ * PURPOSE: Find the tax rate of every sale line (the amounts themselves are
+ * calculated by pricingService.js)
+ *
+ * Rules are matched from the most specific to the most general, see TaxRule.js
+ */
+
+/**
+ * FALLBACK: what a line pays when no rule matches
+ * Keeps shops without tax rules working exactly like before (one SALES_TAX_RATE)
+ */
+const fallbackRule = () => ({ _id: null, name: 'Sales tax', rate: getDefaultTaxRate() });
+
+/**
+ * FUNCTION: findTaxRule
+ *
+ * INPUT:
+ * - rules: active TaxRules of the sale location (and of every location)
+ * - category: Product.category of the line
+ *
+ * RETURNS: The rule that applies ({ _id, name, rate }), fallback included
+ */
+const findTaxRule = (rules, category) => {
+    const matches = (rule) => rule.category === category || rule.category === null;
+    const specificity = (rule) => (rule.category !== null ? 2 : 0) + (rule.location !== null ? 1 : 0);
+    const best = rules
+        .filter(matches)
+        .sort((a, b) => specificity(b) - specificity(a))[0];
+    return best || fallbackRule();
+};
+
+/**
+ * FUNCTION: applyTaxRules
+ *
+ * PURPOSE: Add the tax fields pricingService.calculateSaleTotals needs to every line
+ *
+ * INPUT:
+ * - items: [{ category, priceIncludesTax, ... }]
+ * - location: id of the Location the sale is made at
+ * session: MongoDB session (optional)
+ *
+ * RETURNS: same lines plus { taxRule, taxName, taxRate, priceIncludesTax }
+ */
+const applyTaxRules = async (items, location, session) => {
+    const rules = await TaxRule.find({
+        isActive: true,
+        location: { $in: [null, location] },
+    }).session(session || null);
+    return items.map((item) => {
+        const rule = findTaxRule(rules, item.category);
+        return {
+            ...item,
+            taxRule: rule._id,
+            taxName: rule.name,
+            taxRate: rule.rate,
+            priceIncludesTax: Boolean(item.priceIncludesTax),
+        };
+    });
+};
+
+module.exports = {
+    findTaxRule,
+    applyTaxRules,
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken.js');
+const { hashToken } = require('./sessionService.js');
+
+/**
+ * USER TOKEN SERVICE
+ *
+ * PURPOSE: Create and consume the one-time tokens we send by email
+ */
+
+/**
+ * TOKEN LIFETIMES
+ * - password_reset: 1 hour (short, because it gives full account access)
+ * - email_verification: 24 hours
+ */
+const LIFETIMES_MS = {
+    password_reset: 60 * 60 * 1000,
+    email_verification: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * FUNCTION: createUserToken(userId, type)
+ *
+ * PURPOSE: Create a new token, and invalidate the previous unused ones of the same type
+ * (only the most recent email link works)
+ *
+ * RETURNS: The raw token (to put in the email) - it is NOT stored anywhere
+ */
+const createUserToken = async (userId, type) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await UserToken.updateMany({ user: userId, type, usedAt: null }, { usedAt: new Date() });
+    await UserToken.create({
+        user: userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + LIFETIMES_MS[type]),
+    });
+    return token;
+};
+
+/**
+ * FUNCTION: consumeUserToken(token, type)
+ *
+ * PURPOSE: Use a token exactly once
+ *
+ * HOW IT STAYS SINGLE-USE:
+ * Finding the unused token and setting usedAt is ONE atomic operation,
+ * so two requests with the same link can't both succeed.
+ *
+ * RETURNS: The user id the token belongs to, or null if invalid/expired/used
+ */
+const consumeUserToken = async (token, type) => {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+    const record = await UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    );
+    return record ? record.user : null;
+};
+
+module.exports = {
+    createUserToken,
+    consumeUserToken,
+};
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook.js');
+const WebhookDelivery = require('../models/WebhookDelivery.js');
+const { readInteger } = require('../utils/env.js');
+
+/**
+ * WEBHOOK SERVICE
+ *
+ * PURPOSE: Queue events for every subscribed webhook and deliver them with retries
+ *
+ * REQUEST WE SEND:
+ * POST <webhook url>
+ * Content-Type: application/json
+ * X-ISTD-Event: alert.raised
+ * X-ISTD-Delivery: <delivery id>
+ * X-ISTD-Signature: t=1760000000,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the webhook secret>
+ *
+ * { "id": "<delivery id>", "event": "alert.raised", "createdAt": "...", "data": { ... } }
+ *
+ * HOW TO VERIFY (receiver side):
+ * expected = HMAC_SHA256(secret, `${t}.${rawBody}`) → compare with v1, and reject old t values
+ *
+ * CONFIG (environment variables):
+ * - WEBHOOK_MAX_ATTEMPTS: attempts before a delivery is marked failed (default 6)
+ * - WEBHOOK_RETRY_BASE_SECONDS: first retry delay, doubled each time (default 30, max 1 hour)
+ * - WEBHOOK_TIMEOUT_MS: how long we wait for the receiver (default 10000)
+ */
+
+const LOCK_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * FUNCTION: generateSecret
+ * RETURNS: A random secret for a new webhook ("whsec_" + 48 hex chars)
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * FUNCTION: signPayload(secret, timestamp, body)
+ * RETURNS: The X-ISTD-Signature header value
+ */
+const signPayload = (secret, timestamp, body) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * FUNCTION: retryDelayMs(attempts)
+ * PURPOSE: Exponential backoff: 30s, 1m, 2m, 4m... capped at 1 hour
+ */
+const retryDelayMs = (attempts) => Math.min(
+    readInteger('WEBHOOK_RETRY_BASE_SECONDS', 30) * 1000 * (2 ** (attempts - 1)),
+    MAX_BACKOFF_MS
+);
+
+// ==========================================
+// FUNCTION: Enqueue Event
+// ==========================================
+
+/**
+ * FUNCTION: enqueueWebhookEvent(event, data, session)
+ *
+ * PURPOSE: Create one pending delivery per active webhook subscribed to the event
+ *
+ * Pass the session of the surrounding transaction: if it rolls back,
+ * the deliveries disappear too and nothing is ever sent.
+ *
+ * RETURNS: The created deliveries
+ */
+const enqueueWebhookEvent = async (event, data, session = null) => {
+    const webhooks = await Webhook.find({ active: true, events: event }).session(session);
+    if (webhooks.length === 0) {
+        return [];
+    }
+    const createdAt = new Date().toISOString();
+    const deliveries = webhooks.map((webhook) => {
+        const _id = new mongoose.Types.ObjectId();
+        return {
+            _id,
+            webhook: webhook._id,
+            event,
+            payload: { id: String(_id), event, createdAt, data },
+        };
+    });
+    return WebhookDelivery.insertMany(deliveries, { session });
+};
+
+// ==========================================
+// FUNCTION: Deliver
+// ==========================================
+
+/**
+ * FUNCTION: attemptDelivery(delivery)
+ *
+ * PURPOSE: Send one delivery once and record the result
+ *
+ * SUCCESS: any 2xx answer
+ * FAILURE: anything else (or network error/timeout) → retry later with backoff,
+ * or mark failed once WEBHOOK_MAX_ATTEMPTS is reached
+ *
+ * RETURNS: The updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    const attemptedAt = new Date();
+    const entry = { attemptedAt, statusCode: null, error: null, durationMs: 0 };
+
+    if (!webhook || !webhook.active) {
+        entry.error = 'Webhook was deleted or disabled';
+        delivery.status = 'failed';
+    } else {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ISTD-PRO-Webhooks/1.0',
+                    'X-ISTD-Event': delivery.event,
+                    'X-ISTD-Delivery': String(delivery._id),
+                    'X-ISTD-Signature': signPayload(webhook.secret, timestamp, body),
+                },
+                body,
+                signal: AbortSignal.timeout(readInteger('WEBHOOK_TIMEOUT_MS', 10000)),
+            });
+            entry.statusCode = response.status;
+            if (!response.ok) {
+                entry.error = `Receiver answered ${response.status}`;
+            }
+        } catch (error) {
+            entry.error = error.message;
+        }
+        entry.durationMs = Date.now() - attemptedAt.getTime();
+    }
+
+    delivery.attempts += 1;
+    delivery.log.push(entry);
+    delivery.lockedUntil = null;
+    if (delivery.status !== 'failed') {
+        if (!entry.error) {
+            delivery.status = 'succeeded';
+        } else if (delivery.attempts >= readInteger('WEBHOOK_MAX_ATTEMPTS', 6)) {
+            delivery.status = 'failed';
+        } else {
+            delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts));
+        }
+    }
+    await delivery.save();
+    return delivery;
+};
+
+/**
+ * FUNCTION: processPendingDeliveries({ limit })
+ *
+ * PURPOSE: Send every delivery that is due, one at a time
+ *
+ * HOW CLAIMING WORKS:
+ * Each delivery is "locked" for 60 seconds with an atomic findOneAndUpdate
+ * before sending, so several server instances can run the dispatcher safely.
+ *
+ * RETURNS: How many deliveries were attempted
+ */
+const processPendingDeliveries = async ({ limit = 20 } = {}) => {
+    let processed = 0;
+    while (processed < limit) {
+        const now = new Date();
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            {
+                status: 'pending',
+                nextAttemptAt: { $lte: now },
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+            },
+            { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+        if (!delivery) {
+            break;
+        }
+        await attemptDelivery(delivery);
+        processed += 1;
+    }
+    return processed;
+};
+
+/**
+ * FUNCTION: startWebhookDispatcher({ intervalMs })
+ *
+ * PURPOSE: Check for due deliveries every few seconds (started from server.js)
+ *
+ * RETURNS: stop() - call it on shutdown
+ */
+const startWebhookDispatcher = ({ intervalMs = 5000 } = {}) => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await processPendingDeliveries();
+        } catch (error) {
+            console.error('Webhook Dispatcher Error:', error.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    generateSecret,
+    signPayload,
+    enqueueWebhookEvent,
+    attemptDelivery,
+    processPendingDeliveries,
+    startWebhookDispatcher,
+};
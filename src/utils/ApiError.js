@@ -0,0 +1,33 @@
+/**
+ * CLASS: ApiError
+ *
+ * PURPOSE: An error that already knows which HTTP status it should produce
+ *
+ * WHY?
+ * Business logic (e.g. inside a MongoDB transaction) is often several
+ * function calls away from the controller. Throwing an ApiError lets that code
+ * stop everything with a meaningful status, and the global error handler in
+ * app.js (see utils/errorResponse.js) turns it into a response.
+ *
+ * PARAMETERS:
+ * - status: HTTP status
+ * - message: shown to the client as is
+ * - code (optional): machine-readable code, defaults to one derived from the status
+ *   (404 → NOT_FOUND, 409 → CONFLICT...)
+ * - errors (optional): field errors [{ field, code, message }]
+ *
+ * EXAMPLE:
+ * throw new ApiError(409, 'Insufficient stock for SKU AB-100');
+ * throw new ApiError(409, 'A product with this SKU already exists', 'DUPLICATE_KEY');
+ */
+class ApiError extends Error {
+    constructor(status, message, code = null, errors = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.errors = errors;
+    }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,98 @@
+/**
+ * BARCODE HELPERS (EAN-13 and UPC-A)
+ *
+ * ONE FORM FOR BOTH:
+ * A UPC-A code (12 digits, printed on North American products) is an EAN-13
+ * code that starts with 0. Scanners send either form for the same product,
+ * so every barcode is stored and looked up as 13 digits:
+ * "036000291452" (UPC-A) → "0036000291452"
+ *
+ * CHECK DIGIT:
+ * The last digit is computed from the others (weights 1 and 3 from the left),
+ * so a mistyped or misread code is refused instead of saved.
+ */
+
+/**
+ * FUNCTION: normalizeBarcode
+ * PURPOSE: Remove spaces and dashes, and turn UPC-A into its EAN-13 form
+ * EXAMPLE: "0 36000 29145 2" → "0036000291452"
+ * Anything that isn't 12 or 13 digits is returned cleaned but otherwise as it is
+ * (isValidBarcode refuses it)
+ */
+const normalizeBarcode = (code) => {
+    const text = String(code === null || code === undefined ? '' : code).replace(/[\s-]/g, '');
+    return /^\d{12}$/.test(text) ? `0${text}` : text;
+};
+
+/**
+ * FUNCTION: ean13CheckDigit
+ * INPUT: The first 12 digits of an EAN-13 code
+ * RETURNS: The check digit (0-9)
+ * EXAMPLE: ean13CheckDigit('400638133393') → 1
+ */
+const ean13CheckDigit = (digits) => {
+    const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+    return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * FUNCTION: isValidBarcode
+ * RETURNS: true for a normalized EAN-13 code (13 digits) with the right check digit
+ */
+const isValidBarcode = (code) => typeof code === 'string'
+    && /^\d{13}$/.test(code)
+    && ean13CheckDigit(code.slice(0, 12)) === Number(code[12]);
+
+// ==========================================
+// ENCODING (for printed labels)
+// ==========================================
+
+/**
+ * DIGIT PATTERNS (7 modules each, 1 = bar, 0 = space)
+ * - L: left half, odd parity
+ * - G: left half, even parity (R read backwards)
+ * - R: right half (L inverted)
+ */
+const L_PATTERNS = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const R_PATTERNS = L_PATTERNS.map((pattern) => pattern.replace(/./g, (bit) => (bit === '1' ? '0' : '1')));
+const G_PATTERNS = R_PATTERNS.map((pattern) => pattern.split('').reverse().join(''));
+
+/**
+ * FIRST DIGIT PARITY
+ * The first digit is not drawn: it is the order of L and G in the left half
+ */
+const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLG', 'LGGGGL', 'LGLGGL', 'LGLLGL'];
+
+/**
+ * FUNCTION: encodeEan13
+ *
+ * PURPOSE: The 95 modules of an EAN-13 symbol, as a string of 0 and 1
+ * start guard (101) + 6 left digits + centre guard (01010) + 6 right digits + end guard (101)
+ *
+ * THROWS: Error for a code that isValidBarcode refuses
+ */
+const encodeEan13 = (code) => {
+    if (!isValidBarcode(code)) {
+        throw new Error(`${code} is not a valid EAN-13 barcode`);
+    }
+    const parity = FIRST_DIGIT_PARITY[Number(code[0])];
+    const left = code.slice(1, 7).split('')
+        .map((digit, index) => (parity[index] === 'L' ? L_PATTERNS : G_PATTERNS)[Number(digit)])
+        .join('');
+    const right = code.slice(7).split('').map((digit) => R_PATTERNS[Number(digit)]).join('');
+    return `101${left}01010${right}101`;
+};
+
+/**
+ * GUARD MODULES
+ * Positions of the start, centre and end guards, drawn a little longer than the digit bars
+ */
+const isGuardModule = (index) => index < 3 || (index >= 45 && index < 50) || index >= 92;
+
+module.exports = {
+    normalizeBarcode,
+    ean13CheckDigit,
+    isValidBarcode,
+    encodeEan13,
+    isGuardModule,
+};
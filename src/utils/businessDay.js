@@ -0,0 +1,113 @@
+/**
+ * BUSINESS DAY HELPERS
+ *
+ * WHY?
+ * "Today" depends on where the shop is. A sale made at 23:30 in Mexico City
+ * is already the next day in UTC. Rules like "a sale can only be voided the
+ * same day" must use the shop's local calendar, not the server's.
+ *
+ * CONFIG: BUSINESS_TIMEZONE environment variable (IANA name, defaults to UTC)
+ * EXAMPLE: BUSINESS_TIMEZONE=America/Mexico_City
+ */
+
+/**
+ * FUNCTION: businessTimezone
+ * RETURNS: The configured timezone, or 'UTC'
+ */
+const businessTimezone = () => process.env.BUSINESS_TIMEZONE || 'UTC';
+
+/**
+ * FUNCTION: businessDayKey
+ * PURPOSE: The calendar day of a date in the given timezone
+ * EXAMPLE: businessDayKey(new Date('2026-03-02T03:00:00Z'), 'America/Mexico_City') → "2026-03-01"
+ */
+const businessDayKey = (date, timeZone = businessTimezone()) => new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+}).format(date);
+
+/**
+ * FUNCTION: isSameBusinessDay
+ * RETURNS: true when both dates fall on the same local calendar day
+ */
+const isSameBusinessDay = (a, b, timeZone = businessTimezone()) => businessDayKey(a, timeZone) === businessDayKey(b, timeZone);
+
+/**
+ * FUNCTION: isValidTimezone
+ * RETURNS: true for IANA names the runtime knows ("Europe/Madrid", "UTC"...)
+ */
+const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * HELPER FUNCTION: Timezone Offset
+ * RETURNS: Milliseconds the timezone is ahead of UTC at that instant (DST included)
+ */
+const timezoneOffset = (date, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * FUNCTION: startOfBusinessDay
+ *
+ * PURPOSE: The instant a local calendar day starts in a timezone
+ * EXAMPLE: startOfBusinessDay('2026-03-01', 'America/Mexico_City') → 2026-03-01T06:00:00.000Z
+ *
+ * RETURNS: A Date, or null if the day is not a valid YYYY-MM-DD string
+ */
+const startOfBusinessDay = (day, timeZone = businessTimezone()) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(day));
+    if (!match) {
+        return null;
+    }
+    const [, year, month, date] = match.map(Number);
+    const guess = new Date(Date.UTC(year, month - 1, date));
+    if (guess.getUTCMonth() !== month - 1 || guess.getUTCDate() !== date) {
+        return null;
+    }
+    // The offset can differ at the guess and at the real instant (DST change), so apply it twice
+    const first = new Date(guess.getTime() - timezoneOffset(guess, timeZone));
+    return new Date(guess.getTime() - timezoneOffset(first, timeZone));
+};
+
+/**
+ * FUNCTION: addDays
+ * PURPOSE: Move a YYYY-MM-DD calendar day forward/backward (no timezone involved)
+ * EXAMPLE: addDays('2026-02-28', 1) → "2026-03-01"
+ */
+const addDays = (day, amount) => {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + amount);
+    return date.toISOString().slice(0, 10);
+};
+
+module.exports = {
+    businessTimezone,
+    businessDayKey,
+    isSameBusinessDay,
+    isValidTimezone,
+    startOfBusinessDay,
+    addDays,
+};
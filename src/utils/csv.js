@@ -0,0 +1,154 @@
+/**
+ * CSV HELPERS
+ *
+ * PURPOSE: Turn rows into CSV text that Excel / Google Sheets open correctly
+ *
+ * ESCAPING RULES (RFC 4180):
+ * - values with a comma, quote or line break are wrapped in double quotes
+ * - quotes inside a value are doubled ("" )
+ * - null/undefined become an empty cell
+ *
+ * FORMULA INJECTION:
+ * A cell starting with =, +, - or @ is run as a formula by spreadsheets.
+ * Text cells starting with those characters get a leading apostrophe.
+ * Numbers are written as they are (a negative number is not a formula).
+ * Files read back (product import) remove it again with unescapeCsvValue.
+ */
+
+/**
+ * FUNCTION: escapeCsvValue
+ * EXAMPLE: escapeCsvValue('Coffee, 1kg') → "\"Coffee, 1kg\""
+ */
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+/**
+ * FUNCTION: unescapeCsvValue
+ * PURPOSE: Undo the formula-injection apostrophe of escapeCsvValue on a parsed cell
+ * EXAMPLE: unescapeCsvValue("'-20% Bundle") → "-20% Bundle" (other cells are returned as they are)
+ */
+const unescapeCsvValue = (text) => (/^'[=+\-@]/.test(text) ? text.slice(1) : text);
+
+/**
+ * FUNCTION: toCsvLine
+ * PURPOSE: One CSV line (no line break) from a list of values
+ */
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',');
+
+/**
+ * FUNCTION: toCsv
+ *
+ * INPUT:
+ * - columns: [{ key: 'sku', header: 'SKU' }, ...] (header defaults to key)
+ * - rows: array of plain objects
+ *
+ * RETURNS: The CSV text, header line first, lines separated by \r\n
+ */
+const toCsv = (columns, rows) => [
+    toCsvLine(columns.map((column) => column.header || column.key)),
+    ...rows.map((row) => toCsvLine(columns.map((column) => row[column.key]))),
+].join('\r\n') + '\r\n';
+
+/**
+ * FUNCTION: parseCsv
+ *
+ * PURPOSE: Read CSV records from a stream (e.g. an HTTP request) one by one
+ *
+ * WHY A GENERATOR?
+ * A catalog file can have thousands of lines. Records are yielded as soon as
+ * they are complete, so the whole file never has to be in memory.
+ *
+ * HANDLES: quoted fields with commas, line breaks and "" inside, \r\n or \n
+ * line endings, and the UTF-8 BOM Excel adds at the start of the file.
+ *
+ * EXAMPLE:
+ * for await (const record of parseCsv(req)) {
+ *     console.log(record); // ['AB-100', 'Coffee, 1kg', '18.5']
+ * }
+ *
+ * THROWS: Error named 'CsvParseError' if the file ends inside a quoted field
+ */
+async function* parseCsv(stream) {
+    const decoder = new TextDecoder('utf-8');
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteSeen = false;
+    let started = false;
+
+    const consume = function* (text) {
+        for (const char of text) {
+            if (inQuotes) {
+                if (quoteSeen) {
+                    quoteSeen = false;
+                    if (char === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    inQuotes = false;
+                } else if (char === '"') {
+                    quoteSeen = true;
+                    continue;
+                } else {
+                    field += char;
+                    continue;
+                }
+            }
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n') {
+                record.push(field);
+                yield record;
+                record = [];
+                field = '';
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+    };
+
+    for await (const chunk of stream) {
+        let text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        if (!started) {
+            text = text.replace(/^\uFEFF/, '');
+            started = text.length > 0;
+        }
+        yield* consume(text);
+    }
+    yield* consume(decoder.decode());
+
+    if (inQuotes && !quoteSeen) {
+        const error = new Error('The CSV file ends inside a quoted field');
+        error.name = 'CsvParseError';
+        throw error;
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        yield record;
+    }
+}
+
+module.exports = {
+    escapeCsvValue,
+    unescapeCsvValue,
+    toCsvLine,
+    toCsv,
+    parseCsv,
+};
@@ -0,0 +1,65 @@
+/**
+ * CURRENCY HELPERS
+ *
+ * WHY?
+ * Amounts are stored as integer minor units (see money.js), but how many
+ * minor units make one unit depends on the currency: 100 cents = 1 USD,
+ * 1 yen = 1 JPY (no decimals), 1000 fils = 1 KWD. These helpers know the
+ * difference, using the ISO 4217 data built into Node (Intl).
+ *
+ * CONFIG: BASE_CURRENCY environment variable (ISO code, defaults to CURRENCY, then USD)
+ * The base currency is the one reports are in and exchange rates are quoted against.
+ * EXAMPLE: BASE_CURRENCY=MXN
+ */
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+/**
+ * FUNCTION: baseCurrency
+ * RETURNS: The configured base currency, e.g. 'USD'
+ */
+const baseCurrency = () => (process.env.BASE_CURRENCY || process.env.CURRENCY || 'USD').trim().toUpperCase();
+
+/**
+ * FUNCTION: isValidCurrency
+ * RETURNS: true for uppercase ISO 4217 codes the runtime knows ("EUR", "JPY"...)
+ */
+const isValidCurrency = (code) => typeof code === 'string' && SUPPORTED_CURRENCIES.has(code);
+
+/**
+ * FUNCTION: currencyExponent
+ * PURPOSE: Decimals of a currency, i.e. minor units per unit = 10 ^ exponent
+ * EXAMPLE: currencyExponent('USD') → 2, currencyExponent('JPY') → 0, currencyExponent('KWD') → 3
+ */
+const currencyExponent = (code) => new Intl.NumberFormat('en', { style: 'currency', currency: code })
+    .resolvedOptions()
+    .maximumFractionDigits;
+
+/**
+ * FUNCTION: formatMoney
+ * PURPOSE: Minor units as text for people (PDFs, AI answers)
+ * EXAMPLE: formatMoney(1850, 'USD') → "18.50 USD", formatMoney(1500, 'JPY') → "1500 JPY"
+ */
+const formatMoney = (minorUnits, code = baseCurrency()) => {
+    const exponent = currencyExponent(code);
+    return `${(Number(minorUnits) / 10 ** exponent).toFixed(exponent)} ${code}`;
+};
+
+/**
+ * FUNCTION: minorUnitRate
+ *
+ * PURPOSE: Turn an exchange rate between units into a rate between minor units
+ * INPUT: rate = base units per unit of `code` (how ExchangeRate stores it)
+ * RETURNS: base minor units per minor unit of `code`
+ *
+ * EXAMPLE (base USD): 1 JPY = 0.0067 USD → 1 yen = 0.67 cents → minorUnitRate(0.0067, 'JPY') → 0.67
+ */
+const minorUnitRate = (rate, code) => rate * 10 ** (currencyExponent(baseCurrency()) - currencyExponent(code));
+
+module.exports = {
+    baseCurrency,
+    isValidCurrency,
+    currencyExponent,
+    formatMoney,
+    minorUnitRate,
+};
@@ -0,0 +1,30 @@
+/**
+ * ENVIRONMENT HELPERS
+ *
+ * PURPOSE: Read numeric settings from environment variables, falling back
+ * to the default when the variable is missing or not a number
+ * EXAMPLE: readInteger('WEBHOOK_MAX_ATTEMPTS', 6) → 6 unless WEBHOOK_MAX_ATTEMPTS=3
+ */
+
+/**
+ * FUNCTION: readInteger(name, fallback)
+ * For counts, sizes and durations ("2.5" is read as 2)
+ */
+const readInteger = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * FUNCTION: readNumber(name, fallback)
+ * For settings that may have decimals (e.g. LOYALTY_POINTS_PER_UNIT=0.5)
+ */
+const readNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+    readInteger,
+    readNumber,
+};
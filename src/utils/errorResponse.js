@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const ApiError = require('./ApiError.js');
+
+/**
+ * ERROR RESPONSES
+ *
+ * PURPOSE: Every error the API returns has the same shape:
+ * {
+ *   "success": false,
+ *   "code": "VALIDATION_ERROR",       ← machine-readable, stable (clients switch on this)
+ *   "message": "Request validation failed", ← human-readable, may change
+ *   "errors": [                        ← only for field errors
+ *     { "location": "body", "field": "email", "code": "required", "message": "email is required" }
+ *   ]
+ * }
+ *
+ * USED BY: The global error handler in app.js. Controllers pass unexpected
+ * errors to it with next(error).
+ */
+
+/**
+ * DEFAULT CODE PER STATUS
+ * Used when an error (or an inline error response) has no more specific code
+ */
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'UNPROCESSABLE_ENTITY',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    502: 'BAD_GATEWAY',
+    503: 'SERVICE_UNAVAILABLE',
+};
+
+/**
+ * FUNCTION: codeForStatus(status)
+ * RETURNS: The default code, e.g. 404 → 'NOT_FOUND'
+ */
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+/**
+ * HELPER FUNCTION: Mongoose Validation Errors
+ * PURPOSE: { errors: { price: ValidatorError } } → [{ field, code, message }]
+ * code is the validator kind: required, min, max, enum, minlength, user defined...
+ */
+const mongooseFieldErrors = (error) => Object.values(error.errors).map((fieldError) => ({
+    field: fieldError.path,
+    code: fieldError.kind === 'user defined' ? 'invalid' : fieldError.kind,
+    message: fieldError.message,
+}));
+
+// ==========================================
+// FUNCTION: Error → Response
+// ==========================================
+
+/**
+ * FUNCTION: toErrorResponse(error)
+ *
+ * PURPOSE: Decide status and body for any error
+ *
+ * MAPPING:
+ * - ApiError → its status, its code (or the default one for the status)
+ * - Mongoose ValidationError → 400 VALIDATION_ERROR with one entry per field
+ * - Mongoose CastError (e.g. "abc" where an ObjectId is expected) → 400 INVALID_VALUE
+ * - Duplicate key (E11000, a unique index) → 409 DUPLICATE_KEY with the fields
+ * - Invalid JSON body → 400 INVALID_JSON
+ * - Other errors that are safe to show (body parser: too large...) → their status
+ * - Anything else → 500 INTERNAL_ERROR with a generic message
+ *   (the real message can contain database internals, it is only logged)
+ *
+ * RETURNS: { status, body }
+ */
+const toErrorResponse = (error) => {
+    if (error instanceof ApiError) {
+        const body = {
+            success: false,
+            code: error.code || codeForStatus(error.status),
+            message: error.message,
+        };
+        if (error.errors) {
+            body.errors = error.errors;
+        }
+        return { status: error.status, body };
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+        return {
+            status: 400,
+            body: {
+                success: false,
+                code: 'VALIDATION_ERROR',
+                message: 'Validation failed',
+                errors: mongooseFieldErrors(error),
+            },
+        };
+    }
+    if (error instanceof mongoose.Error.CastError) {
+        return {
+            status: 400,
+            body: {
+                success: false,
+                code: 'INVALID_VALUE',
+                message: `Invalid value for ${error.path}`,
+                errors: [{ field: error.path, code: 'invalid_type', message: `${error.path} must be a valid ${error.kind}` }],
+            },
+        };
+    }
+    if (error.code === 11000) {
+        const fields = Object.keys(error.keyPattern || error.keyValue || {});
+        return {
+            status: 409,
+            body: {
+                success: false,
+                code: 'DUPLICATE_KEY',
+                message: fields.length > 0 ? `A record with this ${fields.join(' + ')} already exists` : 'Duplicate value',
+                errors: fields.map((field) => ({ field, code: 'duplicate', message: `${field} is already in use` })),
+            },
+        };
+    }
+    if (error.type === 'entity.parse.failed') {
+        return {
+            status: 400,
+            body: { success: false, code: 'INVALID_JSON', message: 'Request body is not valid JSON' },
+        };
+    }
+    // Errors from Express/body-parser mark themselves as safe to show with "expose"
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return {
+            status: error.status,
+            body: { success: false, code: codeForStatus(error.status), message: error.message },
+        };
+    }
+    return {
+        status: 500,
+        body: { success: false, code: 'INTERNAL_ERROR', message: 'Internal Server Error' },
+    };
+};
+
+module.exports = {
+    toErrorResponse,
+    codeForStatus,
+};
@@ -0,0 +1,8 @@
+/**
+ * FUNCTION: escapeRegex
+ * PURPOSE: Treat user search input as plain text, not as a regular expression
+ * EXAMPLE: "1+1" would otherwise be an invalid/unsafe pattern
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,70 @@
+/**
+ * MONEY HELPERS
+ *
+ * WHY INTEGER MINOR UNITS?
+ * JavaScript numbers are floating point: 0.1 + 0.2 === 0.30000000000000004
+ * Every amount we store or return is a whole number of the smallest unit of
+ * its currency (cents for USD, yen for JPY, fils for KWD...), so sums are
+ * always exact and totals add up the same way on every request.
+ * EXAMPLE: 18.50 USD is stored as 1850, 1500 JPY as 1500
+ * (how many decimals a currency has: utils/currency.js)
+ */
+
+/**
+ * FUNCTION: roundMinorUnits
+ * PURPOSE: Round a calculated amount (a share, a tax...) to whole minor units, half away from zero
+ * EXAMPLE: roundMinorUnits(1050 * 0.07) → 74 (73.5 rounds up)
+ *
+ * WHY ROUND TWICE?
+ * 50 × 0.29 is 14.499999999999998 in floating point, not 14.5. Rounding to
+ * 6 decimals first removes that noise, so half really goes away from zero.
+ */
+const roundMinorUnits = (amount) => {
+    const sign = amount < 0 ? -1 : 1;
+    const magnitude = Math.round(Math.abs(amount) * 1e6) / 1e6;
+    // + 0 turns -0 into 0
+    return sign * Math.round(magnitude) + 0;
+};
+
+/**
+ * FUNCTION: splitMinorUnits
+ * PURPOSE: Share `total` minor units between parts by weight, so the parts always
+ * add up to exactly the total (largest remainder method, ties to the first part)
+ * EXAMPLE: splitMinorUnits(100, [1, 1, 1]) → [34, 33, 33]
+ */
+const splitMinorUnits = (total, weights) => {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    if (weightSum <= 0) {
+        return weights.map(() => 0);
+    }
+    const exact = weights.map((weight) => (total * weight) / weightSum);
+    const shares = exact.map(Math.floor);
+    let left = total - shares.reduce((sum, share) => sum + share, 0);
+    const byRemainder = exact
+        .map((value, index) => ({ index, remainder: value - shares[index] }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (const { index } of byRemainder) {
+        if (left === 0) {
+            break;
+        }
+        shares[index] += 1;
+        left -= 1;
+    }
+    return shares;
+};
+
+/**
+ * MONGOOSE VALIDATOR: minorUnitsValidator
+ * PURPOSE: Reject amounts with decimals in schema fields clients can set
+ * USAGE: price: { type: Number, validate: minorUnitsValidator }
+ */
+const minorUnitsValidator = {
+    validator: Number.isInteger,
+    message: '{PATH} must be a whole number of minor units (e.g. cents: 1850 = 18.50)',
+};
+
+module.exports = {
+    roundMinorUnits,
+    splitMinorUnits,
+    minorUnitsValidator,
+};
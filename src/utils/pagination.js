@@ -0,0 +1,44 @@
+/**
+ * PAGINATION HELPERS
+ *
+ * Shared by every list endpoint so they all accept the same query params
+ * and return the same "pagination" object.
+ *
+ * QUERY PARAMS:
+ * - page: page number, starts at 1 (default 1)
+ * - limit: items per page (default 20, max 100)
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * FUNCTION: getPagination
+ * RETURNS: { page, limit, skip } ready to use with .skip() and .limit()
+ */
+const getPagination = (query) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * FUNCTION: buildPaginationMeta
+ * RETURNS: { page, limit, total, pages, hasNext, hasPrev }
+ */
+const buildPaginationMeta = ({ page, limit }, total) => {
+    const pages = Math.ceil(total / limit);
+    return {
+        page,
+        limit,
+        total,
+        pages,
+        hasNext: page < pages,
+        hasPrev: page > 1,
+    };
+};
+
+module.exports = {
+    getPagination,
+    buildPaginationMeta,
+};
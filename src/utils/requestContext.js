@@ -0,0 +1,47 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * REQUEST CONTEXT
+ *
+ * PURPOSE: Know which request (and which user) caused a piece of code to run,
+ * without passing req through every function
+ *
+ * HOW: AsyncLocalStorage keeps a small object alive for everything that runs
+ * inside the same request, including awaited database calls and Mongoose
+ * middleware. The requestContext middleware (middleware/requestContext.js)
+ * creates it, protect/optionalAuth add the user.
+ *
+ * USED BY: the audit log (services/auditService.js) to record actor, IP,
+ * user agent and request id of every change.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * FUNCTION: runWithContext
+ * PURPOSE: Run fn with the given context (everything it awaits sees the same context)
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * FUNCTION: getContext
+ * RETURNS: The context of the current request, or null outside a request
+ * (background workers, startup tasks)
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * FUNCTION: setContextUser
+ * PURPOSE: Remember who is calling once the access token has been verified
+ */
+const setContextUser = (user) => {
+    const context = getContext();
+    if (context) {
+        context.user = user;
+    }
+};
+
+module.exports = {
+    runWithContext,
+    getContext,
+    setContextUser,
+};
@@ -0,0 +1,36 @@
+/**
+ * AI VALIDATION SCHEMAS (routes/ai.js)
+ * Only the shape of the input is checked here, "from before to" and the
+ * product existing are checked by the controller
+ */
+
+const periodDays = { type: 'integer', min: 1, max: 365 };
+
+exports.generateDescriptionSchema = {
+    body: {
+        product: { type: 'objectId', required: true },
+        features: { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 200 } },
+        tone: { type: 'string', enum: ['neutral', 'friendly', 'premium'] },
+    },
+};
+
+exports.suggestDiscountSchema = {
+    body: {
+        product: { type: 'objectId', required: true },
+        periodDays,
+    },
+};
+
+exports.salesAnalysisSchema = {
+    body: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+    },
+};
+
+exports.inventoryInsightsSchema = {
+    body: {
+        periodDays,
+        category: { type: 'string' },
+    },
+};
@@ -0,0 +1,17 @@
+const Alert = require('../models/Alert.js');
+const { idParams, paginationQuery } = require('./common.js');
+
+/**
+ * ALERT VALIDATION SCHEMAS (routes/alerts.js)
+ */
+
+exports.alertListSchema = {
+    query: {
+        ...paginationQuery,
+        status: { type: 'string', enum: Alert.schema.path('status').enumValues },
+        type: { type: 'string', enum: Alert.schema.path('type').enumValues },
+        product: { type: 'objectId' },
+    },
+};
+
+exports.alertParamsSchema = { params: idParams };
@@ -0,0 +1,17 @@
+const { paginationQuery, dateRangeQuery } = require('./common.js');
+
+/**
+ * AUDIT VALIDATION SCHEMAS (routes/audit.js)
+ */
+
+exports.auditListSchema = {
+    query: {
+        ...paginationQuery,
+        ...dateRangeQuery,
+        user: { type: 'objectId' },
+        targetModel: { type: 'string' },
+        targetId: { type: 'objectId' },
+        action: { type: 'string', maxLength: 100 },
+        requestId: { type: 'string', maxLength: 128 },
+    },
+};
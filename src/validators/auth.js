@@ -0,0 +1,75 @@
+const User = require('../models/User.js');
+const { idParams } = require('./common.js');
+
+/**
+ * AUTH VALIDATION SCHEMAS (routes/auth.js)
+ * Password length and roles come from the User model so they can't drift apart
+ */
+
+const password = {
+    type: 'string',
+    required: true,
+    minLength: User.schema.path('password').options.minlength,
+};
+
+const refreshTokenBody = {
+    refreshToken: { type: 'string', required: true },
+};
+
+const emailBody = {
+    email: { type: 'email', required: true },
+};
+
+exports.registerSchema = {
+    body: {
+        name: { type: 'string', required: true, maxLength: 100 },
+        email: { type: 'email', required: true },
+        password,
+        role: { type: 'string', enum: User.schema.path('role').enumValues },
+    },
+};
+
+exports.loginSchema = {
+    body: {
+        email: { type: 'string', required: true },
+        password: { type: 'string', required: true },
+        device: { type: 'string' },
+    },
+};
+
+exports.refreshTokenSchema = { body: refreshTokenBody };
+exports.logoutSchema = { body: refreshTokenBody };
+exports.sessionParamsSchema = { params: idParams };
+exports.forgotPasswordSchema = { body: emailBody };
+exports.resendVerificationSchema = { body: emailBody };
+
+exports.resetPasswordSchema = {
+    body: {
+        token: { type: 'string', required: true },
+        password,
+    },
+};
+
+/**
+ * PROFILE: currentPassword is only needed to change the email (checked by the controller)
+ */
+exports.updateMeSchema = {
+    body: {
+        name: { type: 'string', maxLength: 100 },
+        email: { type: 'email' },
+        currentPassword: { type: 'string' },
+    },
+};
+
+exports.changePasswordSchema = {
+    body: {
+        currentPassword: { type: 'string', required: true },
+        newPassword: password,
+    },
+};
+
+exports.verifyEmailSchema = {
+    body: {
+        token: { type: 'string', required: true },
+    },
+};
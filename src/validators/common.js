@@ -0,0 +1,44 @@
+/**
+ * COMMON VALIDATION RULES
+ * Rules shared by several resources (see middleware/validate.js for the format)
+ */
+
+/**
+ * ID PARAMS: Every route with /:id
+ */
+const idParams = {
+    id: { type: 'objectId', required: true },
+};
+
+/**
+ * PAGINATION QUERY: ?page and ?limit (utils/pagination.js clamps limit to 100)
+ */
+const paginationQuery = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1 },
+};
+
+/**
+ * DATE RANGE QUERY: ?from and ?to (ISO dates)
+ */
+const dateRangeQuery = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+};
+
+/**
+ * CURRENCY: ISO 4217 code in uppercase
+ * Whether the code really exists is checked against Intl (utils/currency.js)
+ */
+const currencyRule = {
+    type: 'string',
+    pattern: /^[A-Z]{3}$/,
+    patternMessage: 'must be an ISO 4217 currency code in uppercase, like EUR',
+};
+
+module.exports = {
+    idParams,
+    paginationQuery,
+    dateRangeQuery,
+    currencyRule,
+};
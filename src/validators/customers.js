@@ -0,0 +1,45 @@
+const Customer = require('../models/Customer.js');
+const { idParams, paginationQuery } = require('./common.js');
+
+/**
+ * CUSTOMER VALIDATION SCHEMAS (routes/customers.js)
+ * "email or phone" and the unique email are checked by the Customer model
+ */
+
+const customerFields = {
+    name: { type: 'string', maxLength: Customer.schema.path('name').options.maxlength[0] },
+    email: { type: 'email' },
+    phone: { type: 'string', maxLength: 50 },
+    taxId: { type: 'string', maxLength: 50 },
+    notes: { type: 'string', maxLength: 1000 },
+    isActive: { type: 'boolean' },
+};
+
+exports.createCustomerSchema = {
+    body: {
+        ...customerFields,
+        name: { ...customerFields.name, required: true },
+    },
+};
+
+exports.customerListSchema = {
+    query: {
+        ...paginationQuery,
+        search: { type: 'string', maxLength: 200 },
+        email: { type: 'string', maxLength: 200 },
+        phone: { type: 'string', maxLength: 50 },
+        active: { type: 'boolean' },
+    },
+};
+
+exports.customerParamsSchema = { params: idParams };
+
+exports.updateCustomerSchema = {
+    params: idParams,
+    body: customerFields,
+};
+
+exports.customerHistorySchema = {
+    params: idParams,
+    query: paginationQuery,
+};
@@ -0,0 +1,33 @@
+const ExchangeRate = require('../models/ExchangeRate.js');
+const { idParams, paginationQuery, currencyRule } = require('./common.js');
+
+/**
+ * EXCHANGE RATE VALIDATION SCHEMAS (routes/exchangeRates.js)
+ * The base currency itself can't get a rate (controller) and a rate of 0 is
+ * rejected by the ExchangeRate model
+ */
+
+exports.createExchangeRateSchema = {
+    body: {
+        currency: { ...currencyRule, required: true },
+        rate: { type: 'number', required: true, min: 0 },
+        effectiveFrom: { type: 'date' },
+        note: { type: 'string', maxLength: ExchangeRate.schema.path('note').options.maxlength[0] },
+    },
+};
+
+exports.exchangeRateListSchema = {
+    query: {
+        ...paginationQuery,
+        currency: currencyRule,
+    },
+};
+
+exports.currentExchangeRateSchema = {
+    query: {
+        currency: { ...currencyRule, required: true },
+        at: { type: 'date' },
+    },
+};
+
+exports.exchangeRateParamsSchema = { params: idParams };
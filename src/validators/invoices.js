@@ -0,0 +1,39 @@
+const { idParams, paginationQuery } = require('./common.js');
+
+/**
+ * INVOICE AND CREDIT NOTE VALIDATION SCHEMAS (routes/invoices.js, routes/creditNotes.js)
+ */
+
+const yearQuery = { type: 'integer', min: 2000, max: 9999 };
+
+exports.createInvoiceSchema = {
+    body: {
+        sale: { type: 'objectId', required: true },
+        billTo: {
+            type: 'object',
+            fields: {
+                name: { type: 'string', maxLength: 200 },
+                taxId: { type: 'string', maxLength: 50 },
+                address: { type: 'string', maxLength: 500 },
+                email: { type: 'email' },
+            },
+        },
+    },
+};
+
+exports.invoiceListSchema = {
+    query: {
+        ...paginationQuery,
+        year: yearQuery,
+    },
+};
+
+exports.creditNoteListSchema = {
+    query: {
+        ...paginationQuery,
+        year: yearQuery,
+        invoice: { type: 'objectId' },
+    },
+};
+
+exports.documentParamsSchema = { params: idParams };
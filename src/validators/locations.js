@@ -0,0 +1,52 @@
+const Location = require('../models/Location.js');
+const { idParams, paginationQuery } = require('./common.js');
+
+/**
+ * LOCATION VALIDATION SCHEMAS (routes/locations.js)
+ */
+
+const locationFields = {
+    code: { type: 'string', maxLength: Location.schema.path('code').options.maxlength[0] },
+    name: { type: 'string' },
+    type: { type: 'string', enum: Location.schema.path('type').enumValues },
+    address: { type: 'string' },
+    isActive: { type: 'boolean' },
+    isDefault: { type: 'boolean' },
+};
+
+exports.createLocationSchema = {
+    body: {
+        ...locationFields,
+        code: { ...locationFields.code, required: true },
+        name: { ...locationFields.name, required: true },
+    },
+};
+
+exports.locationListSchema = {
+    query: {
+        type: locationFields.type,
+        active: { type: 'boolean' },
+    },
+};
+
+exports.locationParamsSchema = { params: idParams };
+
+exports.updateLocationSchema = {
+    params: idParams,
+    body: locationFields,
+};
+
+exports.locationStockSchema = {
+    params: idParams,
+    query: {
+        ...paginationQuery,
+        includeEmpty: { type: 'boolean' },
+    },
+};
+
+exports.assignUserLocationSchema = {
+    params: {
+        ...idParams,
+        userId: { type: 'objectId', required: true },
+    },
+};
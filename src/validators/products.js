@@ -0,0 +1,135 @@
+const StockMovement = require('../models/StockMovement.js');
+const { idParams, paginationQuery, dateRangeQuery, currencyRule } = require('./common.js');
+
+/**
+ * PRODUCT VALIDATION SCHEMAS (routes/products.js, including the inventory routes)
+ * Limits (SKU length, no negative price...) are also enforced by the Product model:
+ * prices and costs are integer minor units of the product currency (1850 = 18.50 USD);
+ * checking them here returns every field error at once, before any database work
+ */
+
+const productFields = {
+    sku: { type: 'string', maxLength: 64 },
+    // Check digits and uniqueness are checked by the Product model (utils/barcode.js)
+    barcodes: { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 20 } },
+    name: { type: 'string', maxLength: 200 },
+    description: { type: 'string' },
+    category: { type: 'string' },
+    price: { type: 'integer', min: 0 },
+    priceIncludesTax: { type: 'boolean' },
+    cost: { type: 'integer', min: 0 },
+    currency: currencyRule,
+    reorderPoint: { type: 'number', min: 0, nullable: true },
+    reorderQuantity: { type: 'number', min: 0 },
+};
+
+const listQuery = {
+    ...paginationQuery,
+    search: { type: 'string' },
+    barcode: { type: 'string', maxLength: 20 },
+    category: { type: 'string' },
+    minPrice: { type: 'integer', min: 0 },
+    maxPrice: { type: 'integer', min: 0 },
+    currency: currencyRule,
+    stockStatus: { type: 'string', enum: ['in_stock', 'low_stock', 'out_of_stock'] },
+    sort: { type: 'string' },
+};
+
+exports.productListSchema = { query: listQuery };
+
+exports.createProductSchema = {
+    body: {
+        ...productFields,
+        sku: { ...productFields.sku, required: true },
+        name: { ...productFields.name, required: true },
+        price: { ...productFields.price, required: true },
+        stock: { type: 'integer', min: 0 },
+        location: { type: 'objectId' },
+    },
+};
+
+exports.productParamsSchema = { params: idParams };
+
+exports.barcodeParamsSchema = {
+    params: {
+        code: { type: 'string', required: true, maxLength: 20 },
+    },
+};
+
+exports.labelsSchema = {
+    body: {
+        format: { type: 'string', enum: ['pdf', 'svg'] },
+        items: {
+            type: 'array',
+            required: true,
+            minLength: 1,
+            maxLength: 500,
+            items: {
+                type: 'object',
+                fields: {
+                    product: { type: 'objectId', required: true },
+                    copies: { type: 'integer', min: 1, max: 1000 },
+                    barcode: { type: 'string', maxLength: 20 },
+                },
+            },
+        },
+    },
+};
+
+exports.updateProductSchema = {
+    params: idParams,
+    body: productFields,
+};
+
+exports.importProductsSchema = {
+    query: {
+        dryRun: { type: 'boolean' },
+        location: { type: 'objectId' },
+    },
+};
+
+exports.exportProductsSchema = {
+    query: {
+        ...listQuery,
+        location: { type: 'objectId' },
+    },
+};
+
+// ==========================================
+// INVENTORY
+// ==========================================
+
+exports.stockAdjustmentSchema = {
+    params: idParams,
+    body: {
+        // Which types may be recorded by hand (and their sign) is checked by the controller
+        type: { type: 'string', required: true },
+        quantity: { type: 'integer', required: true },
+        location: { type: 'objectId' },
+        note: { type: 'string', maxLength: 500 },
+    },
+};
+
+exports.movementsSchema = {
+    params: idParams,
+    query: {
+        ...paginationQuery,
+        ...dateRangeQuery,
+        type: { type: 'string', enum: StockMovement.schema.path('type').enumValues },
+        location: { type: 'objectId' },
+    },
+};
+
+exports.reconciliationSchema = {
+    query: {
+        product: { type: 'objectId' },
+        onlyDrift: { type: 'boolean' },
+    },
+};
+
+exports.productStockSchema = {
+    params: idParams,
+    query: {
+        location: { type: 'objectId' },
+    },
+};
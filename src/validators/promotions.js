@@ -0,0 +1,62 @@
+const Promotion = require('../models/Promotion.js');
+const { idParams, paginationQuery, currencyRule } = require('./common.js');
+
+/**
+ * PROMOTION VALIDATION SCHEMAS (routes/promotions.js)
+ * Rules that involve several fields (a percentage up to 100, a category
+ * promotion with categories...) are checked by the Promotion model on save
+ */
+
+const path = (name) => Promotion.schema.path(name);
+
+const promotionFields = {
+    name: { type: 'string', maxLength: path('name').options.maxlength[0] },
+    description: { type: 'string', maxLength: 1000 },
+    code: { type: 'string', nullable: true, maxLength: path('code').options.maxlength[0] },
+    type: { type: 'string', enum: path('type').enumValues },
+    value: { type: 'number', min: 0 },
+    buyQuantity: { type: 'integer', nullable: true, min: 1 },
+    getQuantity: { type: 'integer', nullable: true, min: 1 },
+    getDiscountPercent: { type: 'number', min: 1, max: 100 },
+    scope: { type: 'string', enum: path('scope').enumValues },
+    categories: { type: 'array', items: { type: 'string', required: true } },
+    skus: { type: 'array', items: { type: 'string', required: true } },
+    minSubtotal: { type: 'integer', min: 0 },
+    currency: currencyRule,
+    startsAt: { type: 'date', nullable: true },
+    endsAt: { type: 'date', nullable: true },
+    usageLimit: { type: 'integer', nullable: true, min: 1 },
+    perCustomerLimit: { type: 'integer', nullable: true, min: 1 },
+    priority: { type: 'integer' },
+    exclusive: { type: 'boolean' },
+    isActive: { type: 'boolean' },
+};
+
+exports.createPromotionSchema = {
+    body: {
+        ...promotionFields,
+        name: { ...promotionFields.name, required: true },
+        type: { ...promotionFields.type, required: true },
+    },
+};
+
+exports.promotionListSchema = {
+    query: {
+        ...paginationQuery,
+        search: { type: 'string', maxLength: 100 },
+        code: { type: 'string', maxLength: 32 },
+        active: { type: 'boolean' },
+    },
+};
+
+exports.promotionParamsSchema = { params: idParams };
+
+exports.updatePromotionSchema = {
+    params: idParams,
+    body: promotionFields,
+};
+
+exports.redemptionListSchema = {
+    params: idParams,
+    query: paginationQuery,
+};
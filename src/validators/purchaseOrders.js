@@ -0,0 +1,61 @@
+const PurchaseOrder = require('../models/PurchaseOrder.js');
+const { idParams, paginationQuery, currencyRule } = require('./common.js');
+
+/**
+ * PURCHASE ORDER VALIDATION SCHEMAS (routes/purchaseOrders.js)
+ * Whether a product is on the order, pending quantities and status changes
+ * are checked by the controller
+ */
+
+const orderItems = {
+    type: 'array',
+    minLength: 1,
+    items: {
+        type: 'object',
+        fields: {
+            product: { type: 'objectId', required: true },
+            quantity: { type: 'integer', required: true, min: 1 },
+            unitCost: { type: 'integer', min: 0 },
+        },
+    },
+};
+
+const orderFields = {
+    supplier: { type: 'objectId' },
+    items: orderItems,
+    location: { type: 'objectId', nullable: true },
+    currency: currencyRule,
+    expectedAt: { type: 'date', nullable: true },
+    notes: { type: 'string', maxLength: 1000 },
+};
+
+exports.createPurchaseOrderSchema = {
+    body: {
+        ...orderFields,
+        supplier: { ...orderFields.supplier, required: true },
+        items: { ...orderItems, required: true },
+    },
+};
+
+exports.purchaseOrderListSchema = {
+    query: {
+        ...paginationQuery,
+        status: { type: 'string', enum: PurchaseOrder.schema.path('status').enumValues },
+        supplier: { type: 'objectId' },
+    },
+};
+
+exports.purchaseOrderParamsSchema = { params: idParams };
+
+exports.updatePurchaseOrderSchema = {
+    params: idParams,
+    body: orderFields,
+};
+
+exports.receivePurchaseOrderSchema = {
+    params: idParams,
+    body: {
+        items: { ...orderItems, required: true },
+        note: { type: 'string', maxLength: 500 },
+    },
+};
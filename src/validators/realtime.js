@@ -0,0 +1,16 @@
+/**
+ * REALTIME VALIDATION SCHEMAS (routes/realtime.js)
+ * Which channels the user may listen to is checked by the controller
+ */
+
+exports.eventStreamSchema = {
+    query: {
+        channels: {
+            type: 'string',
+            pattern: /^[\w:-]+(,[\w:-]+)*$/,
+            patternMessage: 'must be a comma-separated list of channels, like inventory,sales',
+        },
+        lastEventId: { type: 'string', maxLength: 100 },
+        access_token: { type: 'string' },
+    },
+};
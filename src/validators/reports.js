@@ -0,0 +1,34 @@
+const { INTERVALS } = require('../services/reportService.js');
+
+/**
+ * REPORT VALIDATION SCHEMAS (routes/reports.js)
+ * The timezone name and the length of the range are checked by
+ * reportService.parseReportRange, because they depend on each other
+ */
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const reportQuery = {
+    from: { type: 'string', pattern: DAY_PATTERN, patternMessage: 'must be a date like 2026-01-01' },
+    to: { type: 'string', pattern: DAY_PATTERN, patternMessage: 'must be a date like 2026-01-31' },
+    timezone: { type: 'string', maxLength: 64 },
+    soldBy: { type: 'objectId' },
+    format: { type: 'string', enum: ['json', 'csv'] },
+};
+
+exports.reportSchema = { query: reportQuery };
+
+exports.revenueReportSchema = {
+    query: {
+        ...reportQuery,
+        interval: { type: 'string', enum: INTERVALS },
+    },
+};
+
+exports.topProductsReportSchema = {
+    query: {
+        ...reportQuery,
+        by: { type: 'string', enum: ['quantity', 'revenue'] },
+        limit: { type: 'integer', min: 1, max: 100 },
+    },
+};
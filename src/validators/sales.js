@@ -0,0 +1,95 @@
+const Sale = require('../models/Sale.js');
+const SaleReturn = require('../models/SaleReturn.js');
+const { idParams, paginationQuery, dateRangeQuery, currencyRule } = require('./common.js');
+
+/**
+ * SALE VALIDATION SCHEMAS (routes/sales.js)
+ * Stock, prices and what can still be returned are checked by the services,
+ * inside the transaction
+ */
+
+const items = {
+    type: 'array',
+    required: true,
+    minLength: 1,
+    items: {
+        type: 'object',
+        fields: {
+            product: { type: 'objectId', required: true },
+            quantity: { type: 'integer', required: true, min: 1 },
+        },
+    },
+};
+
+const refundMethod = { type: 'string', enum: SaleReturn.schema.path('refundMethod').enumValues };
+
+/**
+ * PRICING FIELDS: Shared by a sale and its quote
+ * Whether each coupon exists and applies is checked by promotionService,
+ * the discount value itself (max 100%, whole minor units when fixed, not
+ * above the subtotal) by pricingService, the exchange rate of the currency
+ * by exchangeRateService, the customer and their points balance by the controller
+ */
+const pricingFields = {
+    items,
+    coupons: {
+        type: 'array',
+        maxLength: 5,
+        items: { type: 'string', required: true, maxLength: 32 },
+    },
+    customerEmail: { type: 'email' },
+    customer: { type: 'objectId' },
+    loyaltyPoints: { type: 'integer', min: 0 },
+    currency: currencyRule,
+    discount: {
+        type: 'object',
+        nullable: true,
+        fields: {
+            type: { type: 'string', required: true, enum: ['percentage', 'fixed'] },
+            value: { type: 'number', required: true, min: 0 },
+        },
+    },
+};
+
+exports.createSaleSchema = {
+    body: {
+        ...pricingFields,
+        paymentMethod: { type: 'string', enum: Sale.schema.path('paymentMethod').enumValues },
+        notes: { type: 'string', maxLength: 1000 },
+    },
+};
+
+exports.quoteSaleSchema = {
+    body: pricingFields,
+};
+
+exports.saleListSchema = {
+    query: {
+        ...paginationQuery,
+        ...dateRangeQuery,
+        soldBy: { type: 'objectId' },
+        status: { type: 'string', enum: Sale.schema.path('status').enumValues },
+        currency: currencyRule,
+        customer: { type: 'objectId' },
+    },
+};
+
+exports.saleParamsSchema = { params: idParams };
+
+exports.createSaleReturnSchema = {
+    params: idParams,
+    body: {
+        items,
+        refundMethod: { ...refundMethod, required: true },
+        refundReference: { type: 'string', maxLength: 200 },
+        reason: { type: 'string', maxLength: 500 },
+    },
+};
+
+exports.voidSaleSchema = {
+    params: idParams,
+    body: {
+        reason: { type: 'string', required: true, maxLength: 500 },
+        refundMethod,
+    },
+};
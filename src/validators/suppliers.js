@@ -0,0 +1,38 @@
+const { idParams, paginationQuery } = require('./common.js');
+
+/**
+ * SUPPLIER VALIDATION SCHEMAS (routes/suppliers.js)
+ */
+
+const supplierFields = {
+    name: { type: 'string', maxLength: 200 },
+    contactName: { type: 'string', maxLength: 200 },
+    email: { type: 'email' },
+    phone: { type: 'string', maxLength: 50 },
+    address: { type: 'string', maxLength: 500 },
+    taxId: { type: 'string', maxLength: 50 },
+    notes: { type: 'string', maxLength: 1000 },
+    isActive: { type: 'boolean' },
+};
+
+exports.createSupplierSchema = {
+    body: {
+        ...supplierFields,
+        name: { ...supplierFields.name, required: true },
+    },
+};
+
+exports.supplierListSchema = {
+    query: {
+        ...paginationQuery,
+        search: { type: 'string' },
+        active: { type: 'boolean' },
+    },
+};
+
+exports.supplierParamsSchema = { params: idParams };
+
+exports.updateSupplierSchema = {
+    params: idParams,
+    body: supplierFields,
+};
@@ -0,0 +1,45 @@
+const TaxRule = require('../models/TaxRule.js');
+const { idParams } = require('./common.js');
+
+/**
+ * TAX RULE VALIDATION SCHEMAS (routes/taxRules.js)
+ * Whether the location exists is checked by the controller
+ */
+
+const taxRuleFields = {
+    name: { type: 'string', maxLength: TaxRule.schema.path('name').options.maxlength[0] },
+    category: { type: 'string', nullable: true },
+    location: { type: 'objectId', nullable: true },
+    rate: { type: 'number', min: 0, max: 1 },
+    isActive: { type: 'boolean' },
+};
+
+exports.createTaxRuleSchema = {
+    body: {
+        ...taxRuleFields,
+        name: { ...taxRuleFields.name, required: true },
+        rate: { ...taxRuleFields.rate, required: true },
+    },
+};
+
+exports.taxRuleListSchema = {
+    query: {
+        category: { type: 'string' },
+        location: { type: 'objectId' },
+        active: { type: 'boolean' },
+    },
+};
+
+exports.taxRuleParamsSchema = { params: idParams };
+
+exports.updateTaxRuleSchema = {
+    params: idParams,
+    body: taxRuleFields,
+};
+
+exports.resolveTaxSchema = {
+    query: {
+        category: { type: 'string', required: true },
+        location: { type: 'objectId' },
+    },
+};
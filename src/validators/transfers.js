@@ -0,0 +1,70 @@
+const TransferOrder = require('../models/TransferOrder.js');
+const { idParams, paginationQuery } = require('./common.js');
+
+/**
+ * TRANSFER VALIDATION SCHEMAS (routes/transfers.js)
+ * Locations being different/active and quantities against what was dispatched
+ * are checked by the controller
+ */
+
+const transferItems = {
+    type: 'array',
+    minLength: 1,
+    items: {
+        type: 'object',
+        fields: {
+            product: { type: 'objectId', required: true },
+            quantity: { type: 'integer', required: true, min: 1 },
+        },
+    },
+};
+
+exports.createTransferSchema = {
+    body: {
+        from: { type: 'objectId', required: true },
+        to: { type: 'objectId', required: true },
+        items: { ...transferItems, required: true },
+        notes: { type: 'string', maxLength: 1000 },
+    },
+};
+
+exports.transferListSchema = {
+    query: {
+        ...paginationQuery,
+        status: { type: 'string', enum: TransferOrder.schema.path('status').enumValues },
+        location: { type: 'objectId' },
+    },
+};
+
+exports.transferParamsSchema = { params: idParams };
+
+exports.updateTransferSchema = {
+    params: idParams,
+    body: {
+        from: { type: 'objectId' },
+        to: { type: 'objectId' },
+        items: transferItems,
+        notes: { type: 'string', maxLength: 1000 },
+    },
+};
+
+/**
+ * RECEIVE: items are optional (everything dispatched arrived) and a counted
+ * quantity of 0 is allowed (nothing of that product arrived)
+ */
+exports.receiveTransferSchema = {
+    params: idParams,
+    body: {
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    product: { type: 'objectId', required: true },
+                    quantity: { type: 'integer', required: true, min: 0 },
+                },
+            },
+        },
+        note: { type: 'string', maxLength: 500 },
+    },
+};
@@ -0,0 +1,27 @@
+const User = require('../models/User.js');
+const { idParams, paginationQuery } = require('./common.js');
+
+/**
+ * USER VALIDATION SCHEMAS (routes/users.js)
+ * Roles come from the User model so they can't drift apart
+ */
+
+const role = { type: 'string', enum: User.schema.path('role').enumValues };
+
+exports.userListSchema = {
+    query: {
+        ...paginationQuery,
+        search: { type: 'string', maxLength: 100 },
+        role,
+        active: { type: 'boolean' },
+    },
+};
+
+exports.userParamsSchema = { params: idParams };
+
+exports.changeRoleSchema = {
+    params: idParams,
+    body: {
+        role: { ...role, required: true },
+    },
+};
@@ -0,0 +1,45 @@
+const Webhook = require('../models/Webhook.js');
+const WebhookDelivery = require('../models/WebhookDelivery.js');
+const { idParams, paginationQuery } = require('./common.js');
+
+/**
+ * WEBHOOK VALIDATION SCHEMAS (routes/webhooks.js)
+ * The URL pattern and event names come from Webhook.js so both stay in sync
+ */
+
+const [urlPattern] = Webhook.schema.path('url').options.match;
+
+const webhookFields = {
+    url: { type: 'string', pattern: urlPattern, patternMessage: 'must be a valid http(s) URL' },
+    events: {
+        type: 'array',
+        minLength: 1,
+        items: { type: 'string', enum: Webhook.schema.path('events').embeddedSchemaType.enumValues },
+    },
+    description: { type: 'string', maxLength: 500 },
+};
+
+exports.createWebhookSchema = {
+    body: {
+        ...webhookFields,
+        url: { ...webhookFields.url, required: true },
+    },
+};
+
+exports.webhookParamsSchema = { params: idParams };
+
+exports.updateWebhookSchema = {
+    params: idParams,
+    body: {
+        ...webhookFields,
+        active: { type: 'boolean' },
+    },
+};
+
+exports.deliveriesSchema = {
+    params: idParams,
+    query: {
+        ...paginationQuery,
+        status: { type: 'string', enum: WebhookDelivery.schema.path('status').enumValues },
+    },
+};
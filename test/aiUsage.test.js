@@ -0,0 +1,28 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AiUsage = require('../src/models/AiUsage.js');
+
+/**
+ * AI QUOTA (src/models/AiUsage.js)
+ *
+ * A limit of 0 or less switches AI off: consume() must refuse without
+ * touching the database (the upsert would insert a first document and allow it)
+ */
+describe('AiUsage.consume', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    for (const limit of [0, -1, NaN]) {
+        it(`refuses every request when the limit is ${limit}`, async () => {
+            mock.method(AiUsage, 'findOneAndUpdate', () => {
+                throw new Error('findOneAndUpdate must not run');
+            });
+            const quota = await AiUsage.consume(new mongoose.Types.ObjectId(), limit);
+            assert.equal(quota.allowed, false);
+            assert.equal(quota.used, 0);
+            assert.equal(AiUsage.findOneAndUpdate.mock.callCount(), 0);
+        });
+    }
+});
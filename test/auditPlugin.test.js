@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * AUDIT PLUGIN REGISTRATION (src/models/plugins/index.js)
+ *
+ * Models are required here WITHOUT src/app.js: every one of them must still
+ * get the audit plugin, whatever the order they are loaded in.
+ * Each test file runs in its own process, so nothing was loaded before.
+ */
+describe('audit plugin registration', () => {
+    it('applies to models required before app.js', () => {
+        // The audit service (and AuditLog) first: the order that used to create a require cycle
+        const { recordAudit } = require('../src/services/auditService.js');
+        const Product = require('../src/models/Product.js');
+        const User = require('../src/models/User.js');
+        const auditPlugin = require('../src/models/plugins/audit.js');
+
+        assert.equal(typeof recordAudit, 'function');
+        for (const Model of [Product, User]) {
+            assert.ok(
+                Model.schema.plugins.some((plugin) => plugin.fn === auditPlugin),
+                `${Model.modelName} is not audited`
+            );
+        }
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../src/models/AuditLog.js');
+const User = require('../src/models/User.js');
+const UserToken = require('../src/models/UserToken.js');
+const { setTransport } = require('../src/services/mail/index.js');
+const { forgotPassword, resendVerification } = require('../src/controllers/authController.js');
+
+/**
+ * EMAIL ROUTES DON'T TELL WHICH EMAILS ARE REGISTERED
+ * (forgotPassword and resendVerification in src/controllers/authController.js)
+ *
+ * Known and unknown emails must get the same answer, before any email is
+ * sent, even when the mail server fails. No MongoDB: the user lookup, the
+ * token and the audit entry are replaced, the mail transport is a fake.
+ */
+
+/**
+ * HELPER FUNCTION: Call
+ * Runs a controller with a fake request and response
+ * RETURNS: { status, body, error } once the controller answered
+ */
+const call = async (controller, email) => {
+    const result = { status: null, body: null, error: null };
+    const res = {
+        status(code) {
+            result.status = code;
+            return res;
+        },
+        json(body) {
+            result.body = body;
+            return res;
+        },
+    };
+    await controller({ body: { email } }, res, (error) => {
+        result.error = error;
+    });
+    return result;
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('forgot-password and resend-verification', () => {
+    let sent = null;
+    let releaseMail = null;
+    const user = new User({ name: 'Ana', email: 'ana@example.com', password: 'secret123', emailVerified: false });
+
+    beforeEach(() => {
+        sent = [];
+        // The mail server hangs until the test lets it answer, then fails
+        setTransport({
+            name: 'test',
+            send: (mail) => new Promise((resolve, reject) => {
+                sent.push(mail);
+                releaseMail = () => reject(new Error('SMTP down'));
+            }),
+        });
+        mock.method(User, 'findOne', async (filter) => (filter.email === user.email ? user : null));
+        mock.method(UserToken, 'updateMany', async () => ({ modifiedCount: 0 }));
+        mock.method(UserToken, 'create', async (doc) => ({ ...doc, _id: new mongoose.Types.ObjectId() }));
+        mock.method(AuditLog, 'create', async (entries) => entries);
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        setTransport(null);
+    });
+
+    for (const [name, controller, label] of [
+        ['forgotPassword', forgotPassword, 'Password Reset Email Error:'],
+        ['resendVerification', resendVerification, 'Verification Email Error:'],
+    ]) {
+        it(`${name} answers the same for known and unknown emails, before the email is sent`, async () => {
+            const known = await call(controller, 'Ana@Example.com');
+            const unknown = await call(controller, 'nobody@example.com');
+
+            assert.equal(known.error, null);
+            assert.equal(known.status, 200);
+            assert.deepEqual(known.body, unknown.body);
+            assert.equal(known.status, unknown.status);
+
+            // The email goes out after the answer, to the known address only
+            await flush();
+            assert.deepEqual(sent.map((mail) => mail.to), ['ana@example.com']);
+        });
+
+        it(`${name} only logs a mail server failure`, async () => {
+            const known = await call(controller, 'ana@example.com');
+            await flush();
+            releaseMail();
+            await flush();
+
+            assert.equal(known.status, 200);
+            assert.equal(known.error, null);
+            assert.ok(console.error.mock.calls.some((logged) => logged.arguments[0] === label));
+        });
+    }
+});
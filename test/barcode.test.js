@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBarcode, ean13CheckDigit, isValidBarcode, encodeEan13, isGuardModule } = require('../src/utils/barcode.js');
+
+/**
+ * BARCODE HELPERS (src/utils/barcode.js)
+ */
+describe('ean13CheckDigit', () => {
+    it('computes the check digit of known codes', () => {
+        assert.equal(ean13CheckDigit('400638133393'), 1);
+        assert.equal(ean13CheckDigit('590123412345'), 7);
+        // UPC-A 036000291452 in its EAN-13 form
+        assert.equal(ean13CheckDigit('003600029145'), 2);
+        assert.equal(ean13CheckDigit('000000000000'), 0);
+    });
+});
+
+describe('normalizeBarcode', () => {
+    it('removes spaces and dashes', () => {
+        assert.equal(normalizeBarcode('400-6381 333931'), '4006381333931');
+    });
+
+    it('turns UPC-A into EAN-13 by adding a leading 0', () => {
+        assert.equal(normalizeBarcode('0 36000 29145 2'), '0036000291452');
+        assert.equal(normalizeBarcode(36000291452), '36000291452');
+    });
+
+    it('leaves anything else cleaned but as it is', () => {
+        assert.equal(normalizeBarcode('ABC 123'), 'ABC123');
+        assert.equal(normalizeBarcode(null), '');
+        assert.equal(normalizeBarcode(undefined), '');
+    });
+});
+
+describe('isValidBarcode', () => {
+    it('accepts 13 digits with the right check digit only', () => {
+        assert.equal(isValidBarcode('4006381333931'), true);
+        assert.equal(isValidBarcode('0036000291452'), true);
+        assert.equal(isValidBarcode('4006381333932'), false);
+        assert.equal(isValidBarcode('036000291452'), false);
+        assert.equal(isValidBarcode(4006381333931), false);
+    });
+});
+
+describe('encodeEan13', () => {
+    const L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+    const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLG', 'LGGGGL', 'LGLGGL', 'LGLLGL'];
+    const invert = (bits) => bits.replace(/./g, (bit) => (bit === '1' ? '0' : '1'));
+    const reverse = (bits) => bits.split('').reverse().join('');
+
+    /**
+     * HELPER FUNCTION: Decode
+     * Reads the 95 modules back into 13 digits, the way a scanner does
+     */
+    const decode = (modules) => {
+        const left = [];
+        let parity = '';
+        for (let index = 0; index < 6; index += 1) {
+            const bits = modules.slice(3 + index * 7, 10 + index * 7);
+            const odd = L.indexOf(bits);
+            const even = L.indexOf(reverse(invert(bits)));
+            assert.ok(odd !== -1 || even !== -1, `left digit ${index} is not an L or G pattern: ${bits}`);
+            left.push(odd !== -1 ? odd : even);
+            parity += odd !== -1 ? 'L' : 'G';
+        }
+        const right = [];
+        for (let index = 0; index < 6; index += 1) {
+            const digit = L.indexOf(invert(modules.slice(50 + index * 7, 57 + index * 7)));
+            assert.ok(digit !== -1, `right digit ${index} is not an R pattern`);
+            right.push(digit);
+        }
+        return `${PARITY.indexOf(parity)}${left.join('')}${right.join('')}`;
+    };
+
+    it('draws 95 modules with the start, centre and end guards', () => {
+        const modules = encodeEan13('4006381333931');
+
+        assert.equal(modules.length, 95);
+        assert.equal(modules.slice(0, 3), '101');
+        assert.equal(modules.slice(45, 50), '01010');
+        assert.equal(modules.slice(92), '101');
+    });
+
+    it('encodes the digits so they decode back to the same code', () => {
+        for (const code of ['4006381333931', '5901234123457', '0036000291452', '9780201379624']) {
+            assert.equal(decode(encodeEan13(code)), code);
+        }
+    });
+
+    it('refuses a code with a wrong check digit', () => {
+        assert.throws(() => encodeEan13('4006381333932'), /not a valid EAN-13/);
+    });
+});
+
+describe('isGuardModule', () => {
+    it('marks the 3 + 5 + 3 guard modules', () => {
+        const guards = Array.from({ length: 95 }, (value, index) => index).filter(isGuardModule);
+        assert.deepEqual(guards, [0, 1, 2, 45, 46, 47, 48, 49, 92, 93, 94]);
+    });
+});
@@ -0,0 +1,38 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { readInteger, readNumber } = require('../src/utils/env.js');
+
+/**
+ * ENVIRONMENT HELPERS (src/utils/env.js)
+ */
+afterEach(() => {
+    delete process.env.TEST_SETTING;
+});
+
+describe('readInteger', () => {
+    it('reads a whole number and drops decimals', () => {
+        process.env.TEST_SETTING = '2.5';
+        assert.equal(readInteger('TEST_SETTING', 10), 2);
+        process.env.TEST_SETTING = '0';
+        assert.equal(readInteger('TEST_SETTING', 10), 0);
+    });
+
+    it('falls back when the variable is missing or not a number', () => {
+        assert.equal(readInteger('TEST_SETTING', 10), 10);
+        process.env.TEST_SETTING = 'ten';
+        assert.equal(readInteger('TEST_SETTING', 10), 10);
+    });
+});
+
+describe('readNumber', () => {
+    it('keeps decimals', () => {
+        process.env.TEST_SETTING = '0.5';
+        assert.equal(readNumber('TEST_SETTING', 1), 0.5);
+    });
+
+    it('falls back when the variable is missing or not a number', () => {
+        assert.equal(readNumber('TEST_SETTING', 1), 1);
+        process.env.TEST_SETTING = '';
+        assert.equal(readNumber('TEST_SETTING', 1), 1);
+    });
+});
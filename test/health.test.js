@@ -0,0 +1,60 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../src/app.js');
+
+/**
+ * HEALTH CHECKS (src/controllers/healthController.js)
+ *
+ * No MongoDB is needed: the tests never connect, so the database is
+ * "disconnected" and readiness must answer 503
+ */
+describe('health checks', () => {
+    let server = null;
+    let baseUrl = '';
+
+    before(async () => {
+        server = app.listen(0);
+        await new Promise((resolve) => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/health`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    afterEach(() => {
+        app.locals.shuttingDown = false;
+    });
+
+    it('GET /api/health/live answers 200 without a database', async () => {
+        const res = await fetch(`${baseUrl}/live`);
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.status, 'ALIVE');
+        assert.equal(typeof body.uptime, 'number');
+    });
+
+    it('GET /api/health/live stays 200 while shutting down', async () => {
+        app.locals.shuttingDown = true;
+        const res = await fetch(`${baseUrl}/live`);
+        assert.equal(res.status, 200);
+    });
+
+    it('GET /api/health/ready answers 503 while the database is disconnected', async () => {
+        const res = await fetch(`${baseUrl}/ready`);
+        const body = await res.json();
+        assert.equal(res.status, 503);
+        assert.equal(body.status, 'NOT_READY');
+        assert.equal(body.database, 'disconnected');
+        assert.equal(body.shuttingDown, false);
+    });
+
+    it('GET /api/health/ready answers 503 while shutting down', async () => {
+        app.locals.shuttingDown = true;
+        const res = await fetch(`${baseUrl}/ready`);
+        const body = await res.json();
+        assert.equal(res.status, 503);
+        assert.equal(body.status, 'NOT_READY');
+        assert.equal(body.shuttingDown, true);
+    });
+});
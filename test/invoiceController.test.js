@@ -0,0 +1,101 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough, Readable } = require('node:stream');
+const mongoose = require('mongoose');
+const Invoice = require('../src/models/Invoice.js');
+const Sale = require('../src/models/Sale.js');
+const { setStorage } = require('../src/services/storage/index.js');
+const { createInvoice, downloadInvoicePdf } = require('../src/controllers/invoiceController.js');
+
+/**
+ * INVOICES (src/controllers/invoiceController.js)
+ *
+ * No MongoDB here: the sale and invoice lookups are replaced, the storage is
+ * an in-memory driver.
+ */
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+/**
+ * HELPER FUNCTION: Query
+ * Stands in for a Mongoose query: awaitable and chainable with .populate()
+ */
+const query = (read) => {
+    const chain = {
+        populate: () => chain,
+        then: (resolve, reject) => Promise.resolve().then(read).then(resolve, reject),
+    };
+    return chain;
+};
+
+/**
+ * HELPER FUNCTION: Response
+ * A fake Express response recording what the controller sent
+ * (a stream too, so a download can be piped into it)
+ */
+const response = () => {
+    const res = Object.assign(new PassThrough(), {
+        statusCode: null,
+        body: null,
+        headers: {},
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        setHeader(name, value) {
+            res.headers[name] = value;
+        },
+    });
+    return res;
+};
+
+afterEach(() => {
+    mock.restoreAll();
+    setStorage(null);
+});
+
+describe('createInvoice', () => {
+    it('refuses to invoice a voided sale', async () => {
+        const sale = new Sale({ soldBy: admin._id, status: 'voided' });
+        mock.method(mongoose, 'startSession', async () => ({ endSession: async () => {} }));
+        mock.method(Sale, 'findOne', () => query(() => sale));
+        const invoiceCreate = mock.method(Invoice, 'create', async () => []);
+
+        const res = response();
+        let forwarded = null;
+        await createInvoice({ user: admin, body: { sale: sale._id } }, res, (error) => {
+            forwarded = error;
+        });
+
+        assert.equal(forwarded, null);
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'CONFLICT');
+        assert.equal(invoiceCreate.mock.callCount(), 0);
+    });
+});
+
+describe('downloadInvoicePdf', () => {
+    it('hands a storage read error to the error handler', async () => {
+        const invoice = new Invoice({ invoiceNumber: 'INV-2026-000001', pdfKey: 'invoices/2026/INV-2026-000001.pdf' });
+        mock.method(Invoice, 'findOne', async () => invoice);
+        setStorage({
+            exists: async () => true,
+            createReadStream: () => new Readable({
+                read() {
+                    this.destroy(new Error('EIO'));
+                },
+            }),
+        });
+
+        const res = response();
+        const forwarded = await new Promise((resolve) => {
+            downloadInvoicePdf({ user: admin, params: { id: invoice._id } }, res, resolve);
+        });
+
+        assert.equal(forwarded.message, 'EIO');
+    });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { roundMinorUnits, splitMinorUnits } = require('../src/utils/money.js');
+
+/**
+ * MONEY HELPERS (src/utils/money.js)
+ */
+describe('roundMinorUnits', () => {
+    it('rounds half away from zero', () => {
+        assert.equal(roundMinorUnits(73.5), 74);
+        assert.equal(roundMinorUnits(73.49), 73);
+        assert.equal(roundMinorUnits(-73.5), -74);
+        assert.equal(roundMinorUnits(-73.49), -73);
+    });
+
+    it('ignores floating point noise around the half', () => {
+        // 50 × 0.29 is 14.499999999999998 in floating point
+        assert.equal(roundMinorUnits(50 * 0.29), 15);
+        assert.equal(roundMinorUnits(1050 * 0.07), 74);
+    });
+
+    it('never returns -0', () => {
+        assert.ok(Object.is(roundMinorUnits(-0.2), 0));
+    });
+});
+
+describe('splitMinorUnits', () => {
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+    it('gives the remainder to the largest remainders, ties to the first part', () => {
+        assert.deepEqual(splitMinorUnits(100, [1, 1, 1]), [34, 33, 33]);
+        assert.deepEqual(splitMinorUnits(101, [1, 1, 1]), [34, 34, 33]);
+        // exact shares 28.57, 42.86, 28.57: the middle part has the largest remainder
+        assert.deepEqual(splitMinorUnits(100, [2, 3, 2]), [29, 43, 28]);
+    });
+
+    it('splits in proportion to the weights', () => {
+        assert.deepEqual(splitMinorUnits(300, [1800, 450]), [240, 60]);
+        assert.deepEqual(splitMinorUnits(1000, [0, 5, 5]), [0, 500, 500]);
+    });
+
+    it('always adds up to exactly the total', () => {
+        const cases = [[1, [1, 1, 1]], [999, [7, 13, 29, 1]], [12345, [3333, 3333, 3334]], [0, [5, 5]], [7, [1, 1000000]]];
+        for (const [total, weights] of cases) {
+            const shares = splitMinorUnits(total, weights);
+            assert.equal(sum(shares), total, `${total} over ${weights}`);
+            assert.ok(shares.every(Number.isInteger));
+        }
+    });
+
+    it('gives nothing to anyone when every weight is 0', () => {
+        assert.deepEqual(splitMinorUnits(100, [0, 0]), [0, 0]);
+    });
+});
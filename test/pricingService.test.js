@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateSaleTotals } = require('../src/services/pricingService.js');
+
+/**
+ * SALE TOTALS (src/services/pricingService.js)
+ *
+ * Amounts are integer minor units (1850 = 18.50). These lines have no tax,
+ * tax rules are covered in taxService.test.js.
+ */
+const line = (unitPrice, quantity, extra = {}) => ({ unitPrice, quantity, taxRate: 0, priceIncludesTax: false, ...extra });
+
+describe('calculateSaleTotals', () => {
+    it('adds up line totals into the subtotal and the total', () => {
+        const totals = calculateSaleTotals({ items: [line(1850, 2), line(299, 3)] });
+
+        assert.deepEqual(totals.items.map((item) => item.lineTotal), [3700, 897]);
+        assert.equal(totals.subtotal, 4597);
+        assert.equal(totals.discount, 0);
+        assert.equal(totals.tax, 0);
+        assert.equal(totals.total, 4597);
+    });
+
+    it('takes the promotion discounts of the lines off the total', () => {
+        const totals = calculateSaleTotals({ items: [line(1000, 2, { discount: 300 }), line(500, 1)] });
+
+        assert.equal(totals.subtotal, 2500);
+        assert.equal(totals.discount, 300);
+        assert.equal(totals.total, 2200);
+    });
+
+    it('applies a percentage discount to what is left after promotions', () => {
+        const totals = calculateSaleTotals({
+            items: [line(1000, 2, { discount: 500 }), line(500, 1)],
+            discount: { type: 'percentage', value: 10 },
+        });
+
+        // 10% of (2500 - 500)
+        assert.equal(totals.discount, 500 + 200);
+        assert.equal(totals.total, 1800);
+    });
+
+    it('shares a manual discount between the lines to the minor unit', () => {
+        const totals = calculateSaleTotals({
+            items: [line(100, 1), line(100, 1), line(100, 1)],
+            discount: { type: 'fixed', value: 100 },
+        });
+
+        const nets = totals.items.map((item) => item.taxableAmount);
+        assert.deepEqual(nets, [66, 67, 67]);
+        assert.equal(nets.reduce((sum, net) => sum + net, 0), totals.total);
+        assert.equal(totals.total, 200);
+    });
+
+    it('never discounts more than the subtotal', () => {
+        const totals = calculateSaleTotals({ items: [line(300, 1)], discount: { type: 'fixed', value: 1000 } });
+
+        assert.equal(totals.discount, 300);
+        assert.equal(totals.total, 0);
+    });
+
+    it('refuses a discount that is not valid', () => {
+        const invalid = [
+            { type: 'percentage', value: 101 },
+            { type: 'percentage', value: -5 },
+            { type: 'fixed', value: 2.5 },
+            { type: 'bogus', value: 5 },
+        ];
+        for (const discount of invalid) {
+            assert.throws(
+                () => calculateSaleTotals({ items: [line(1000, 1)], discount }),
+                (error) => error.status === 400,
+                JSON.stringify(discount)
+            );
+        }
+    });
+});
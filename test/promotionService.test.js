@@ -0,0 +1,214 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Counter = require('../src/models/Counter.js');
+const Promotion = require('../src/models/Promotion.js');
+const PromotionRedemption = require('../src/models/PromotionRedemption.js');
+const { applyPromotions, recordRedemptions } = require('../src/services/promotionService.js');
+
+/**
+ * PROMOTIONS (src/services/promotionService.js)
+ *
+ * No MongoDB here: the model calls are replaced by an in-memory store that
+ * applies filters and updates one call at a time, like the server does for
+ * a single document. The awaits between calls still interleave, so two
+ * sales running at once really race each other.
+ */
+
+/**
+ * HELPER FUNCTION: Query
+ * A thenable standing in for a Mongoose query (.select()/.session() chain)
+ */
+const query = (read) => {
+    const chain = {
+        select: () => chain,
+        session: () => chain,
+        then: (resolve, reject) => Promise.resolve().then(read).then(resolve, reject),
+    };
+    return chain;
+};
+
+describe('recordRedemptions', () => {
+    let counters = null;
+    let redemptions = null;
+    let promotion = null;
+
+    beforeEach(() => {
+        counters = new Map();
+        redemptions = [];
+        promotion = { _id: new mongoose.Types.ObjectId(), name: 'Welcome', perCustomerLimit: 1, usageLimit: null, usageCount: 0 };
+
+        mock.method(Promotion, 'findById', () => query(() => promotion));
+        mock.method(Promotion, 'findOneAndUpdate', async () => {
+            promotion.usageCount += 1;
+            return promotion;
+        });
+        mock.method(Counter, 'exists', (filter) => query(() => (counters.has(filter._id) ? { _id: filter._id } : null)));
+        mock.method(Counter, 'updateOne', async (filter, update) => {
+            if (!counters.has(filter._id)) {
+                counters.set(filter._id, update.$setOnInsert.seq);
+            }
+        });
+        mock.method(Counter, 'findOneAndUpdate', async (filter, update) => {
+            const seq = counters.get(filter._id);
+            if (seq === undefined || (filter.seq && !(seq < filter.seq.$lt))) {
+                return null;
+            }
+            counters.set(filter._id, seq + update.$inc.seq);
+            return { _id: filter._id, seq: seq + update.$inc.seq };
+        });
+        mock.method(PromotionRedemption, 'countDocuments', (filter) => query(() => redemptions
+            .filter((redemption) => redemption.customer === filter.customer && redemption.releasedAt === null).length));
+        mock.method(PromotionRedemption, 'insertMany', async (docs) => {
+            // A slow insert: the other sale gets to run meanwhile
+            await new Promise((resolve) => setImmediate(resolve));
+            redemptions.push(...docs.map((doc) => ({ ...doc, releasedAt: null })));
+            return docs;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const redeem = (customer) => recordRedemptions({
+        sale: { _id: new mongoose.Types.ObjectId(), currency: 'USD' },
+        promotions: [{ promotion: promotion._id, name: promotion.name, code: 'WELCOME', amount: 500 }],
+        customer,
+    }, null);
+
+    it('lets only one of two concurrent sales use a once-per-customer promotion', async () => {
+        const results = await Promise.allSettled([redeem('customer:1'), redeem('customer:1')]);
+
+        const rejected = results.filter((result) => result.status === 'rejected');
+        assert.equal(rejected.length, 1);
+        assert.equal(rejected[0].reason.status, 409);
+        assert.equal(redemptions.length, 1);
+    });
+
+    it('counts each customer separately', async () => {
+        const results = await Promise.allSettled([redeem('customer:1'), redeem('customer:2')]);
+
+        assert.ok(results.every((result) => result.status === 'fulfilled'));
+        assert.equal(redemptions.length, 2);
+    });
+
+    it('starts the counter at the redemptions recorded before it existed', async () => {
+        promotion.perCustomerLimit = 2;
+        redemptions.push({ promotion: promotion._id, customer: 'ana@example.com', releasedAt: null });
+
+        await redeem('ana@example.com');
+        await assert.rejects(redeem('ana@example.com'), (error) => error.status === 409);
+    });
+
+    it('keeps counting uses of a promotion without a per-customer limit', async () => {
+        promotion.perCustomerLimit = null;
+
+        await redeem('customer:1');
+        await redeem('customer:1');
+        assert.equal(counters.get(`promotion-${promotion._id}-customer:1`), 2);
+    });
+});
+
+describe('applyPromotions', () => {
+    let promotions = null;
+    // Every test sells in the promotions' own currency
+    const converter = { currency: 'USD', exchangeRate: null, convert: async (amount) => amount };
+
+    const promotion = (fields) => ({
+        _id: new mongoose.Types.ObjectId(),
+        code: null,
+        scope: 'order',
+        categories: [],
+        skus: [],
+        exclusive: false,
+        priority: 0,
+        createdAt: new Date('2026-01-01'),
+        minSubtotal: 0,
+        currency: 'USD',
+        usageLimit: null,
+        usageCount: 0,
+        perCustomerLimit: null,
+        ...fields,
+    });
+    const items = () => [
+        { sku: 'MUG', category: 'kitchen', quantity: 2, unitPrice: 1000 },
+        { sku: 'TEA', category: 'food', quantity: 1, unitPrice: 500 },
+    ];
+    const discounts = (result) => result.items.map((item) => item.discount);
+
+    beforeEach(() => {
+        promotions = [];
+        // The query filters are trusted: only what the test puts in "promotions" is found
+        mock.method(Promotion, 'find', () => query(() => promotions));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('stacks non-exclusive promotions, each one on what the previous left', async () => {
+        promotions = [
+            promotion({ name: '10% off', type: 'percentage', value: 10, priority: 2 }),
+            promotion({ name: '3 off', type: 'fixed', value: 300, priority: 1 }),
+        ];
+
+        const result = await applyPromotions({ items: items(), converter });
+        // 10%: 200 + 50, then 300 shared by what is left (1800 and 450)
+        assert.deepEqual(discounts(result), [200 + 240, 50 + 60]);
+        assert.deepEqual(result.promotions.map((used) => [used.name, used.amount]), [['10% off', 250], ['3 off', 300]]);
+    });
+
+    it('applies promotions by priority, then the older one first', async () => {
+        promotions = [
+            promotion({ name: 'newer', type: 'fixed', value: 100, createdAt: new Date('2026-02-01') }),
+            promotion({ name: 'first', type: 'percentage', value: 50, priority: 5 }),
+            promotion({ name: 'older', type: 'fixed', value: 100, createdAt: new Date('2025-12-01') }),
+        ];
+
+        const result = await applyPromotions({ items: items(), converter });
+        assert.deepEqual(result.promotions.map((used) => used.name), ['first', 'older', 'newer']);
+    });
+
+    it('keeps later promotions off the lines an exclusive promotion took', async () => {
+        promotions = [
+            promotion({ name: 'kitchen deal', type: 'percentage', value: 20, scope: 'category', categories: ['kitchen'], exclusive: true, priority: 2 }),
+            promotion({ name: '10% off', type: 'percentage', value: 10, priority: 1 }),
+        ];
+
+        const result = await applyPromotions({ items: items(), converter });
+        assert.deepEqual(discounts(result), [400, 50]);
+        assert.deepEqual(result.items[0].promotions.map((used) => used.name), ['kitchen deal']);
+    });
+
+    it('does not apply an exclusive promotion to lines already discounted', async () => {
+        promotions = [
+            promotion({ name: 'tea 1 off', type: 'fixed', value: 100, scope: 'sku', skus: ['TEA'], priority: 2 }),
+            promotion({ name: 'exclusive 50%', type: 'percentage', value: 50, exclusive: true, priority: 1 }),
+        ];
+
+        const result = await applyPromotions({ items: items(), converter });
+        assert.deepEqual(discounts(result), [1000, 100]);
+    });
+
+    it('skips an automatic promotion below its minimum purchase', async () => {
+        promotions = [promotion({ name: 'big spender', type: 'fixed', value: 500, minSubtotal: 10000 })];
+
+        const result = await applyPromotions({ items: items(), converter });
+        assert.deepEqual(discounts(result), [0, 0]);
+        assert.deepEqual(result.promotions, []);
+    });
+
+    it('refuses a coupon that does not apply, or that does not exist', async () => {
+        promotions = [promotion({ name: 'big spender', code: 'BIG', type: 'fixed', value: 500, minSubtotal: 10000 })];
+
+        await assert.rejects(
+            applyPromotions({ items: items(), coupons: ['BIG'], converter }),
+            (error) => error.status === 400 && error.code === 'INVALID_COUPON'
+        );
+        await assert.rejects(
+            applyPromotions({ items: items(), coupons: ['BIG', 'NOPE'], converter }),
+            (error) => error.status === 400 && /NOPE/.test(error.message)
+        );
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const createMemoryStore = require('../src/services/rateLimit/memoryStore.js');
+const { setStore } = require('../src/services/rateLimit/index.js');
+const {
+    rateLimit,
+    loginRateLimit,
+    forgotPasswordRateLimit,
+    resendVerificationRateLimit,
+    resetLoginLimits,
+} = require('../src/middleware/rateLimit.js');
+
+/**
+ * RATE LIMITS (src/middleware/rateLimit.js)
+ *
+ * Every test gets a fresh memory store (services/rateLimit/index.js setStore)
+ */
+
+/**
+ * HELPER FUNCTION: Hit
+ * Sends one fake request through a limiter
+ * RETURNS: { error, headers } (error is what the limiter passed to next())
+ */
+const hit = async (limiter, req = {}) => {
+    const headers = {};
+    const res = { set: (name, value) => { headers[name] = value; } };
+    let error = null;
+    await limiter({ ip: '10.0.0.1', body: {}, ...req }, res, (passed) => {
+        error = passed || null;
+    });
+    return { error, headers };
+};
+
+describe('rateLimit', () => {
+    beforeEach(() => {
+        setStore(createMemoryStore());
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('lets max requests through, then answers 429 with Retry-After', async () => {
+        const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 3, key: (req) => req.ip, message: 'Slow down' });
+        for (let count = 0; count < 3; count += 1) {
+            assert.equal((await hit(limiter)).error, null);
+        }
+
+        const { error, headers } = await hit(limiter);
+        assert.equal(error.status, 429);
+        assert.equal(error.message, 'Slow down');
+        assert.ok(Number(headers['Retry-After']) >= 59 && Number(headers['Retry-After']) <= 60);
+    });
+
+    it('counts every key and every limiter name separately', async () => {
+        const first = rateLimit({ name: 'first', windowMs: 60 * 1000, max: 1, key: (req) => req.ip });
+        const second = rateLimit({ name: 'second', windowMs: 60 * 1000, max: 1, key: (req) => req.ip });
+
+        assert.equal((await hit(first)).error, null);
+        assert.equal((await hit(first, { ip: '10.0.0.2' })).error, null);
+        assert.equal((await hit(second)).error, null);
+        assert.equal((await hit(first)).error.status, 429);
+    });
+
+    it('starts counting again when the window is over', async () => {
+        const limiter = rateLimit({ name: 'short', windowMs: 20, max: 1, key: (req) => req.ip });
+        await hit(limiter);
+        assert.equal((await hit(limiter)).error.status, 429);
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        assert.equal((await hit(limiter)).error, null);
+    });
+
+    it('skips requests without a key', async () => {
+        const limiter = rateLimit({ name: 'no-key', windowMs: 60 * 1000, max: 0, key: () => null });
+        assert.equal((await hit(limiter)).error, null);
+    });
+
+    it('lets the request through when the store fails', async () => {
+        setStore({ increment: async () => { throw new Error('store down'); } });
+        mock.method(console, 'error', () => {});
+        const limiter = rateLimit({ name: 'down', windowMs: 60 * 1000, max: 0, key: (req) => req.ip });
+
+        assert.equal((await hit(limiter)).error, null);
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+});
+
+describe('loginRateLimit', () => {
+    const [perIp, perAccount] = loginRateLimit;
+
+    beforeEach(() => {
+        setStore(createMemoryStore());
+    });
+
+    it('counts one email however it is typed, from any IP', async () => {
+        const spellings = ['Ana@Example.com', ' ana@example.com', 'ANA@EXAMPLE.COM '];
+        for (let count = 0; count < 10; count += 1) {
+            const req = { ip: `10.0.0.${count}`, body: { email: spellings[count % 3] } };
+            assert.equal((await hit(perAccount, req)).error, null);
+        }
+        assert.equal((await hit(perAccount, { ip: '10.0.1.1', body: { email: 'ana@example.com' } })).error.status, 429);
+        assert.equal((await hit(perAccount, { body: { email: 'bob@example.com' } })).error, null);
+    });
+
+    it('limits one IP to 20 attempts whatever the email', async () => {
+        for (let count = 0; count < 20; count += 1) {
+            assert.equal((await hit(perIp, { body: { email: `user${count}@example.com` } })).error, null);
+        }
+        assert.equal((await hit(perIp, { body: { email: 'new@example.com' } })).error.status, 429);
+    });
+
+    it('gives the email a clean slate after resetLoginLimits', async () => {
+        const req = { body: { email: 'ana@example.com' } };
+        for (let count = 0; count < 11; count += 1) {
+            await hit(perAccount, req);
+        }
+        assert.equal((await hit(perAccount, req)).error.status, 429);
+
+        await resetLoginLimits('ana@example.com');
+        assert.equal((await hit(perAccount, req)).error, null);
+    });
+});
+
+describe('email route limits', () => {
+    beforeEach(() => {
+        setStore(createMemoryStore());
+    });
+
+    for (const [route, limiters] of [['forgot-password', forgotPasswordRateLimit], ['resend-verification', resendVerificationRateLimit]]) {
+        it(`${route}: 3 emails per address and 10 per IP per hour`, async () => {
+            const [perIp, perAccount] = limiters;
+            for (let count = 0; count < 3; count += 1) {
+                assert.equal((await hit(perAccount, { ip: `10.0.0.${count}`, body: { email: 'Ana@example.com' } })).error, null);
+            }
+            assert.equal((await hit(perAccount, { ip: '10.0.1.1', body: { email: 'ana@example.com' } })).error.status, 429);
+
+            for (let count = 0; count < 10; count += 1) {
+                assert.equal((await hit(perIp, { body: { email: `user${count}@example.com` } })).error, null);
+            }
+            assert.equal((await hit(perIp, { body: { email: 'new@example.com' } })).error.status, 429);
+        });
+    }
+});
@@ -0,0 +1,224 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Alert = require('../src/models/Alert.js');
+const Invoice = require('../src/models/Invoice.js');
+const Product = require('../src/models/Product.js');
+const ProductStock = require('../src/models/ProductStock.js');
+const PromotionRedemption = require('../src/models/PromotionRedemption.js');
+const Sale = require('../src/models/Sale.js');
+const SaleReturn = require('../src/models/SaleReturn.js');
+const StockMovement = require('../src/models/StockMovement.js');
+const { calculateSaleTotals } = require('../src/services/pricingService.js');
+const { unitShare, calculateRefund, returnSaleItems, voidSale } = require('../src/services/returnService.js');
+
+/**
+ * RETURNS AND VOIDS (src/services/returnService.js)
+ *
+ * No MongoDB here: the model calls are replaced by an in-memory product,
+ * its stock and the ledger. Product.findOne applies the isDeleted filter it
+ * gets, so a soft-deleted product is "not found" unless the caller asks for it.
+ */
+
+describe('unitShare', () => {
+    it('spreads a line amount over returns so they add up to exactly the amount', () => {
+        const shares = [unitShare(100, 0, 1, 3), unitShare(100, 1, 1, 3), unitShare(100, 2, 1, 3)];
+
+        assert.deepEqual(shares, [33, 34, 33]);
+        assert.equal(shares.reduce((sum, share) => sum + share, 0), 100);
+    });
+
+    it('gives the whole amount when every unit comes back at once', () => {
+        assert.equal(unitShare(437, 0, 7, 7), 437);
+    });
+});
+
+describe('calculateRefund', () => {
+    it('refunds the discount and tax share of a partial return (sale with tax rules)', () => {
+        const sale = new Sale({ taxBreakdown: [{ name: 'VAT', rate: 0.16, taxableAmount: 2700, tax: 432 }] });
+        // 1 of 3 units of a line of 3000 with 300 of promotions, VAT 16% on top
+        const lines = [{
+            lineTotal: 1000,
+            discount: unitShare(300, 0, 1, 3),
+            taxName: 'VAT',
+            taxRate: 0.16,
+            priceIncludesTax: false,
+            taxableAmount: unitShare(2700, 0, 1, 3),
+            tax: unitShare(432, 0, 1, 3),
+        }];
+
+        const refund = calculateRefund(sale, lines, false);
+        assert.equal(refund.subtotal, 1000);
+        assert.equal(refund.discount, 100);
+        assert.equal(refund.tax, 144);
+        assert.equal(refund.total, 1044);
+        assert.deepEqual(refund.taxBreakdown, [{ name: 'VAT', rate: 0.16, taxableAmount: 900, tax: 144 }]);
+    });
+
+    it('shares the manual discount by what the lines cost after promotions (older sales)', () => {
+        // Subtotal 3000, promotions 500 on the first line, manual discount 250, tax 10% on the sale
+        const sale = new Sale({
+            items: [
+                { product: new mongoose.Types.ObjectId(), sku: 'A', name: 'A', quantity: 2, unitPrice: 1000, lineTotal: 2000, discount: 500 },
+                { product: new mongoose.Types.ObjectId(), sku: 'B', name: 'B', quantity: 1, unitPrice: 1000, lineTotal: 1000 },
+            ],
+            subtotal: 3000,
+            discount: 750,
+            taxRate: 0.1,
+            tax: 225,
+            total: 2475,
+        });
+
+        const refund = calculateRefund(sale, [{ lineTotal: 1000, discount: 0 }], false);
+        // 250 × 1000 / (3000 - 500) = 100
+        assert.equal(refund.discount, 100);
+        assert.equal(refund.tax, 90);
+        assert.equal(refund.total, 990);
+    });
+
+    it('refunds what is left on the last return of an older sale', () => {
+        const sale = new Sale({ subtotal: 1000, discount: 0, taxRate: 0.1, tax: 100, total: 1100, refundedTotal: 733 });
+
+        const refund = calculateRefund(sale, [{ lineTotal: 333, discount: 0 }], true);
+        assert.equal(refund.total, 367);
+    });
+});
+
+/**
+ * HELPER FUNCTION: Query
+ * A thenable standing in for a Mongoose query (.select()/.session() chain)
+ */
+const query = (read) => {
+    const chain = {
+        select: () => chain,
+        session: () => chain,
+        then: (resolve, reject) => Promise.resolve().then(read).then(resolve, reject),
+    };
+    return chain;
+};
+
+describe('returnSaleItems and voidSale', () => {
+    let product = null;
+    let locationStock = 0;
+    let movements = null;
+    let sale = null;
+
+    beforeEach(() => {
+        const location = new mongoose.Types.ObjectId();
+        product = new Product({
+            sku: 'MUG-01',
+            name: 'Mug',
+            price: 1000,
+            cost: 400,
+            stock: 3,
+            reorderPoint: 0,
+            createdBy: new mongoose.Types.ObjectId(),
+        });
+        locationStock = 3;
+        movements = [];
+        sale = new Sale({
+            items: [{ product: product._id, sku: 'MUG-01', name: 'Mug', quantity: 2, unitPrice: 1000, lineTotal: 2000 }],
+            subtotal: 2000,
+            total: 2000,
+            currency: 'USD',
+            exchangeRate: { baseCurrency: 'USD', rate: 1, minorRate: 1 },
+            location,
+            soldBy: new mongoose.Types.ObjectId(),
+        });
+        sale.createdAt = new Date();
+
+        mock.method(Sale, 'findOne', () => query(() => sale));
+        mock.method(Sale.prototype, 'save', async function () { return this; });
+        mock.method(Product, 'findOne', (filter) => query(() => (
+            String(filter._id) === String(product._id) && !(filter.isDeleted === false && product.isDeleted) ? product : null
+        )));
+        mock.method(Product, 'findOneAndUpdate', async (filter, update) => {
+            product.stock += update.$inc.stock;
+            return product;
+        });
+        mock.method(ProductStock, 'findOneAndUpdate', async (filter, update) => {
+            locationStock += update.$inc.quantity;
+            return { quantity: locationStock };
+        });
+        mock.method(StockMovement, 'create', async ([movement]) => {
+            movements.push(movement);
+            return [{ ...movement, _id: new mongoose.Types.ObjectId() }];
+        });
+        mock.method(SaleReturn, 'create', async ([saleReturn]) => [saleReturn]);
+        // Well above the reorder point: a return never raises an alert
+        mock.method(Alert, 'findOneAndUpdate', async () => null);
+        mock.method(Invoice, 'findOne', () => query(() => null));
+        mock.method(PromotionRedemption, 'find', () => query(() => []));
+        mock.method(PromotionRedemption, 'updateMany', async () => ({ modifiedCount: 0 }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const returnOne = (productId) => returnSaleItems({
+        filter: { _id: sale._id },
+        items: [{ product: productId, quantity: 1 }],
+        refundMethod: 'cash',
+        reason: 'Changed mind',
+        user: new mongoose.Types.ObjectId(),
+        issuedAt: new Date(),
+    }, null);
+
+    it('refunds exactly what was paid over several partial returns with discounts and tax', async () => {
+        const other = new mongoose.Types.ObjectId();
+        const totals = calculateSaleTotals({
+            items: [
+                { product: product._id, sku: 'MUG-01', name: 'Mug', quantity: 3, unitPrice: 999, discount: 250, taxName: 'VAT', taxRate: 0.16, priceIncludesTax: false },
+                { product: other, sku: 'TEA-01', name: 'Tea', quantity: 1, unitPrice: 450, taxName: 'VAT', taxRate: 0.16, priceIncludesTax: false },
+            ],
+            discount: { type: 'fixed', value: 125 },
+        });
+        sale = new Sale({ ...sale.toObject(), ...totals, _id: sale._id });
+        mock.method(Product, 'findOne', () => query(() => product));
+
+        const refunds = [];
+        for (const productId of [product._id, other, product._id, product._id]) {
+            const { saleReturn } = await returnOne(productId);
+            refunds.push(saleReturn.total);
+        }
+
+        assert.equal(sale.status, 'returned');
+        assert.equal(refunds.reduce((sum, refund) => sum + refund, 0), sale.total);
+        assert.equal(sale.refundedTotal, sale.total);
+    });
+
+    it('refunds a return of a product deleted after the sale', async () => {
+        product.isDeleted = true;
+        const { saleReturn } = await returnSaleItems({
+            filter: { _id: sale._id },
+            items: [{ product: product._id, quantity: 1 }],
+            refundMethod: 'cash',
+            reason: 'Chipped',
+            user: new mongoose.Types.ObjectId(),
+            issuedAt: new Date(),
+        }, null);
+
+        assert.equal(saleReturn.total, 1000);
+        assert.equal(sale.status, 'partially_returned');
+        assert.equal(sale.refundedTotal, 1000);
+        assert.equal(movements.length, 1);
+        assert.equal(movements[0].type, 'return');
+        assert.equal(movements[0].quantity, 1);
+        assert.equal(product.stock, 4);
+    });
+
+    it('voids a sale of a product deleted after the sale', async () => {
+        product.isDeleted = true;
+        const { saleReturn } = await voidSale({
+            filter: { _id: sale._id },
+            reason: 'Wrong item rung up',
+            user: new mongoose.Types.ObjectId(),
+            issuedAt: new Date(),
+        }, null);
+
+        assert.equal(saleReturn.total, 2000);
+        assert.equal(sale.status, 'voided');
+        assert.deepEqual(movements.map((movement) => movement.quantity), [2]);
+    });
+});
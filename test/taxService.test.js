@@ -0,0 +1,108 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const TaxRule = require('../src/models/TaxRule.js');
+const { findTaxRule, applyTaxRules } = require('../src/services/taxService.js');
+const { calculateSaleTotals } = require('../src/services/pricingService.js');
+
+/**
+ * TAX RULES (src/services/taxService.js) and the tax of every line
+ * (calculateSaleTotals in src/services/pricingService.js)
+ */
+const rule = (name, rate, category = null, location = null) => ({ _id: new mongoose.Types.ObjectId(), name, rate, category, location });
+
+describe('findTaxRule', () => {
+    afterEach(() => {
+        delete process.env.SALES_TAX_RATE;
+    });
+
+    const location = new mongoose.Types.ObjectId();
+    const rules = [
+        rule('Standard', 0.16),
+        rule('Store standard', 0.15, null, location),
+        rule('Food', 0.05, 'food'),
+        rule('Store food', 0.04, 'food', location),
+    ];
+
+    it('prefers the category over the location, and both over neither', () => {
+        assert.equal(findTaxRule(rules, 'food').name, 'Store food');
+        assert.equal(findTaxRule(rules.filter((r) => r.name !== 'Store food'), 'food').name, 'Food');
+        assert.equal(findTaxRule(rules, 'kitchen').name, 'Store standard');
+        assert.equal(findTaxRule([rules[0]], 'kitchen').name, 'Standard');
+    });
+
+    it('falls back to SALES_TAX_RATE when no rule matches', () => {
+        process.env.SALES_TAX_RATE = '0.08';
+        const fallback = findTaxRule([rule('Food', 0.05, 'food')], 'kitchen');
+
+        assert.equal(fallback._id, null);
+        assert.equal(fallback.rate, 0.08);
+    });
+});
+
+describe('applyTaxRules', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('adds the tax fields of the matching rule to every line', async () => {
+        const food = rule('Food', 0.05, 'food');
+        mock.method(TaxRule, 'find', () => ({ session: async () => [rule('Standard', 0.16), food] }));
+
+        const lines = await applyTaxRules([
+            { sku: 'TEA', category: 'food', priceIncludesTax: true },
+            { sku: 'MUG', category: 'kitchen' },
+        ], new mongoose.Types.ObjectId());
+
+        assert.deepEqual(lines.map((line) => [line.taxName, line.taxRate, line.priceIncludesTax]), [
+            ['Food', 0.05, true],
+            ['Standard', 0.16, false],
+        ]);
+        assert.equal(lines[0].taxRule, food._id);
+    });
+});
+
+describe('tax per line', () => {
+    it('adds tax on top of prices without tax', () => {
+        const totals = calculateSaleTotals({
+            items: [{ unitPrice: 1050, quantity: 1, taxName: 'Tax 7%', taxRate: 0.07, priceIncludesTax: false }],
+        });
+
+        // 1050 × 0.07 = 73.5 → 74 (half away from zero)
+        assert.equal(totals.items[0].tax, 74);
+        assert.equal(totals.taxIncluded, 0);
+        assert.equal(totals.total, 1124);
+    });
+
+    it('takes the tax out of prices that include it, without changing the total', () => {
+        const totals = calculateSaleTotals({
+            items: [{ unitPrice: 1160, quantity: 1, taxName: 'VAT', taxRate: 0.16, priceIncludesTax: true }],
+        });
+
+        assert.equal(totals.items[0].tax, 160);
+        assert.equal(totals.items[0].taxableAmount, 1000);
+        assert.equal(totals.taxIncluded, 160);
+        assert.equal(totals.total, 1160);
+    });
+
+    it('rounds per line and the breakdown adds up to the sale tax', () => {
+        const vat = { taxName: 'VAT', taxRate: 0.16, priceIncludesTax: false };
+        const food = { taxName: 'Food', taxRate: 0.05, priceIncludesTax: false };
+        const totals = calculateSaleTotals({
+            items: [
+                { unitPrice: 333, quantity: 1, ...vat },
+                { unitPrice: 333, quantity: 1, ...vat },
+                { unitPrice: 250, quantity: 3, ...food },
+            ],
+            discount: { type: 'percentage', value: 10 },
+        });
+
+        assert.deepEqual(totals.items.map((item) => item.tax), [48, 48, 34]);
+        assert.deepEqual(totals.taxBreakdown, [
+            { name: 'VAT', rate: 0.16, taxableAmount: 599, tax: 96 },
+            { name: 'Food', rate: 0.05, taxableAmount: 675, tax: 34 },
+        ]);
+        assert.equal(totals.tax, 130);
+        assert.equal(totals.total, totals.subtotal - totals.discount + totals.tax);
+    });
+});
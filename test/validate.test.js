@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../src/middleware/validate.js');
+
+/**
+ * REQUEST VALIDATION (src/middleware/validate.js)
+ */
+
+/**
+ * HELPER FUNCTION: Run
+ * Calls the middleware with a fake request
+ * RETURNS: the error passed to next() (undefined when the request is valid)
+ */
+const run = (schema, req) => {
+    let passed = null;
+    validate(schema)({ params: {}, query: {}, ...req }, {}, (error) => {
+        passed = { error };
+    });
+    assert.ok(passed, 'next() was not called');
+    return passed.error;
+};
+const codes = (error) => error.errors.map((problem) => `${problem.field}:${problem.code}`);
+
+describe('validate', () => {
+    const itemsSchema = {
+        body: {
+            email: { type: 'email', required: true },
+            role: { type: 'string', enum: ['admin', 'employee'] },
+            items: {
+                type: 'array',
+                required: true,
+                minLength: 1,
+                items: {
+                    type: 'object',
+                    fields: {
+                        product: { type: 'objectId', required: true },
+                        quantity: { type: 'integer', required: true, min: 1 },
+                    },
+                },
+            },
+        },
+    };
+
+    it('calls next() without an error for a valid request', () => {
+        const error = run(itemsSchema, {
+            body: { email: 'ana@example.com', items: [{ product: '65a1fd98f66d453210cde123', quantity: 2 }] },
+        });
+        assert.equal(error, undefined);
+    });
+
+    it('reports every problem at once as 400 VALIDATION_ERROR', () => {
+        const error = run(itemsSchema, {
+            body: { email: 'not-an-email', role: 'owner', items: [{ product: 'abc', quantity: 0 }, { quantity: 1.5 }] },
+        });
+
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        assert.deepEqual(codes(error), [
+            'email:invalid_type',
+            'role:invalid_enum',
+            'items[0].product:invalid_type',
+            'items[0].quantity:too_small',
+            'items[1].product:required',
+            'items[1].quantity:invalid_type',
+        ]);
+        assert.equal(error.errors[3].message, 'items[0].quantity must be at least 1');
+        assert.ok(error.errors.every((problem) => problem.location === 'body'));
+    });
+
+    it('treats null and blank strings as missing', () => {
+        const error = run(itemsSchema, { body: { email: '   ', items: null } });
+        assert.deepEqual(codes(error), ['email:required', 'items:required']);
+    });
+
+    it('accepts null for a nullable field', () => {
+        const schema = { body: { reorderPoint: { type: 'integer', nullable: true, min: 0 } } };
+        assert.equal(run(schema, { body: { reorderPoint: null } }), undefined);
+    });
+
+    it('accepts numbers and booleans sent as strings in the query', () => {
+        const schema = { query: { page: { type: 'integer', min: 1 }, lowStock: { type: 'boolean' } } };
+        assert.equal(run(schema, { query: { page: '2', lowStock: 'true' } }), undefined);
+        assert.deepEqual(codes(run(schema, { query: { page: '0', lowStock: 'yes' } })), ['page:too_small', 'lowStock:invalid_type']);
+    });
+
+    it('checks string lengths after trimming, and patterns', () => {
+        const schema = { body: { sku: { type: 'string', minLength: 3, maxLength: 5, pattern: /^[A-Z-]+$/, patternMessage: 'must be uppercase' } } };
+        const lengthOnly = { body: { sku: { type: 'string', minLength: 3 } } };
+        assert.deepEqual(codes(run(lengthOnly, { body: { sku: '  AB  ' } })), ['sku:too_short']);
+        assert.deepEqual(codes(run(schema, { body: { sku: 'ABCDEF' } })), ['sku:too_long']);
+        const error = run(schema, { body: { sku: 'abc' } });
+        assert.deepEqual(codes(error), ['sku:invalid_format']);
+        assert.equal(error.errors[0].message, 'sku must be uppercase');
+    });
+
+    it('validates params and query with their location', () => {
+        const schema = { params: { id: { type: 'objectId', required: true } }, query: { from: { type: 'date' } } };
+        const error = run(schema, { params: { id: '123' }, query: { from: 'yesterday' } });
+        assert.deepEqual(error.errors.map((problem) => problem.location), ['params', 'query']);
+    });
+
+    it('treats a missing body as {} and refuses a body that is not an object', () => {
+        const schema = { body: { note: { type: 'string' } } };
+        assert.equal(run(schema, { body: undefined }), undefined);
+        assert.deepEqual(codes(run(schema, { body: [1, 2] })), ['body:invalid_type']);
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+const Webhook = require('../src/models/Webhook.js');
+const WebhookDelivery = require('../src/models/WebhookDelivery.js');
+const { attemptDelivery, generateSecret } = require('../src/services/webhookService.js');
+
+/**
+ * WEBHOOK DELIVERIES (src/services/webhookService.js)
+ *
+ * A real HTTP receiver on a random port gets the deliveries. MongoDB is not
+ * needed: the webhook lookup and delivery.save() are replaced for each test,
+ * everything else (signature, HTTP request, retry schedule, log) runs for real.
+ */
+describe('webhook deliveries', () => {
+    let receiver = null;
+    let received = [];
+    let answers = [];
+    const secret = generateSecret();
+    const webhook = new Webhook({
+        url: 'http://127.0.0.1/hooks',
+        events: ['alert.raised'],
+        secret,
+        createdBy: new mongoose.Types.ObjectId(),
+    });
+
+    const newDelivery = () => {
+        const _id = new mongoose.Types.ObjectId();
+        return new WebhookDelivery({
+            _id,
+            webhook: webhook._id,
+            event: 'alert.raised',
+            payload: { id: String(_id), event: 'alert.raised', createdAt: new Date().toISOString(), data: { sku: 'ABC-1' } },
+        });
+    };
+
+    before(async () => {
+        // Answers with the next status in "answers" (200 once they run out)
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = answers.length > 0 ? answers.shift() : 200;
+                res.end();
+            });
+        });
+        await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+        webhook.url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => receiver.close(resolve));
+    });
+
+    beforeEach(() => {
+        received = [];
+        answers = [];
+        process.env.WEBHOOK_RETRY_BASE_SECONDS = '30';
+        process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+        mock.method(Webhook, 'findById', () => ({ select: async () => webhook }));
+        mock.method(WebhookDelivery.prototype, 'save', async function () { return this; });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        delete process.env.WEBHOOK_RETRY_BASE_SECONDS;
+        delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    });
+
+    it('signs the raw body with t=<timestamp>,v1=<HMAC-SHA256>', async () => {
+        const delivery = newDelivery();
+        await attemptDelivery(delivery);
+
+        assert.equal(received.length, 1);
+        const { headers, body } = received[0];
+        assert.equal(headers['x-istd-event'], 'alert.raised');
+        assert.equal(headers['x-istd-delivery'], String(delivery._id));
+        assert.deepEqual(JSON.parse(body), delivery.payload);
+
+        const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers['x-istd-signature']);
+        assert.ok(match, `unexpected signature header: ${headers['x-istd-signature']}`);
+        const expected = crypto.createHmac('sha256', secret).update(`${match[1]}.${body}`).digest('hex');
+        assert.equal(match[2], expected);
+        assert.ok(Math.abs(Date.now() / 1000 - Number(match[1])) < 60);
+    });
+
+    it('records a successful attempt in the delivery log', async () => {
+        const delivery = newDelivery();
+        await attemptDelivery(delivery);
+
+        assert.equal(delivery.status, 'succeeded');
+        assert.equal(delivery.attempts, 1);
+        assert.equal(delivery.lockedUntil, null);
+        assert.equal(delivery.log.length, 1);
+        assert.equal(delivery.log[0].statusCode, 200);
+        assert.equal(delivery.log[0].error, null);
+        assert.ok(delivery.log[0].attemptedAt instanceof Date);
+        assert.equal(WebhookDelivery.prototype.save.mock.callCount(), 1);
+    });
+
+    it('retries a 500 answer with exponential backoff', async () => {
+        answers = [500, 500];
+        const delivery = newDelivery();
+
+        let startedAt = Date.now();
+        await attemptDelivery(delivery);
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.attempts, 1);
+        assert.equal(delivery.log[0].statusCode, 500);
+        assert.equal(delivery.log[0].error, 'Receiver answered 500');
+        let delay = delivery.nextAttemptAt.getTime() - startedAt;
+        assert.ok(delay >= 30 * 1000 && delay < 31 * 1000, `first retry after ${delay} ms`);
+
+        startedAt = Date.now();
+        await attemptDelivery(delivery);
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.attempts, 2);
+        delay = delivery.nextAttemptAt.getTime() - startedAt;
+        assert.ok(delay >= 60 * 1000 && delay < 61 * 1000, `second retry after ${delay} ms`);
+
+        await attemptDelivery(delivery);
+        assert.equal(delivery.status, 'succeeded');
+        assert.equal(delivery.attempts, 3);
+        assert.deepEqual(delivery.log.map((entry) => entry.statusCode), [500, 500, 200]);
+        assert.equal(received.length, 3);
+    });
+
+    it('marks the delivery failed after WEBHOOK_MAX_ATTEMPTS', async () => {
+        answers = [500, 500, 500];
+        const delivery = newDelivery();
+        for (let attempt = 0; attempt < 3; attempt += 1) {
+            await attemptDelivery(delivery);
+        }
+
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.attempts, 3);
+        assert.equal(delivery.log.length, 3);
+        assert.ok(delivery.log.every((entry) => entry.error === 'Receiver answered 500'));
+    });
+});